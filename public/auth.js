@@ -0,0 +1,23 @@
+// Shared admin-page session handling.
+// API calls carry the HttpOnly session cookie set by POST /auth/login; any
+// 401 response sends the user to the sign-in page and back afterwards.
+(function () {
+  const originalFetch = window.fetch.bind(window);
+
+  function redirectToLogin() {
+    if (window.location.pathname === '/login.html') return;
+    const next = encodeURIComponent(window.location.pathname + window.location.search);
+    window.location.href = `/login.html?next=${next}`;
+  }
+
+  window.fetch = async function (input, init) {
+    const response = await originalFetch(input, { credentials: 'same-origin', ...init });
+    if (response.status === 401) redirectToLogin();
+    return response;
+  };
+
+  window.eeMailLogout = async function () {
+    await originalFetch('/auth/logout', { method: 'POST', credentials: 'same-origin' });
+    redirectToLogin();
+  };
+})();
@@ -0,0 +1,208 @@
+// AI providers
+//
+// callAiApi sends every request to an ordered list of providers. Each provider
+// has a backend (the API it speaks), a model and its own timeout and retry
+// policy; when one keeps failing the request goes to the next. Requests and
+// responses use the chat completions shape whatever the backend, so callers do
+// not change when a provider is added.
+//
+// AI_PROVIDERS holds the list as JSON; without it the single provider from
+// AI_API_BASE_URL, AI_API_KEY and AI_MODEL is used.
+
+import config from './config.js';
+
+const MAX_TIMEOUT_MS = 15000;
+const MAX_ATTEMPTS = 5;
+const MAX_BACKOFF_MS = 10000;
+
+function bounded(value, { min, max, fallback, integer = false }) {
+  const number = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isFinite(number) || number < min) {
+    return fallback;
+  }
+  return Math.min(integer ? Math.floor(number) : number, max);
+}
+
+// Defaults for providers that do not set their own policy
+const DEFAULT_POLICY = {
+  timeoutMs: bounded(process.env.AI_REQUEST_TIMEOUT_MS, { min: 1, max: MAX_TIMEOUT_MS, fallback: 10000 }),
+  maxAttempts: bounded(process.env.AI_MAX_ATTEMPTS, { min: 1, max: MAX_ATTEMPTS, fallback: 3, integer: true }),
+  retryBackoffMs: bounded(process.env.AI_RETRY_BACKOFF_MS, { min: 0, max: MAX_BACKOFF_MS, fallback: 750 }),
+};
+
+function configError(message, code = 'AI_CONFIG_MISSING') {
+  const error = new Error(message);
+  error.code = code;
+  error.status = 503;
+  return error;
+}
+
+function joinUrl(baseUrl, path) {
+  return `${String(baseUrl).replace(/\/+$/, '')}${path}`;
+}
+
+// OpenAI-compatible POST /chat/completions
+const openAiBackend = {
+  path: '/chat/completions',
+  buildRequest(provider, body) {
+    return {
+      url: joinUrl(provider.baseUrl, this.path),
+      headers: {
+        Authorization: `Bearer ${provider.apiKey}`,
+        'Content-Type': 'application/json',
+      },
+      body: { ...body, model: provider.model },
+    };
+  },
+  parseResponse(data) {
+    return data;
+  },
+};
+
+// Anthropic POST /messages, translated to and from chat completions
+const anthropicBackend = {
+  path: '/messages',
+  buildRequest(provider, body) {
+    const messages = Array.isArray(body.messages) ? body.messages : [];
+    const system = messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content)
+      .join('\n\n');
+    const request = {
+      model: provider.model,
+      max_tokens: body.max_tokens || 4096,
+      messages: messages
+        .filter(message => message.role !== 'system')
+        .map(message => ({ role: message.role === 'assistant' ? 'assistant' : 'user', content: message.content })),
+    };
+    if (system) request.system = system;
+    if (body.temperature !== undefined) request.temperature = body.temperature;
+    return {
+      url: joinUrl(provider.baseUrl, this.path),
+      headers: {
+        'x-api-key': provider.apiKey,
+        'anthropic-version': '2023-06-01',
+        'Content-Type': 'application/json',
+      },
+      body: request,
+    };
+  },
+  parseResponse(data) {
+    const content = (Array.isArray(data?.content) ? data.content : [])
+      .filter(block => block?.type === 'text')
+      .map(block => block.text)
+      .join('');
+    return {
+      id: data?.id,
+      model: data?.model,
+      choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: data?.stop_reason || null }],
+      usage: data?.usage || {},
+    };
+  },
+};
+
+const backends = new Map([
+  ['openai', openAiBackend],
+  ['anthropic', anthropicBackend],
+]);
+
+/**
+ * Add a backend that providers can name in their `type`.
+ * @param {string} type - Backend name
+ * @param {Object} backend - { path, buildRequest(provider, body) -> { url, headers, body }, parseResponse(data) }
+ */
+export function registerAiBackend(type, backend) {
+  if (typeof backend?.buildRequest !== 'function' || typeof backend?.parseResponse !== 'function') {
+    throw new Error('An AI backend needs buildRequest and parseResponse');
+  }
+  backends.set(String(type).toLowerCase(), backend);
+}
+
+export function getAiBackend(type) {
+  const backend = backends.get(String(type || 'openai').toLowerCase());
+  if (!backend) throw configError(`Unknown AI provider type: ${type}`, 'AI_CONFIG_INVALID');
+  return backend;
+}
+
+/**
+ * Providers from an AI_PROVIDERS entry. An entry with `models` gives one
+ * provider per model, tried in that order.
+ * @param {Object} entry - { name, type, base_url, api_key | api_key_env, model | models, timeout_ms, max_attempts, retry_backoff_ms }
+ * @param {number} index - Position in the list, names unnamed entries
+ * @param {Object} env - Environment the api_key_env variables are read from
+ * @returns {Array<Object>}
+ */
+function providersFromEntry(entry, index, env) {
+  if (!entry || typeof entry !== 'object') {
+    throw configError(`AI_PROVIDERS[${index}] must be an object`, 'AI_CONFIG_INVALID');
+  }
+  const name = String(entry.name || `provider-${index + 1}`).trim();
+  const type = String(entry.type || 'openai').trim().toLowerCase();
+  getAiBackend(type);
+
+  const baseUrl = String(entry.base_url || '').trim().replace(/\/+$/, '');
+  const apiKey = entry.api_key_env ? env[entry.api_key_env]?.trim() : String(entry.api_key || '').trim();
+  const models = (Array.isArray(entry.models) ? entry.models : [entry.model])
+    .map(model => String(model || '').trim())
+    .filter(Boolean);
+  const missing = [
+    ['base_url', baseUrl],
+    [entry.api_key_env ? entry.api_key_env : 'api_key', apiKey],
+    ['model', models.length],
+  ].filter(([, value]) => !value).map(([field]) => field);
+  if (missing.length) {
+    throw configError(`AI provider ${name} is missing ${missing.join(', ')}`);
+  }
+
+  const policy = {
+    timeoutMs: bounded(entry.timeout_ms, { min: 1, max: MAX_TIMEOUT_MS, fallback: DEFAULT_POLICY.timeoutMs }),
+    maxAttempts: bounded(entry.max_attempts, { min: 1, max: MAX_ATTEMPTS, fallback: DEFAULT_POLICY.maxAttempts, integer: true }),
+    retryBackoffMs: bounded(entry.retry_backoff_ms, { min: 0, max: MAX_BACKOFF_MS, fallback: DEFAULT_POLICY.retryBackoffMs }),
+  };
+  return models.map(model => ({ name, type, baseUrl, apiKey, model, ...policy }));
+}
+
+/**
+ * The providers to try, in order.
+ * @param {Object} [options]
+ * @param {string} [options.providers] - AI_PROVIDERS JSON
+ * @param {Object} [options.env] - Environment for api_key_env
+ * @returns {Array<{ name, type, baseUrl, apiKey, model, timeoutMs, maxAttempts, retryBackoffMs }>}
+ * @throws {Error} 503 AI_CONFIG_MISSING or AI_CONFIG_INVALID
+ */
+export function getAiProviders({ providers = config.AI_PROVIDERS, env = process.env } = {}) {
+  if (!providers) {
+    const missing = [
+      ['AI_API_KEY', config.AI_API_KEY],
+      ['AI_API_BASE_URL', config.AI_API_BASE_URL],
+      ['AI_MODEL', config.AI_MODEL],
+    ].filter(([, value]) => !value).map(([name]) => name);
+    if (missing.length) throw configError(`${missing.join(', ')} must be configured`);
+    return [{
+      name: 'default',
+      type: 'openai',
+      baseUrl: config.AI_API_BASE_URL,
+      apiKey: config.AI_API_KEY,
+      model: config.AI_MODEL,
+      ...DEFAULT_POLICY,
+    }];
+  }
+
+  let entries;
+  try {
+    entries = typeof providers === 'string' ? JSON.parse(providers) : providers;
+  } catch (err) {
+    throw configError(`AI_PROVIDERS is not valid JSON: ${err.message}`, 'AI_CONFIG_INVALID');
+  }
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw configError('AI_PROVIDERS must be a non-empty JSON array', 'AI_CONFIG_INVALID');
+  }
+  return entries.flatMap((entry, index) => providersFromEntry(entry, index, env));
+}
+
+/**
+ * Provider fields that are safe to log and return (no API key).
+ */
+export function describeAiProvider(provider) {
+  return { name: provider.name, type: provider.type, model: provider.model };
+}
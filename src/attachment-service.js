@@ -0,0 +1,218 @@
+// Inbound attachments: download once from Resend, serve from our own store
+//
+// Resend download URLs expire and Resend only keeps attachments for a while,
+// so every attachment is copied into the attachment store once the email
+// content has been fetched. Reads verify the stored SHA-256. Text is
+// extracted from PDF, DOCX and plain-text files when they are stored so the
+// recruitment classifier can read CVs.
+
+import config from './config.js';
+import {
+  isDatabaseAvailable,
+  savePipelineEvent,
+  getStoredAttachments,
+  getStoredAttachment,
+  saveStoredAttachment,
+  saveAttachmentText,
+} from './database.js';
+import { fetchAttachments, downloadAttachment } from './resend-client.js';
+import { attachmentStorageKey, getAttachmentStore, sha256Hex } from './attachment-store.js';
+import { extractAttachmentText } from './attachment-text.js';
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Metadata for one stored attachment in the shape Resend's list uses,
+ * so existing clients keep working.
+ */
+export function serializeStoredAttachment(row) {
+  return {
+    id: row.attachment_id,
+    filename: row.filename,
+    content_type: row.content_type,
+    size: row.size_bytes === null ? null : Number(row.size_bytes),
+    sha256: row.sha256,
+    status: row.status,
+    stored: row.status === 'stored',
+    text_status: row.text_status || null,
+    ...(row.error && { error: row.error }),
+  };
+}
+
+/**
+ * Key of an attachment within its email: Resend's attachment id, or its
+ * position in the list when there is none. Filenames are not unique
+ * (inline images are often all `image.png`), so they cannot be the key.
+ */
+export function attachmentKey(attachment, index) {
+  return attachment.id ? String(attachment.id) : `${index}:${attachment.filename}`;
+}
+
+async function saveExtractedText(row, content) {
+  const result = extractAttachmentText(content, {
+    filename: row.filename,
+    contentType: row.content_type,
+    maxChars: config.ATTACHMENT_TEXT_MAX_CHARS,
+  });
+  return saveAttachmentText(row.id, { text: result.text, status: result.status, error: result.error || null });
+}
+
+async function storeOne(email, attachment, index, store) {
+  const base = {
+    receivedEmailId: email.id || null,
+    emailId: email.email_id,
+    attachmentId: attachmentKey(attachment, index),
+    filename: attachment.filename,
+    contentType: attachment.content_type || null,
+  };
+
+  const declaredSize = Number(attachment.size);
+  if (declaredSize > config.ATTACHMENT_MAX_BYTES) {
+    return saveStoredAttachment({
+      ...base,
+      sizeBytes: declaredSize,
+      status: 'too_large',
+      error: `Larger than ${config.ATTACHMENT_MAX_BYTES} bytes`,
+    });
+  }
+
+  try {
+    const content = await downloadAttachment(attachment.download_url, { maxBytes: config.ATTACHMENT_MAX_BYTES });
+    const checksum = sha256Hex(content);
+    const storageKey = attachmentStorageKey(email.email_id, checksum);
+    await store.put(storageKey, content, { contentType: base.contentType || 'application/octet-stream' });
+
+    const row = await saveStoredAttachment({
+      ...base,
+      sizeBytes: content.length,
+      sha256: checksum,
+      storage: store.name,
+      storageKey,
+      status: 'stored',
+    });
+    return await saveExtractedText(row, content);
+  } catch (error) {
+    if (error.code === 'ATTACHMENT_TOO_LARGE') {
+      return saveStoredAttachment({ ...base, sizeBytes: error.sizeBytes, status: 'too_large', error: error.message });
+    }
+    return saveStoredAttachment({ ...base, status: 'failed', error: error.message });
+  }
+}
+
+/**
+ * Copy every attachment of a received email into the attachment store.
+ * Attachments already stored are skipped, so this is safe to re-run.
+ * @param {Object} email - received_emails row (needs email_id and domain)
+ * @returns {Promise<Array>} - stored_attachments rows
+ */
+export async function storeEmailAttachments(email) {
+  if (!isDatabaseAvailable() || !email?.email_id) return [];
+
+  const existing = new Map((await getStoredAttachments(email.email_id)).map(row => [row.attachment_id, row]));
+  const attachments = await fetchAttachments(email.email_id, email.domain);
+  const store = getAttachmentStore();
+  const rows = [];
+
+  for (const [index, attachment] of attachments.entries()) {
+    const current = existing.get(attachmentKey(attachment, index));
+    rows.push(current?.status === 'stored' ? current : await storeOne(email, attachment, index, store));
+  }
+
+  const stored = rows.filter(row => row?.status === 'stored').length;
+  await savePipelineEvent({
+    eventName: 'email.attachments.stored',
+    level: stored === rows.length ? 'info' : 'warn',
+    emailId: email.email_id,
+    receivedEmailId: email.id || null,
+    metadata: {
+      total: rows.length,
+      stored,
+      tooLarge: rows.filter(row => row?.status === 'too_large').map(row => row.filename),
+      failed: rows.filter(row => row?.status === 'failed').map(row => row.filename),
+      storage: store.name,
+    },
+  });
+
+  return rows;
+}
+
+/**
+ * Attachment list for a received email; stored copies when we have them,
+ * otherwise Resend's list (for emails received before local storage).
+ */
+export async function listEmailAttachments(email) {
+  const stored = await getStoredAttachments(email.email_id);
+  if (stored.length) return stored.map(serializeStoredAttachment);
+  return fetchAttachments(email.email_id, email.domain);
+}
+
+// By attachment id, or by filename (first match)
+async function findResendAttachment(emailId, ref, domain) {
+  const attachments = await fetchAttachments(emailId, domain);
+  let index = attachments.findIndex((item, i) => attachmentKey(item, i) === ref);
+  if (index === -1) index = attachments.findIndex(item => item.filename === ref);
+  if (index === -1) throw httpError(404, 'Attachment not found');
+  return { attachment: attachments[index], index };
+}
+
+/**
+ * Content of one attachment from the store, verified against its checksum.
+ * Attachments not stored yet (older emails, earlier failures) are stored
+ * on first access.
+ * @param {string} emailId - Resend email id
+ * @param {string} ref - Attachment id, or a filename
+ * @returns {Promise<{ attachment: Object, content: Buffer }>}
+ */
+export async function readEmailAttachment(emailId, ref, { domain = null, receivedEmailId = null } = {}) {
+  if (!isDatabaseAvailable()) {
+    // Nowhere to record it: stream straight from Resend
+    const { attachment } = await findResendAttachment(emailId, ref, domain);
+    return { attachment, content: await downloadAttachment(attachment.download_url) };
+  }
+
+  let row = await getStoredAttachment(emailId, ref);
+  if (!row || row.status === 'failed') {
+    const { attachment, index } = await findResendAttachment(emailId, ref, domain);
+    row = await storeOne({ id: receivedEmailId, email_id: emailId }, attachment, index, getAttachmentStore());
+  }
+  const { filename } = row;
+
+  if (row.status === 'too_large') throw httpError(413, `Attachment "${filename}" exceeds the storage size limit`);
+  if (row.status !== 'stored') throw httpError(502, `Attachment "${filename}" could not be stored: ${row.error}`);
+
+  const content = await getAttachmentStore().get(row.storage_key);
+  if (!content) throw httpError(404, 'Stored attachment is missing from storage');
+  if (sha256Hex(content) !== row.sha256) {
+    throw httpError(500, `Checksum mismatch for stored attachment "${filename}"`);
+  }
+
+  return { attachment: serializeStoredAttachment(row), content };
+}
+
+/**
+ * Extracted text of a received email's stored attachments, for the
+ * recruitment classifier. Attachments stored before text extraction
+ * existed are extracted now.
+ * @returns {Promise<Array<{ filename: string, content_type: string, text: string }>>}
+ */
+export async function getAttachmentTexts(email) {
+  if (!isDatabaseAvailable() || !email?.email_id) return [];
+
+  const texts = [];
+  for (let row of await getStoredAttachments(email.email_id)) {
+    if (row.status !== 'stored') continue;
+    if (!row.text_status) {
+      const content = await getAttachmentStore().get(row.storage_key);
+      if (!content) continue;
+      row = await saveExtractedText(row, content);
+    }
+    if (row.text_status === 'extracted' && row.extracted_text) {
+      texts.push({ filename: row.filename, content_type: row.content_type, text: row.extracted_text });
+    }
+  }
+  return texts;
+}
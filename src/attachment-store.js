@@ -0,0 +1,219 @@
+// Pluggable storage for inbound email attachments
+//
+// A store has `put(key, content, { contentType })`, `get(key)` (null when
+// missing) and `remove(key)`. Keys are `<email_id>/<sha256>`, so a file is
+// never trusted by its name. The S3 backend signs requests itself (AWS
+// Signature Version 4) and works with any S3-compatible service.
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import config from './config.js';
+
+const KEY_PATTERN = /^[A-Za-z0-9._-]+(\/[A-Za-z0-9._-]+)*$/;
+
+export function sha256Hex(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+export function attachmentStorageKey(emailId, checksum) {
+  return `${emailId}/${checksum}`;
+}
+
+function assertValidKey(key) {
+  if (!KEY_PATTERN.test(String(key || '')) || String(key).split('/').some(part => part === '..' || part === '.')) {
+    const error = new Error(`Invalid storage key: ${key}`);
+    error.status = 400;
+    throw error;
+  }
+}
+
+/**
+ * Attachments as files under one directory.
+ * @param {Object} options
+ * @param {string} options.dir - Root directory, created on first write
+ */
+export function createFilesystemStore({ dir }) {
+  const root = path.resolve(dir);
+
+  function resolveKey(key) {
+    assertValidKey(key);
+    return path.join(root, ...key.split('/'));
+  }
+
+  return {
+    name: 'fs',
+
+    async put(key, content) {
+      const file = resolveKey(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      // Write then rename so a reader never sees a partial file
+      const partial = `${file}.${process.pid}.partial`;
+      await fs.writeFile(partial, content);
+      await fs.rename(partial, file);
+    },
+
+    async get(key) {
+      try {
+        return await fs.readFile(resolveKey(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      await fs.rm(resolveKey(key), { force: true });
+    },
+  };
+}
+
+function hmac(key, value) {
+  return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+// RFC 3986 encoding as S3 expects it in canonical paths
+function encodePathSegment(segment) {
+  return encodeURIComponent(segment).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Sign an S3 request with AWS Signature Version 4.
+ * @param {Object} request
+ * @param {string} request.method
+ * @param {string} request.url - Full object URL
+ * @param {Object} [request.headers] - Extra headers to sign (e.g. Content-Type, Range)
+ * @param {string} request.payloadHash - Hex SHA-256 of the body
+ * @param {Object} credentials - { accessKeyId, secretAccessKey, region }
+ * @param {Date} [date]
+ * @returns {Object} - Headers to send, including Authorization
+ */
+export function signS3Request({ method, url, headers = {}, payloadHash }, { accessKeyId, secretAccessKey, region }, date = new Date()) {
+  const target = new URL(url);
+  const amzDate = date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+
+  const signedHeaders = {
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+    host: target.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate,
+  };
+  const headerNames = Object.keys(signedHeaders).sort();
+
+  const canonicalQuery = [...target.searchParams.entries()]
+    .map(([name, value]) => [encodePathSegment(name), encodePathSegment(value)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+
+  const canonicalRequest = [
+    method,
+    target.pathname,
+    canonicalQuery,
+    headerNames.map(name => `${name}:${signedHeaders[name]}\n`).join(''),
+    headerNames.join(';'),
+    payloadHash,
+  ].join('\n');
+
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    sha256Hex(canonicalRequest),
+  ].join('\n');
+
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...signedHeaders,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${headerNames.join(';')}, Signature=${signature}`,
+  };
+}
+
+/**
+ * Attachments as objects in an S3-compatible bucket.
+ * With an endpoint (R2, MinIO, ...) path-style URLs are used; without one
+ * the bucket's AWS virtual-hosted URL is used.
+ */
+export function createS3Store({ bucket, region, endpoint, accessKeyId, secretAccessKey }) {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 attachment storage needs ATTACHMENT_S3_BUCKET and access keys');
+  }
+  const credentials = { accessKeyId, secretAccessKey, region };
+
+  function objectUrl(key) {
+    assertValidKey(key);
+    const objectPath = key.split('/').map(encodePathSegment).join('/');
+    return endpoint
+      ? `${endpoint}/${encodePathSegment(bucket)}/${objectPath}`
+      : `https://${bucket}.s3.${region}.amazonaws.com/${objectPath}`;
+  }
+
+  async function request(method, key, { body = null, headers = {} } = {}) {
+    const url = objectUrl(key);
+    const payloadHash = sha256Hex(body || '');
+    // fetch sets Host itself; it is only needed for the signature
+    const { host, ...signedHeaders } = signS3Request({ method, url, headers, payloadHash }, credentials);
+    return fetch(url, {
+      method,
+      headers: signedHeaders,
+      ...(body && { body }),
+    });
+  }
+
+  async function fail(response, action, key) {
+    const text = await response.text().catch(() => '');
+    const error = new Error(`S3 ${action} ${key} failed: ${response.status} ${text.slice(0, 200)}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return {
+    name: 's3',
+
+    async put(key, content, { contentType = 'application/octet-stream' } = {}) {
+      const response = await request('PUT', key, { body: content, headers: { 'content-type': contentType } });
+      if (!response.ok) await fail(response, 'PUT', key);
+    },
+
+    async get(key) {
+      const response = await request('GET', key);
+      if (response.status === 404) return null;
+      if (!response.ok) await fail(response, 'GET', key);
+      return Buffer.from(await response.arrayBuffer());
+    },
+
+    async remove(key) {
+      const response = await request('DELETE', key);
+      if (!response.ok && response.status !== 404) await fail(response, 'DELETE', key);
+    },
+  };
+}
+
+let configuredStore = null;
+
+/**
+ * The store selected by ATTACHMENT_STORAGE, created on first use.
+ */
+export function getAttachmentStore() {
+  if (configuredStore) return configuredStore;
+
+  if (config.ATTACHMENT_STORAGE === 's3') {
+    configuredStore = createS3Store({
+      bucket: config.ATTACHMENT_S3_BUCKET,
+      region: config.ATTACHMENT_S3_REGION,
+      endpoint: config.ATTACHMENT_S3_ENDPOINT,
+      accessKeyId: config.ATTACHMENT_S3_ACCESS_KEY_ID,
+      secretAccessKey: config.ATTACHMENT_S3_SECRET_ACCESS_KEY,
+    });
+  } else if (config.ATTACHMENT_STORAGE === 'fs') {
+    configuredStore = createFilesystemStore({ dir: config.ATTACHMENT_STORAGE_DIR });
+  } else {
+    throw new Error(`Unknown ATTACHMENT_STORAGE: ${config.ATTACHMENT_STORAGE}`);
+  }
+
+  return configuredStore;
+}
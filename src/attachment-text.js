@@ -0,0 +1,479 @@
+// Plain text from CV attachments (PDF, DOCX, plain text)
+//
+// Everything runs locally with Node built-ins: PDF content streams are
+// inflated with zlib and their text operators decoded (through the font's
+// ToUnicode map when there is one), DOCX files are unzipped and
+// word/document.xml is flattened. Scanned PDFs have no text to find and
+// come back as `empty`; legacy .doc files are `unsupported`.
+
+import zlib from 'zlib';
+
+const MAX_INFLATED_BYTES = 20 * 1024 * 1024;
+const TEXT_EXTENSIONS = new Set(['txt', 'text', 'md', 'csv']);
+
+function inflate(data) {
+  try {
+    return zlib.inflateSync(data, { maxOutputLength: MAX_INFLATED_BYTES });
+  } catch {
+    try {
+      return zlib.inflateRawSync(data, { maxOutputLength: MAX_INFLATED_BYTES });
+    } catch {
+      return null;
+    }
+  }
+}
+
+function normalizeText(text) {
+  return String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[^\S\n]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// ---------------------------------------------------------------------------
+// PDF
+// ---------------------------------------------------------------------------
+
+function utf16beToString(hex) {
+  let text = '';
+  for (let i = 0; i + 4 <= hex.length; i += 4) {
+    text += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+  }
+  return text;
+}
+
+/**
+ * Parse a ToUnicode CMap into { codeLength, map: Map<code, string> }.
+ */
+export function parseToUnicodeCMap(source) {
+  const map = new Map();
+  const codespace = /begincodespacerange\s*<([0-9a-f]+)>/i.exec(source);
+  const codeLength = codespace ? Math.max(1, codespace[1].length / 2) : 2;
+
+  for (const block of source.matchAll(/beginbfchar([\s\S]*?)endbfchar/gi)) {
+    for (const [, src, dst] of block[1].matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]*)>/gi)) {
+      map.set(parseInt(src, 16), utf16beToString(dst));
+    }
+  }
+
+  for (const block of source.matchAll(/beginbfrange([\s\S]*?)endbfrange/gi)) {
+    const entries = block[1].matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]+)>\s*(<[0-9a-f]*>|\[[^\]]*\])/gi);
+    for (const [, lowHex, highHex, target] of entries) {
+      const low = parseInt(lowHex, 16);
+      const high = Math.min(parseInt(highHex, 16), low + 0xffff);
+      if (target.startsWith('[')) {
+        const values = [...target.matchAll(/<([0-9a-f]*)>/gi)].map(match => utf16beToString(match[1]));
+        values.forEach((value, offset) => map.set(low + offset, value));
+      } else {
+        const hex = target.slice(1, -1);
+        const base = parseInt(hex.slice(-4) || '0', 16);
+        const prefix = utf16beToString(hex.slice(0, -4));
+        for (let code = low; code <= high; code++) {
+          map.set(code, prefix + String.fromCharCode(base + code - low));
+        }
+      }
+    }
+  }
+
+  return { codeLength, map };
+}
+
+/**
+ * Split a PDF into its objects (including those packed into object streams).
+ * The PDF is handled as a latin1 string so byte offsets are preserved.
+ */
+function readPdfObjects(source) {
+  const objects = new Map();
+
+  for (const match of source.matchAll(/(\d+)\s+\d+\s+obj\b/g)) {
+    const start = match.index + match[0].length;
+    let end = source.indexOf('endobj', start);
+    if (end === -1) continue;
+    const streamMatch = /\bstream\r?\n/.exec(source.slice(start, end));
+    const object = { dict: source.slice(start, streamMatch ? start + streamMatch.index : end), stream: null };
+
+    if (streamMatch) {
+      const dataStart = start + streamMatch.index + streamMatch[0].length;
+      // A direct /Length is exact; binary data may contain "endobj" itself
+      const length = /\/Length\s+(\d+)(?![\d\s]*R)/.exec(object.dict);
+      let dataEnd;
+      if (length) {
+        dataEnd = dataStart + Number(length[1]);
+        if (dataEnd > end) end = source.indexOf('endobj', dataEnd);
+      } else {
+        dataEnd = source.lastIndexOf('endstream', end);
+      }
+      const raw = Buffer.from(source.slice(dataStart, dataEnd), 'latin1');
+      if (/\/FlateDecode/.test(object.dict)) {
+        object.stream = inflate(raw);
+      } else if (!/\/Filter/.test(object.dict)) {
+        object.stream = raw;
+      }
+    }
+    objects.set(Number(match[1]), object);
+  }
+
+  // PDF 1.5 object streams hold font and page dictionaries in compressed form
+  for (const object of [...objects.values()]) {
+    if (!/\/Type\s*\/ObjStm/.test(object.dict) || !object.stream) continue;
+    const first = Number(/\/First\s+(\d+)/.exec(object.dict)?.[1]);
+    const content = object.stream.toString('latin1');
+    const header = content.slice(0, first).trim().split(/\s+/).map(Number);
+    for (let i = 0; i + 1 < header.length; i += 2) {
+      const start = first + header[i + 1];
+      const end = i + 3 < header.length ? first + header[i + 3] : content.length;
+      if (!objects.has(header[i])) objects.set(header[i], { dict: content.slice(start, end), stream: null });
+    }
+  }
+
+  return objects;
+}
+
+function resolveDict(objects, value) {
+  const ref = /^\s*(\d+)\s+\d+\s+R/.exec(value || '');
+  return ref ? objects.get(Number(ref[1]))?.dict || '' : value || '';
+}
+
+// Contents of the `<< ... >>` that follows `key`, with nesting
+function readNestedDict(dict, key) {
+  const index = dict.search(new RegExp(`/${key}\\s*<<`));
+  if (index === -1) return null;
+  let depth = 0;
+  const start = dict.indexOf('<<', index);
+  for (let i = start; i < dict.length - 1; i++) {
+    if (dict[i] === '<' && dict[i + 1] === '<') { depth++; i++; }
+    else if (dict[i] === '>' && dict[i + 1] === '>') {
+      depth--;
+      i++;
+      if (depth === 0) return dict.slice(start + 2, i - 1);
+    }
+  }
+  return null;
+}
+
+function fontCMaps(objects, fontDict) {
+  const fonts = new Map();
+  for (const [, name, ref] of (fontDict || '').matchAll(/\/([^\s/<>[\]()]+)\s+(\d+)\s+\d+\s+R/g)) {
+    const font = objects.get(Number(ref))?.dict || '';
+    const toUnicode = /\/ToUnicode\s+(\d+)\s+\d+\s+R/.exec(font);
+    const stream = toUnicode && objects.get(Number(toUnicode[1]))?.stream;
+    fonts.set(name, stream ? parseToUnicodeCMap(stream.toString('latin1')) : null);
+  }
+  return fonts;
+}
+
+function pageFontDict(objects, dict) {
+  let current = dict;
+  for (let depth = 0; current && depth < 20; depth++) {
+    const resources = readNestedDict(current, 'Resources')
+      ?? resolveDict(objects, /\/Resources\s+(\d+\s+\d+\s+R)/.exec(current)?.[1]);
+    if (resources) {
+      return readNestedDict(resources, 'Font') ?? resolveDict(objects, /\/Font\s+(\d+\s+\d+\s+R)/.exec(resources)?.[1]);
+    }
+    // Resources can be inherited from the parent Pages node
+    current = resolveDict(objects, /\/Parent\s+(\d+\s+\d+\s+R)/.exec(current)?.[1]);
+  }
+  return null;
+}
+
+const STRING_ESCAPES = { n: 10, r: 13, t: 9, b: 8, f: 12, '(': 40, ')': 41, '\\': 92 };
+
+function readLiteralString(source, start) {
+  const bytes = [];
+  let depth = 1;
+  let i = start + 1;
+  while (i < source.length && depth > 0) {
+    const char = source[i];
+    if (char === '\\') {
+      const next = source[i + 1];
+      if (Object.hasOwn(STRING_ESCAPES, next)) {
+        bytes.push(STRING_ESCAPES[next]);
+        i += 2;
+      } else if (/[0-7]/.test(next)) {
+        const octal = /^[0-7]{1,3}/.exec(source.slice(i + 1, i + 4))[0];
+        bytes.push(parseInt(octal, 8) & 0xff);
+        i += 1 + octal.length;
+      } else if (next === '\r' || next === '\n') {
+        // Line continuation
+        i += next === '\r' && source[i + 2] === '\n' ? 3 : 2;
+      } else {
+        // Unknown escape: the backslash is ignored
+        i++;
+      }
+      continue;
+    }
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (depth > 0) bytes.push(char.charCodeAt(0) & 0xff);
+    i++;
+  }
+  return { value: Buffer.from(bytes), end: i };
+}
+
+function decodePdfString(bytes, cmap) {
+  if (cmap) {
+    let text = '';
+    for (let i = 0; i + cmap.codeLength <= bytes.length; i += cmap.codeLength) {
+      const code = cmap.codeLength === 1 ? bytes[i] : bytes.readUIntBE(i, cmap.codeLength);
+      text += cmap.map.get(code) ?? '';
+    }
+    return text;
+  }
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    return utf16beToString(bytes.subarray(2).toString('hex'));
+  }
+  return bytes.toString('latin1');
+}
+
+/**
+ * Text shown by one content stream.
+ * @param {string} source - Content stream as latin1
+ * @param {Map<string, Object|null>} fonts - Font resource name to CMap
+ */
+export function extractContentStreamText(source, fonts = new Map()) {
+  const output = [];
+  const operands = [];
+  let cmap = null;
+  let lastY = null;
+  let i = 0;
+
+  const newline = () => {
+    if (output.length && output[output.length - 1] !== '\n') output.push('\n');
+  };
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) { i++; continue; }
+    if (char === '%') {
+      while (i < source.length && source[i] !== '\n' && source[i] !== '\r') i++;
+      continue;
+    }
+    if (char === '(') {
+      const { value, end } = readLiteralString(source, i);
+      operands.push(value);
+      i = end;
+      continue;
+    }
+    if (char === '<' && source[i + 1] !== '<') {
+      const end = source.indexOf('>', i);
+      const hex = source.slice(i + 1, end === -1 ? source.length : end).replace(/\s+/g, '');
+      operands.push(Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex'));
+      i = end === -1 ? source.length : end + 1;
+      continue;
+    }
+    if (char === '[') { operands.push('['); i++; continue; }
+    if (char === ']') {
+      const start = operands.lastIndexOf('[');
+      const items = operands.splice(start);
+      items.shift();
+      operands.push(items);
+      i++;
+      continue;
+    }
+    if (char === '<' || char === '>') { i += 2; continue; }
+    if (char === '/') {
+      const match = /^\/[^\s/<>[\]()%{}]*/.exec(source.slice(i, i + 128));
+      operands.push({ name: match[0].slice(1) });
+      i += match[0].length;
+      continue;
+    }
+
+    const match = /^[^\s/<>[\]()%{}]+/.exec(source.slice(i, i + 64));
+    if (!match) { i++; continue; }
+    const token = match[0];
+    i += token.length;
+
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+      operands.push(Number(token));
+      continue;
+    }
+
+    switch (token) {
+      case 'Tf':
+        cmap = fonts.get(operands[operands.length - 2]?.name) || null;
+        break;
+      case 'Tj':
+        output.push(decodePdfString(operands[operands.length - 1] || Buffer.alloc(0), cmap));
+        break;
+      case "'":
+      case '"':
+        newline();
+        output.push(decodePdfString(operands[operands.length - 1] || Buffer.alloc(0), cmap));
+        break;
+      case 'TJ':
+        for (const item of operands[operands.length - 1] || []) {
+          if (Buffer.isBuffer(item)) output.push(decodePdfString(item, cmap));
+          else if (typeof item === 'number' && item < -200) output.push(' ');
+        }
+        break;
+      case 'Td':
+      case 'TD':
+        if (operands[operands.length - 1]) newline();
+        else if (operands[operands.length - 2] > 0) output.push(' ');
+        break;
+      case 'T*':
+        newline();
+        break;
+      case 'Tm': {
+        const y = operands[operands.length - 1];
+        if (lastY !== null && y !== lastY) newline();
+        lastY = y;
+        break;
+      }
+      case 'ET':
+        output.push(' ');
+        break;
+      case 'ID': {
+        // Inline image data is binary; skip to its end marker
+        const end = source.slice(i).search(/\sEI\b/);
+        i = end === -1 ? source.length : i + end + 3;
+        break;
+      }
+      default:
+        break;
+    }
+    operands.length = 0;
+  }
+
+  return output.join('');
+}
+
+export function extractPdfText(buffer) {
+  const objects = readPdfObjects(buffer.toString('latin1'));
+  const pages = [...objects.values()].filter(object => /\/Type\s*\/Page(?!s)\b/.test(object.dict));
+  const parts = [];
+
+  for (const page of pages) {
+    const fonts = fontCMaps(objects, pageFontDict(objects, page.dict));
+    const contents = /\/Contents\s*(\[[^\]]*\]|\d+\s+\d+\s+R)/.exec(page.dict)?.[1] || '';
+    for (const [, ref] of contents.matchAll(/(\d+)\s+\d+\s+R/g)) {
+      const stream = objects.get(Number(ref))?.stream;
+      if (stream) parts.push(extractContentStreamText(stream.toString('latin1'), fonts));
+    }
+    parts.push('\n');
+  }
+
+  return normalizeText(parts.join(''));
+}
+
+// ---------------------------------------------------------------------------
+// DOCX (zip)
+// ---------------------------------------------------------------------------
+
+/**
+ * Read one file from a zip archive via its central directory.
+ * @returns {Buffer|null}
+ */
+export function readZipEntry(buffer, entryName) {
+  const minimum = Math.max(0, buffer.length - 65557);
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= minimum; i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd === -1) throw new Error('Not a zip archive');
+
+  const entries = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+
+  for (let n = 0; n < entries && offset + 46 <= buffer.length; n++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) break;
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    if (name === entryName) {
+      const localNameLength = buffer.readUInt16LE(localOffset + 26);
+      const localExtraLength = buffer.readUInt16LE(localOffset + 28);
+      const start = localOffset + 30 + localNameLength + localExtraLength;
+      const data = buffer.subarray(start, start + compressedSize);
+      if (method === 0) return Buffer.from(data);
+      if (method === 8) return zlib.inflateRawSync(data, { maxOutputLength: MAX_INFLATED_BYTES });
+      throw new Error(`Unsupported zip compression method ${method}`);
+    }
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return null;
+}
+
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+export function docxXmlToText(xml) {
+  return normalizeText(decodeXmlEntities(String(xml)
+    .replace(/<w:instrText[^>]*>[\s\S]*?<\/w:instrText>/g, '')
+    .replace(/<w:tab\/>/g, '\t')
+    .replace(/<w:(br|cr)\/>/g, '\n')
+    .replace(/<\/w:p>/g, '\n')
+    .replace(/<[^>]+>/g, '')));
+}
+
+export function extractDocxText(buffer) {
+  const documentXml = readZipEntry(buffer, 'word/document.xml');
+  if (!documentXml) throw new Error('word/document.xml not found');
+  return docxXmlToText(documentXml.toString('utf8'));
+}
+
+// ---------------------------------------------------------------------------
+
+function extensionOf(filename) {
+  return String(filename || '').toLowerCase().split('.').pop();
+}
+
+export function detectAttachmentFormat(content, { filename, contentType } = {}) {
+  const type = String(contentType || '').toLowerCase();
+  const extension = extensionOf(filename);
+
+  if (content.subarray(0, 5).toString('latin1') === '%PDF-' || type === 'application/pdf') return 'pdf';
+  if (extension === 'docx' || type.includes('wordprocessingml')) return 'docx';
+  if (type.startsWith('text/plain') || type === 'text/markdown' || type === 'text/csv' || TEXT_EXTENSIONS.has(extension)) {
+    return 'text';
+  }
+  return null;
+}
+
+/**
+ * Extract plain text from an attachment. Never throws.
+ * @param {Buffer} content
+ * @param {Object} [options]
+ * @param {string} [options.filename]
+ * @param {string} [options.contentType]
+ * @param {number} [options.maxChars] - Longer text is truncated
+ * @returns {{ status: 'extracted'|'empty'|'unsupported'|'failed', format: string|null, text: string|null, truncated?: boolean, error?: string }}
+ */
+export function extractAttachmentText(content, { filename, contentType, maxChars = 20000 } = {}) {
+  const format = detectAttachmentFormat(content, { filename, contentType });
+  if (!format) return { status: 'unsupported', format: null, text: null };
+
+  try {
+    const text = format === 'pdf'
+      ? extractPdfText(content)
+      : format === 'docx'
+        ? extractDocxText(content)
+        : normalizeText(content.toString('utf8'));
+
+    // Mostly non-printable output means an encoding we could not map
+    const printable = text.replace(/[^\p{L}\p{N}\p{P}\p{S}\s]/gu, '').length;
+    if (!text || printable < text.length * 0.8) return { status: 'empty', format, text: null };
+
+    const truncated = text.length > maxChars;
+    return { status: 'extracted', format, text: truncated ? text.slice(0, maxChars) : text, truncated };
+  } catch (error) {
+    return { status: 'failed', format, text: null, error: error.message };
+  }
+}
@@ -0,0 +1,137 @@
+// Service-token authentication and role checks for the HTTP API
+
+import crypto from 'crypto';
+import config from './config.js';
+import { getServiceTokenByHash, touchServiceToken } from './database.js';
+
+export const ROLES = ['viewer', 'operator', 'admin'];
+export const SESSION_COOKIE = 'ee_mail_token';
+export const SESSION_MAX_AGE_SECONDS = 12 * 60 * 60;
+
+const TOKEN_PREFIX = 'eem_';
+const LAST_USED_TOUCH_INTERVAL_MS = 60 * 1000;
+const lastTouched = new Map();
+
+/**
+ * Roles are ordered: admin can do everything operator can, operator
+ * everything viewer can.
+ */
+export function hasRole(actualRole, requiredRole) {
+  if (requiredRole === 'public') return true;
+  const actual = ROLES.indexOf(actualRole);
+  const required = ROLES.indexOf(requiredRole);
+  return actual >= 0 && required >= 0 && actual >= required;
+}
+
+export function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+/**
+ * Only the SHA-256 of a token is stored; the plain value is shown once.
+ */
+export function hashServiceToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+export function generateServiceToken() {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return {
+    token,
+    tokenHash: hashServiceToken(token),
+    tokenPrefix: token.slice(0, TOKEN_PREFIX.length + 6),
+  };
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  String(header || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index < 0) return;
+    const name = part.slice(0, index).trim();
+    if (name) cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+  });
+  return cookies;
+}
+
+/**
+ * Read a token from `Authorization: Bearer`, `X-API-Key` or the admin-page
+ * session cookie, in that order.
+ */
+export function extractRequestToken(req) {
+  const authorization = req.headers?.authorization || '';
+  const bearer = authorization.match(/^Bearer\s+(.+)$/i);
+  if (bearer) return bearer[1].trim();
+  if (req.headers?.['x-api-key']) return String(req.headers['x-api-key']).trim();
+  return parseCookies(req.headers?.cookie)[SESSION_COOKIE] || null;
+}
+
+function matchesBootstrapToken(token) {
+  if (!config.ADMIN_API_TOKEN || !token) return false;
+  const expected = Buffer.from(hashServiceToken(config.ADMIN_API_TOKEN), 'hex');
+  const actual = Buffer.from(hashServiceToken(token), 'hex');
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Resolve a token to the caller's identity, or null when it is unknown,
+ * revoked or expired. The identity is what route handlers and audit events see.
+ */
+export async function authenticateToken(token) {
+  if (!token) return null;
+
+  if (matchesBootstrapToken(token)) {
+    return { type: 'bootstrap', id: null, name: 'bootstrap-admin', role: 'admin' };
+  }
+
+  const record = await getServiceTokenByHash(hashServiceToken(token));
+  if (!record) return null;
+
+  const now = Date.now();
+  if ((lastTouched.get(record.id) || 0) < now - LAST_USED_TOUCH_INTERVAL_MS) {
+    lastTouched.set(record.id, now);
+    touchServiceToken(record.id).catch(err => {
+      console.error('Service token last_used_at update failed:', err.message);
+    });
+  }
+
+  return {
+    type: 'service_token',
+    id: record.id,
+    name: record.name,
+    role: record.role,
+  };
+}
+
+export async function authenticateRequest(req) {
+  return authenticateToken(extractRequestToken(req));
+}
+
+/**
+ * Compact caller description for audit metadata.
+ */
+export function describeActor(identity) {
+  if (!identity) return null;
+  return {
+    type: identity.type,
+    id: identity.id,
+    name: identity.name,
+    role: identity.role,
+  };
+}
+
+export function buildSessionCookie(token, { maxAgeSeconds = SESSION_MAX_AGE_SECONDS } = {}) {
+  const parts = [
+    `${SESSION_COOKIE}=${encodeURIComponent(token)}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Strict',
+    `Max-Age=${maxAgeSeconds}`,
+  ];
+  if (config.NODE_ENV === 'production') parts.push('Secure');
+  return parts.join('; ');
+}
+
+export function buildClearedSessionCookie() {
+  return buildSessionCookie('', { maxAgeSeconds: 0 });
+}
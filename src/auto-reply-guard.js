@@ -0,0 +1,102 @@
+// Auto-reply safety
+//
+// An automatic reply (recruitment acknowledgement, route auto_reply) must not
+// answer another machine, or two auto-responders end up mailing each other.
+// Before replying we look for RFC 3834 and vendor auto-reply headers, bounces
+// and system senders, and cap the replies one sender gets per window. Our own
+// automatic replies carry AUTO_REPLY_HEADERS so other responders stay quiet.
+
+import config from './config.js';
+import { isDatabaseAvailable, getRecentRecipientLists } from './database.js';
+import { buildInboundMessage } from './inbound-routes.js';
+import { extractEmailAddresses } from './seda-email-parser.js';
+
+// Headers for an automatic reply (RFC 3834; Exchange reads the second)
+export const AUTO_REPLY_HEADERS = {
+  'Auto-Submitted': 'auto-replied',
+  'X-Auto-Response-Suppress': 'All',
+};
+
+const BULK_PRECEDENCE = ['bulk', 'junk', 'list', 'auto_reply'];
+
+// Local parts of addresses nobody reads or that report delivery problems
+const SYSTEM_SENDER = /^(?:mailer-?daemon|mail-?daemon|postmaster|daemon|bounces?(?:[-+.].*)?|no[-_.]?reply(?:[-+.].*)?|do[-_.]?not[-_.]?reply|auto[-_.]?reply|autoresponder)$/i;
+
+/**
+ * Why an inbound email looks automated, if it does.
+ * @param {Object} email - received_emails row (from_email, headers, raw_data)
+ * @param {Object} [options]
+ * @param {Array<string>} [options.ownAddresses] - Our sending addresses; mail from them is a loop
+ * @returns {{ reason: string, detail: string }|null}
+ */
+export function detectAutomatedEmail(email, { ownAddresses = [] } = {}) {
+  const { sender, headers } = buildInboundMessage(email);
+  const header = name => String(headers[name] ?? '').trim();
+
+  const autoSubmitted = header('auto-submitted').toLowerCase();
+  if (autoSubmitted && autoSubmitted !== 'no') {
+    return { reason: 'auto_submitted', detail: `Auto-Submitted: ${autoSubmitted}` };
+  }
+  const precedence = header('precedence').toLowerCase();
+  if (BULK_PRECEDENCE.includes(precedence)) {
+    return { reason: 'precedence', detail: `Precedence: ${precedence}` };
+  }
+  for (const name of ['x-autoreply', 'x-autorespond', 'x-autoresponder']) {
+    if (header(name) && header(name).toLowerCase() !== 'no') {
+      return { reason: 'x_autoreply', detail: `${name}: ${header(name)}` };
+    }
+  }
+  const suppress = header('x-auto-response-suppress');
+  if (/\b(?:all|autoreply|oof)\b/i.test(suppress)) {
+    return { reason: 'x_autoreply', detail: `X-Auto-Response-Suppress: ${suppress}` };
+  }
+  if (/^multipart\/report\b/i.test(header('content-type'))) {
+    return { reason: 'bounce', detail: 'Delivery status report' };
+  }
+
+  const returnPath = header('return-path');
+  if (!sender || returnPath === '<>') {
+    return { reason: 'null_sender', detail: sender ? 'Return-Path: <>' : 'No sender address' };
+  }
+  if (SYSTEM_SENDER.test(sender.split('@')[0])) {
+    return { reason: 'system_sender', detail: sender };
+  }
+  const own = ownAddresses.map(address => String(address || '').trim().toLowerCase()).filter(Boolean);
+  if (own.includes(sender)) {
+    return { reason: 'own_address', detail: sender };
+  }
+  return null;
+}
+
+/**
+ * How many recipient lists (emails.to_email, comma separated) include the
+ * address itself. `aa@x.com` does not count for `a@x.com`.
+ */
+export function countRepliesTo(recipientLists, address) {
+  const target = String(address || '').trim().toLowerCase();
+  if (!target) return 0;
+  return recipientLists.filter(list => extractEmailAddresses(list).includes(target)).length;
+}
+
+/**
+ * Whether an automatic reply to this email may go out.
+ * @param {Object} email - received_emails row
+ * @param {Object} options
+ * @param {string} options.source - Source of the reply; the rate limit counts replies from it
+ * @param {string} [options.from] - Address the reply would be sent from
+ * @returns {Promise<{ reason: string, detail: string }|null>} - Why not, or null to reply
+ */
+export async function checkAutoReply(email, { source, from = null }) {
+  const automated = detectAutomatedEmail(email, { ownAddresses: [from, config.JOB_APPLICATION_FROM] });
+  if (automated) return automated;
+
+  const limit = config.AUTO_REPLY_LIMIT_PER_SENDER;
+  const hours = config.AUTO_REPLY_LIMIT_WINDOW_HOURS;
+  if (!limit || !hours || !isDatabaseAvailable()) return null;
+
+  const { sender } = buildInboundMessage(email);
+  const recent = countRepliesTo(await getRecentRecipientLists(sender, { source, hours }), sender);
+  return recent >= limit
+    ? { reason: 'rate_limited', detail: `${recent} ${source} replies to ${sender} in the last ${hours} h` }
+    : null;
+}
@@ -0,0 +1,130 @@
+// iCalendar (RFC 5545) interview invitations
+//
+// Invites are sent as a METHOD:REQUEST event with a stable UID, so mail
+// clients update the same calendar entry when a later invite or a CANCEL
+// with a higher SEQUENCE arrives. Times are written in UTC; clients show
+// them in the reader's own zone.
+
+const CRLF = '\r\n';
+
+function formatUtc(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+export function escapeIcsText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length ? 74 : 75;
+    if (currentBytes + size > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += size;
+  }
+  parts.push(current);
+  return parts.join(`${CRLF} `);
+}
+
+// Parameter values are not backslash-escaped (RFC 5545 3.2): quote the name,
+// which then may hold commas, semicolons and colons but no quotes
+function person(property, { name, email }, params = []) {
+  const quoted = String(name || '').replace(/["\x00-\x1f\x7f]/g, ' ').replace(/\s+/g, ' ').trim();
+  const cn = quoted ? [`CN="${quoted}"`] : [];
+  return `${[property, ...cn, ...params].join(';')}:mailto:${email}`;
+}
+
+/**
+ * Build an interview invitation or cancellation.
+ * @param {Object} event
+ * @param {string} event.uid - Stable for the life of the interview
+ * @param {number} [event.sequence] - Raise on every change
+ * @param {'REQUEST'|'CANCEL'} [event.method]
+ * @param {Date} event.start
+ * @param {Date} event.end
+ * @param {string} event.summary
+ * @param {string} [event.description]
+ * @param {string} [event.location]
+ * @param {string} [event.url]
+ * @param {Object} event.organizer - { name, email }
+ * @param {Array<Object>} [event.attendees] - [{ name, email }]
+ * @param {Date} [event.now] - DTSTAMP
+ * @returns {string} - .ics file content
+ */
+export function buildCalendarInvite({
+  uid,
+  sequence = 0,
+  method = 'REQUEST',
+  start,
+  end,
+  summary,
+  description = '',
+  location = '',
+  url = '',
+  organizer,
+  attendees = [],
+  now = new Date(),
+}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Eternalgy//ee-mail interviews//EN',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${formatUtc(now)}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SUMMARY:${escapeIcsText(summary)}`,
+    ...(description ? [`DESCRIPTION:${escapeIcsText(description)}`] : []),
+    ...(location ? [`LOCATION:${escapeIcsText(location)}`] : []),
+    ...(url ? [`URL:${url}`] : []),
+    person('ORGANIZER', organizer),
+    ...attendees.map(attendee => person('ATTENDEE', attendee, [
+      'ROLE=REQ-PARTICIPANT',
+      'PARTSTAT=NEEDS-ACTION',
+      'RSVP=TRUE',
+    ])),
+    `STATUS:${method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED'}`,
+    'TRANSP:OPAQUE',
+    ...(method === 'CANCEL' ? [] : [
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeIcsText(summary)}`,
+      'TRIGGER:-PT30M',
+      'END:VALARM',
+    ]),
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ];
+  return lines.map(foldLine).join(CRLF) + CRLF;
+}
+
+/**
+ * The invite as a sendEmail attachment.
+ */
+export function calendarAttachment(ics, { method = 'REQUEST', filename = 'invite.ics' } = {}) {
+  return {
+    filename,
+    content: Buffer.from(ics, 'utf8').toString('base64'),
+    content_type: `text/calendar; charset=utf-8; method=${method}`,
+  };
+}
@@ -0,0 +1,94 @@
+// Language of candidate emails
+//
+// Candidates write in English, Malay or Chinese and get their acknowledgement
+// and clarification replies in the same language. The AI reports the language
+// with the classification; without the AI (or when its answer is not one we
+// reply in) a local heuristic counts Chinese characters and common Malay and
+// English words. This module is pure.
+
+export const CANDIDATE_LANGUAGES = ['en', 'ms', 'zh'];
+export const DEFAULT_CANDIDATE_LANGUAGE = 'en';
+
+const LANGUAGE_NAMES = {
+  en: ['en', 'eng', 'english'],
+  ms: ['ms', 'msa', 'bm', 'malay', 'bahasa melayu', 'bahasa malaysia', 'melayu'],
+  zh: ['zh', 'chi', 'zho', 'chinese', 'mandarin', 'simplified chinese', 'traditional chinese', '中文', '华语', '華語'],
+};
+
+const CJK_CHARACTER = /[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]/g;
+
+// Words that are common in one language and rare in the other
+const MALAY_WORDS = new Set([
+  'saya', 'anda', 'awak', 'dan', 'untuk', 'dengan', 'ini', 'itu', 'yang', 'adalah', 'ialah', 'kerja',
+  'jawatan', 'permohonan', 'memohon', 'mohon', 'pengalaman', 'terima', 'kasih', 'tuan', 'puan',
+  'sebagai', 'kepada', 'boleh', 'sila', 'bahagian', 'syarikat', 'ingin', 'berminat', 'kosong', 'tahun',
+  'dalam', 'bagi', 'kami', 'sekian', 'di', 'ke', 'pada', 'akan', 'telah', 'sudah', 'tidak', 'ada', 'atau',
+  'jika', 'sahaja', 'hormat', 'bersama', 'temu', 'duga',
+]);
+const ENGLISH_WORDS = new Set([
+  'the', 'and', 'i', 'am', 'for', 'with', 'to', 'of', 'my', 'is', 'in', 'at', 'position', 'application',
+  'apply', 'applying', 'experience', 'please', 'thank', 'you', 'your', 'have', 'would', 'like', 'dear',
+  'regards', 'attached', 'interested', 'sincerely', 'this', 'that', 'are', 'be',
+]);
+
+/**
+ * A language as reported by the AI (code, locale or name) as one we reply in.
+ * @returns {string|null} - en, ms or zh; null for anything else
+ */
+export function normalizeLanguage(value) {
+  const text = String(value ?? '').trim().toLowerCase();
+  if (!text) return null;
+  const base = text.replace(/_/g, '-').split('-')[0];
+  return CANDIDATE_LANGUAGES.find(language =>
+    LANGUAGE_NAMES[language].includes(text) || LANGUAGE_NAMES[language].includes(base)
+  ) || null;
+}
+
+/**
+ * Guess the language of an email from its text.
+ * @param {string} text - Subject and latest reply, without quoted history
+ * @returns {string} - en, ms or zh
+ */
+export function detectLanguage(text) {
+  const value = String(text || '');
+  const chinese = (value.match(CJK_CHARACTER) || []).length;
+  const words = value.toLowerCase().match(/[a-z]+/g) || [];
+  // A Chinese character carries about half a word; names and job titles are often in English
+  if (chinese >= 4 && chinese >= words.length / 2) return 'zh';
+
+  let malay = 0;
+  let english = 0;
+  for (const word of words) {
+    if (MALAY_WORDS.has(word)) malay += 1;
+    else if (ENGLISH_WORDS.has(word)) english += 1;
+  }
+  return malay >= 3 && malay > english ? 'ms' : DEFAULT_CANDIDATE_LANGUAGE;
+}
+
+const GREETINGS = {
+  en: name => (name ? `Hi ${name},` : 'Hi,'),
+  ms: name => (name ? `Hai ${name},` : 'Hai,'),
+  zh: name => (name ? `${name}，您好：` : '您好：'),
+};
+
+// Subject when the candidate's email had none
+const DEFAULT_SUBJECTS = {
+  en: { application: 'Your job application to Eternalgy', clarification: 'Your email to Eternalgy' },
+  ms: { application: 'Permohonan kerja anda kepada Eternalgy', clarification: 'E-mel anda kepada Eternalgy' },
+  zh: { application: '您向 Eternalgy 提交的求职申请', clarification: '您发给 Eternalgy 的邮件' },
+};
+
+function supported(language) {
+  return CANDIDATE_LANGUAGES.includes(language) ? language : DEFAULT_CANDIDATE_LANGUAGE;
+}
+
+export function candidateGreeting(name, language) {
+  return GREETINGS[supported(language)](String(name || '').trim());
+}
+
+/**
+ * @param {'application'|'clarification'} kind
+ */
+export function defaultReplySubject(kind, language) {
+  return DEFAULT_SUBJECTS[supported(language)][kind];
+}
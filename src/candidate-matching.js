@@ -0,0 +1,207 @@
+// Candidate matching
+//
+// A job application belongs to a candidate: the person, across every
+// address, number and role they apply with. An application is linked to an
+// existing candidate when the email address matches, or a phone or WhatsApp
+// number matches and the names agree. A number shared under a different
+// name, or a very similar full name without shared contacts, is only a
+// suggestion for HR to review. Everything else starts a new candidate.
+// This module is pure; candidate-service.js does the lookups.
+
+import { extractEmailAddresses } from './seda-email-parser.js';
+
+// Name similarity at or above this is "the same name"
+export const NAME_MATCH_THRESHOLD = 0.85;
+// A shared number with a name at least this similar is the same person
+const NAME_AGREES_THRESHOLD = 0.6;
+
+// Words that do not tell people apart
+const NAME_STOPWORDS = new Set(['mr', 'mrs', 'ms', 'miss', 'dr', 'encik', 'en', 'puan', 'pn', 'cik', 'tuan', 'bin', 'binti', 'bte', 'bt', 'b', 'a', 'l', 'ap', 'al', 'anak']);
+const NAME_ALIASES = {
+  mohd: 'muhammad',
+  muhd: 'muhammad',
+  md: 'muhammad',
+  mohamad: 'muhammad',
+  mohammad: 'muhammad',
+  mohamed: 'muhammad',
+  muhamad: 'muhammad',
+  muhammed: 'muhammad',
+  nur: 'nor',
+  noor: 'nor',
+};
+
+const GMAIL_DOMAINS = new Set(['gmail.com', 'googlemail.com']);
+
+/**
+ * Email address in a comparable form: lower case, without a +tag, and for
+ * Gmail without dots.
+ */
+export function normalizeEmail(value) {
+  const address = extractEmailAddresses(value)[0];
+  if (!address) return null;
+  let [local, domain] = address.toLowerCase().split('@');
+  local = local.replace(/\+.*$/, '');
+  if (GMAIL_DOMAINS.has(domain)) {
+    local = local.replace(/\./g, '');
+    domain = 'gmail.com';
+  }
+  return local ? `${local}@${domain}` : null;
+}
+
+/**
+ * Phone number as international digits. A local number starting with 0
+ * gets the default country code.
+ * @param {string} value
+ * @param {Object} [options]
+ * @param {string} [options.countryCode] - Without the +
+ * @returns {string|null}
+ */
+export function normalizePhone(value, { countryCode = '60' } = {}) {
+  let digits = String(value ?? '').replace(/\D/g, '');
+  if (digits.startsWith('00')) digits = digits.slice(2);
+  else if (digits.startsWith('0')) digits = `${countryCode}${digits.slice(1)}`;
+  return digits.length >= 8 && digits.length <= 15 ? digits : null;
+}
+
+/**
+ * Name tokens used for matching: lower case, accents and titles removed,
+ * common spellings unified.
+ */
+export function nameTokens(name) {
+  return String(name ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z\s'-]/g, ' ')
+    .split(/[\s'-]+/)
+    .filter(token => token && !NAME_STOPWORDS.has(token))
+    .map(token => NAME_ALIASES[token] || token);
+}
+
+function jaroWinkler(a, b) {
+  if (a === b) return 1;
+  const range = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    for (let j = Math.max(0, i - range); j < Math.min(b.length, i + range + 1); j++) {
+      if (bMatched[j] || a[i] !== b[j]) continue;
+      aMatched[i] = true;
+      bMatched[j] = true;
+      matches++;
+      break;
+    }
+  }
+  if (!matches) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] && a[prefix] === b[prefix]) prefix++;
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+/**
+ * How alike two names are, from 0 to 1. Word order does not matter and a
+ * missing middle or family name lowers the score without ruling a match out.
+ */
+export function nameSimilarity(a, b) {
+  const left = nameTokens(a);
+  const right = nameTokens(b);
+  if (!left.length || !right.length) return 0;
+
+  const [shorter, longer] = left.length <= right.length ? [left, right] : [right, left];
+  const unused = [...longer];
+  let total = 0;
+  for (const token of shorter) {
+    let best = 0;
+    let bestIndex = -1;
+    unused.forEach((other, index) => {
+      const score = jaroWinkler(token, other);
+      if (score > best) {
+        best = score;
+        bestIndex = index;
+      }
+    });
+    // Loosely similar words are different names
+    if (best < 0.85) continue;
+    total += best;
+    unused.splice(bestIndex, 1);
+  }
+  return Math.round((2 * total / (left.length + right.length)) * 1000) / 1000;
+}
+
+/**
+ * Comparable contacts of an application or a candidate.
+ * @param {Object} person - { name, emails, phones } in any format
+ * @returns {{ name: string|null, emails: Array<string>, phones: Array<string> }}
+ */
+export function candidateKeys({ name = null, emails = [], phones = [] }, { countryCode } = {}) {
+  const unique = values => [...new Set(values.filter(Boolean))];
+  return {
+    name: name ? String(name).trim() || null : null,
+    emails: unique(emails.map(normalizeEmail)),
+    phones: unique(phones.map(phone => normalizePhone(phone, { countryCode }))),
+  };
+}
+
+/**
+ * How an application relates to one existing candidate.
+ * @param {Object} applicant - candidateKeys() of the application
+ * @param {Object} candidate - candidates row (emails and phones already normalised)
+ * @returns {{ action: 'link'|'review'|null, score: number, reasons: Array<string> }}
+ */
+export function scoreCandidateMatch(applicant, candidate) {
+  const emailMatch = applicant.emails.some(email => (candidate.emails || []).includes(email));
+  const phoneMatch = applicant.phones.some(phone => (candidate.phones || []).includes(phone));
+  const hasNames = !!applicant.name && !!candidate.name;
+  const similarity = hasNames ? nameSimilarity(applicant.name, candidate.name) : 0;
+  const reasons = [
+    ...(emailMatch ? ['email'] : []),
+    ...(phoneMatch ? ['phone'] : []),
+    ...(similarity >= NAME_MATCH_THRESHOLD ? ['name'] : []),
+  ];
+
+  if (emailMatch) return { action: 'link', score: 1, reasons };
+  if (phoneMatch && (!hasNames || similarity >= NAME_AGREES_THRESHOLD)) {
+    return { action: 'link', score: 0.95, reasons };
+  }
+  if (phoneMatch) return { action: 'review', score: 0.7, reasons };
+
+  // A full name only; a single given name is too common to suggest anything
+  const fullNames = nameTokens(applicant.name).length >= 2 && nameTokens(candidate.name).length >= 2;
+  if (fullNames && similarity >= NAME_MATCH_THRESHOLD) {
+    return { action: 'review', score: Math.round(similarity * 0.8 * 1000) / 1000, reasons };
+  }
+  return { action: null, score: 0, reasons: [] };
+}
+
+/**
+ * Pick what to do with an application given the candidates that might be
+ * the same person.
+ * @param {Object} applicant - candidateKeys() of the application
+ * @param {Array<Object>} candidates - candidates rows
+ * @returns {{ action: 'link'|'review'|'create', candidate: Object|null, score: number, reasons: Array<string> }}
+ */
+export function decideCandidateMatch(applicant, candidates = []) {
+  let best = null;
+  for (const candidate of candidates) {
+    const match = scoreCandidateMatch(applicant, candidate);
+    if (!match.action) continue;
+    const rank = (match.action === 'link' ? 10 : 0) + match.score;
+    if (!best || rank > best.rank) best = { ...match, candidate, rank };
+  }
+  if (!best) return { action: 'create', candidate: null, score: 0, reasons: [] };
+  const { rank, ...decision } = best;
+  return decision;
+}
@@ -0,0 +1,183 @@
+// Candidates behind job applications
+//
+// Every real application is linked to a candidate. A sure match (same email,
+// or same number and a similar name) joins the existing candidate; a
+// possible match gets a candidate of its own plus a review, and HR either
+// merges the two or keeps them apart.
+
+import config from './config.js';
+import {
+  isDatabaseAvailable,
+  findCandidateMatches,
+  createCandidate,
+  addCandidateContacts,
+  linkJobApplicationToCandidate,
+  getCandidateById,
+  getCandidates,
+  getCandidateApplications,
+  getJobApplicationsWithoutCandidate,
+  createCandidateMatchReview,
+  getCandidateMatchReviews,
+  getCandidateMatchReviewById,
+  resolveCandidateMatchReview,
+  mergeCandidateRecords,
+  savePipelineEvent,
+} from './database.js';
+import { candidateKeys, decideCandidateMatch, nameTokens } from './candidate-matching.js';
+
+const REVIEW_STATUSES = ['PENDING', 'MERGED', 'REJECTED'];
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+async function logPipelineEvent(eventName, details = {}) {
+  try {
+    await savePipelineEvent({ eventName, ...details });
+  } catch (err) {
+    console.error('Pipeline event logging failed:', err.message);
+  }
+}
+
+/**
+ * Comparable contacts of an application.
+ * @param {Object} application - job_applications row
+ * @param {Object} [options]
+ * @param {string} [options.fromEmail] - Sender of the application email
+ */
+export function applicationCandidateKeys(application, { fromEmail = application?.from_email } = {}) {
+  const keys = candidateKeys({
+    name: application.applicant_name,
+    emails: [application.applicant_email, fromEmail],
+    phones: [application.phone, application.whatsapp_number],
+  }, { countryCode: config.DEFAULT_PHONE_COUNTRY_CODE });
+  return { ...keys, nameTokens: [...new Set(nameTokens(keys.name))] };
+}
+
+/**
+ * Link an application to its candidate. An application that already has one
+ * only adds its (possibly updated) contacts to it.
+ * @returns {Promise<{ action: string, candidate: Object|null, review: Object|null }|null>}
+ */
+export async function assignCandidate(application, { fromEmail } = {}) {
+  if (!isDatabaseAvailable() || !application?.id) return null;
+
+  const keys = applicationCandidateKeys(application, { fromEmail });
+  if (application.candidate_id) {
+    const candidate = await addCandidateContacts(application.candidate_id, keys);
+    return { action: 'updated', candidate, review: null };
+  }
+  if (!keys.emails.length && !keys.phones.length && !keys.name) return null;
+
+  const decision = decideCandidateMatch(keys, await findCandidateMatches(keys));
+  let candidate;
+  let review = null;
+  if (decision.action === 'link') {
+    candidate = await addCandidateContacts(decision.candidate.id, keys);
+  } else {
+    candidate = await createCandidate(keys);
+    if (decision.action === 'review') {
+      review = await createCandidateMatchReview({
+        candidateId: candidate.id,
+        matchCandidateId: decision.candidate.id,
+        jobApplicationId: application.id,
+        score: decision.score,
+        reasons: decision.reasons,
+      });
+    }
+  }
+  await linkJobApplicationToCandidate(application.id, candidate.id);
+
+  await logPipelineEvent(`candidate.${decision.action === 'link' ? 'linked' : 'created'}`, {
+    receivedEmailId: application.received_email_id,
+    applicationId: application.id,
+    metadata: {
+      candidateId: candidate.id,
+      reasons: decision.reasons,
+      ...(review ? { reviewId: review.id, matchCandidateId: decision.candidate.id, score: decision.score } : {}),
+    },
+  });
+  return { action: decision.action, candidate, review };
+}
+
+/**
+ * Link applications processed before candidates existed.
+ */
+export async function linkApplicationsWithoutCandidate({ limit = 500 } = {}) {
+  if (!isDatabaseAvailable()) return 0;
+
+  const pending = await getJobApplicationsWithoutCandidate({ limit });
+  for (const application of pending) {
+    await assignCandidate(application);
+  }
+  if (pending.length) console.log(`👤 Linked ${pending.length} application(s) to candidates`);
+  return pending.length;
+}
+
+export async function listCandidates(options) {
+  return getCandidates(options);
+}
+
+/**
+ * A candidate with every application and the open duplicate reviews.
+ */
+export async function getCandidate(id) {
+  const candidate = await getCandidateById(id);
+  if (!candidate) throw httpError(404, 'Candidate not found');
+  const [applications, reviews] = await Promise.all([
+    getCandidateApplications(id),
+    getCandidateMatchReviews({ candidateId: id }),
+  ]);
+  return { ...candidate, applications, reviews };
+}
+
+export async function listCandidateReviews({ status = 'PENDING', limit } = {}) {
+  const normalized = status ? String(status).toUpperCase() : null;
+  if (normalized && normalized !== 'ALL' && !REVIEW_STATUSES.includes(normalized)) {
+    throw httpError(400, `status must be one of: ${REVIEW_STATUSES.join(', ')}, ALL`);
+  }
+  return getCandidateMatchReviews({ status: normalized === 'ALL' ? null : normalized, limit });
+}
+
+async function getPendingReview(id) {
+  const review = await getCandidateMatchReviewById(id);
+  if (!review) throw httpError(404, 'Candidate review not found');
+  if (review.status !== 'PENDING') throw httpError(409, `Candidate review is already ${review.status}`);
+  if (!review.candidate_id || !review.match_candidate_id) throw httpError(409, 'Candidate was already merged');
+  return review;
+}
+
+/**
+ * Accept a review: the two candidates are the same person. The older
+ * candidate is kept and takes over the other's applications and contacts.
+ * @returns {Promise<Object>} - The candidate kept, with its applications
+ */
+export async function mergeCandidateReview(id, { actor = null } = {}) {
+  const review = await getPendingReview(id);
+  const [keepId, mergeId] = [review.candidate_id, review.match_candidate_id].sort((a, b) => a - b);
+
+  // The review is resolved in the merge's transaction, so it is never MERGED without the merge
+  const kept = await mergeCandidateRecords(keepId, mergeId, { reviewId: id, resolvedBy: actor });
+  if (!kept) {
+    await getPendingReview(id); // decided by someone else meanwhile
+    throw httpError(409, 'Candidate was already merged');
+  }
+
+  await logPipelineEvent('candidate.merged', {
+    applicationId: review.job_application_id,
+    metadata: { reviewId: review.id, candidateId: keepId, mergedCandidateId: mergeId },
+  });
+  return getCandidate(keepId);
+}
+
+/**
+ * Reject a review: the two candidates are different people.
+ */
+export async function rejectCandidateReview(id, { actor = null } = {}) {
+  await getPendingReview(id);
+  const resolved = await resolveCandidateMatchReview(id, { status: 'REJECTED', resolvedBy: actor });
+  if (!resolved) throw httpError(409, 'Candidate review was decided by someone else');
+  return resolved;
+}
@@ -107,22 +107,97 @@ const config = {
   SEDA_STATUS_DRY_RUN: String(process.env.SEDA_STATUS_DRY_RUN || 'false').toLowerCase() === 'true',
   SEDA_TASK_WORKER_INTERVAL_MS: Number(process.env.SEDA_TASK_WORKER_INTERVAL_MS || 5000),
 
+  // Outbound email queue worker
+  OUTBOUND_WORKER_INTERVAL_MS: Number(process.env.OUTBOUND_WORKER_INTERVAL_MS || 2000),
+  OUTBOUND_MAX_ATTEMPTS: Number(process.env.OUTBOUND_MAX_ATTEMPTS || 8),
+  OUTBOUND_RETRY_BASE_MS: Number(process.env.OUTBOUND_RETRY_BASE_MS || 30000),
+  OUTBOUND_RETRY_MAX_MS: Number(process.env.OUTBOUND_RETRY_MAX_MS || 60 * 60 * 1000),
+
+  // Concurrent Resend requests per POST /send-batch
+  SEND_BATCH_CONCURRENCY: Math.max(1, Number(process.env.SEND_BATCH_CONCURRENCY || 5)),
+
+  // Inbound processing queue (content fetch, routing, route actions)
+  INBOUND_WORKER_INTERVAL_MS: Number(process.env.INBOUND_WORKER_INTERVAL_MS || 2000),
+  INBOUND_MAX_ATTEMPTS: Number(process.env.INBOUND_MAX_ATTEMPTS || 6),
+  INBOUND_RETRY_BASE_MS: Number(process.env.INBOUND_RETRY_BASE_MS || 30000),
+  INBOUND_RETRY_MAX_MS: Number(process.env.INBOUND_RETRY_MAX_MS || 30 * 60 * 1000),
+  // A PROCESSING job whose claim is older than this is taken over by another worker
+  INBOUND_JOB_LEASE_MS: Number(process.env.INBOUND_JOB_LEASE_MS || 10 * 60 * 1000),
+  // On startup, received emails this recent that never got their content are queued again
+  INBOUND_RECOVERY_DAYS: Number(process.env.INBOUND_RECOVERY_DAYS || 3),
+
+  // Messages without reply headers join a thread with the same subject and
+  // correspondent only if that thread was active this recently
+  THREAD_SUBJECT_WINDOW_DAYS: Number(process.env.THREAD_SUBJECT_WINDOW_DAYS || 30),
+
+  // Outgoing webhook deliveries to subscribed services
+  WEBHOOK_DELIVERY_INTERVAL_MS: Number(process.env.WEBHOOK_DELIVERY_INTERVAL_MS || 2000),
+  WEBHOOK_DELIVERY_MAX_ATTEMPTS: Number(process.env.WEBHOOK_DELIVERY_MAX_ATTEMPTS || 8),
+  WEBHOOK_DELIVERY_RETRY_BASE_MS: Number(process.env.WEBHOOK_DELIVERY_RETRY_BASE_MS || 30000),
+  WEBHOOK_DELIVERY_RETRY_MAX_MS: Number(process.env.WEBHOOK_DELIVERY_RETRY_MAX_MS || 60 * 60 * 1000),
+  WEBHOOK_DELIVERY_TIMEOUT_MS: Number(process.env.WEBHOOK_DELIVERY_TIMEOUT_MS || 10000),
+
+  // Inbound attachment storage ('fs' or 's3'); files are downloaded once and served locally
+  ATTACHMENT_STORAGE: (process.env.ATTACHMENT_STORAGE || 'fs').trim().toLowerCase(),
+  ATTACHMENT_STORAGE_DIR: process.env.ATTACHMENT_STORAGE_DIR || './data/attachments',
+  ATTACHMENT_MAX_BYTES: Number(process.env.ATTACHMENT_MAX_BYTES || 25 * 1024 * 1024),
+  // Characters of extracted text kept per attachment and sent to the AI per email
+  ATTACHMENT_TEXT_MAX_CHARS: Math.max(1000, Number(process.env.ATTACHMENT_TEXT_MAX_CHARS || 20000)),
+  ATTACHMENT_S3_BUCKET: process.env.ATTACHMENT_S3_BUCKET?.trim(),
+  ATTACHMENT_S3_REGION: process.env.ATTACHMENT_S3_REGION?.trim() || 'us-east-1',
+  ATTACHMENT_S3_ENDPOINT: process.env.ATTACHMENT_S3_ENDPOINT?.trim().replace(/\/+$/, ''),
+  ATTACHMENT_S3_ACCESS_KEY_ID: process.env.ATTACHMENT_S3_ACCESS_KEY_ID?.trim(),
+  ATTACHMENT_S3_SECRET_ACCESS_KEY: process.env.ATTACHMENT_S3_SECRET_ACCESS_KEY?.trim(),
+
   // Railway specific
   RAILWAY_STATIC_URL: process.env.RAILWAY_STATIC_URL,
   RAILWAY_PROJECT_NAME: process.env.RAILWAY_PROJECT_NAME,
   RAILWAY_SERVICE_NAME: process.env.RAILWAY_SERVICE_NAME,
+  // Public address of this service, for links sent outside the dashboard
+  PUBLIC_BASE_URL: (process.env.PUBLIC_BASE_URL?.trim()
+    || (process.env.RAILWAY_STATIC_URL ? `https://${process.env.RAILWAY_STATIC_URL.replace(/^https?:\/\//, '')}` : '')
+  ).replace(/\/+$/, ''),
+
+  // API authentication: bootstrap admin token used to create service tokens
+  ADMIN_API_TOKEN: process.env.ADMIN_API_TOKEN?.trim(),
 
   // Webhook (for receiving emails)
-  WEBHOOK_SECRET: process.env.WEBHOOK_SECRET,
+  WEBHOOK_SECRET: process.env.WEBHOOK_SECRET?.trim(),
+  WEBHOOK_TOLERANCE_SECONDS: Number(process.env.WEBHOOK_TOLERANCE_SECONDS || 300),
+  // Accept unsigned webhooks in production when WEBHOOK_SECRET is not set
+  WEBHOOK_ALLOW_UNSIGNED: process.env.WEBHOOK_ALLOW_UNSIGNED === 'true',
 
   // Recruitment automation
   JOB_APPLICATION_FROM: process.env.JOB_APPLICATION_FROM || 'vacancy@eternalgy.me',
+  // PR mailbox and the service its emails are forwarded to (built-in inbound route)
+  PR_EMAIL: process.env.PR_EMAIL?.trim() || 'pr@eternalgy.me',
+  PR_WEBHOOK_URL: process.env.PR_WEBHOOK_URL?.trim() || 'https://ee-pr.up.railway.app/webhook/email-received',
+  // Availability without a time zone is read in this zone; invites show times in it
+  INTERVIEW_TIMEZONE: process.env.INTERVIEW_TIMEZONE?.trim() || 'Asia/Kuala_Lumpur',
+  INTERVIEW_DURATION_MINUTES: Number(process.env.INTERVIEW_DURATION_MINUTES || 45),
+  // Hours before the interview the candidate gets a reminder email; 0 turns reminders off
+  INTERVIEW_REMINDER_HOURS: Number(process.env.INTERVIEW_REMINDER_HOURS ?? 24),
+  INTERVIEW_LOCATION: process.env.INTERVIEW_LOCATION?.trim() || '',
+  // Automatic replies one sender gets per window (recruitment and route auto-replies); 0 turns the limit off
+  AUTO_REPLY_LIMIT_PER_SENDER: Number(process.env.AUTO_REPLY_LIMIT_PER_SENDER ?? 3),
+  AUTO_REPLY_LIMIT_WINDOW_HOURS: Number(process.env.AUTO_REPLY_LIMIT_WINDOW_HOURS || 24),
+  // Country code for local phone numbers (leading 0) when matching candidates
+  DEFAULT_PHONE_COUNTRY_CODE: (process.env.DEFAULT_PHONE_COUNTRY_CODE || '60').replace(/\D/g, ''),
   AI_API_KEY: process.env.AI_API_KEY?.trim(),
   AI_API_BASE_URL: process.env.AI_API_BASE_URL?.trim().replace(/\/+$/, ''),
   AI_MODEL: process.env.AI_MODEL?.trim(),
+  // Ordered AI providers as JSON; replaces the three settings above when set
+  AI_PROVIDERS: process.env.AI_PROVIDERS?.trim(),
   WHATSAPP_API_URL: process.env.WHATSAPP_API_URL || 'https://ee-baileys-production.up.railway.app',
   WHATSAPP_SESSION_ID: process.env.WHATSAPP_SESSION_ID || 'eternalgy-auth',
   WHATSAPP_API_KEY: process.env.WHATSAPP_API_KEY,
+  // HOD WhatsApp outbox retries
+  HOD_NOTIFICATION_INTERVAL_MS: Number(process.env.HOD_NOTIFICATION_INTERVAL_MS || 15000),
+  HOD_NOTIFICATION_MAX_ATTEMPTS: Number(process.env.HOD_NOTIFICATION_MAX_ATTEMPTS || 6),
+  HOD_NOTIFICATION_RETRY_BASE_MS: Number(process.env.HOD_NOTIFICATION_RETRY_BASE_MS || 60000),
+  HOD_NOTIFICATION_RETRY_MAX_MS: Number(process.env.HOD_NOTIFICATION_RETRY_MAX_MS || 60 * 60 * 1000),
+  // Hours before an unacknowledged new application goes to the backup HODs; 0 turns escalation off
+  HOD_ESCALATION_HOURS: Number(process.env.HOD_ESCALATION_HOURS ?? 24),
 };
 
 // Validate required config
@@ -135,14 +210,32 @@ export function validateConfig() {
     console.warn('⚠️ No RESEND_API_KEY configured. Add API keys via admin UI or set RESEND_API_KEY env var.');
   }
 
+  if (!config.ADMIN_API_TOKEN) {
+    console.warn('⚠️ No ADMIN_API_TOKEN configured. Protected routes only accept service tokens stored in the database.');
+  }
+
+  if (!config.WEBHOOK_SECRET) {
+    console.warn(config.NODE_ENV === 'production' && !config.WEBHOOK_ALLOW_UNSIGNED
+      ? '⚠️ No WEBHOOK_SECRET configured. POST /webhook will refuse events until it is set (or WEBHOOK_ALLOW_UNSIGNED=true).'
+      : '⚠️ No WEBHOOK_SECRET configured. POST /webhook will accept unsigned events.');
+  }
+
   if (!config.SEDA_API_KEY) {
     console.warn('⚠️ No SEDA_API_KEY configured. Matching SEDA tasks will remain PENDING for manual review.');
   }
 
-  const missingAiConfig = ['AI_API_KEY', 'AI_API_BASE_URL', 'AI_MODEL']
-    .filter((key) => !config[key]);
-  if (missingAiConfig.length > 0) {
-    console.warn(`⚠️ Missing ${missingAiConfig.join(', ')}. Recruitment emails cannot be classified until configured.`);
+  if (config.AI_PROVIDERS) {
+    try {
+      JSON.parse(config.AI_PROVIDERS);
+    } catch {
+      console.warn('⚠️ AI_PROVIDERS is not valid JSON. Recruitment emails cannot be classified until it is fixed.');
+    }
+  } else {
+    const missingAiConfig = ['AI_API_KEY', 'AI_API_BASE_URL', 'AI_MODEL']
+      .filter((key) => !config[key]);
+    if (missingAiConfig.length > 0) {
+      console.warn(`⚠️ Missing ${missingAiConfig.join(', ')}. Recruitment emails cannot be classified until configured.`);
+    }
   }
 }
 
@@ -2,6 +2,7 @@
 
 import pg from 'pg';
 import { extractDomainFromEmail } from './seda-email-parser.js';
+import { statusesAtOrAbove } from './email-events.js';
 const { Pool } = pg;
 
 let pool = null;
@@ -106,6 +107,61 @@ export async function initTables() {
       CREATE INDEX IF NOT EXISTS idx_emails_domain ON emails(domain)
     `);
 
+    // When an email was created; sent_at moves when the worker sends it
+    const emailsCreatedAtCheck = await client.query(`
+      SELECT column_name 
+      FROM information_schema.columns 
+      WHERE table_name = 'emails' AND column_name = 'created_at'
+    `);
+
+    if (emailsCreatedAtCheck.rows.length === 0) {
+      await client.query(`
+        ALTER TABLE emails ADD COLUMN created_at TIMESTAMP;
+        UPDATE emails SET created_at = sent_at;
+        ALTER TABLE emails ALTER COLUMN created_at SET DEFAULT CURRENT_TIMESTAMP;
+      `);
+      console.log('✅ Added created_at column to emails table');
+    }
+
+    // Idempotency-Key support for POST /send and /send-batch: the key, a hash
+    // of the request body and the response to replay
+    await client.query(`
+      ALTER TABLE emails ADD COLUMN IF NOT EXISTS idempotency_key VARCHAR(255);
+      ALTER TABLE emails ADD COLUMN IF NOT EXISTS request_hash CHAR(64);
+      ALTER TABLE emails ADD COLUMN IF NOT EXISTS idempotency_response JSONB;
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_emails_idempotency_key
+        ON emails(idempotency_key) WHERE idempotency_key IS NOT NULL;
+    `);
+
+    // Scheduled sends: the emails row keeps send_at, the outbound row waits as SCHEDULED
+    await client.query(`
+      ALTER TABLE emails ADD COLUMN IF NOT EXISTS send_at TIMESTAMP;
+    `);
+
+    // POST /send-batch requests; each message is an emails row with batch_id/batch_index
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS batches (
+        id SERIAL PRIMARY KEY,
+        status VARCHAR(32) NOT NULL DEFAULT 'processing',
+        total_count INTEGER NOT NULL DEFAULT 0,
+        idempotency_key VARCHAR(255),
+        created_by JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP
+      );
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_batches_idempotency_key
+        ON batches(idempotency_key) WHERE idempotency_key IS NOT NULL;
+      CREATE INDEX IF NOT EXISTS idx_batches_created_at ON batches(created_at);
+
+      ALTER TABLE emails ADD COLUMN IF NOT EXISTS batch_id INTEGER REFERENCES batches(id) ON DELETE SET NULL;
+      ALTER TABLE emails ADD COLUMN IF NOT EXISTS batch_index INTEGER;
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_emails_batch_item ON emails(batch_id, batch_index);
+    `);
+
     await client.query(`
       CREATE TABLE IF NOT EXISTS webhooks (
         id SERIAL PRIMARY KEY,
@@ -119,6 +175,33 @@ export async function initTables() {
       CREATE INDEX IF NOT EXISTS idx_webhooks_event_type ON webhooks(event_type);
     `);
 
+    // Signed deliveries carry a unique svix-id used for replay protection
+    await client.query(`
+      ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS delivery_id VARCHAR(255);
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_webhooks_delivery_id
+        ON webhooks(delivery_id) WHERE delivery_id IS NOT NULL;
+    `);
+
+    // Every delivery webhook for a sent email, in the order Resend reported them
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS email_events (
+        id BIGSERIAL PRIMARY KEY,
+        resend_id VARCHAR(255) NOT NULL,
+        email_id INTEGER REFERENCES emails(id) ON DELETE CASCADE,
+        webhook_id INTEGER REFERENCES webhooks(id) ON DELETE SET NULL,
+        event_type VARCHAR(100) NOT NULL,
+        status VARCHAR(50),
+        occurred_at TIMESTAMP NOT NULL,
+        received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        click_url TEXT,
+        details JSONB DEFAULT '{}'
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_email_events_resend_id ON email_events(resend_id, occurred_at);
+      CREATE INDEX IF NOT EXISTS idx_email_events_email_id ON email_events(email_id);
+    `);
+
     // Create received_emails table (without domain column first)
     await client.query(`
       CREATE TABLE IF NOT EXISTS received_emails (
@@ -255,6 +338,25 @@ export async function initTables() {
       CREATE INDEX IF NOT EXISTS idx_api_keys_active ON api_keys(is_active);
     `);
 
+    // Hashed service tokens for API and admin-page authentication
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS service_tokens (
+        id SERIAL PRIMARY KEY,
+        name TEXT NOT NULL,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        token_prefix VARCHAR(16) NOT NULL,
+        role VARCHAR(20) NOT NULL CHECK (role IN ('viewer', 'operator', 'admin')),
+        is_active BOOLEAN NOT NULL DEFAULT true,
+        created_by TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP,
+        expires_at TIMESTAMP,
+        revoked_at TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_service_tokens_active ON service_tokens(is_active);
+    `);
+
     await client.query(`
       CREATE TABLE IF NOT EXISTS agent_email_accounts (
         id SERIAL PRIMARY KEY,
@@ -315,6 +417,225 @@ export async function initTables() {
         ON job_applications(department);
     `);
 
+    // Candidate follow-up replies merged into an existing application
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS job_application_replies (
+        id SERIAL PRIMARY KEY,
+        job_application_id INTEGER NOT NULL REFERENCES job_applications(id) ON DELETE CASCADE,
+        received_email_id INTEGER NOT NULL UNIQUE REFERENCES received_emails(id) ON DELETE CASCADE,
+        classification VARCHAR(40),
+        changes JSONB NOT NULL DEFAULT '[]',
+        extraction JSONB NOT NULL DEFAULT '{}',
+        hod_notified_at TIMESTAMP,
+        notification_error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_job_application_replies_application
+        ON job_application_replies(job_application_id, created_at);
+    `);
+
+    // Job application lifecycle: assignee and status history
+    await client.query(`
+      ALTER TABLE job_applications ADD COLUMN IF NOT EXISTS assignee VARCHAR(255);
+      ALTER TABLE job_applications ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMP;
+
+      CREATE INDEX IF NOT EXISTS idx_job_applications_assignee
+        ON job_applications(assignee);
+
+      CREATE TABLE IF NOT EXISTS job_application_status_history (
+        id SERIAL PRIMARY KEY,
+        job_application_id INTEGER NOT NULL REFERENCES job_applications(id) ON DELETE CASCADE,
+        from_status VARCHAR(40),
+        to_status VARCHAR(40) NOT NULL,
+        note TEXT,
+        assignee VARCHAR(255),
+        changed_by JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_job_application_status_history_application
+        ON job_application_status_history(job_application_id, created_at);
+    `);
+
+    // Interviews: slots proposed from the candidate's availability, then confirmed by HR
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS interviews (
+        id SERIAL PRIMARY KEY,
+        job_application_id INTEGER NOT NULL REFERENCES job_applications(id) ON DELETE CASCADE,
+        status VARCHAR(20) NOT NULL DEFAULT 'PROPOSED',
+        slot_text TEXT,
+        starts_at TIMESTAMP NOT NULL,
+        ends_at TIMESTAMP NOT NULL,
+        time_zone VARCHAR(64) NOT NULL,
+        location TEXT,
+        meeting_url TEXT,
+        notes TEXT,
+        ics_uid VARCHAR(255),
+        ics_sequence INTEGER NOT NULL DEFAULT 0,
+        invite_email_id INTEGER REFERENCES emails(id) ON DELETE SET NULL,
+        reminder_email_id INTEGER REFERENCES emails(id) ON DELETE SET NULL,
+        hod_notified_at TIMESTAMP,
+        notification_error TEXT,
+        confirmed_by JSONB,
+        confirmed_at TIMESTAMP,
+        cancelled_at TIMESTAMP,
+        cancel_reason TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_interviews_application_start
+        ON interviews(job_application_id, starts_at);
+      CREATE INDEX IF NOT EXISTS idx_interviews_status_start
+        ON interviews(status, starts_at);
+    `);
+
+    // Candidates: the person behind one or more job applications
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS candidates (
+        id SERIAL PRIMARY KEY,
+        name TEXT,
+        emails JSONB NOT NULL DEFAULT '[]',
+        phones JSONB NOT NULL DEFAULT '[]',
+        name_tokens JSONB NOT NULL DEFAULT '[]',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_candidates_emails ON candidates USING GIN (emails);
+      CREATE INDEX IF NOT EXISTS idx_candidates_phones ON candidates USING GIN (phones);
+      CREATE INDEX IF NOT EXISTS idx_candidates_name_tokens ON candidates USING GIN (name_tokens);
+
+      ALTER TABLE job_applications ADD COLUMN IF NOT EXISTS candidate_id INTEGER REFERENCES candidates(id) ON DELETE SET NULL;
+      CREATE INDEX IF NOT EXISTS idx_job_applications_candidate ON job_applications(candidate_id);
+
+      -- Possible duplicates HR has to decide on
+      CREATE TABLE IF NOT EXISTS candidate_match_reviews (
+        id SERIAL PRIMARY KEY,
+        -- NULL once the candidate was merged away
+        candidate_id INTEGER REFERENCES candidates(id) ON DELETE SET NULL,
+        match_candidate_id INTEGER REFERENCES candidates(id) ON DELETE SET NULL,
+        job_application_id INTEGER REFERENCES job_applications(id) ON DELETE SET NULL,
+        score NUMERIC(5,4) NOT NULL DEFAULT 0,
+        reasons JSONB NOT NULL DEFAULT '[]',
+        status VARCHAR(20) NOT NULL DEFAULT 'PENDING',
+        resolved_by JSONB,
+        resolved_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (candidate_id, match_candidate_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_candidate_match_reviews_status
+        ON candidate_match_reviews(status, created_at);
+    `);
+
+    // HOD WhatsApp outbox: retried with backoff; WAITING_FOR_HOD until the
+    // department has a HOD number
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS hod_notifications (
+        id BIGSERIAL PRIMARY KEY,
+        job_application_id INTEGER REFERENCES job_applications(id) ON DELETE CASCADE,
+        reply_id INTEGER REFERENCES job_application_replies(id) ON DELETE SET NULL,
+        interview_id INTEGER REFERENCES interviews(id) ON DELETE SET NULL,
+        kind VARCHAR(60) NOT NULL,
+        department TEXT,
+        message TEXT NOT NULL,
+        status VARCHAR(32) NOT NULL DEFAULT 'PENDING',
+        recipient VARCHAR(32),
+        attempt_count INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 6,
+        next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        claimed_at TIMESTAMP,
+        last_error TEXT,
+        attempts JSONB NOT NULL DEFAULT '[]',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        sent_at TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_hod_notifications_status_next
+        ON hod_notifications(status, next_attempt_at);
+      CREATE INDEX IF NOT EXISTS idx_hod_notifications_application
+        ON hod_notifications(job_application_id, created_at);
+    `);
+
+    // Several WhatsApp recipients per department, with escalation to the backups
+    const hodRecipientsCheck = await client.query(`
+      SELECT table_name
+      FROM information_schema.tables
+      WHERE table_name = 'hod_recipients'
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS hod_recipients (
+        id SERIAL PRIMARY KEY,
+        hod_department_id INTEGER NOT NULL REFERENCES hod_departments(id) ON DELETE CASCADE,
+        name TEXT,
+        whatsapp_number VARCHAR(32) NOT NULL,
+        role VARCHAR(20) NOT NULL DEFAULT 'primary',
+        is_active BOOLEAN NOT NULL DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (hod_department_id, whatsapp_number)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_hod_recipients_department
+        ON hod_recipients(hod_department_id, role);
+
+      ALTER TABLE hod_departments ADD COLUMN IF NOT EXISTS escalation_hours NUMERIC(6,2);
+    `);
+
+    // Once, when hod_recipients is new: the single number of a department
+    // becomes its primary recipient. hod_whatsapp_number keeps its value so
+    // the previous release still works after a rollback.
+    if (hodRecipientsCheck.rows.length === 0) {
+      await client.query(`
+        ALTER TABLE hod_departments ALTER COLUMN hod_whatsapp_number DROP NOT NULL;
+
+        INSERT INTO hod_recipients (hod_department_id, whatsapp_number, role)
+        SELECT id, hod_whatsapp_number, 'primary' FROM hod_departments
+        WHERE COALESCE(hod_whatsapp_number, '') <> ''
+        ON CONFLICT (hod_department_id, whatsapp_number) DO NOTHING;
+      `);
+      console.log('✅ Copied HOD numbers into hod_recipients');
+    }
+
+    // A notification to several recipients lists them all
+    const hodRecipientTypeCheck = await client.query(`
+      SELECT data_type
+      FROM information_schema.columns
+      WHERE table_name = 'hod_notifications' AND column_name = 'recipient'
+    `);
+
+    if (hodRecipientTypeCheck.rows[0] && hodRecipientTypeCheck.rows[0].data_type !== 'text') {
+      await client.query(`
+        ALTER TABLE hod_notifications ALTER COLUMN recipient TYPE TEXT
+      `);
+    }
+
+    await client.query(`
+      ALTER TABLE hod_notifications ADD COLUMN IF NOT EXISTS audience VARCHAR(20) NOT NULL DEFAULT 'primary';
+      ALTER TABLE hod_notifications ADD COLUMN IF NOT EXISTS delivered_to JSONB NOT NULL DEFAULT '[]';
+      ALTER TABLE hod_notifications ADD COLUMN IF NOT EXISTS ack_token VARCHAR(64);
+      ALTER TABLE hod_notifications ADD COLUMN IF NOT EXISTS acknowledged_at TIMESTAMP;
+      ALTER TABLE hod_notifications ADD COLUMN IF NOT EXISTS acknowledged_by TEXT;
+      ALTER TABLE hod_notifications ADD COLUMN IF NOT EXISTS escalate_at TIMESTAMP;
+      ALTER TABLE hod_notifications ADD COLUMN IF NOT EXISTS escalated_at TIMESTAMP;
+      ALTER TABLE hod_notifications ADD COLUMN IF NOT EXISTS escalated_from_id BIGINT
+        REFERENCES hod_notifications(id) ON DELETE SET NULL;
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_hod_notifications_ack_token
+        ON hod_notifications(ack_token) WHERE ack_token IS NOT NULL;
+      CREATE INDEX IF NOT EXISTS idx_hod_notifications_escalate
+        ON hod_notifications(escalate_at) WHERE escalate_at IS NOT NULL AND escalated_at IS NULL;
+    `);
+
+    // Language the candidate wrote in and gets replies in (en, ms, zh)
+    await client.query(`
+      ALTER TABLE job_applications ADD COLUMN IF NOT EXISTS language VARCHAR(8);
+    `);
+
 
     // Durable SEDA ATAP approval task queue
     await client.query(`
@@ -350,6 +671,36 @@ export async function initTables() {
         ON seda_tasks(created_at);
     `);
 
+    // Durable outbound email queue (Resend sends with retry and dead-letter)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS outbound_emails (
+        id BIGSERIAL PRIMARY KEY,
+        email_id INTEGER REFERENCES emails(id) ON DELETE SET NULL,
+        domain VARCHAR(255) NOT NULL,
+        source VARCHAR(50) NOT NULL DEFAULT 'api',
+        payload JSONB NOT NULL,
+        status VARCHAR(32) NOT NULL DEFAULT 'PENDING',
+        attempt_count INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 8,
+        next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        claimed_at TIMESTAMP,
+        last_error TEXT,
+        last_http_status INTEGER,
+        attempts JSONB NOT NULL DEFAULT '[]',
+        resend_id VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        sent_at TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_outbound_emails_status_next
+        ON outbound_emails(status, next_attempt_at);
+      CREATE INDEX IF NOT EXISTS idx_outbound_emails_email_id
+        ON outbound_emails(email_id);
+      CREATE INDEX IF NOT EXISTS idx_outbound_emails_created_at
+        ON outbound_emails(created_at);
+    `);
+
     // Older setups may have enforced global uniqueness on email_prefix/full_email,
     // which prevents sharing one email across multiple agents.
     const agentEmailUniqueConstraints = await client.query(`
@@ -402,6 +753,216 @@ export async function initTables() {
       ON agent_email_accounts(agent_bubble_id, full_email)
     `);
 
+    // Stored email templates; every edit adds a version and moves current_version
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS email_templates (
+        id SERIAL PRIMARY KEY,
+        slug VARCHAR(100) UNIQUE NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        description TEXT,
+        current_version INTEGER NOT NULL DEFAULT 1,
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS email_template_versions (
+        id SERIAL PRIMARY KEY,
+        template_id INTEGER NOT NULL REFERENCES email_templates(id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        subject TEXT NOT NULL,
+        html TEXT NOT NULL,
+        text TEXT,
+        created_by JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (template_id, version)
+      );
+
+      CREATE TABLE IF NOT EXISTS domain_branding (
+        domain VARCHAR(255) PRIMARY KEY,
+        company_name VARCHAR(255),
+        logo_url TEXT,
+        primary_color VARCHAR(16),
+        footer_html TEXT,
+        footer_text TEXT,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    // Inbound attachments downloaded once from Resend into the attachment store
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS stored_attachments (
+        id SERIAL PRIMARY KEY,
+        received_email_id INTEGER REFERENCES received_emails(id) ON DELETE CASCADE,
+        email_id VARCHAR(255) NOT NULL,
+        attachment_id VARCHAR(255) NOT NULL,
+        filename TEXT NOT NULL,
+        content_type VARCHAR(255),
+        size_bytes BIGINT,
+        sha256 CHAR(64),
+        storage VARCHAR(20),
+        storage_key TEXT,
+        status VARCHAR(20) NOT NULL DEFAULT 'stored',
+        error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (email_id, attachment_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_stored_attachments_received_email
+        ON stored_attachments(received_email_id);
+    `);
+
+    // Text extracted from stored CVs for recruitment classification
+    await client.query(`
+      ALTER TABLE stored_attachments ADD COLUMN IF NOT EXISTS extracted_text TEXT;
+      ALTER TABLE stored_attachments ADD COLUMN IF NOT EXISTS text_status VARCHAR(20);
+      ALTER TABLE stored_attachments ADD COLUMN IF NOT EXISTS text_error TEXT;
+      ALTER TABLE stored_attachments ADD COLUMN IF NOT EXISTS text_extracted_at TIMESTAMP;
+    `);
+
+    // Recipients that must not be mailed from a domain (bounces, complaints, manual)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS suppressions (
+        id SERIAL PRIMARY KEY,
+        domain VARCHAR(255) NOT NULL,
+        email VARCHAR(320) NOT NULL,
+        reason VARCHAR(32) NOT NULL DEFAULT 'manual',
+        source VARCHAR(32) NOT NULL DEFAULT 'manual',
+        details JSONB DEFAULT '{}',
+        created_by JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (domain, email)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_suppressions_email ON suppressions(email);
+    `);
+
+    // Configurable handling of inbound email (see inbound-routes.js)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS inbound_routes (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        description TEXT,
+        priority INTEGER NOT NULL DEFAULT 100,
+        enabled BOOLEAN NOT NULL DEFAULT true,
+        stop_processing BOOLEAN NOT NULL DEFAULT false,
+        conditions JSONB NOT NULL DEFAULT '{}',
+        actions JSONB NOT NULL DEFAULT '[]',
+        created_by JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_inbound_routes_priority ON inbound_routes(priority, id);
+    `);
+
+    // Durable processing of received emails: fetch content, route, run actions
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS inbound_jobs (
+        id BIGSERIAL PRIMARY KEY,
+        received_email_id INTEGER REFERENCES received_emails(id) ON DELETE CASCADE,
+        email_id VARCHAR(255) NOT NULL UNIQUE,
+        domain VARCHAR(255),
+        stage VARCHAR(20) NOT NULL DEFAULT 'fetch',
+        status VARCHAR(32) NOT NULL DEFAULT 'PENDING',
+        attempt_count INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 6,
+        next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        claimed_at TIMESTAMP,
+        last_error TEXT,
+        attempts JSONB NOT NULL DEFAULT '[]',
+        raw_data JSONB,
+        plan JSONB,
+        results JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_inbound_jobs_status_next
+        ON inbound_jobs(status, next_attempt_at);
+      CREATE INDEX IF NOT EXISTS idx_inbound_jobs_received_email
+        ON inbound_jobs(received_email_id);
+    `);
+
+    // Outgoing webhooks to other services, with a delivery log
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        event_types JSONB NOT NULL DEFAULT '["*"]',
+        description TEXT,
+        is_active BOOLEAN NOT NULL DEFAULT true,
+        created_by JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id BIGSERIAL PRIMARY KEY,
+        subscription_id INTEGER NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+        message_id VARCHAR(64) NOT NULL UNIQUE,
+        event_id VARCHAR(64) NOT NULL,
+        event_type VARCHAR(100) NOT NULL,
+        payload JSONB NOT NULL,
+        status VARCHAR(32) NOT NULL DEFAULT 'PENDING',
+        attempt_count INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 8,
+        next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        claimed_at TIMESTAMP,
+        last_error TEXT,
+        last_http_status INTEGER,
+        attempts JSONB NOT NULL DEFAULT '[]',
+        replay_of BIGINT REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        delivered_at TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status_next
+        ON webhook_deliveries(status, next_attempt_at);
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription
+        ON webhook_deliveries(subscription_id, created_at DESC);
+    `);
+
+    // Conversations across sent and received mail, linked by Message-ID,
+    // In-Reply-To and References with a subject + correspondent fallback
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS email_threads (
+        id SERIAL PRIMARY KEY,
+        subject TEXT,
+        subject_key TEXT NOT NULL DEFAULT '',
+        participants JSONB NOT NULL DEFAULT '[]',
+        message_count INTEGER NOT NULL DEFAULT 0,
+        first_message_at TIMESTAMP,
+        last_message_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_email_threads_subject_key
+        ON email_threads(subject_key, last_message_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_email_threads_last_message
+        ON email_threads(last_message_at DESC);
+
+      ALTER TABLE emails ADD COLUMN IF NOT EXISTS message_id VARCHAR(998);
+      ALTER TABLE emails ADD COLUMN IF NOT EXISTS in_reply_to VARCHAR(998);
+      ALTER TABLE emails ADD COLUMN IF NOT EXISTS reference_ids JSONB NOT NULL DEFAULT '[]';
+      ALTER TABLE emails ADD COLUMN IF NOT EXISTS thread_id INTEGER REFERENCES email_threads(id) ON DELETE SET NULL;
+      ALTER TABLE received_emails ADD COLUMN IF NOT EXISTS in_reply_to VARCHAR(998);
+      ALTER TABLE received_emails ADD COLUMN IF NOT EXISTS reference_ids JSONB NOT NULL DEFAULT '[]';
+      ALTER TABLE received_emails ADD COLUMN IF NOT EXISTS thread_id INTEGER REFERENCES email_threads(id) ON DELETE SET NULL;
+
+      CREATE INDEX IF NOT EXISTS idx_emails_message_id ON emails(message_id);
+      CREATE INDEX IF NOT EXISTS idx_emails_thread ON emails(thread_id);
+      CREATE INDEX IF NOT EXISTS idx_received_emails_message_id ON received_emails(message_id);
+      CREATE INDEX IF NOT EXISTS idx_received_emails_thread ON received_emails(thread_id);
+    `);
+
     console.log('✅ Database tables initialized');
   } catch (err) {
     console.error('❌ Failed to initialize tables:', err.message);
@@ -414,7 +975,7 @@ export async function initTables() {
 /**
  * Save sent email to database
  */
-export async function saveEmail(data) {
+export async function saveEmail(data, client = pool) {
   if (!pool) return null;
 
   const {
@@ -428,16 +989,24 @@ export async function saveEmail(data) {
     html,
     text,
     status = 'sent',
+    metadata = {},
+    idempotencyKey = null,
+    requestHash = null,
+    sendAt = null,
+    messageId = null,
+    inReplyTo = null,
+    referenceIds = [],
   } = data;
 
   // Extract domain from from_email if not provided
   const fromEmail = from || '';
   const emailDomain = domain || extractDomainFromEmail(fromEmail) || 'eternalgy.me';
 
-  const result = await pool.query(
+  const result = await client.query(
     `INSERT INTO emails 
-     (resend_id, domain, from_email, to_email, cc_emails, bcc_emails, subject, html_content, text_content, status)
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     (resend_id, domain, from_email, to_email, cc_emails, bcc_emails, subject, html_content, text_content, status, metadata,
+      idempotency_key, request_hash, send_at, message_id, in_reply_to, reference_ids)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
      RETURNING *`,
     [
       resendId,
@@ -450,6 +1019,13 @@ export async function saveEmail(data) {
       html,
       text,
       status,
+      JSON.stringify(metadata || {}),
+      idempotencyKey,
+      requestHash,
+      sendAt,
+      messageId,
+      inReplyTo,
+      JSON.stringify(referenceIds || []),
     ]
   );
 
@@ -459,19 +1035,48 @@ export async function saveEmail(data) {
 /**
  * Save webhook event to database
  */
-export async function saveWebhook(event) {
+export async function saveWebhook(event, { deliveryId = null } = {}) {
   if (!pool) return null;
 
   const result = await pool.query(
-    `INSERT INTO webhooks (event_type, email_id, payload)
-     VALUES ($1, $2, $3)
+    `INSERT INTO webhooks (event_type, email_id, payload, delivery_id)
+     VALUES ($1, $2, $3, $4)
      RETURNING *`,
-    [event.type, event.data?.email_id, JSON.stringify(event)]
+    [event.type, event.data?.email_id, JSON.stringify(event), deliveryId]
   );
 
   return result.rows[0];
 }
 
+/**
+ * Record the delivery id (svix-id) of a signed webhook once it was processed,
+ * so a provider retry of a failed delivery is still processed
+ */
+export async function markWebhookDelivered(webhookId, deliveryId) {
+  if (!pool || !webhookId || !deliveryId) return null;
+
+  const result = await pool.query(
+    `UPDATE webhooks SET delivery_id = $2::text WHERE id = $1 RETURNING *`,
+    [webhookId, deliveryId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Check whether a signed webhook delivery (svix-id) was already accepted
+ */
+export async function webhookDeliveryExists(deliveryId) {
+  if (!pool || !deliveryId) return false;
+
+  const result = await pool.query(
+    `SELECT 1 FROM webhooks WHERE delivery_id = $1 LIMIT 1`,
+    [deliveryId]
+  );
+
+  return result.rows.length > 0;
+}
+
 /**
  * Update email status from webhook
  */
@@ -633,26 +1238,21 @@ export async function getAiActivityLogs({ taskId = null, limit = 100 } = {}) {
 }
 
 /**
- * Update email status from webhook
+ * Update email status from webhook. The status only moves forward
+ * (see email-events.js); the first delivered/opened/clicked time is kept.
  */
 export async function updateEmailStatus(resendId, status, data = {}) {
   if (!pool) return null;
 
-  const updates = ['status = $1'];
-  const values = [status];
-  let paramIndex = 2;
+  const updates = [`status = CASE WHEN status = ANY($2::text[]) THEN status ELSE $1 END`];
+  const values = [status, statusesAtOrAbove(status)];
+  let paramIndex = 3;
 
-  if (data.delivered_at) {
-    updates.push(`delivered_at = $${paramIndex++}`);
-    values.push(data.delivered_at);
-  }
-  if (data.opened_at) {
-    updates.push(`opened_at = $${paramIndex++}`);
-    values.push(data.opened_at);
-  }
-  if (data.clicked_at) {
-    updates.push(`clicked_at = $${paramIndex++}`);
-    values.push(data.clicked_at);
+  for (const column of ['delivered_at', 'opened_at', 'clicked_at']) {
+    if (data[column]) {
+      updates.push(`${column} = COALESCE(${column}, $${paramIndex++})`);
+      values.push(data[column]);
+    }
   }
 
   values.push(resendId);
@@ -666,16 +1266,79 @@ export async function updateEmailStatus(resendId, status, data = {}) {
 }
 
 /**
- * Get email statistics
+ * Recipient lists (to_email) of the emails from one source created in the
+ * last hours that mention an address, for the auto-reply rate limit. The
+ * substring match only narrows the rows; countRepliesTo() matches the
+ * exact address.
  */
-export async function getStats() {
-  if (!pool) return { total: 0, sent: 0, delivered: 0, opened: 0, bounced: 0 };
+export async function getRecentRecipientLists(address, { source, hours }) {
+  if (!pool || !address) return [];
 
-  const result = await pool.query(`
-    SELECT 
-      COUNT(*) as total,
-      COUNT(*) FILTER (WHERE status = 'sent') as sent,
-      COUNT(*) FILTER (WHERE status = 'delivered') as delivered,
+  const result = await pool.query(
+    `SELECT to_email
+     FROM emails
+     WHERE metadata->>'source' = $1
+       AND POSITION($2 IN LOWER(to_email)) > 0
+       AND created_at >= CURRENT_TIMESTAMP - ($3 * INTERVAL '1 hour')`,
+    [source, String(address).toLowerCase(), hours]
+  );
+  return result.rows.map(row => row.to_email);
+}
+
+/**
+ * Append a delivery event to an email's timeline
+ */
+export async function saveEmailEvent({
+  resendId,
+  emailId = null,
+  webhookId = null,
+  eventType,
+  status = null,
+  occurredAt = new Date(),
+  clickUrl = null,
+  details = {},
+}) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `INSERT INTO email_events
+     (resend_id, email_id, webhook_id, event_type, status, occurred_at, click_url, details)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [resendId, emailId, webhookId, eventType, status, occurredAt, clickUrl, JSON.stringify(details || {})]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * All delivery events for one sent email, oldest first
+ */
+export async function getEmailEvents(resendId) {
+  if (!pool || !resendId) return [];
+
+  const result = await pool.query(
+    `SELECT id, event_type, status, occurred_at, received_at, click_url, details
+     FROM email_events
+     WHERE resend_id = $1
+     ORDER BY occurred_at ASC, id ASC`,
+    [resendId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Get email statistics
+ */
+export async function getStats() {
+  if (!pool) return { total: 0, sent: 0, delivered: 0, opened: 0, bounced: 0 };
+
+  const result = await pool.query(`
+    SELECT 
+      COUNT(*) as total,
+      COUNT(*) FILTER (WHERE status = 'sent') as sent,
+      COUNT(*) FILTER (WHERE status = 'delivered') as delivered,
       COUNT(*) FILTER (WHERE status = 'bounced') as bounced,
       COUNT(*) FILTER (WHERE opened_at IS NOT NULL) as opened,
       COUNT(*) FILTER (WHERE clicked_at IS NOT NULL) as clicked
@@ -864,6 +1527,34 @@ export async function getEmailById(id) {
   return result.rows[0] || null;
 }
 
+/**
+ * Get the sent email recorded for an Idempotency-Key
+ */
+export async function getEmailByIdempotencyKey(idempotencyKey) {
+  if (!pool || !idempotencyKey) return null;
+
+  const result = await pool.query(
+    `SELECT * FROM emails WHERE idempotency_key = $1`,
+    [idempotencyKey]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Store the response a replayed Idempotency-Key request should get
+ */
+export async function saveIdempotencyResponse(emailId, response, client = pool) {
+  if (!pool) return null;
+
+  const result = await client.query(
+    `UPDATE emails SET idempotency_response = $1 WHERE id = $2 RETURNING id`,
+    [JSON.stringify(response), emailId]
+  );
+
+  return result.rows[0] || null;
+}
+
 /**
  * Get a single sent email by Resend ID
  */
@@ -934,9 +1625,9 @@ export async function saveJobApplication(data) {
       received_email_id, classification, confidence, classification_reason,
       applicant_name, applicant_email, phone, whatsapp_number, applied_position,
       department, years_experience, location, availability, resume_summary,
-      extraction, processing_status, status
+      extraction, processing_status, status, language
     ) VALUES (
-      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17
+      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18
     )
     ON CONFLICT (received_email_id) DO UPDATE SET
       classification = EXCLUDED.classification,
@@ -954,6 +1645,7 @@ export async function saveJobApplication(data) {
       resume_summary = EXCLUDED.resume_summary,
       extraction = EXCLUDED.extraction,
       processing_status = EXCLUDED.processing_status,
+      language = EXCLUDED.language,
       updated_at = CURRENT_TIMESTAMP
     RETURNING *`,
     [
@@ -974,6 +1666,7 @@ export async function saveJobApplication(data) {
       JSON.stringify(data.extraction || {}),
       data.processingStatus || 'pending',
       data.status || 'new',
+      data.language || null,
     ]
   );
   return result.rows[0] || null;
@@ -985,11 +1678,21 @@ export async function updateJobApplication(id, data) {
   const columnMap = {
     processingStatus: 'processing_status',
     status: 'status',
+    statusChangedAt: 'status_changed_at',
     acknowledgementSentAt: 'acknowledgement_sent_at',
     hodNotifiedAt: 'hod_notified_at',
     notificationError: 'notification_error',
+    classification: 'classification',
+    applicantName: 'applicant_name',
+    phone: 'phone',
     whatsappNumber: 'whatsapp_number',
+    appliedPosition: 'applied_position',
+    department: 'department',
+    yearsExperience: 'years_experience',
+    location: 'location',
     availability: 'availability',
+    resumeSummary: 'resume_summary',
+    language: 'language',
   };
   const updates = [];
   const values = [];
@@ -1014,7 +1717,170 @@ export async function updateJobApplication(id, data) {
   return result.rows[0] || null;
 }
 
-export async function getJobApplications({ limit = 100, status = null } = {}) {
+/**
+ * Applications a follow-up reply may belong to, newest first: their first
+ * email is in the same thread and came from the same sender.
+ * @param {Object} options - { threadId, sender (lower-case address), receivedEmailId (the reply) }
+ */
+export async function findJobApplicationsForReply({ threadId, sender, receivedEmailId }) {
+  if (!pool || !threadId || !sender) return [];
+
+  const result = await pool.query(
+    `SELECT ja.*
+     FROM job_applications ja
+     JOIN received_emails re ON re.id = ja.received_email_id
+     WHERE re.thread_id = $1
+       AND ja.received_email_id <> $3
+       AND ja.processing_status = 'completed'
+       AND (LOWER(ja.applicant_email) = $2
+            OR LOWER(TRIM(re.from_email)) = $2
+            OR LOWER(TRIM(SUBSTRING(re.from_email FROM '<([^>]*)>'))) = $2)
+     ORDER BY ja.created_at DESC`,
+    [threadId, sender, receivedEmailId]
+  );
+  return result.rows;
+}
+
+export async function getJobApplicationReplyByReceivedEmailId(receivedEmailId) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `SELECT * FROM job_application_replies WHERE received_email_id = $1`,
+    [receivedEmailId]
+  );
+  return result.rows[0] || null;
+}
+
+export async function saveJobApplicationReply({
+  jobApplicationId,
+  receivedEmailId,
+  classification = null,
+  changes = [],
+  extraction = {},
+}) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `INSERT INTO job_application_replies (job_application_id, received_email_id, classification, changes, extraction)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (received_email_id) DO UPDATE SET
+       classification = EXCLUDED.classification,
+       changes = EXCLUDED.changes,
+       extraction = EXCLUDED.extraction
+     RETURNING *`,
+    [jobApplicationId, receivedEmailId, classification, JSON.stringify(changes), JSON.stringify(extraction)]
+  );
+  return result.rows[0] || null;
+}
+
+export async function updateJobApplicationReply(id, { hodNotifiedAt = null, notificationError = null }) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `UPDATE job_application_replies
+     SET hod_notified_at = $2, notification_error = $3
+     WHERE id = $1
+     RETURNING *`,
+    [id, hodNotifiedAt, notificationError]
+  );
+  return result.rows[0] || null;
+}
+
+export async function getJobApplicationReplies(jobApplicationId) {
+  if (!pool) return [];
+
+  const result = await pool.query(
+    `SELECT r.*, re.subject, re.from_email, re.received_at
+     FROM job_application_replies r
+     JOIN received_emails re ON re.id = r.received_email_id
+     WHERE r.job_application_id = $1
+     ORDER BY r.created_at ASC`,
+    [jobApplicationId]
+  );
+  return result.rows;
+}
+
+/**
+ * Change the status, assignee or both and record the step in the history.
+ * The update only applies while the application is still in `fromStatus`,
+ * so two people moving the same card cannot both win.
+ * @param {number} id
+ * @param {Object} change - { fromStatus, status, assignee (undefined keeps it), note, changedBy }
+ * @returns {Promise<Object|null>} - Updated row, null if the status changed meanwhile
+ */
+export async function updateJobApplicationLifecycle(id, { fromStatus, status, assignee, note = null, changedBy = null }) {
+  if (!pool) return null;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const updated = await client.query(
+      `UPDATE job_applications
+       SET status = $3::text,
+           assignee = CASE WHEN $4::boolean THEN $5::text ELSE assignee END,
+           status_changed_at = CASE WHEN status <> $3::text THEN CURRENT_TIMESTAMP ELSE status_changed_at END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = $2::text
+       RETURNING *`,
+      [id, fromStatus, status, assignee !== undefined, assignee ?? null]
+    );
+    const application = updated.rows[0];
+    if (!application) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    await client.query(
+      `INSERT INTO job_application_status_history
+         (job_application_id, from_status, to_status, note, assignee, changed_by)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [id, fromStatus, status, note, application.assignee, changedBy ? JSON.stringify(changedBy) : null]
+    );
+
+    await client.query('COMMIT');
+    return application;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+export async function addJobApplicationStatusHistory({
+  jobApplicationId,
+  fromStatus = null,
+  toStatus,
+  note = null,
+  assignee = null,
+  changedBy = null,
+}) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `INSERT INTO job_application_status_history
+       (job_application_id, from_status, to_status, note, assignee, changed_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [jobApplicationId, fromStatus, toStatus, note, assignee, changedBy ? JSON.stringify(changedBy) : null]
+  );
+  return result.rows[0] || null;
+}
+
+export async function getJobApplicationStatusHistory(jobApplicationId) {
+  if (!pool) return [];
+
+  const result = await pool.query(
+    `SELECT * FROM job_application_status_history
+     WHERE job_application_id = $1
+     ORDER BY created_at ASC, id ASC`,
+    [jobApplicationId]
+  );
+  return result.rows;
+}
+
+export async function getJobApplications({ limit = 100, status = null, assignee = null } = {}) {
   if (!pool) return [];
 
   const values = [];
@@ -1023,10 +1889,15 @@ export async function getJobApplications({ limit = 100, status = null } = {}) {
     values.push(status);
     conditions.push(`ja.status = $${values.length}`);
   }
+  if (assignee) {
+    values.push(assignee);
+    conditions.push(`LOWER(ja.assignee) = LOWER($${values.length})`);
+  }
   values.push(Math.min(Number(limit) || 100, 500));
 
   const result = await pool.query(
-    `SELECT ja.*, re.subject, re.from_email, re.to_email, re.received_at
+    `SELECT ja.*, re.subject, re.from_email, re.to_email, re.received_at, re.thread_id,
+            (SELECT COUNT(*)::int FROM job_application_replies r WHERE r.job_application_id = ja.id) AS reply_count
      FROM job_applications ja
      JOIN received_emails re ON re.id = ja.received_email_id
      ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
@@ -1041,46 +1912,71 @@ export async function getHodDepartments() {
   if (!pool) return [];
 
   const result = await pool.query(
-    `SELECT * FROM hod_departments ORDER BY department ASC`
+    `SELECT d.*,
+       COALESCE((
+         SELECT json_agg(r ORDER BY CASE r.role WHEN 'primary' THEN 0 WHEN 'backup' THEN 1 ELSE 2 END, r.id)
+         FROM hod_recipients r
+         WHERE r.hod_department_id = d.id
+       ), '[]') AS recipients
+     FROM hod_departments d
+     ORDER BY d.department ASC`
   );
   return result.rows;
 }
 
-export async function getHodDepartment(department) {
+export async function getHodDepartmentById(id) {
   if (!pool) return null;
 
-  const normalized = String(department || '').trim();
-  if (normalized) {
-    const result = await pool.query(
-      `SELECT * FROM hod_departments
-       WHERE is_active = true AND LOWER(department) = LOWER($1)
-       LIMIT 1`,
-      [normalized]
-    );
-    if (result.rows[0]) return result.rows[0];
-  }
+  const result = await pool.query(
+    `SELECT * FROM hod_departments WHERE id = $1`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * The recipients a notification for a department goes to: those of the
+ * department, or of the default department when it has no active one.
+ * @returns {Promise<{ department: Object, recipients: Array<Object> }|null>}
+ */
+export async function getHodRecipients(department) {
+  if (!pool) return null;
 
-  const fallback = await pool.query(
-    `SELECT * FROM hod_departments
-     WHERE is_active = true AND LOWER(department) IN ('default', 'general')
-     ORDER BY id ASC
-     LIMIT 1`
+  const normalized = String(department || '').trim();
+  const result = await pool.query(
+    `SELECT d.*,
+       json_agg(r ORDER BY r.id) AS recipients
+     FROM hod_departments d
+     JOIN hod_recipients r ON r.hod_department_id = d.id AND r.is_active = true
+     WHERE d.is_active = true
+       AND (LOWER(d.department) = LOWER($1::text) OR LOWER(d.department) IN ('default', 'general'))
+     GROUP BY d.id
+     ORDER BY (LOWER(d.department) = LOWER($1::text)) DESC, d.id ASC
+     LIMIT 1`,
+    [normalized]
   );
-  return fallback.rows[0] || null;
+  const row = result.rows[0];
+  if (!row) return null;
+  const { recipients, ...rest } = row;
+  return { department: rest, recipients };
 }
 
-export async function saveHodDepartment(department, hodWhatsappNumber, isActive = true) {
+/**
+ * Create or update a department. escalationHours undefined keeps the
+ * current value; null means HOD_ESCALATION_HOURS.
+ */
+export async function saveHodDepartment(department, { isActive = true, escalationHours } = {}) {
   if (!pool) return null;
 
   const result = await pool.query(
-    `INSERT INTO hod_departments (department, hod_whatsapp_number, is_active)
+    `INSERT INTO hod_departments (department, is_active, escalation_hours)
      VALUES ($1, $2, $3)
      ON CONFLICT (department) DO UPDATE SET
-       hod_whatsapp_number = EXCLUDED.hod_whatsapp_number,
        is_active = EXCLUDED.is_active,
+       escalation_hours = CASE WHEN $4 THEN EXCLUDED.escalation_hours ELSE hod_departments.escalation_hours END,
        updated_at = CURRENT_TIMESTAMP
      RETURNING *`,
-    [String(department).trim(), String(hodWhatsappNumber).replace(/[^\d+]/g, ''), isActive]
+    [String(department).trim(), isActive, escalationHours ?? null, escalationHours !== undefined]
   );
   return result.rows[0] || null;
 }
@@ -1095,6 +1991,78 @@ export async function deleteHodDepartment(id) {
   return result.rowCount > 0;
 }
 
+/**
+ * Add a recipient to a department, or update the one with the same number.
+ */
+export async function saveHodRecipient(hodDepartmentId, { name = null, whatsappNumber, role = 'primary', isActive = true }) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `INSERT INTO hod_recipients (hod_department_id, name, whatsapp_number, role, is_active)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (hod_department_id, whatsapp_number) DO UPDATE SET
+       name = COALESCE(EXCLUDED.name, hod_recipients.name),
+       role = EXCLUDED.role,
+       is_active = EXCLUDED.is_active,
+       updated_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [hodDepartmentId, name, whatsappNumber, role, isActive]
+  );
+  return result.rows[0] || null;
+}
+
+export async function getHodRecipientById(id) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `SELECT r.*, d.department
+     FROM hod_recipients r
+     JOIN hod_departments d ON d.id = r.hod_department_id
+     WHERE r.id = $1`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+export async function updateHodRecipient(id, fields = {}) {
+  if (!pool) return null;
+
+  const columns = {
+    name: 'name',
+    whatsappNumber: 'whatsapp_number',
+    role: 'role',
+    isActive: 'is_active',
+  };
+  const values = [];
+  const assignments = [];
+  for (const [key, column] of Object.entries(columns)) {
+    if (fields[key] === undefined) continue;
+    values.push(fields[key]);
+    assignments.push(`${column} = $${values.length}`);
+  }
+  if (!assignments.length) return getHodRecipientById(id);
+
+  values.push(id);
+  const result = await pool.query(
+    `UPDATE hod_recipients
+     SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $${values.length}
+     RETURNING *`,
+    values
+  );
+  return result.rows[0] || null;
+}
+
+export async function deleteHodRecipient(id) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `DELETE FROM hod_recipients WHERE id = $1 RETURNING *`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
 /**
  * Get email statistics by domain
  */
@@ -1562,6 +2530,2549 @@ export async function retrySedaTask(id) {
   return result.rows[0] || null;
 }
 
+// ============================================
+// Stored Attachment Functions
+// ============================================
+
+export async function getStoredAttachments(emailId) {
+  if (!pool || !emailId) return [];
+
+  const result = await pool.query(
+    `SELECT * FROM stored_attachments WHERE email_id = $1 ORDER BY id ASC`,
+    [emailId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * One stored attachment by attachment id, or by filename (first match)
+ */
+export async function getStoredAttachment(emailId, ref) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `SELECT * FROM stored_attachments
+     WHERE email_id = $1 AND (attachment_id = $2 OR filename = $2)
+     ORDER BY (attachment_id = $2) DESC, id ASC
+     LIMIT 1`,
+    [emailId, ref]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Record the outcome of storing one attachment (status stored, too_large or failed)
+ */
+export async function saveStoredAttachment({
+  receivedEmailId = null,
+  emailId,
+  attachmentId,
+  filename,
+  contentType = null,
+  sizeBytes = null,
+  sha256 = null,
+  storage = null,
+  storageKey = null,
+  status = 'stored',
+  error = null,
+}) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `INSERT INTO stored_attachments
+     (received_email_id, email_id, attachment_id, filename, content_type, size_bytes, sha256, storage, storage_key, status, error)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     ON CONFLICT (email_id, attachment_id) DO UPDATE SET
+       received_email_id = COALESCE(EXCLUDED.received_email_id, stored_attachments.received_email_id),
+       filename = EXCLUDED.filename,
+       content_type = EXCLUDED.content_type,
+       size_bytes = EXCLUDED.size_bytes,
+       sha256 = EXCLUDED.sha256,
+       storage = EXCLUDED.storage,
+       storage_key = EXCLUDED.storage_key,
+       status = EXCLUDED.status,
+       error = EXCLUDED.error,
+       updated_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [receivedEmailId, emailId, attachmentId, filename, contentType, sizeBytes, sha256, storage, storageKey, status, error]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Record the text extracted from a stored attachment
+ * (status extracted, empty, unsupported or failed)
+ */
+export async function saveAttachmentText(id, { text = null, status, error = null }) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `UPDATE stored_attachments SET
+       extracted_text = $2,
+       text_status = $3,
+       text_error = $4,
+       text_extracted_at = CURRENT_TIMESTAMP,
+       updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [id, text, status, error]
+  );
+
+  return result.rows[0] || null;
+}
+
+// ============================================
+// Suppression List Functions
+// ============================================
+
+export async function getSuppressions({ domain = null, search = null, limit = 100 } = {}) {
+  if (!pool) return [];
+
+  const values = [];
+  const conditions = [];
+  if (domain) {
+    values.push(String(domain).toLowerCase());
+    conditions.push(`domain = $${values.length}`);
+  }
+  if (search) {
+    values.push(`%${String(search).toLowerCase()}%`);
+    conditions.push(`email LIKE $${values.length}`);
+  }
+  values.push(Math.min(Math.max(Number(limit) || 100, 1), 500));
+
+  const result = await pool.query(
+    `SELECT * FROM suppressions
+     ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY updated_at DESC
+     LIMIT $${values.length}`,
+    values
+  );
+
+  return result.rows;
+}
+
+/**
+ * Suppressed rows for the given recipients on one sending domain
+ */
+export async function getSuppressionsForRecipients(domain, emails) {
+  if (!pool || !domain || !emails?.length) return [];
+
+  const result = await pool.query(
+    `SELECT * FROM suppressions WHERE domain = $1 AND email = ANY($2::text[])`,
+    [String(domain).toLowerCase(), emails.map(email => String(email).toLowerCase())]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Add or refresh a suppression; the latest reason and details win
+ */
+export async function saveSuppression({
+  domain,
+  email,
+  reason = 'manual',
+  source = 'manual',
+  details = {},
+  createdBy = null,
+}) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `INSERT INTO suppressions (domain, email, reason, source, details, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (domain, email) DO UPDATE SET
+       reason = EXCLUDED.reason,
+       source = EXCLUDED.source,
+       details = EXCLUDED.details,
+       updated_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [
+      String(domain).toLowerCase(),
+      String(email).toLowerCase(),
+      reason,
+      source,
+      JSON.stringify(details || {}),
+      createdBy ? JSON.stringify(createdBy) : null,
+    ]
+  );
+
+  return result.rows[0];
+}
+
+export async function deleteSuppression(id) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `DELETE FROM suppressions WHERE id = $1 RETURNING *`,
+    [id]
+  );
+
+  return result.rows[0] || null;
+}
+
+// ============================================
+// Inbound Route Functions
+// ============================================
+
+export async function getInboundRoutes({ enabledOnly = false } = {}) {
+  if (!pool) return [];
+
+  const result = await pool.query(
+    `SELECT * FROM inbound_routes
+     ${enabledOnly ? 'WHERE enabled = true' : ''}
+     ORDER BY priority ASC, id ASC`
+  );
+
+  return result.rows;
+}
+
+export async function getInboundRoute(id) {
+  if (!pool) return null;
+
+  const result = await pool.query(`SELECT * FROM inbound_routes WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+export async function countInboundRoutes() {
+  if (!pool) return 0;
+
+  const result = await pool.query(`SELECT COUNT(*)::int AS count FROM inbound_routes`);
+  return result.rows[0].count;
+}
+
+export async function createInboundRoute({
+  name,
+  description = null,
+  priority = 100,
+  enabled = true,
+  stopProcessing = false,
+  conditions = {},
+  actions = [],
+  createdBy = null,
+}) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `INSERT INTO inbound_routes (name, description, priority, enabled, stop_processing, conditions, actions, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [
+      name,
+      description,
+      priority,
+      enabled,
+      stopProcessing,
+      JSON.stringify(conditions || {}),
+      JSON.stringify(actions || []),
+      createdBy ? JSON.stringify(createdBy) : null,
+    ]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Update the given fields of a route; JSON fields are replaced whole
+ */
+export async function updateInboundRoute(id, updates) {
+  if (!pool) return null;
+
+  const columns = {
+    name: 'name',
+    description: 'description',
+    priority: 'priority',
+    enabled: 'enabled',
+    stopProcessing: 'stop_processing',
+    conditions: 'conditions',
+    actions: 'actions',
+  };
+  const setClauses = [];
+  const values = [];
+
+  for (const [key, column] of Object.entries(columns)) {
+    if (updates[key] === undefined) continue;
+    values.push(['conditions', 'actions'].includes(key) ? JSON.stringify(updates[key]) : updates[key]);
+    setClauses.push(`${column} = $${values.length}`);
+  }
+  if (!setClauses.length) return getInboundRoute(id);
+
+  values.push(id);
+  const result = await pool.query(
+    `UPDATE inbound_routes
+     SET ${setClauses.join(', ')}, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $${values.length}
+     RETURNING *`,
+    values
+  );
+
+  return result.rows[0] || null;
+}
+
+export async function deleteInboundRoute(id) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `DELETE FROM inbound_routes WHERE id = $1 RETURNING *`,
+    [id]
+  );
+
+  return result.rows[0] || null;
+}
+
+// ============================================
+// Inbound Job Functions
+// ============================================
+
+/**
+ * Queue a received email for processing. One job per Resend email id;
+ * a redelivered webhook gets the existing job back.
+ */
+export async function createInboundJob({ receivedEmailId = null, emailId, domain = null, rawData = null, maxAttempts = 6 }) {
+  if (!pool) return null;
+
+  const inserted = await pool.query(
+    `INSERT INTO inbound_jobs (received_email_id, email_id, domain, raw_data, max_attempts)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (email_id) DO NOTHING
+     RETURNING *`,
+    [receivedEmailId, emailId, domain, rawData ? JSON.stringify(rawData) : null, maxAttempts]
+  );
+  if (inserted.rows[0]) return { job: inserted.rows[0], created: true };
+
+  const existing = await pool.query(`SELECT * FROM inbound_jobs WHERE email_id = $1`, [emailId]);
+  return { job: existing.rows[0] || null, created: false };
+}
+
+/**
+ * Queue jobs for recent received emails that have no content and no job,
+ * e.g. ones whose in-process fetch was lost in a restart.
+ */
+export async function createMissingInboundJobs({ sinceDays = 3, maxAttempts = 6, limit = 500 } = {}) {
+  if (!pool) return [];
+
+  const result = await pool.query(
+    `INSERT INTO inbound_jobs (received_email_id, email_id, domain, raw_data, max_attempts)
+     SELECT r.id, r.email_id, r.domain, r.raw_data, $2::int
+     FROM received_emails r
+     WHERE r.email_id IS NOT NULL
+       AND r.html_content IS NULL
+       AND r.text_content IS NULL
+       AND r.received_at >= CURRENT_TIMESTAMP - ($1 * INTERVAL '1 day')
+       AND NOT EXISTS (SELECT 1 FROM inbound_jobs j WHERE j.email_id = r.email_id)
+     ORDER BY r.received_at ASC
+     LIMIT $3
+     ON CONFLICT (email_id) DO NOTHING
+     RETURNING *`,
+    [sinceDays, maxAttempts, limit]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Return PROCESSING jobs whose claim is older than the lease to PENDING.
+ */
+export async function releaseStaleInboundJobs({ staleAfterMs = 10 * 60 * 1000 } = {}, client = pool) {
+  if (!client) return [];
+
+  const result = await client.query(
+    `UPDATE inbound_jobs
+     SET status = 'PENDING',
+         claimed_at = NULL,
+         next_attempt_at = CURRENT_TIMESTAMP,
+         updated_at = CURRENT_TIMESTAMP,
+         last_error = COALESCE(last_error, 'Recovered stale PROCESSING job')
+     WHERE status = 'PROCESSING'
+       AND claimed_at IS NOT NULL
+       AND claimed_at < CURRENT_TIMESTAMP - ($1 * INTERVAL '1 millisecond')
+     RETURNING *`,
+    [staleAfterMs]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Atomically claim the next due PENDING job. PROCESSING jobs whose worker
+ * died are returned to PENDING first.
+ */
+export async function claimNextInboundJob({ staleAfterMs = 10 * 60 * 1000 } = {}) {
+  if (!pool) return null;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await releaseStaleInboundJobs({ staleAfterMs }, client);
+
+    const next = await client.query(`
+      SELECT id
+      FROM inbound_jobs
+      WHERE status = 'PENDING'
+        AND (next_attempt_at IS NULL OR next_attempt_at <= CURRENT_TIMESTAMP)
+      ORDER BY next_attempt_at ASC NULLS FIRST, id ASC
+      FOR UPDATE SKIP LOCKED
+      LIMIT 1
+    `);
+
+    if (!next.rows[0]) {
+      await client.query('COMMIT');
+      return null;
+    }
+
+    const claimed = await client.query(
+      `UPDATE inbound_jobs
+       SET status = 'PROCESSING',
+           claimed_at = CURRENT_TIMESTAMP,
+           attempt_count = attempt_count + 1,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [next.rows[0].id]
+    );
+
+    await client.query('COMMIT');
+    return claimed.rows[0] || null;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Record progress of a claimed job so a retry resumes at the right stage
+ */
+export async function saveInboundJobProgress(id, { stage, receivedEmailId, plan, results }) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `UPDATE inbound_jobs
+     SET stage = COALESCE($1, stage),
+         received_email_id = COALESCE($2, received_email_id),
+         plan = CASE WHEN $3::jsonb IS NULL THEN plan ELSE $3::jsonb END,
+         results = CASE WHEN $4::jsonb IS NULL THEN results ELSE $4::jsonb END,
+         claimed_at = CASE WHEN status = 'PROCESSING' THEN CURRENT_TIMESTAMP ELSE claimed_at END,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $5
+     RETURNING *`,
+    [
+      stage || null,
+      receivedEmailId || null,
+      plan ? JSON.stringify(plan) : null,
+      results ? JSON.stringify(results) : null,
+      id,
+    ]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Finish a claimed job: COMPLETED, back to PENDING for a retry, or DEAD.
+ */
+export async function finishInboundJob(id, { status, lastError = null, nextAttemptAt = null, attempt = null }) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `UPDATE inbound_jobs
+     SET status = $1,
+         last_error = $2,
+         next_attempt_at = $3,
+         attempts = CASE WHEN $4::jsonb IS NULL THEN attempts ELSE attempts || $4::jsonb END,
+         claimed_at = NULL,
+         completed_at = CASE WHEN $1 = 'COMPLETED' THEN CURRENT_TIMESTAMP ELSE completed_at END,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $5
+     RETURNING *`,
+    [status, lastError, nextAttemptAt, attempt ? JSON.stringify([attempt]) : null, id]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Put a DEAD job back on the queue with a fresh attempt budget; it resumes
+ * at the stage it failed in.
+ */
+export async function requeueInboundJob(id) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `UPDATE inbound_jobs
+     SET status = 'PENDING',
+         attempt_count = 0,
+         next_attempt_at = CURRENT_TIMESTAMP,
+         claimed_at = NULL,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'DEAD'
+     RETURNING *`,
+    [id]
+  );
+
+  return result.rows[0] || null;
+}
+
+export async function getInboundJobById(id) {
+  if (!pool) return null;
+
+  const result = await pool.query(`SELECT * FROM inbound_jobs WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+export async function getInboundJobs({ status = null, limit = 50 } = {}) {
+  if (!pool) return [];
+
+  const values = [];
+  const conditions = [];
+  if (status) {
+    values.push(String(status).toUpperCase());
+    conditions.push(`j.status = $${values.length}`);
+  }
+  values.push(Math.min(Math.max(Number(limit) || 50, 1), 100));
+
+  const result = await pool.query(
+    `SELECT j.id, j.received_email_id, j.email_id, j.domain, j.stage, j.status,
+            j.attempt_count, j.max_attempts, j.next_attempt_at, j.last_error,
+            j.created_at, j.updated_at, j.completed_at,
+            r.from_email, r.to_email, r.subject
+     FROM inbound_jobs j
+     LEFT JOIN received_emails r ON r.id = j.received_email_id
+     ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY j.created_at DESC
+     LIMIT $${values.length}`,
+    values
+  );
+
+  return result.rows;
+}
+
+export async function getInboundJobStats() {
+  if (!pool) {
+    return { total: 0, pending: 0, processing: 0, completed: 0, dead: 0 };
+  }
+
+  const result = await pool.query(`
+    SELECT
+      COUNT(*)::int AS total,
+      COUNT(*) FILTER (WHERE status = 'PENDING')::int AS pending,
+      COUNT(*) FILTER (WHERE status = 'PROCESSING')::int AS processing,
+      COUNT(*) FILTER (WHERE status = 'COMPLETED')::int AS completed,
+      COUNT(*) FILTER (WHERE status = 'DEAD')::int AS dead
+    FROM inbound_jobs
+  `);
+
+  return result.rows[0];
+}
+
+/**
+ * Raw counts behind GET /job-applications/stats.
+ * Applications are counted by the day they were received, in timeZone.
+ * Pipeline events are not tied to a department and are counted for the
+ * whole range.
+ * @param {Object} range - { start, end, timeZone, department }; end exclusive
+ */
+export async function getJobApplicationStats({ start, end, timeZone, department = null }) {
+  if (!pool) return null;
+
+  const values = [start, end, department];
+  const where = `ja.created_at >= $1::timestamptz AND ja.created_at < $2::timestamptz
+    AND ($3::text IS NULL OR LOWER(ja.department) = LOWER($3::text))`;
+  const countBy = (expression, extra = []) => pool.query(
+    `SELECT ${expression} AS key, COUNT(*)::int AS count
+     FROM job_applications ja
+     WHERE ${where}
+     GROUP BY 1`,
+    [...values, ...extra]
+  );
+  const seconds = (to, from) => `EXTRACT(EPOCH FROM (${to} - ${from}))`;
+
+  const [total, byClassification, byDepartment, byStatus, byDay, timing, events, classificationSources] = await Promise.all([
+    pool.query(
+      `SELECT COUNT(*)::int AS count FROM job_applications ja WHERE ${where}`,
+      values
+    ),
+    countBy('ja.classification'),
+    countBy('ja.department'),
+    countBy('ja.status'),
+    countBy(`to_char(ja.created_at::timestamptz AT TIME ZONE $4::text, 'YYYY-MM-DD')`, [timeZone]),
+    pool.query(
+      `SELECT
+         COUNT(ja.acknowledgement_sent_at)::int AS ack_count,
+         AVG(${seconds('ja.acknowledgement_sent_at', 'ja.created_at')}) AS ack_avg,
+         percentile_cont(0.5) WITHIN GROUP (ORDER BY ${seconds('ja.acknowledgement_sent_at', 'ja.created_at')}) AS ack_p50,
+         percentile_cont(0.9) WITHIN GROUP (ORDER BY ${seconds('ja.acknowledgement_sent_at', 'ja.created_at')}) AS ack_p90,
+         COUNT(*) FILTER (WHERE ja.hod_notified_at IS NOT NULL OR ja.notification_error IS NOT NULL)::int AS attempted,
+         COUNT(*) FILTER (WHERE ja.hod_notified_at IS NULL AND ja.notification_error IS NOT NULL)::int AS failed,
+         COUNT(ja.hod_notified_at)::int AS hod_count,
+         AVG(${seconds('ja.hod_notified_at', 'ja.created_at')}) AS hod_avg,
+         percentile_cont(0.5) WITHIN GROUP (ORDER BY ${seconds('ja.hod_notified_at', 'ja.created_at')}) AS hod_p50,
+         percentile_cont(0.9) WITHIN GROUP (ORDER BY ${seconds('ja.hod_notified_at', 'ja.created_at')}) AS hod_p90
+       FROM job_applications ja
+       WHERE ${where}`,
+      values
+    ),
+    pool.query(
+      `SELECT event_name, COUNT(*)::int AS count, AVG((metadata->>'latencyMs')::numeric) AS avg_latency_ms
+       FROM pipeline_events
+       WHERE created_at >= $1::timestamptz AND created_at < $2::timestamptz
+         AND event_name IN ('ai.request.completed', 'ai.request.failed', 'ai.request.timeout', 'ai.request.retrying')
+       GROUP BY event_name`,
+      [start, end]
+    ),
+    // How each recruitment email was classified: locally, by the fallback or by the AI
+    pool.query(
+      `SELECT CASE WHEN fast_path THEN 'fast_path' WHEN fallback THEN 'fallback' ELSE 'ai' END AS key,
+              COUNT(*)::int AS count
+       FROM (
+         SELECT email_id,
+                bool_or(event_name = 'application.processing.started') AS recruitment,
+                bool_or(event_name = 'ai.fast_path.used') AS fast_path,
+                bool_or(event_name = 'ai.fallback.used') AS fallback,
+                bool_or(event_name = 'ai.request.completed') AS ai
+         FROM pipeline_events
+         WHERE created_at >= $1::timestamptz AND created_at < $2::timestamptz
+           AND email_id IS NOT NULL
+           AND event_name IN ('application.processing.started', 'ai.fast_path.used', 'ai.fallback.used', 'ai.request.completed')
+         GROUP BY email_id
+       ) emails
+       WHERE recruitment AND (fast_path OR fallback OR ai)
+       GROUP BY 1`,
+      [start, end]
+    ),
+  ]);
+
+  const row = timing.rows[0] || {};
+  return {
+    total: total.rows[0]?.count || 0,
+    byClassification: byClassification.rows,
+    byDepartment: byDepartment.rows,
+    byStatus: byStatus.rows,
+    byDay: byDay.rows,
+    acknowledgement: { count: row.ack_count, avg: row.ack_avg, p50: row.ack_p50, p90: row.ack_p90 },
+    notifications: { attempted: row.attempted, failed: row.failed },
+    hodLatency: { count: row.hod_count, avg: row.hod_avg, p50: row.hod_p50, p90: row.hod_p90 },
+    events: events.rows,
+    classificationSources: classificationSources.rows,
+  };
+}
+
+// ============================================
+// Webhook Subscription Functions
+// ============================================
+
+export async function getWebhookSubscriptions({ activeOnly = false } = {}) {
+  if (!pool) return [];
+
+  const result = await pool.query(
+    `SELECT * FROM webhook_subscriptions
+     ${activeOnly ? 'WHERE is_active = true' : ''}
+     ORDER BY id ASC`
+  );
+
+  return result.rows;
+}
+
+export async function getWebhookSubscription(id) {
+  if (!pool) return null;
+
+  const result = await pool.query(`SELECT * FROM webhook_subscriptions WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+export async function createWebhookSubscription({
+  name,
+  url,
+  secret,
+  eventTypes = ['*'],
+  description = null,
+  isActive = true,
+  createdBy = null,
+}) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `INSERT INTO webhook_subscriptions (name, url, secret, event_types, description, is_active, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [name, url, secret, JSON.stringify(eventTypes), description, isActive, createdBy ? JSON.stringify(createdBy) : null]
+  );
+
+  return result.rows[0];
+}
+
+export async function updateWebhookSubscription(id, updates) {
+  if (!pool) return null;
+
+  const columns = {
+    name: 'name',
+    url: 'url',
+    secret: 'secret',
+    eventTypes: 'event_types',
+    description: 'description',
+    isActive: 'is_active',
+  };
+  const setClauses = [];
+  const values = [];
+
+  for (const [key, column] of Object.entries(columns)) {
+    if (updates[key] === undefined) continue;
+    values.push(key === 'eventTypes' ? JSON.stringify(updates[key]) : updates[key]);
+    setClauses.push(`${column} = $${values.length}`);
+  }
+  if (!setClauses.length) return getWebhookSubscription(id);
+
+  values.push(id);
+  const result = await pool.query(
+    `UPDATE webhook_subscriptions
+     SET ${setClauses.join(', ')}, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $${values.length}
+     RETURNING *`,
+    values
+  );
+
+  return result.rows[0] || null;
+}
+
+export async function deleteWebhookSubscription(id) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `DELETE FROM webhook_subscriptions WHERE id = $1 RETURNING *`,
+    [id]
+  );
+
+  return result.rows[0] || null;
+}
+
+export async function createWebhookDelivery({
+  subscriptionId,
+  messageId,
+  eventId,
+  eventType,
+  payload,
+  maxAttempts = 8,
+  replayOf = null,
+}) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `INSERT INTO webhook_deliveries (subscription_id, message_id, event_id, event_type, payload, max_attempts, replay_of)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [subscriptionId, messageId, eventId, eventType, JSON.stringify(payload), maxAttempts, replayOf]
+  );
+
+  return result.rows[0];
+}
+
+export async function getWebhookDeliveryById(id) {
+  if (!pool) return null;
+
+  const result = await pool.query(`SELECT * FROM webhook_deliveries WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+export async function getWebhookDeliveries({ subscriptionId = null, status = null, eventType = null, limit = 50 } = {}) {
+  if (!pool) return [];
+
+  const values = [];
+  const conditions = [];
+  if (subscriptionId) {
+    values.push(subscriptionId);
+    conditions.push(`d.subscription_id = $${values.length}`);
+  }
+  if (status) {
+    values.push(String(status).toUpperCase());
+    conditions.push(`d.status = $${values.length}`);
+  }
+  if (eventType) {
+    values.push(eventType);
+    conditions.push(`d.event_type = $${values.length}`);
+  }
+  values.push(Math.min(Math.max(Number(limit) || 50, 1), 200));
+
+  const result = await pool.query(
+    `SELECT d.id, d.subscription_id, s.name AS subscription_name, d.message_id, d.event_id,
+            d.event_type, d.status, d.attempt_count, d.max_attempts, d.next_attempt_at,
+            d.last_error, d.last_http_status, d.replay_of, d.created_at, d.updated_at, d.delivered_at
+     FROM webhook_deliveries d
+     JOIN webhook_subscriptions s ON s.id = d.subscription_id
+     ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY d.created_at DESC
+     LIMIT $${values.length}`,
+    values
+  );
+
+  return result.rows;
+}
+
+/**
+ * Atomically claim the next due PENDING delivery. PROCESSING rows whose
+ * worker died are returned to PENDING first.
+ */
+export async function claimNextWebhookDelivery({ staleAfterMs = 5 * 60 * 1000 } = {}) {
+  if (!pool) return null;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(
+      `UPDATE webhook_deliveries
+       SET status = 'PENDING',
+           claimed_at = NULL,
+           next_attempt_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP,
+           last_error = COALESCE(last_error, 'Recovered stale PROCESSING delivery')
+       WHERE status = 'PROCESSING'
+         AND claimed_at IS NOT NULL
+         AND claimed_at < CURRENT_TIMESTAMP - ($1 * INTERVAL '1 millisecond')`,
+      [staleAfterMs]
+    );
+
+    const next = await client.query(`
+      SELECT id
+      FROM webhook_deliveries
+      WHERE status = 'PENDING'
+        AND (next_attempt_at IS NULL OR next_attempt_at <= CURRENT_TIMESTAMP)
+      ORDER BY next_attempt_at ASC NULLS FIRST, id ASC
+      FOR UPDATE SKIP LOCKED
+      LIMIT 1
+    `);
+
+    if (!next.rows[0]) {
+      await client.query('COMMIT');
+      return null;
+    }
+
+    const claimed = await client.query(
+      `UPDATE webhook_deliveries d
+       SET status = 'PROCESSING',
+           claimed_at = CURRENT_TIMESTAMP,
+           attempt_count = attempt_count + 1,
+           updated_at = CURRENT_TIMESTAMP
+       FROM webhook_subscriptions s
+       WHERE d.id = $1 AND s.id = d.subscription_id
+       RETURNING d.*, s.url, s.secret, s.is_active AS subscription_active`,
+      [next.rows[0].id]
+    );
+
+    await client.query('COMMIT');
+    return claimed.rows[0] || null;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Finish a delivery attempt: DELIVERED, back to PENDING for a retry, or DEAD.
+ */
+export async function finishWebhookDelivery(id, {
+  status,
+  lastError = null,
+  httpStatus = null,
+  nextAttemptAt = null,
+  attempt = null,
+}) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `UPDATE webhook_deliveries
+     SET status = $1,
+         last_error = $2,
+         last_http_status = $3,
+         next_attempt_at = $4,
+         attempts = CASE WHEN $5::jsonb IS NULL THEN attempts ELSE attempts || $5::jsonb END,
+         claimed_at = NULL,
+         delivered_at = CASE WHEN $1 = 'DELIVERED' THEN CURRENT_TIMESTAMP ELSE delivered_at END,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $6
+     RETURNING *`,
+    [status, lastError, httpStatus, nextAttemptAt, attempt ? JSON.stringify([attempt]) : null, id]
+  );
+
+  return result.rows[0] || null;
+}
+
+// ============================================
+// HOD Notification Functions
+// ============================================
+
+export async function createHodNotification({
+  jobApplicationId = null,
+  replyId = null,
+  interviewId = null,
+  kind,
+  department = null,
+  message,
+  maxAttempts = 6,
+  audience = 'primary',
+  ackToken = null,
+  escalatedFromId = null,
+}) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `INSERT INTO hod_notifications
+       (job_application_id, reply_id, interview_id, kind, department, message, max_attempts, audience, ack_token, escalated_from_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING *`,
+    [jobApplicationId, replyId, interviewId, kind, department, message, maxAttempts, audience, ackToken, escalatedFromId]
+  );
+  return result.rows[0] || null;
+}
+
+export async function getHodNotifications({ status = null, jobApplicationId = null, limit = 50 } = {}) {
+  if (!pool) return [];
+
+  const values = [];
+  const conditions = [];
+  if (status) {
+    values.push(String(status).toUpperCase());
+    conditions.push(`status = $${values.length}`);
+  }
+  if (jobApplicationId) {
+    values.push(jobApplicationId);
+    conditions.push(`job_application_id = $${values.length}`);
+  }
+  values.push(Math.min(Math.max(Number(limit) || 50, 1), 200));
+
+  const result = await pool.query(
+    `SELECT * FROM hod_notifications
+     ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY created_at DESC
+     LIMIT $${values.length}`,
+    values
+  );
+  return result.rows;
+}
+
+/**
+ * Claim one notification to send it now, whatever its retry schedule.
+ * Returns null when it is already being sent or was sent.
+ */
+export async function claimHodNotification(id) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `UPDATE hod_notifications
+     SET status = 'PROCESSING', claimed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status IN ('PENDING', 'WAITING_FOR_HOD', 'DEAD')
+     RETURNING *`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Atomically claim the next due PENDING notification. PROCESSING rows whose
+ * worker died are returned to PENDING first.
+ */
+export async function claimNextHodNotification({ staleAfterMs = 5 * 60 * 1000 } = {}) {
+  if (!pool) return null;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(
+      `UPDATE hod_notifications
+       SET status = 'PENDING',
+           claimed_at = NULL,
+           next_attempt_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE status = 'PROCESSING'
+         AND claimed_at IS NOT NULL
+         AND claimed_at < CURRENT_TIMESTAMP - ($1 * INTERVAL '1 millisecond')`,
+      [staleAfterMs]
+    );
+
+    const claimed = await client.query(`
+      UPDATE hod_notifications
+      SET status = 'PROCESSING', claimed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = (
+        SELECT id FROM hod_notifications
+        WHERE status = 'PENDING'
+          AND (next_attempt_at IS NULL OR next_attempt_at <= CURRENT_TIMESTAMP)
+        ORDER BY next_attempt_at ASC NULLS FIRST, id ASC
+        FOR UPDATE SKIP LOCKED
+        LIMIT 1
+      )
+      RETURNING *
+    `);
+
+    await client.query('COMMIT');
+    return claimed.rows[0] || null;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Finish a send: SENT, PENDING for a retry, WAITING_FOR_HOD or DEAD.
+ * Only a real send attempt counts towards max_attempts. deliveredTo replaces
+ * the recipients that already have the message.
+ */
+export async function finishHodNotification(id, {
+  status,
+  lastError = null,
+  recipient = null,
+  nextAttemptAt = null,
+  attempt = null,
+  deliveredTo = null,
+  escalateAt = null,
+}) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `UPDATE hod_notifications
+     SET status = $1,
+         last_error = $2,
+         recipient = COALESCE($3, recipient),
+         next_attempt_at = $4,
+         attempt_count = attempt_count + CASE WHEN $5::jsonb IS NULL THEN 0 ELSE 1 END,
+         attempts = CASE WHEN $5::jsonb IS NULL THEN attempts ELSE attempts || $5::jsonb END,
+         delivered_to = COALESCE($7::jsonb, delivered_to),
+         escalate_at = COALESCE($8::timestamptz, escalate_at),
+         claimed_at = NULL,
+         sent_at = CASE WHEN $1 = 'SENT' THEN CURRENT_TIMESTAMP ELSE sent_at END,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $6
+     RETURNING *`,
+    [
+      status,
+      lastError,
+      recipient,
+      nextAttemptAt,
+      attempt ? JSON.stringify([attempt]) : null,
+      id,
+      deliveredTo ? JSON.stringify(deliveredTo) : null,
+      escalateAt,
+    ]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Atomically take the next notification whose escalation is due: sent to
+ * the primary, not acknowledged and not escalated yet.
+ */
+export async function claimNextHodEscalation() {
+  if (!pool) return null;
+
+  const result = await pool.query(`
+    UPDATE hod_notifications
+    SET escalated_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = (
+      SELECT id FROM hod_notifications
+      WHERE escalate_at <= CURRENT_TIMESTAMP
+        AND escalated_at IS NULL
+        AND acknowledged_at IS NULL
+      ORDER BY escalate_at ASC
+      FOR UPDATE SKIP LOCKED
+      LIMIT 1
+    )
+    RETURNING *
+  `);
+  return result.rows[0] || null;
+}
+
+/**
+ * Record that a HOD has seen a notification, by id or by the token of its
+ * acknowledgement link. The notification it escalated is acknowledged too.
+ * @returns {Promise<Object|null>} - The acknowledged notification
+ */
+export async function markHodNotificationAcknowledged({ id = null, token = null, acknowledgedBy = null }) {
+  if (!pool || (!id && !token)) return null;
+
+  const result = await pool.query(
+    `WITH target AS (
+       SELECT id, escalated_from_id FROM hod_notifications
+       WHERE ($1::bigint IS NOT NULL AND id = $1::bigint) OR ($2::text IS NOT NULL AND ack_token = $2::text)
+       LIMIT 1
+     )
+     UPDATE hod_notifications n
+     SET acknowledged_at = COALESCE(n.acknowledged_at, CURRENT_TIMESTAMP),
+         acknowledged_by = COALESCE(n.acknowledged_by, $3::text),
+         updated_at = CURRENT_TIMESTAMP
+     FROM target
+     WHERE n.id = target.id OR n.id = target.escalated_from_id
+     RETURNING n.*, n.id = target.id AS is_target`,
+    [id, token, acknowledgedBy]
+  );
+  const target = result.rows.find(row => row.is_target);
+  if (!target) return null;
+  delete target.is_target;
+  return target;
+}
+
+/**
+ * Put notifications that waited for a HOD number back in the queue.
+ * Saving the default HOD releases every department.
+ * @returns {Promise<number>} - Notifications released
+ */
+export async function releaseWaitingHodNotifications(department) {
+  if (!pool) return 0;
+
+  const result = await pool.query(
+    `UPDATE hod_notifications
+     SET status = 'PENDING', next_attempt_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE status = 'WAITING_FOR_HOD'
+       AND (LOWER($1::text) IN ('default', 'general') OR LOWER(COALESCE(department, '')) = LOWER($1::text))`,
+    [String(department || '').trim()]
+  );
+  return result.rowCount;
+}
+
+// ============================================
+// Candidate Functions
+// ============================================
+
+/**
+ * Candidates sharing an email address, a phone number or a name word with
+ * an application. Emails and phones are compared in their normalised form.
+ */
+export async function findCandidateMatches({ emails = [], phones = [], nameTokens = [] }, { limit = 50 } = {}) {
+  if (!pool || (!emails.length && !phones.length && !nameTokens.length)) return [];
+
+  const result = await pool.query(
+    `SELECT * FROM candidates
+     WHERE emails ?| $1::text[]
+        OR phones ?| $2::text[]
+        OR name_tokens ?| $3::text[]
+     ORDER BY updated_at DESC
+     LIMIT $4`,
+    [emails, phones, nameTokens, limit]
+  );
+  return result.rows;
+}
+
+export async function createCandidate({ name = null, emails = [], phones = [], nameTokens = [] }) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `INSERT INTO candidates (name, emails, phones, name_tokens)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [name, JSON.stringify(emails), JSON.stringify(phones), JSON.stringify(nameTokens)]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Add contacts to a candidate. The name is only set when it has none.
+ */
+export async function addCandidateContacts(id, { name = null, emails = [], phones = [], nameTokens = [] }) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `UPDATE candidates
+     SET name = COALESCE(name, $2),
+         emails = (SELECT COALESCE(jsonb_agg(DISTINCT value), '[]') FROM jsonb_array_elements_text(emails || $3::jsonb)),
+         phones = (SELECT COALESCE(jsonb_agg(DISTINCT value), '[]') FROM jsonb_array_elements_text(phones || $4::jsonb)),
+         name_tokens = (SELECT COALESCE(jsonb_agg(DISTINCT value), '[]') FROM jsonb_array_elements_text(name_tokens || $5::jsonb)),
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [id, name, JSON.stringify(emails), JSON.stringify(phones), JSON.stringify(nameTokens)]
+  );
+  return result.rows[0] || null;
+}
+
+export async function linkJobApplicationToCandidate(jobApplicationId, candidateId) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `UPDATE job_applications
+     SET candidate_id = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [jobApplicationId, candidateId]
+  );
+  return result.rows[0] || null;
+}
+
+export async function getCandidateById(id) {
+  if (!pool) return null;
+
+  const result = await pool.query(`SELECT * FROM candidates WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+export async function getCandidates({ q = null, limit = 100 } = {}) {
+  if (!pool) return [];
+
+  const values = [];
+  let where = '';
+  if (q) {
+    values.push(`%${String(q).toLowerCase()}%`);
+    where = `WHERE LOWER(c.name) LIKE $1 OR c.emails::text LIKE $1 OR c.phones::text LIKE $1`;
+  }
+  values.push(Math.min(Number(limit) || 100, 500));
+
+  const result = await pool.query(
+    `SELECT c.*,
+            COUNT(ja.id)::int AS application_count,
+            MAX(ja.created_at) AS last_applied_at
+     FROM candidates c
+     LEFT JOIN job_applications ja ON ja.candidate_id = c.id
+     ${where}
+     GROUP BY c.id
+     ORDER BY MAX(ja.created_at) DESC NULLS LAST, c.id DESC
+     LIMIT $${values.length}`,
+    values
+  );
+  return result.rows;
+}
+
+/**
+ * Every application of a candidate with its email, newest first.
+ */
+export async function getCandidateApplications(candidateId) {
+  if (!pool) return [];
+
+  const result = await pool.query(
+    `SELECT ja.*, re.subject, re.from_email, re.to_email, re.received_at, re.thread_id
+     FROM job_applications ja
+     JOIN received_emails re ON re.id = ja.received_email_id
+     WHERE ja.candidate_id = $1
+     ORDER BY ja.created_at DESC`,
+    [candidateId]
+  );
+  return result.rows;
+}
+
+/**
+ * Applications processed without a candidate yet, oldest first.
+ */
+export async function getJobApplicationsWithoutCandidate({ limit = 500 } = {}) {
+  if (!pool) return [];
+
+  const result = await pool.query(
+    `SELECT ja.*, re.from_email
+     FROM job_applications ja
+     JOIN received_emails re ON re.id = ja.received_email_id
+     WHERE ja.candidate_id IS NULL
+       AND ja.processing_status = 'completed'
+       AND ja.status <> 'ignored'
+     ORDER BY ja.created_at ASC
+     LIMIT $1`,
+    [limit]
+  );
+  return result.rows;
+}
+
+export async function createCandidateMatchReview({ candidateId, matchCandidateId, jobApplicationId = null, score = 0, reasons = [] }) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `INSERT INTO candidate_match_reviews (candidate_id, match_candidate_id, job_application_id, score, reasons)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (candidate_id, match_candidate_id) DO NOTHING
+     RETURNING *`,
+    [candidateId, matchCandidateId, jobApplicationId, score, JSON.stringify(reasons)]
+  );
+  return result.rows[0] || null;
+}
+
+const CANDIDATE_REVIEW_SELECT = `
+  SELECT r.*,
+         c.name AS candidate_name, c.emails AS candidate_emails, c.phones AS candidate_phones,
+         m.name AS match_name, m.emails AS match_emails, m.phones AS match_phones
+  FROM candidate_match_reviews r
+  LEFT JOIN candidates c ON c.id = r.candidate_id
+  LEFT JOIN candidates m ON m.id = r.match_candidate_id`;
+
+export async function getCandidateMatchReviews({ status = 'PENDING', candidateId = null, limit = 100 } = {}) {
+  if (!pool) return [];
+
+  const values = [];
+  const conditions = [];
+  if (status) {
+    values.push(status);
+    conditions.push(`r.status = $${values.length}`);
+  }
+  if (candidateId) {
+    values.push(candidateId);
+    conditions.push(`(r.candidate_id = $${values.length} OR r.match_candidate_id = $${values.length})`);
+  }
+  values.push(Math.min(Number(limit) || 100, 500));
+
+  const result = await pool.query(
+    `${CANDIDATE_REVIEW_SELECT}
+     ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY r.created_at ASC
+     LIMIT $${values.length}`,
+    values
+  );
+  return result.rows;
+}
+
+export async function getCandidateMatchReviewById(id) {
+  if (!pool) return null;
+
+  const result = await pool.query(`${CANDIDATE_REVIEW_SELECT} WHERE r.id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Mark a pending review as decided. Returns null when it was already decided.
+ */
+export async function resolveCandidateMatchReview(id, { status, resolvedBy = null }) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `UPDATE candidate_match_reviews
+     SET status = $2, resolved_by = $3, resolved_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'PENDING'
+     RETURNING *`,
+    [id, status, resolvedBy ? JSON.stringify(resolvedBy) : null]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Fold one candidate into another: applications and contacts move over,
+ * open reviews of the merged candidate are pointed at the one kept, and the
+ * merged candidate is deleted.
+ * @param {number} keepId
+ * @param {number} mergeId
+ * @param {Object} [options]
+ * @param {number} [options.reviewId] - Review accepted by this merge; resolved in the same transaction
+ * @param {Object} [options.resolvedBy] - Actor who accepted it
+ * @returns {Promise<Object|null>} - The candidate kept; null, with nothing changed, when the
+ *   review is no longer pending or the candidate was already merged
+ */
+export async function mergeCandidateRecords(keepId, mergeId, { reviewId = null, resolvedBy = null } = {}) {
+  if (!pool) return null;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    if (reviewId) {
+      const review = await client.query(
+        `UPDATE candidate_match_reviews
+         SET status = 'MERGED', resolved_by = $2, resolved_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = 'PENDING'
+         RETURNING id`,
+        [reviewId, resolvedBy ? JSON.stringify(resolvedBy) : null]
+      );
+      if (!review.rows[0]) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+    }
+
+    const merged = await client.query(`SELECT * FROM candidates WHERE id = $1 FOR UPDATE`, [mergeId]);
+    if (!merged.rows[0]) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const source = merged.rows[0];
+
+    await client.query(`UPDATE job_applications SET candidate_id = $1 WHERE candidate_id = $2`, [keepId, mergeId]);
+    const kept = await client.query(
+      `UPDATE candidates
+       SET name = COALESCE(name, $2),
+           emails = (SELECT COALESCE(jsonb_agg(DISTINCT value), '[]') FROM jsonb_array_elements_text(emails || $3::jsonb)),
+           phones = (SELECT COALESCE(jsonb_agg(DISTINCT value), '[]') FROM jsonb_array_elements_text(phones || $4::jsonb)),
+           name_tokens = (SELECT COALESCE(jsonb_agg(DISTINCT value), '[]') FROM jsonb_array_elements_text(name_tokens || $5::jsonb)),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [keepId, source.name, JSON.stringify(source.emails), JSON.stringify(source.phones), JSON.stringify(source.name_tokens)]
+    );
+
+    // Open reviews of the merged candidate now concern the kept one
+    await client.query(
+      `UPDATE candidate_match_reviews
+       SET candidate_id = CASE WHEN candidate_id = $2 THEN $1 ELSE candidate_id END,
+           match_candidate_id = CASE WHEN match_candidate_id = $2 THEN $1 ELSE match_candidate_id END
+       WHERE (candidate_id = $2 OR match_candidate_id = $2)
+         AND status = 'PENDING'
+         AND NOT (candidate_id IN ($1, $2) AND match_candidate_id IN ($1, $2))
+         AND NOT EXISTS (
+           SELECT 1 FROM candidate_match_reviews other
+           WHERE other.candidate_id = CASE WHEN candidate_match_reviews.candidate_id = $2 THEN $1 ELSE candidate_match_reviews.candidate_id END
+             AND other.match_candidate_id = CASE WHEN candidate_match_reviews.match_candidate_id = $2 THEN $1 ELSE candidate_match_reviews.match_candidate_id END
+         )`,
+      [keepId, mergeId]
+    );
+    await client.query(
+      `UPDATE candidate_match_reviews SET status = 'MERGED', resolved_at = CURRENT_TIMESTAMP
+       WHERE status = 'PENDING' AND candidate_id IN ($1, $2) AND match_candidate_id IN ($1, $2)`,
+      [keepId, mergeId]
+    );
+    // What is left duplicates a review the kept candidate already has
+    await client.query(
+      `DELETE FROM candidate_match_reviews
+       WHERE status = 'PENDING' AND (candidate_id = $1 OR match_candidate_id = $1)`,
+      [mergeId]
+    );
+    await client.query(`DELETE FROM candidates WHERE id = $1`, [mergeId]);
+
+    await client.query('COMMIT');
+    return kept.rows[0] || null;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// ============================================
+// Interview Functions
+// ============================================
+
+/**
+ * Store slots proposed from a candidate's availability. A slot the
+ * application already has is left alone.
+ * @param {number} jobApplicationId
+ * @param {Array<Object>} slots - { text, start, end, timeZone }
+ * @returns {Promise<Array>} - Rows that were added
+ */
+export async function saveProposedInterviews(jobApplicationId, slots) {
+  if (!pool || !slots.length) return [];
+
+  const added = [];
+  for (const slot of slots) {
+    const result = await pool.query(
+      `INSERT INTO interviews (job_application_id, slot_text, starts_at, ends_at, time_zone)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (job_application_id, starts_at) DO NOTHING
+       RETURNING *`,
+      [jobApplicationId, slot.text, slot.start, slot.end, slot.timeZone]
+    );
+    if (result.rows[0]) added.push(result.rows[0]);
+  }
+  return added;
+}
+
+/**
+ * A slot HR picked themselves. An earlier cancelled interview at the same
+ * time is proposed again.
+ */
+export async function upsertProposedInterview(jobApplicationId, { text = null, start, end, timeZone }) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `INSERT INTO interviews (job_application_id, slot_text, starts_at, ends_at, time_zone)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (job_application_id, starts_at) DO UPDATE SET
+       status = CASE WHEN interviews.status = 'CANCELLED' THEN 'PROPOSED' ELSE interviews.status END,
+       ends_at = EXCLUDED.ends_at,
+       time_zone = EXCLUDED.time_zone,
+       cancelled_at = NULL,
+       cancel_reason = NULL,
+       updated_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [jobApplicationId, text, start, end, timeZone]
+  );
+  return result.rows[0] || null;
+}
+
+export async function getInterviewById(id) {
+  if (!pool) return null;
+
+  const result = await pool.query(`SELECT * FROM interviews WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+export async function getInterviewsForApplication(jobApplicationId) {
+  if (!pool) return [];
+
+  const result = await pool.query(
+    `SELECT * FROM interviews
+     WHERE job_application_id = $1
+     ORDER BY starts_at ASC`,
+    [jobApplicationId]
+  );
+  return result.rows;
+}
+
+export async function getUpcomingConfirmedInterview(jobApplicationId) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `SELECT * FROM interviews
+     WHERE job_application_id = $1
+       AND status = 'CONFIRMED'
+       AND ends_at > CURRENT_TIMESTAMP
+     ORDER BY starts_at ASC
+     LIMIT 1`,
+    [jobApplicationId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Confirm a proposed interview. Returns null when it is no longer proposed.
+ */
+export async function confirmInterview(id, { endsAt, location = null, meetingUrl = null, notes = null, icsUid, confirmedBy = null }) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `UPDATE interviews
+     SET status = 'CONFIRMED',
+         ends_at = $2,
+         location = $3,
+         meeting_url = $4,
+         notes = $5,
+         ics_uid = $6,
+         confirmed_by = $7,
+         confirmed_at = CURRENT_TIMESTAMP,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'PROPOSED'
+     RETURNING *`,
+    [id, endsAt, location, meetingUrl, notes, icsUid, confirmedBy ? JSON.stringify(confirmedBy) : null]
+  );
+  return result.rows[0] || null;
+}
+
+export async function updateInterview(id, data) {
+  if (!pool) return null;
+
+  const columnMap = {
+    inviteEmailId: 'invite_email_id',
+    reminderEmailId: 'reminder_email_id',
+    icsSequence: 'ics_sequence',
+    hodNotifiedAt: 'hod_notified_at',
+    notificationError: 'notification_error',
+  };
+  const updates = [];
+  const values = [];
+
+  for (const [key, value] of Object.entries(data)) {
+    const column = columnMap[key];
+    if (!column) continue;
+    values.push(value);
+    updates.push(`${column} = $${values.length}`);
+  }
+
+  if (!updates.length) return getInterviewById(id);
+
+  values.push(id);
+  const result = await pool.query(
+    `UPDATE interviews
+     SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $${values.length}
+     RETURNING *`,
+    values
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Cancel a proposed or confirmed interview. Returns null when it is
+ * already cancelled.
+ */
+export async function cancelInterviewRecord(id, { reason = null } = {}) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `UPDATE interviews
+     SET status = 'CANCELLED',
+         cancelled_at = CURRENT_TIMESTAMP,
+         cancel_reason = $2,
+         ics_sequence = ics_sequence + CASE WHEN status = 'CONFIRMED' THEN 1 ELSE 0 END,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status IN ('PROPOSED', 'CONFIRMED')
+     RETURNING *`,
+    [id, reason]
+  );
+  return result.rows[0] || null;
+}
+
+// ============================================
+// Email Thread Functions
+// ============================================
+
+const THREAD_TABLES = { sent: 'emails', received: 'received_emails' };
+
+/**
+ * Thread of the first listed Message-ID found in either table. Ids are
+ * tried in the given order, so pass the direct parent first.
+ */
+export async function findThreadIdByMessageIds(messageIds) {
+  if (!pool || !messageIds?.length) return null;
+
+  const result = await pool.query(
+    `SELECT thread_id
+     FROM (
+       SELECT message_id, thread_id FROM emails WHERE message_id = ANY($1::text[]) AND thread_id IS NOT NULL
+       UNION ALL
+       SELECT message_id, thread_id FROM received_emails WHERE message_id = ANY($1::text[]) AND thread_id IS NOT NULL
+     ) known
+     ORDER BY array_position($1::text[], message_id::text)
+     LIMIT 1`,
+    [messageIds]
+  );
+
+  return result.rows[0]?.thread_id || null;
+}
+
+/**
+ * Most recent thread with this subject key that already includes the
+ * correspondent and was active since `since`.
+ */
+export async function findThreadBySubject({ subjectKey, correspondent, since }) {
+  if (!pool || !subjectKey || !correspondent) return null;
+
+  const result = await pool.query(
+    `SELECT * FROM email_threads
+     WHERE subject_key = $1 AND participants ? $2 AND last_message_at >= $3
+     ORDER BY last_message_at DESC
+     LIMIT 1`,
+    [subjectKey, correspondent, since]
+  );
+
+  return result.rows[0] || null;
+}
+
+export async function createEmailThread({ subject, subjectKey }) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `INSERT INTO email_threads (subject, subject_key) VALUES ($1, $2) RETURNING *`,
+    [subject || null, subjectKey || '']
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Put a sent or received email in a thread and refresh the thread's
+ * counters. A message already in a thread is left where it is.
+ * @param {number} threadId
+ * @param {Object} message - { direction: 'sent'|'received', id, messageId, inReplyTo, references, correspondent, at }
+ * @returns {Promise<boolean>} - Whether the message was added
+ */
+export async function addMessageToThread(threadId, {
+  direction,
+  id,
+  messageId = null,
+  inReplyTo = null,
+  references = [],
+  correspondent = null,
+  at = new Date(),
+}) {
+  if (!pool) return false;
+  const table = THREAD_TABLES[direction];
+  if (!table) throw new Error(`Unknown message direction: ${direction}`);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const updated = await client.query(
+      `UPDATE ${table}
+       SET thread_id = $1,
+           message_id = COALESCE(message_id, $3),
+           in_reply_to = COALESCE(in_reply_to, $4),
+           reference_ids = CASE WHEN jsonb_array_length(reference_ids) = 0 THEN $5::jsonb ELSE reference_ids END
+       WHERE id = $2 AND thread_id IS NULL
+       RETURNING id`,
+      [threadId, id, messageId, inReplyTo, JSON.stringify(references || [])]
+    );
+
+    if (updated.rowCount) {
+      await client.query(
+        `UPDATE email_threads
+         SET message_count = message_count + 1,
+             participants = CASE
+               WHEN $2::text IS NULL OR participants ? $2 THEN participants
+               ELSE participants || jsonb_build_array($2::text)
+             END,
+             first_message_at = LEAST(COALESCE(first_message_at, $3), $3),
+             last_message_at = GREATEST(COALESCE(last_message_at, $3), $3),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [threadId, correspondent, at]
+      );
+    }
+
+    await client.query('COMMIT');
+    return updated.rowCount > 0;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+export async function getEmailThreadById(id) {
+  if (!pool) return null;
+
+  const result = await pool.query(`SELECT * FROM email_threads WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Every message of a thread, sent and received, oldest first.
+ */
+export async function getThreadMessages(threadId) {
+  if (!pool) return [];
+
+  const result = await pool.query(
+    `SELECT * FROM (
+       SELECT 'sent' AS direction, id, resend_id AS email_id, from_email, to_email, subject,
+              html_content, text_content, status, message_id, in_reply_to, COALESCE(send_at, sent_at) AS occurred_at
+       FROM emails WHERE thread_id = $1
+       UNION ALL
+       SELECT 'received' AS direction, id, email_id, from_email, to_email, subject,
+              html_content, text_content, 'received' AS status, message_id, in_reply_to, received_at AS occurred_at
+       FROM received_emails WHERE thread_id = $1
+     ) messages
+     ORDER BY occurred_at ASC, direction ASC, id ASC`,
+    [threadId]
+  );
+
+  return result.rows;
+}
+
+export async function getEmailThreads({ q = null, limit = 50 } = {}) {
+  if (!pool) return [];
+
+  const values = [];
+  let where = 'WHERE message_count > 0';
+  if (q) {
+    values.push(`%${q}%`);
+    where += ` AND (subject ILIKE $1 OR participants::text ILIKE $1)`;
+  }
+  values.push(Math.min(Math.max(Number(limit) || 50, 1), 200));
+
+  const result = await pool.query(
+    `SELECT * FROM email_threads
+     ${where}
+     ORDER BY last_message_at DESC NULLS LAST
+     LIMIT $${values.length}`,
+    values
+  );
+
+  return result.rows;
+}
+
+/**
+ * Recent sent and received emails that are not in a thread yet, oldest
+ * first so parents are threaded before their replies.
+ */
+export async function getUnthreadedEmails({ sinceDays = 30, limit = 500 } = {}) {
+  if (!pool) return [];
+
+  const result = await pool.query(
+    `SELECT * FROM (
+       SELECT 'sent' AS direction, id, from_email, to_email, subject, message_id, in_reply_to, reference_ids,
+              '{}'::jsonb AS headers, '{}'::jsonb AS raw_data, COALESCE(send_at, sent_at) AS occurred_at
+       FROM emails
+       WHERE thread_id IS NULL AND sent_at >= NOW() - ($1::int * INTERVAL '1 day')
+       UNION ALL
+       SELECT 'received' AS direction, id, from_email, to_email, subject, message_id, in_reply_to, reference_ids,
+              headers, raw_data, received_at AS occurred_at
+       FROM received_emails
+       WHERE thread_id IS NULL AND received_at >= NOW() - ($1::int * INTERVAL '1 day')
+     ) pending
+     ORDER BY occurred_at ASC
+     LIMIT $2`,
+    [sinceDays, limit]
+  );
+
+  return result.rows;
+}
+
+// ============================================
+// Email Template Functions
+// ============================================
+
+const TEMPLATE_WITH_VERSION_SQL = `
+  SELECT t.*, v.subject, v.html, v.text, v.created_at AS version_created_at
+  FROM email_templates t
+  LEFT JOIN email_template_versions v
+    ON v.template_id = t.id AND v.version = t.current_version
+`;
+
+export async function getEmailTemplates() {
+  if (!pool) return [];
+
+  const result = await pool.query(`${TEMPLATE_WITH_VERSION_SQL} ORDER BY t.slug ASC`);
+  return result.rows;
+}
+
+/**
+ * Get a template with its current version, by numeric id or slug
+ */
+export async function getEmailTemplate(idOrSlug) {
+  if (!pool) return null;
+
+  const isId = /^\d+$/.test(String(idOrSlug));
+  const result = await pool.query(
+    `${TEMPLATE_WITH_VERSION_SQL} WHERE ${isId ? 't.id = $1' : 't.slug = $1'}`,
+    [isId ? Number(idOrSlug) : String(idOrSlug)]
+  );
+
+  return result.rows[0] || null;
+}
+
+export async function getEmailTemplateVersions(templateId) {
+  if (!pool) return [];
+
+  const result = await pool.query(
+    `SELECT * FROM email_template_versions
+     WHERE template_id = $1
+     ORDER BY version DESC`,
+    [templateId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Create a template together with its first version
+ */
+export async function createEmailTemplate({ slug, name, description = null, subject, html, text = null, createdBy = null }) {
+  if (!pool) return null;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const template = await client.query(
+      `INSERT INTO email_templates (slug, name, description)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [slug, name, description]
+    );
+    await client.query(
+      `INSERT INTO email_template_versions (template_id, version, subject, html, text, created_by)
+       VALUES ($1, 1, $2, $3, $4, $5)`,
+      [template.rows[0].id, subject, html, text, createdBy ? JSON.stringify(createdBy) : null]
+    );
+    await client.query('COMMIT');
+    return template.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Save an edit as a new version and make it current
+ */
+export async function createEmailTemplateVersion(templateId, { subject, html, text = null, createdBy = null }) {
+  if (!pool) return null;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const template = await client.query(
+      `SELECT id FROM email_templates WHERE id = $1 FOR UPDATE`,
+      [templateId]
+    );
+    if (!template.rows[0]) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const version = await client.query(
+      `INSERT INTO email_template_versions (template_id, version, subject, html, text, created_by)
+       SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4, $5
+       FROM email_template_versions WHERE template_id = $1
+       RETURNING *`,
+      [templateId, subject, html, text, createdBy ? JSON.stringify(createdBy) : null]
+    );
+    await client.query(
+      `UPDATE email_templates
+       SET current_version = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [version.rows[0].version, templateId]
+    );
+    await client.query('COMMIT');
+    return version.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Roll a template back (or forward) to an existing version
+ */
+export async function setEmailTemplateVersion(templateId, version) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `UPDATE email_templates t
+     SET current_version = v.version, updated_at = CURRENT_TIMESTAMP
+     FROM email_template_versions v
+     WHERE t.id = $1 AND v.template_id = t.id AND v.version = $2
+     RETURNING t.*`,
+    [templateId, version]
+  );
+
+  return result.rows[0] || null;
+}
+
+export async function getDomainBrandings() {
+  if (!pool) return [];
+
+  const result = await pool.query(`SELECT * FROM domain_branding ORDER BY domain ASC`);
+  return result.rows;
+}
+
+export async function getDomainBranding(domain) {
+  if (!pool || !domain) return null;
+
+  const result = await pool.query(
+    `SELECT * FROM domain_branding WHERE domain = $1`,
+    [String(domain).toLowerCase()]
+  );
+
+  return result.rows[0] || null;
+}
+
+export async function saveDomainBranding({
+  domain,
+  companyName = null,
+  logoUrl = null,
+  primaryColor = null,
+  footerHtml = null,
+  footerText = null,
+}) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `INSERT INTO domain_branding (domain, company_name, logo_url, primary_color, footer_html, footer_text)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (domain) DO UPDATE SET
+       company_name = EXCLUDED.company_name,
+       logo_url = EXCLUDED.logo_url,
+       primary_color = EXCLUDED.primary_color,
+       footer_html = EXCLUDED.footer_html,
+       footer_text = EXCLUDED.footer_text,
+       updated_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [String(domain).toLowerCase(), companyName, logoUrl, primaryColor, footerHtml, footerText]
+  );
+
+  return result.rows[0];
+}
+
+// ============================================
+// Batch Send Functions
+// ============================================
+
+/**
+ * Start a batch. A retried request with the same Idempotency-Key reopens
+ * the original batch instead of creating a second one.
+ */
+export async function createBatch({ totalCount, idempotencyKey = null, createdBy = null }) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `INSERT INTO batches (total_count, idempotency_key, created_by)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (idempotency_key) WHERE idempotency_key IS NOT NULL
+     DO UPDATE SET status = 'processing',
+                   total_count = GREATEST(batches.total_count, EXCLUDED.total_count),
+                   completed_at = NULL,
+                   updated_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [totalCount, idempotencyKey, createdBy ? JSON.stringify(createdBy) : null]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Record one batch message. A resend of the same item replaces its earlier row.
+ */
+export async function saveBatchEmail({
+  batchId,
+  batchIndex,
+  resendId = null,
+  domain,
+  from,
+  to,
+  cc,
+  bcc,
+  subject,
+  html,
+  text,
+  status,
+  errorMessage = null,
+  metadata = {},
+  idempotencyKey = null,
+  requestHash = null,
+  idempotencyResponse = null,
+}) {
+  if (!pool) return null;
+
+  const emailDomain = domain || extractDomainFromEmail(from || '') || 'eternalgy.me';
+
+  const result = await pool.query(
+    `INSERT INTO emails
+     (batch_id, batch_index, resend_id, domain, from_email, to_email, cc_emails, bcc_emails, subject,
+      html_content, text_content, status, error_message, metadata, idempotency_key, request_hash,
+      idempotency_response)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+     ON CONFLICT (batch_id, batch_index)
+     DO UPDATE SET resend_id = EXCLUDED.resend_id,
+                   status = EXCLUDED.status,
+                   error_message = EXCLUDED.error_message,
+                   idempotency_key = EXCLUDED.idempotency_key,
+                   request_hash = EXCLUDED.request_hash,
+                   idempotency_response = EXCLUDED.idempotency_response,
+                   sent_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [
+      batchId,
+      batchIndex,
+      resendId,
+      emailDomain,
+      from,
+      Array.isArray(to) ? to.join(', ') : to,
+      JSON.stringify(cc || []),
+      JSON.stringify(bcc || []),
+      subject,
+      html,
+      text,
+      status,
+      errorMessage,
+      JSON.stringify(metadata || {}),
+      idempotencyKey,
+      requestHash,
+      idempotencyResponse ? JSON.stringify(idempotencyResponse) : null,
+    ]
+  );
+
+  return result.rows[0] || null;
+}
+
+const BATCH_COUNTS_SQL = `
+  SELECT batch_id,
+         SUM(status_count)::int AS processed,
+         COALESCE(SUM(status_count) FILTER (WHERE status = 'failed'), 0)::int AS failed,
+         COALESCE(SUM(status_count) FILTER (WHERE status <> 'failed'), 0)::int AS sent,
+         jsonb_object_agg(status, status_count) AS by_status
+  FROM (
+    SELECT batch_id, COALESCE(status, 'unknown') AS status, COUNT(*)::int AS status_count
+    FROM emails
+    WHERE batch_id IS NOT NULL
+    GROUP BY batch_id, COALESCE(status, 'unknown')
+  ) items
+  GROUP BY batch_id
+`;
+
+function withBatchCounts(row) {
+  const processed = row.processed || 0;
+  return {
+    ...row,
+    processed,
+    pending: Math.max(0, row.total_count - processed),
+    sent: row.sent || 0,
+    failed: row.failed || 0,
+    by_status: row.by_status || {},
+  };
+}
+
+/**
+ * Close a batch: completed when every message was accepted by Resend,
+ * failed when none was, partial otherwise.
+ */
+export async function finishBatch(batchId) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `WITH counts AS (
+       SELECT COUNT(*) FILTER (WHERE status = 'failed')::int AS failed,
+              COUNT(*)::int AS processed
+       FROM emails WHERE batch_id = $1
+     )
+     UPDATE batches
+     SET status = CASE
+           WHEN counts.failed = 0 THEN 'completed'
+           WHEN counts.failed >= counts.processed THEN 'failed'
+           ELSE 'partial'
+         END,
+         completed_at = CURRENT_TIMESTAMP,
+         updated_at = CURRENT_TIMESTAMP
+     FROM counts
+     WHERE batches.id = $1
+     RETURNING batches.*`,
+    [batchId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Recent batches with progress and delivery outcome counts.
+ */
+export async function getBatches({ limit = 50 } = {}) {
+  if (!pool) return [];
+
+  const result = await pool.query(
+    `SELECT b.*, c.processed, c.sent, c.failed, c.by_status
+     FROM batches b
+     LEFT JOIN (${BATCH_COUNTS_SQL}) c ON c.batch_id = b.id
+     ORDER BY b.created_at DESC
+     LIMIT $1`,
+    [Math.min(Math.max(Number(limit) || 50, 1), 100)]
+  );
+
+  return result.rows.map(withBatchCounts);
+}
+
+/**
+ * One batch with its counts and per-message rows (failures carry error_message).
+ */
+export async function getBatchById(id) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `SELECT b.*, c.processed, c.sent, c.failed, c.by_status
+     FROM batches b
+     LEFT JOIN (${BATCH_COUNTS_SQL}) c ON c.batch_id = b.id
+     WHERE b.id = $1`,
+    [id]
+  );
+  if (!result.rows[0]) return null;
+
+  const emails = await pool.query(
+    `SELECT id, batch_index, resend_id, to_email, subject, status, error_message, sent_at, delivered_at
+     FROM emails
+     WHERE batch_id = $1
+     ORDER BY batch_index ASC`,
+    [id]
+  );
+
+  return { ...withBatchCounts(result.rows[0]), emails: emails.rows };
+}
+
+// ============================================
+// Outbound Email Queue Functions
+// ============================================
+
+/**
+ * Queue an email for the outbound worker.
+ */
+export async function createOutboundEmail({
+  emailId = null,
+  domain,
+  source = 'api',
+  payload,
+  maxAttempts = 8,
+  sendAt = null,
+}, client = pool) {
+  if (!pool) return null;
+
+  const result = await client.query(
+    `INSERT INTO outbound_emails (email_id, domain, source, payload, max_attempts, status, next_attempt_at)
+     VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, CURRENT_TIMESTAMP))
+     RETURNING *`,
+    [emailId, domain, source, JSON.stringify(payload), maxAttempts, sendAt ? 'SCHEDULED' : 'PENDING', sendAt]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Save an email and its outbound queue row in one transaction. With
+ * `buildResponse`, the Idempotency-Key response is stored in it too, so a
+ * key is never left without its response.
+ * @param {Object} emailData - As saveEmail
+ * @param {Object} outboundData - As createOutboundEmail, without emailId
+ * @param {Object} [options]
+ * @param {Function} [options.buildResponse] - (email, outbound) => stored response
+ * @returns {Promise<{ email: Object, outbound: Object }|null>}
+ */
+export async function saveQueuedEmail(emailData, outboundData, { buildResponse = null } = {}) {
+  if (!pool) return null;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const email = await saveEmail(emailData, client);
+    const outbound = await createOutboundEmail({ ...outboundData, emailId: email.id }, client);
+    if (buildResponse) {
+      await saveIdempotencyResponse(email.id, buildResponse(email, outbound), client);
+    }
+    await client.query('COMMIT');
+    return { email, outbound };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+export async function getOutboundEmailById(id) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `SELECT * FROM outbound_emails WHERE id = $1`,
+    [id]
+  );
+
+  return result.rows[0] || null;
+}
+
+export async function getOutboundEmailByEmailId(emailId) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `SELECT * FROM outbound_emails WHERE email_id = $1 ORDER BY id DESC LIMIT 1`,
+    [emailId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * List queued emails without their payloads (attachments can be large).
+ */
+export async function getOutboundEmails({ status = null, limit = 50 } = {}) {
+  if (!pool) return [];
+
+  const values = [];
+  const conditions = [];
+  if (status) {
+    values.push(status);
+    conditions.push(`status = $${values.length}`);
+  }
+  values.push(Math.min(Math.max(Number(limit) || 50, 1), 100));
+
+  const result = await pool.query(
+    `SELECT id, email_id, domain, source, status, attempt_count, max_attempts,
+            next_attempt_at, last_error, last_http_status, resend_id,
+            payload->>'to' AS to_email, payload->>'subject' AS subject,
+            created_at, updated_at, sent_at
+     FROM outbound_emails
+     ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY created_at DESC
+     LIMIT $${values.length}`,
+    values
+  );
+
+  return result.rows;
+}
+
+export async function getOutboundEmailStats() {
+  if (!pool) {
+    return { total: 0, scheduled: 0, pending: 0, processing: 0, sent: 0, dead: 0, cancelled: 0 };
+  }
+
+  const result = await pool.query(`
+    SELECT
+      COUNT(*)::int AS total,
+      COUNT(*) FILTER (WHERE status = 'SCHEDULED')::int AS scheduled,
+      COUNT(*) FILTER (WHERE status = 'PENDING')::int AS pending,
+      COUNT(*) FILTER (WHERE status = 'PROCESSING')::int AS processing,
+      COUNT(*) FILTER (WHERE status = 'SENT')::int AS sent,
+      COUNT(*) FILTER (WHERE status = 'DEAD')::int AS dead,
+      COUNT(*) FILTER (WHERE status = 'CANCELLED')::int AS cancelled
+    FROM outbound_emails
+  `);
+
+  return result.rows[0];
+}
+
+/**
+ * Atomically claim the next due PENDING email. PROCESSING rows whose
+ * worker died are returned to PENDING first.
+ */
+export async function claimNextOutboundEmail({ staleAfterMs = 10 * 60 * 1000 } = {}) {
+  if (!pool) return null;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(
+      `UPDATE outbound_emails
+       SET status = 'PENDING',
+           claimed_at = NULL,
+           next_attempt_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP,
+           last_error = COALESCE(last_error, 'Recovered stale PROCESSING email')
+       WHERE status = 'PROCESSING'
+         AND claimed_at IS NOT NULL
+         AND claimed_at < CURRENT_TIMESTAMP - ($1 * INTERVAL '1 millisecond')`,
+      [staleAfterMs]
+    );
+
+    const next = await client.query(`
+      SELECT id
+      FROM outbound_emails
+      WHERE status = 'PENDING'
+        AND (next_attempt_at IS NULL OR next_attempt_at <= CURRENT_TIMESTAMP)
+      ORDER BY next_attempt_at ASC NULLS FIRST, id ASC
+      FOR UPDATE SKIP LOCKED
+      LIMIT 1
+    `);
+
+    if (!next.rows[0]) {
+      await client.query('COMMIT');
+      return null;
+    }
+
+    const claimed = await client.query(
+      `UPDATE outbound_emails
+       SET status = 'PROCESSING',
+           claimed_at = CURRENT_TIMESTAMP,
+           attempt_count = attempt_count + 1,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [next.rows[0].id]
+    );
+
+    await client.query('COMMIT');
+    return claimed.rows[0] || null;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Finish a queued email: SENT, back to PENDING for a retry, or DEAD.
+ * The linked emails row mirrors the outcome.
+ */
+export async function finishOutboundEmail(id, {
+  status,
+  resendId = null,
+  lastError = null,
+  httpStatus = null,
+  nextAttemptAt = null,
+  attempt = null,
+}) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `UPDATE outbound_emails
+     SET status = $1,
+         resend_id = COALESCE($2, resend_id),
+         last_error = $3,
+         last_http_status = $4,
+         next_attempt_at = $5,
+         attempts = CASE WHEN $6::jsonb IS NULL THEN attempts ELSE attempts || $6::jsonb END,
+         claimed_at = NULL,
+         sent_at = CASE WHEN $1 = 'SENT' THEN CURRENT_TIMESTAMP ELSE sent_at END,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $7
+     RETURNING *`,
+    [
+      status,
+      resendId,
+      lastError,
+      httpStatus,
+      nextAttemptAt,
+      attempt ? JSON.stringify([attempt]) : null,
+      id,
+    ]
+  );
+
+  const outbound = result.rows[0] || null;
+  if (outbound?.email_id && status !== 'PENDING') {
+    // A delivered/opened webhook can arrive before this update; never move the status back
+    const emailStatus = status === 'SENT' ? 'sent' : 'failed';
+    await pool.query(
+      `UPDATE emails
+       SET resend_id = COALESCE($1, resend_id),
+           status = CASE WHEN status = ANY($5::text[]) THEN status ELSE $2 END,
+           error_message = $3,
+           sent_at = CASE WHEN $2 = 'sent' THEN CURRENT_TIMESTAMP ELSE sent_at END
+       WHERE id = $4`,
+      [resendId, emailStatus, lastError, outbound.email_id, statusesAtOrAbove(emailStatus)]
+    );
+  }
+
+  return outbound;
+}
+
+/**
+ * Move due SCHEDULED emails onto the send queue.
+ */
+export async function releaseDueScheduledEmails({ limit = 100 } = {}) {
+  if (!pool) return [];
+
+  const result = await pool.query(
+    `WITH released AS (
+       UPDATE outbound_emails
+       SET status = 'PENDING', updated_at = CURRENT_TIMESTAMP
+       WHERE id IN (
+         SELECT id FROM outbound_emails
+         WHERE status = 'SCHEDULED' AND next_attempt_at <= CURRENT_TIMESTAMP
+         ORDER BY next_attempt_at ASC
+         FOR UPDATE SKIP LOCKED
+         LIMIT $1
+       )
+       RETURNING *
+     ), queued AS (
+       UPDATE emails SET status = 'queued'
+       WHERE id IN (SELECT email_id FROM released) AND status = 'scheduled'
+     )
+     SELECT * FROM released`,
+    [limit]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Cancel a scheduled email that has not been released yet.
+ * Returns null when it is no longer SCHEDULED.
+ */
+export async function cancelScheduledEmail(emailId) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `WITH cancelled AS (
+       UPDATE outbound_emails
+       SET status = 'CANCELLED', updated_at = CURRENT_TIMESTAMP
+       WHERE email_id = $1 AND status = 'SCHEDULED'
+       RETURNING *
+     ), email AS (
+       UPDATE emails SET status = 'cancelled'
+       WHERE id IN (SELECT email_id FROM cancelled)
+     )
+     SELECT * FROM cancelled`,
+    [emailId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Move a dead-lettered email back to the queue.
+ */
+export async function requeueOutboundEmail(id) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `UPDATE outbound_emails
+     SET status = 'PENDING',
+         attempt_count = 0,
+         next_attempt_at = CURRENT_TIMESTAMP,
+         claimed_at = NULL,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'DEAD'
+     RETURNING *`,
+    [id]
+  );
+
+  const outbound = result.rows[0] || null;
+  if (outbound?.email_id) {
+    await pool.query(
+      `UPDATE emails SET status = 'queued', error_message = NULL WHERE id = $1`,
+      [outbound.email_id]
+    );
+  }
+
+  return outbound;
+}
+
+// ============================================
+// Service Token Functions (API authentication)
+// ============================================
+
+const SERVICE_TOKEN_COLUMNS = `id, name, token_prefix, role, is_active, created_by,
+  created_at, last_used_at, expires_at, revoked_at`;
+
+/**
+ * List service tokens (hashes are never returned)
+ */
+export async function getServiceTokens() {
+  if (!pool) return [];
+
+  const result = await pool.query(`
+    SELECT ${SERVICE_TOKEN_COLUMNS}
+    FROM service_tokens
+    ORDER BY created_at DESC
+  `);
+
+  return result.rows;
+}
+
+/**
+ * Find an active, unexpired service token by its SHA-256 hash
+ */
+export async function getServiceTokenByHash(tokenHash) {
+  if (!pool || !tokenHash) return null;
+
+  const result = await pool.query(`
+    SELECT ${SERVICE_TOKEN_COLUMNS}
+    FROM service_tokens
+    WHERE token_hash = $1
+      AND is_active = true
+      AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+  `, [tokenHash]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Store a new service token hash
+ */
+export async function createServiceToken({ name, tokenHash, tokenPrefix, role, createdBy = null, expiresAt = null }) {
+  if (!pool) return null;
+
+  const result = await pool.query(`
+    INSERT INTO service_tokens (name, token_hash, token_prefix, role, created_by, expires_at)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING ${SERVICE_TOKEN_COLUMNS}
+  `, [name, tokenHash, tokenPrefix, role, createdBy, expiresAt]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Revoke a service token (kept for the audit trail)
+ */
+export async function revokeServiceToken(id) {
+  if (!pool) return null;
+
+  const result = await pool.query(`
+    UPDATE service_tokens
+    SET is_active = false, revoked_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND is_active = true
+    RETURNING ${SERVICE_TOKEN_COLUMNS}
+  `, [id]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Record that a service token was used
+ */
+export async function touchServiceToken(id) {
+  if (!pool) return;
+
+  await pool.query(`
+    UPDATE service_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1
+  `, [id]);
+}
+
 // ============================================
 // API Key Management Functions
 // ============================================
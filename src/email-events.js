@@ -0,0 +1,89 @@
+// Resend delivery events for sent emails
+//
+// Every event is kept in email_events; the status on the emails row only
+// moves forward, so a late `email.delivered` cannot undo an `email.opened`.
+// `failed` is terminal: Resend can report it after accepting the send.
+
+export const EVENT_STATUSES = {
+  'email.sent': 'sent',
+  'email.delivered': 'delivered',
+  'email.delivery_delayed': null,
+  'email.bounced': 'bounced',
+  'email.complained': 'complained',
+  'email.opened': 'opened',
+  'email.clicked': 'clicked',
+  'email.failed': 'failed',
+};
+
+// Higher ranks win; statuses sharing a rank never replace each other
+const STATUS_RANK = {
+  scheduled: 0,
+  cancelled: 0,
+  queued: 1,
+  sent: 2,
+  delivered: 3,
+  failed: 4,
+  opened: 5,
+  clicked: 6,
+  bounced: 7,
+  complained: 8,
+};
+
+// Nothing replaces these once they are set
+const TERMINAL_STATUSES = new Set(['failed']);
+
+export function isDeliveryEvent(type) {
+  return Object.hasOwn(EVENT_STATUSES, type || '');
+}
+
+export function getStatusRank(status) {
+  return STATUS_RANK[status] ?? -1;
+}
+
+/**
+ * Whether an email in `current` status should move to `next`.
+ */
+export function shouldAdvanceStatus(current, next) {
+  if (!next || TERMINAL_STATUSES.has(current)) return false;
+  return getStatusRank(next) > getStatusRank(current);
+}
+
+/**
+ * Statuses that `next` must not replace; checked inside the UPDATE so the
+ * rule also holds when two webhooks for one email are handled at once.
+ */
+export function statusesAtOrAbove(next) {
+  return Object.keys(STATUS_RANK).filter(status => !shouldAdvanceStatus(status, next));
+}
+
+/**
+ * Pull the timeline fields out of a Resend webhook body.
+ * @param {Object} event - { type, created_at, data }
+ * @returns {Object} - { resendId, eventType, status, occurredAt, clickUrl, details }
+ */
+export function describeEmailEvent(event) {
+  const data = event?.data || {};
+  const occurredAt = new Date(event?.created_at || data.created_at || Date.now());
+
+  const details = {};
+  if (data.click) {
+    details.click = {
+      link: data.click.link || null,
+      ip_address: data.click.ipAddress || null,
+      user_agent: data.click.userAgent || null,
+      timestamp: data.click.timestamp || null,
+    };
+  }
+  if (data.open) details.open = data.open;
+  if (data.bounce) details.bounce = data.bounce;
+  if (data.failed) details.failed = data.failed;
+
+  return {
+    resendId: data.email_id || null,
+    eventType: event?.type || null,
+    status: EVENT_STATUSES[event?.type] ?? null,
+    occurredAt: Number.isNaN(occurredAt.getTime()) ? new Date() : occurredAt,
+    clickUrl: data.click?.link || null,
+    details,
+  };
+}
@@ -2,6 +2,7 @@
 
 import config, { getApiKeyForDomain } from './config.js';
 import { extractDomainFromEmail } from './seda-email-parser.js';
+import { filterSuppressedRecipients } from './suppression-service.js';
 
 const RESEND_API_URL = 'https://api.resend.com/emails';
 
@@ -16,11 +17,24 @@ const RESEND_API_URL = 'https://api.resend.com/emails';
  * @param {Array} [options.cc] - CC recipients
  * @param {Array} [options.bcc] - BCC recipients
  * @param {Array} [options.attachments] - Attachments
+ * @param {Object} [options.headers] - Extra headers (Message-ID, In-Reply-To, References, ...)
  * @param {string} [options.domain] - Domain to determine which API key to use
- * @returns {Promise<Object>} - Resend API response
+ * @param {string} [options.idempotencyKey] - Sent as Resend's Idempotency-Key header
+ * @returns {Promise<Object>} - Resend API response, plus `skipped_recipients` when
+ *   suppressed cc/bcc addresses were dropped
+ * @throws {Error} 422 `recipient_suppressed` when every `to` recipient is suppressed
  */
 export async function sendEmail(options) {
-  const { to, subject, html, text, from, cc, bcc, attachments, domain } = options;
+  const { subject, html, text, from, attachments, headers, domain, idempotencyKey } = options;
+
+  // Determine which API key to use based on domain or from email
+  const fromDomain = domain || extractDomainFromEmail(from);
+  const { to, cc, bcc, skipped } = await filterSuppressedRecipients({
+    domain: domain || extractDomainFromEmail(from || config.DEFAULT_FROM),
+    to: options.to,
+    cc: options.cc,
+    bcc: options.bcc,
+  });
 
   const payload = {
     from: from || config.DEFAULT_FROM,
@@ -31,10 +45,9 @@ export async function sendEmail(options) {
     ...(cc && { cc }),
     ...(bcc && { bcc }),
     ...(attachments && { attachments }),
+    ...(headers && Object.keys(headers).length && { headers }),
   };
 
-  // Determine which API key to use based on domain or from email
-  const fromDomain = domain || extractDomainFromEmail(from);
   const apiKey = await getApiKeyForDomain(fromDomain);
 
   if (!apiKey) {
@@ -48,38 +61,55 @@ export async function sendEmail(options) {
     headers: {
       'Authorization': `Bearer ${apiKey}`,
       'Content-Type': 'application/json',
+      ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey }),
     },
     body: JSON.stringify(payload),
   });
 
-  const data = await response.json();
+  const data = await response.json().catch(() => ({}));
 
   if (!response.ok) {
     const error = new Error(data.message || 'Failed to send email');
     error.status = response.status;
     error.data = data;
+    const retryAfterSeconds = Number(response.headers.get('retry-after'));
+    if (Number.isFinite(retryAfterSeconds) && retryAfterSeconds > 0) {
+      error.retryAfterMs = retryAfterSeconds * 1000;
+    }
     throw error;
   }
 
-  return data;
+  return skipped.length ? { ...data, skipped_recipients: skipped } : data;
 }
 
 /**
- * Send a batch of emails
+ * Send a batch of emails, at most `concurrency` Resend requests at a time
  * @param {Array<Object>} emails - Array of email options
- * @returns {Promise<Array>} - Array of results
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] - Defaults to config.SEND_BATCH_CONCURRENCY
+ * @param {Function} [options.onResult] - Awaited with each result as it completes
+ * @returns {Promise<Array>} - Array of results, in input order
  */
-export async function sendBatch(emails) {
-  const results = await Promise.allSettled(
-    emails.map(email => sendEmail(email))
-  );
-
-  return results.map((result, index) => ({
-    index,
-    success: result.status === 'fulfilled',
-    data: result.status === 'fulfilled' ? result.value : null,
-    error: result.status === 'rejected' ? result.reason : null,
-  }));
+export async function sendBatch(emails, { concurrency = config.SEND_BATCH_CONCURRENCY, onResult = null } = {}) {
+  const results = new Array(emails.length);
+  let nextIndex = 0;
+
+  async function runWorker() {
+    while (nextIndex < emails.length) {
+      const index = nextIndex++;
+      try {
+        const data = await sendEmail(emails[index]);
+        results[index] = { index, success: true, data, error: null };
+      } catch (error) {
+        results[index] = { index, success: false, data: null, error };
+      }
+      if (onResult) await onResult(results[index]);
+    }
+  }
+
+  const workerCount = Math.min(Math.max(1, Number(concurrency) || 1), emails.length);
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+  return results;
 }
 
 /**
@@ -0,0 +1,91 @@
+// Conversation threading for sent and received mail
+//
+// A message joins the thread of the newest message it refers to through
+// In-Reply-To or References. Without a known reference it joins a recent
+// thread with the same normalised subject and the same correspondent, and
+// otherwise starts a new thread. This module is pure; thread-service.js
+// does the lookups.
+
+import crypto from 'crypto';
+import { normalizeHeaders } from './inbound-routes.js';
+import { extractEmailAddresses } from './seda-email-parser.js';
+
+// Re:, Fwd:, and their common translations (Malay, German, Nordic, French, Spanish)
+const SUBJECT_PREFIX = /^\s*(?:(?:re|fwd?|aw|wg|sv|vs|tr|rv|balas)\s*(?:\[\d+\])?\s*[:：]\s*)+/i;
+
+/**
+ * Message ids in a header value, kept with their angle brackets.
+ * @param {string|Array} value - Message-ID, In-Reply-To or References value
+ * @returns {Array<string>}
+ */
+export function parseMessageIds(value) {
+  if (!value) return [];
+  const text = Array.isArray(value) ? value.join(' ') : String(value);
+  const bracketed = text.match(/<[^<>\s]+>/g);
+  if (bracketed) return [...new Set(bracketed)];
+  return [...new Set(text.split(/[\s,]+/).filter(id => id.includes('@')).map(id => `<${id}>`))];
+}
+
+export function normalizeMessageId(value) {
+  return parseMessageIds(value)[0] || null;
+}
+
+/**
+ * Subject used to match messages without reply headers: reply and forward
+ * prefixes removed, whitespace collapsed, lower case.
+ */
+export function normalizeThreadSubject(subject) {
+  return String(subject || '').replace(SUBJECT_PREFIX, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+export function generateMessageId(domain) {
+  return `<${crypto.randomUUID()}@${domain || 'localhost'}>`;
+}
+
+/**
+ * Threading fields of an emails or received_emails row.
+ * @param {Object} email - Row; received rows are read from their headers
+ * @param {'sent'|'received'} direction
+ * @returns {Object} - { messageId, inReplyTo, references, subjectKey, correspondent }
+ */
+export function describeThreadMessage(email, direction) {
+  const headers = {
+    ...normalizeHeaders(email?.raw_data?.headers),
+    ...normalizeHeaders(email?.headers),
+  };
+  const references = email?.reference_ids?.length
+    ? email.reference_ids
+    : parseMessageIds(headers.references);
+
+  return {
+    messageId: normalizeMessageId(email?.message_id || headers['message-id']),
+    inReplyTo: normalizeMessageId(email?.in_reply_to || headers['in-reply-to']),
+    references,
+    subjectKey: normalizeThreadSubject(email?.subject),
+    // The other party: who wrote to us, or who we wrote to
+    correspondent: extractEmailAddresses(direction === 'sent' ? email?.to_email : email?.from_email)[0] || null,
+  };
+}
+
+/**
+ * Referenced ids to look up, most specific first: the direct parent, then
+ * References from newest to oldest.
+ */
+export function threadLookupIds({ inReplyTo, references = [] }) {
+  return [...new Set([inReplyTo, ...[...references].reverse()].filter(Boolean))];
+}
+
+/**
+ * Headers that make a new message a reply to `original` in mail clients.
+ * @param {Object} original - emails or received_emails row
+ * @returns {Object} - { 'In-Reply-To', References }, empty without a Message-ID
+ */
+export function buildReplyHeaders(original) {
+  const parent = describeThreadMessage(original, 'received');
+  if (!parent.messageId) return {};
+  const references = [...parent.references.filter(id => id !== parent.messageId), parent.messageId];
+  return {
+    'In-Reply-To': parent.messageId,
+    References: references.slice(-20).join(' '),
+  };
+}
@@ -0,0 +1,473 @@
+// WhatsApp notifications to the head of department (HOD) of an application
+//
+// Every notification goes through the hod_notifications outbox. The first
+// attempt is made straight away so the caller knows the outcome; a failed
+// send is retried by a worker with backoff and dead-lettered after
+// HOD_NOTIFICATION_MAX_ATTEMPTS. A notification goes to every primary and HR
+// recipient of the department (or of the default department); a retry only
+// sends to those that did not get it yet. Without a recipient the
+// notification waits until one is saved. A later success is written back to
+// the application, reply or interview it was for.
+//
+// A new application the primary HOD has not acknowledged within the
+// department's escalation hours, while it is still `new`, is sent to the
+// backup recipients. HODs acknowledge with the link in the message, or HR
+// records it on the dashboard.
+
+import crypto from 'crypto';
+import config from './config.js';
+import {
+  isDatabaseAvailable,
+  getHodDepartments,
+  getHodDepartmentById,
+  getHodRecipients,
+  saveHodDepartment,
+  saveHodRecipient,
+  getHodRecipientById,
+  updateHodRecipient,
+  deleteHodRecipient,
+  createHodNotification,
+  getHodNotifications,
+  claimHodNotification,
+  claimNextHodNotification,
+  claimNextHodEscalation,
+  finishHodNotification,
+  markHodNotificationAcknowledged,
+  releaseWaitingHodNotifications,
+  getJobApplicationById,
+  updateJobApplication,
+  updateJobApplicationReply,
+  updateInterview,
+  savePipelineEvent,
+} from './database.js';
+import {
+  HOD_ESCALATION_AUDIENCE,
+  normalizeHodRecipient,
+  normalizeEscalationHours,
+  selectHodRecipients,
+} from './hod-recipients.js';
+import { sendWhatsAppMessage } from './whatsapp-client.js';
+
+export const HOD_NOTIFICATION_STATUSES = ['PENDING', 'PROCESSING', 'WAITING_FOR_HOD', 'SENT', 'DEAD'];
+
+// Notifications the primary HOD is expected to acknowledge
+const ESCALATING_KINDS = ['application.created'];
+
+const NOTIFICATION_STALE_AFTER_MS = 5 * 60 * 1000;
+const NOTIFICATIONS_PER_TICK = 20;
+
+let workerTimer = null;
+let workerBusy = false;
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+async function logPipelineEvent(eventName, details = {}) {
+  try {
+    await savePipelineEvent({ eventName, ...details });
+  } catch (err) {
+    console.error('Pipeline event logging failed:', err.message);
+  }
+}
+
+function missingHodError(department, audience = 'primary') {
+  if (audience === HOD_ESCALATION_AUDIENCE) {
+    return `No backup HOD recipient configured for department: ${department || 'default'}`;
+  }
+  return department
+    ? `No HOD WhatsApp number configured for department: ${department}`
+    : 'No department was extracted and no default HOD is configured';
+}
+
+/**
+ * Exponential backoff from HOD_NOTIFICATION_RETRY_BASE_MS, capped at
+ * HOD_NOTIFICATION_RETRY_MAX_MS.
+ */
+export function getHodNotificationRetryDelay(attemptCount, {
+  baseMs = config.HOD_NOTIFICATION_RETRY_BASE_MS,
+  maxMs = config.HOD_NOTIFICATION_RETRY_MAX_MS,
+} = {}) {
+  const exponent = Math.max(0, Number(attemptCount || 1) - 1);
+  return Math.min(baseMs * (2 ** exponent), maxMs);
+}
+
+/**
+ * The text one recipient gets. HODs expected to acknowledge get the link
+ * for it when PUBLIC_BASE_URL is known.
+ */
+export function hodMessageFor(notification, recipient, { baseUrl = config.PUBLIC_BASE_URL } = {}) {
+  if (!notification.ack_token || !baseUrl || recipient.role === 'hr') return notification.message;
+  return `${notification.message}\n\nTap to acknowledge: ${baseUrl}/hod-ack/${notification.ack_token}`;
+}
+
+// First delivery to someone other than HR
+function hodDelivery(notification) {
+  return (notification?.delivered_to || []).find(delivery => delivery.role !== 'hr') || null;
+}
+
+function escalationHours(department) {
+  const hours = department?.escalation_hours;
+  return hours === null || hours === undefined ? config.HOD_ESCALATION_HOURS : Number(hours);
+}
+
+// Record a later outcome on what the notification was about
+async function writeBack(notification, result) {
+  if (notification.kind === 'application.created' && notification.job_application_id) {
+    await updateJobApplication(notification.job_application_id, result);
+  }
+  if (notification.reply_id) {
+    await updateJobApplicationReply(notification.reply_id, result);
+  }
+  if (notification.kind === 'interview.scheduled' && notification.interview_id) {
+    await updateInterview(notification.interview_id, result);
+  }
+}
+
+/**
+ * One send attempt for a claimed notification, to every recipient that
+ * does not have it yet.
+ * @param {Object} notification - Claimed hod_notifications row
+ * @param {Object} [options]
+ * @param {boolean} [options.writeBack] - Record the outcome on the application, reply or interview
+ * @returns {Promise<Object>} - The finished hod_notifications row
+ */
+async function attemptHodNotification(notification, { writeBack: record = true } = {}) {
+  const context = {
+    applicationId: notification.job_application_id,
+    metadata: { notificationId: notification.id, kind: notification.kind, attemptCount: notification.attempt_count },
+  };
+
+  const target = await getHodRecipients(notification.department);
+  const recipients = selectHodRecipients(target?.recipients, notification.audience);
+  if (!recipients.length) {
+    return finishHodNotification(notification.id, {
+      status: 'WAITING_FOR_HOD',
+      lastError: missingHodError(notification.department, notification.audience),
+    });
+  }
+
+  const delivered = notification.delivered_to || [];
+  const pending = recipients.filter(recipient => !delivered.some(delivery => delivery.number === recipient.number));
+  const startedAt = Date.now();
+  const failures = [];
+  const deliveredTo = [...delivered];
+  for (const recipient of pending) {
+    try {
+      await sendWhatsAppMessage({ to: recipient.number, text: hodMessageFor(notification, recipient) });
+      deliveredTo.push({ ...recipient, at: new Date().toISOString() });
+    } catch (error) {
+      failures.push({ to: recipient.number, role: recipient.role, error: error.message });
+    }
+  }
+
+  const attempt = pending.length ? {
+    at: new Date(startedAt).toISOString(),
+    ok: !failures.length,
+    to: pending.map(recipient => recipient.number),
+    ...(failures.length ? { failed: failures } : {}),
+    durationMs: Date.now() - startedAt,
+  } : null;
+  const hours = escalationHours(target.department);
+  const startsEscalation = ESCALATING_KINDS.includes(notification.kind)
+    && notification.audience !== HOD_ESCALATION_AUDIENCE
+    && !notification.escalate_at
+    && hours > 0
+    && deliveredTo.some(delivery => delivery.role === 'primary');
+  const common = {
+    recipient: deliveredTo.map(delivery => delivery.number).join(', ') || null,
+    deliveredTo,
+    escalateAt: startsEscalation ? new Date(Date.now() + hours * 60 * 60 * 1000) : null,
+    attempt,
+  };
+
+  let finished;
+  if (!failures.length) {
+    finished = await finishHodNotification(notification.id, { status: 'SENT', ...common });
+  } else {
+    const lastError = failures.map(failure => `${failure.to}: ${failure.error}`).join('; ');
+    const attempts = notification.attempt_count + 1;
+    finished = attempts < notification.max_attempts
+      ? await finishHodNotification(notification.id, {
+        status: 'PENDING',
+        lastError,
+        nextAttemptAt: new Date(Date.now() + getHodNotificationRetryDelay(attempts)),
+        ...common,
+      })
+      : await finishHodNotification(notification.id, { status: 'DEAD', lastError, ...common });
+    if (finished.status === 'DEAD') {
+      await logPipelineEvent('hod.notification.dead', { ...context, level: 'error', message: lastError });
+    }
+  }
+
+  const settled = ['SENT', 'DEAD'].includes(finished.status);
+  if (record && (settled || (hodDelivery(finished) && !hodDelivery(notification)))) {
+    await writeBack(notification, outcome(finished));
+  }
+  if (record && finished.status === 'SENT') await logPipelineEvent('hod.notification.sent', context);
+  return finished;
+}
+
+// The HOD has it once a primary or backup recipient got it, even while HR copies are retried
+function outcome(notification) {
+  const delivery = hodDelivery(notification);
+  return delivery
+    ? { hodNotifiedAt: new Date(delivery.at), notificationError: null }
+    : { notificationError: notification?.last_error || 'HOD notification is queued' };
+}
+
+/**
+ * WhatsApp the HOD of a department. The message is queued in the outbox and
+ * the first attempt is made now.
+ * @param {string|null} department
+ * @param {string} text
+ * @param {Object} [source] - What the notification is about
+ * @param {string} [source.kind] - application.created, application.updated, interview.scheduled, ...
+ * @param {number} [source.applicationId]
+ * @param {number} [source.replyId]
+ * @param {number} [source.interviewId]
+ * @returns {Promise<Object>} - { hodNotifiedAt, notificationError } of the first attempt, for updateJobApplication
+ */
+export async function notifyHod(department, text, { kind = 'application.created', applicationId = null, replyId = null, interviewId = null } = {}) {
+  // Recipients are kept in the database
+  if (!isDatabaseAvailable()) return { notificationError: missingHodError(department) };
+
+  const queued = await createHodNotification({
+    jobApplicationId: applicationId,
+    replyId,
+    interviewId,
+    kind,
+    department: department ? String(department).trim() : null,
+    message: text,
+    maxAttempts: config.HOD_NOTIFICATION_MAX_ATTEMPTS,
+    ackToken: ESCALATING_KINDS.includes(kind) ? crypto.randomBytes(18).toString('base64url') : null,
+  });
+  const claimed = await claimHodNotification(queued.id);
+  // The worker got to it first
+  if (!claimed) return outcome(queued);
+  // The caller records this first outcome itself
+  return outcome(await attemptHodNotification(claimed, { writeBack: false }));
+}
+
+/**
+ * Send notifications of an application again now, whatever their retry
+ * schedule: every one that is not sent yet.
+ * @returns {Promise<Array>} - The notifications after the attempt
+ */
+export async function retryHodNotifications(applicationId) {
+  const unsent = (await getHodNotifications({ jobApplicationId: applicationId, limit: 200 }))
+    .filter(notification => ['PENDING', 'WAITING_FOR_HOD', 'DEAD'].includes(notification.status));
+  const results = [];
+  for (const notification of unsent) {
+    const claimed = await claimHodNotification(notification.id);
+    if (claimed) results.push(await attemptHodNotification(claimed));
+  }
+  return results;
+}
+
+/**
+ * A recipient was saved for a department: send what was waiting for it.
+ * @returns {Promise<number>} - Notifications put back in the queue
+ */
+export async function releaseHodNotifications(department) {
+  if (!isDatabaseAvailable()) return 0;
+
+  const released = await releaseWaitingHodNotifications(department);
+  if (released) {
+    await logPipelineEvent('hod.notification.released', { metadata: { department, released } });
+    wakeHodNotificationWorker();
+  }
+  return released;
+}
+
+export async function listHodNotifications({ status = null, jobApplicationId = null, limit } = {}) {
+  const normalized = status ? String(status).toUpperCase() : null;
+  if (normalized && !HOD_NOTIFICATION_STATUSES.includes(normalized)) {
+    throw httpError(400, `status must be one of: ${HOD_NOTIFICATION_STATUSES.join(', ')}`);
+  }
+  return getHodNotifications({ status: normalized, jobApplicationId, limit });
+}
+
+export async function processNextHodNotification() {
+  if (!isDatabaseAvailable()) return null;
+
+  const notification = await claimNextHodNotification({ staleAfterMs: NOTIFICATION_STALE_AFTER_MS });
+  if (!notification) return null;
+  return attemptHodNotification(notification);
+}
+
+/**
+ * Acknowledge a notification: by id from the dashboard, or by the token of
+ * the link in the WhatsApp message. Stops its escalation.
+ * @throws {Error} 404 when there is no such notification
+ */
+export async function acknowledgeHodNotification({ id = null, token = null, actor = null } = {}) {
+  const notification = await markHodNotificationAcknowledged({ id, token, acknowledgedBy: actor });
+  if (!notification) throw httpError(404, 'HOD notification not found');
+
+  await logPipelineEvent('hod.notification.acknowledged', {
+    applicationId: notification.job_application_id,
+    metadata: { notificationId: notification.id, by: notification.acknowledged_by || 'link' },
+  });
+  return notification;
+}
+
+/**
+ * Escalate the next notification the primary HOD did not acknowledge in
+ * time: the backup recipients get it. Skipped when the application has moved
+ * on from `new` or there is no backup that did not get it already.
+ * @returns {Promise<{ notification: Object, escalation: Object|null }|null>}
+ */
+export async function processNextHodEscalation() {
+  if (!isDatabaseAvailable()) return null;
+
+  const notification = await claimNextHodEscalation();
+  if (!notification) return null;
+  const context = {
+    applicationId: notification.job_application_id,
+    metadata: { notificationId: notification.id, department: notification.department },
+  };
+
+  const application = notification.job_application_id
+    ? await getJobApplicationById(notification.job_application_id)
+    : null;
+  const target = await getHodRecipients(notification.department);
+  const backups = selectHodRecipients(target?.recipients, HOD_ESCALATION_AUDIENCE)
+    .filter(backup => !(notification.delivered_to || []).some(delivery => delivery.number === backup.number));
+  const skipReason = application && application.status !== 'new'
+    ? `application is already ${application.status}`
+    : !backups.length ? missingHodError(notification.department, HOD_ESCALATION_AUDIENCE) : null;
+  if (skipReason) {
+    await logPipelineEvent('hod.notification.escalation_skipped', { ...context, message: skipReason });
+    return { notification, escalation: null };
+  }
+
+  const escalation = await createHodNotification({
+    jobApplicationId: notification.job_application_id,
+    kind: 'application.escalated',
+    department: notification.department,
+    message: `⏰ Escalation: the HOD has not acknowledged this application yet. Please follow up.\n\n${notification.message}`,
+    maxAttempts: config.HOD_NOTIFICATION_MAX_ATTEMPTS,
+    audience: HOD_ESCALATION_AUDIENCE,
+    ackToken: crypto.randomBytes(18).toString('base64url'),
+    escalatedFromId: notification.id,
+  });
+  await logPipelineEvent('hod.notification.escalated', {
+    ...context,
+    level: 'warn',
+    metadata: { ...context.metadata, escalationId: escalation.id, backups: backups.length },
+  });
+  return { notification, escalation };
+}
+
+async function tick() {
+  if (workerBusy || !isDatabaseAvailable()) return;
+  workerBusy = true;
+  try {
+    for (let handled = 0; handled < NOTIFICATIONS_PER_TICK; handled++) {
+      if (!await processNextHodEscalation()) break;
+    }
+    for (let handled = 0; handled < NOTIFICATIONS_PER_TICK; handled++) {
+      const result = await processNextHodNotification();
+      if (!result) break;
+      if (result.status !== 'SENT') {
+        console.log(`📱 HOD notification ${result.id}: ${result.status} (${result.last_error})`);
+      }
+    }
+  } catch (error) {
+    console.error('❌ HOD notification worker error:', error.message);
+  } finally {
+    workerBusy = false;
+  }
+}
+
+export function wakeHodNotificationWorker() {
+  if (workerTimer) void tick();
+}
+
+export function startHodNotificationWorker() {
+  if (workerTimer) return stopHodNotificationWorker;
+
+  workerTimer = setInterval(() => void tick(), config.HOD_NOTIFICATION_INTERVAL_MS);
+  workerTimer.unref?.();
+  void tick();
+  return stopHodNotificationWorker;
+}
+
+export function stopHodNotificationWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
+
+// ============================================
+// Recipients
+// ============================================
+
+export async function listHodDepartments() {
+  return getHodDepartments();
+}
+
+async function releaseFor(department) {
+  return department?.is_active ? releaseHodNotifications(department.department) : 0;
+}
+
+/**
+ * Create or update a department. A hod_whatsapp_number (the single number of
+ * earlier versions) is saved as a primary recipient.
+ * @param {Object} input - { department, is_active, escalation_hours, hod_whatsapp_number }
+ * @returns {Promise<Object>} - The department with released_notifications
+ */
+export async function saveHodDepartmentSettings(input = {}) {
+  const name = String(input.department ?? '').trim();
+  if (!name) throw httpError(400, 'Missing required field: department');
+  const recipient = input.hod_whatsapp_number !== undefined
+    ? normalizeHodRecipient({ whatsapp_number: input.hod_whatsapp_number, role: 'primary' })
+    : null;
+
+  const department = await saveHodDepartment(name, {
+    isActive: input.is_active !== false,
+    escalationHours: input.escalation_hours === undefined ? undefined : normalizeEscalationHours(input.escalation_hours),
+  });
+  if (recipient) await saveHodRecipient(department.id, recipient);
+  return { ...department, released_notifications: await releaseFor(department) };
+}
+
+/**
+ * Add a recipient to a department, or update the one with the same number.
+ * @param {number} departmentId
+ * @param {Object} input - { name, whatsapp_number, role, is_active }
+ */
+export async function addHodRecipient(departmentId, input = {}) {
+  const recipient = normalizeHodRecipient(input);
+  const department = await getHodDepartmentById(departmentId);
+  if (!department) throw httpError(404, 'HOD department not found');
+
+  const saved = await saveHodRecipient(department.id, recipient);
+  return { ...saved, released_notifications: await releaseFor(department) };
+}
+
+export async function updateHodRecipientSettings(id, input = {}) {
+  const fields = normalizeHodRecipient(input, { partial: true });
+  const existing = await getHodRecipientById(id);
+  if (!existing) throw httpError(404, 'HOD recipient not found');
+
+  let updated;
+  try {
+    updated = await updateHodRecipient(id, fields);
+  } catch (error) {
+    if (error.code === '23505') throw httpError(409, 'The department already has a recipient with this number');
+    throw error;
+  }
+  const department = await getHodDepartmentById(existing.hod_department_id);
+  return { ...updated, released_notifications: await releaseFor(department) };
+}
+
+export async function removeHodRecipient(id) {
+  const deleted = await deleteHodRecipient(id);
+  if (!deleted) throw httpError(404, 'HOD recipient not found');
+  return deleted;
+}
@@ -0,0 +1,100 @@
+// Who gets the WhatsApp message of a department
+//
+// A department has any number of recipients, each with a role:
+//   primary - the HOD; gets every notification and is expected to acknowledge
+//   backup  - gets an escalation when the primary has not acknowledged in time,
+//             and stands in for the primary when the department has none
+//   hr      - gets a copy of every notification, never escalations
+// A department without an active recipient falls back to the recipients of
+// the `default` department. This module is pure; storage is in database.js.
+
+export const HOD_RECIPIENT_ROLES = ['primary', 'backup', 'hr'];
+
+// Department names that hold the global default recipients
+export const DEFAULT_HOD_DEPARTMENTS = ['default', 'general'];
+
+// Notifications to the backups, after the primary did not acknowledge
+export const HOD_ESCALATION_AUDIENCE = 'backup';
+
+function validationError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+export function isDefaultHodDepartment(department) {
+  return DEFAULT_HOD_DEPARTMENTS.includes(String(department || '').trim().toLowerCase());
+}
+
+/**
+ * Check a recipient from the API.
+ * @param {Object} input - { name, whatsapp_number, role, is_active }
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Only check the fields present (PATCH)
+ * @returns {{ name?: string|null, whatsappNumber?: string, role?: string, isActive?: boolean }}
+ * @throws {Error} 400 on invalid input
+ */
+export function normalizeHodRecipient(input = {}, { partial = false } = {}) {
+  const recipient = {};
+
+  if (!partial || input.whatsapp_number !== undefined) {
+    const digits = String(input.whatsapp_number ?? '').replace(/[^\d]/g, '');
+    if (digits.length < 8 || digits.length > 15) {
+      throw validationError('whatsapp_number must be an international number of 8 to 15 digits');
+    }
+    recipient.whatsappNumber = digits;
+  }
+  if (!partial || input.role !== undefined) {
+    const role = String(input.role ?? 'primary').trim().toLowerCase();
+    if (!HOD_RECIPIENT_ROLES.includes(role)) {
+      throw validationError(`role must be one of: ${HOD_RECIPIENT_ROLES.join(', ')}`);
+    }
+    recipient.role = role;
+  }
+  if (input.name !== undefined) {
+    recipient.name = String(input.name ?? '').trim().slice(0, 120) || null;
+  }
+  if (input.is_active !== undefined) {
+    recipient.isActive = input.is_active !== false;
+  }
+  return recipient;
+}
+
+/**
+ * Hours before an unacknowledged notification goes to the backups.
+ * Empty means the configured default; 0 turns escalation off.
+ * @returns {number|null}
+ * @throws {Error} 400 on invalid input
+ */
+export function normalizeEscalationHours(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const hours = Number(value);
+  if (!Number.isFinite(hours) || hours < 0 || hours > 720) {
+    throw validationError('escalation_hours must be between 0 and 720');
+  }
+  return Math.round(hours * 100) / 100;
+}
+
+/**
+ * Recipients of one notification.
+ * @param {Array<Object>} recipients - hod_recipients rows of the department
+ * @param {string} [audience] - 'primary' for a notification, 'backup' for an escalation
+ * @returns {Array<{ number: string, role: string, name: string|null }>} - Without duplicate numbers
+ */
+export function selectHodRecipients(recipients = [], audience = 'primary') {
+  const active = recipients.filter(recipient => recipient.is_active !== false && recipient.whatsapp_number);
+  const withRole = role => active.filter(recipient => recipient.role === role);
+
+  let selected;
+  if (audience === HOD_ESCALATION_AUDIENCE) {
+    selected = withRole('backup');
+  } else {
+    const primary = withRole('primary');
+    selected = [...(primary.length ? primary : withRole('backup')), ...withRole('hr')];
+  }
+
+  const seen = new Set();
+  return selected
+    .filter(recipient => !seen.has(recipient.whatsapp_number) && seen.add(recipient.whatsapp_number))
+    .map(recipient => ({ number: recipient.whatsapp_number, role: recipient.role, name: recipient.name || null }));
+}
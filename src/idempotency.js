@@ -0,0 +1,102 @@
+// Idempotency-Key handling for the send endpoints
+//
+// The key, a hash of the request body and the response are stored on the
+// emails row, all in the transaction that queues the email. A retry with the
+// same key and body gets the stored response back; the same key with a
+// different body is a client bug and gets a 409.
+
+import crypto from 'crypto';
+import { getEmailByIdempotencyKey } from './database.js';
+
+export const IDEMPOTENCY_HEADER = 'idempotency-key';
+// Resend accepts up to 256 characters; leave room for the batch item prefix and suffix
+export const MAX_IDEMPOTENCY_KEY_LENGTH = 200;
+// Batch item keys live under this prefix, which client keys may not use
+const BATCH_ITEM_PREFIX = 'batch:';
+
+function httpError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Read the Idempotency-Key header. Returns null when it is absent.
+ */
+export function readIdempotencyKey(headers) {
+  const raw = headers?.[IDEMPOTENCY_HEADER];
+  if (raw === undefined) return null;
+
+  const key = String(Array.isArray(raw) ? raw[0] : raw).trim();
+  if (!key || key.length > MAX_IDEMPOTENCY_KEY_LENGTH || !/^[\x21-\x7e]+$/.test(key)) {
+    throw httpError(
+      400,
+      'idempotency_key_invalid',
+      `Idempotency-Key must be 1-${MAX_IDEMPOTENCY_KEY_LENGTH} printable ASCII characters without spaces`
+    );
+  }
+  if (key.startsWith(BATCH_ITEM_PREFIX)) {
+    throw httpError(400, 'idempotency_key_invalid', `Idempotency-Key may not start with "${BATCH_ITEM_PREFIX}"`);
+  }
+  return key;
+}
+
+/**
+ * Key used for item `index` of a keyed /send-batch request. The prefix keeps
+ * it apart from /send keys: a /send keyed `abc:0` is not item 0 of batch `abc`.
+ */
+export function batchItemIdempotencyKey(key, index) {
+  return key ? `${BATCH_ITEM_PREFIX}${key}:${index}` : null;
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * SHA-256 of the request body; key order does not matter.
+ */
+export function hashIdempotentRequest(body) {
+  return crypto.createHash('sha256').update(stableStringify(body)).digest('hex');
+}
+
+/**
+ * Look up an earlier request with this key.
+ * @returns {Promise<Object|null>} - The stored `{ status, body }` response, or null for a new key
+ */
+export async function findIdempotentResponse(key, requestHash) {
+  if (!key) return null;
+
+  const existing = await getEmailByIdempotencyKey(key);
+  if (!existing) return null;
+
+  if (existing.request_hash !== requestHash) {
+    throw httpError(409, 'idempotency_key_reused', 'Idempotency-Key was already used with a different request body');
+  }
+  if (!existing.idempotency_response) {
+    throw idempotencyInProgressError();
+  }
+  return existing.idempotency_response;
+}
+
+export function idempotencyInProgressError() {
+  return httpError(409, 'idempotency_request_in_progress', 'A request with this Idempotency-Key is still being processed');
+}
+
+/**
+ * Postgres unique violation on emails.idempotency_key: a concurrent request won the race.
+ */
+export function isIdempotencyKeyConflict(error) {
+  return error?.code === '23505' && String(error?.constraint || '').includes('idempotency_key');
+}
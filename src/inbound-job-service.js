@@ -0,0 +1,363 @@
+// Durable processing of received emails
+//
+// The webhook only stores the email and queues an inbound_jobs row. The
+// worker then runs three stages, saving progress after each so a retry or a
+// restart resumes where it stopped:
+//
+//   fetch   - get html/text/headers from Resend, store the attachments
+//   route   - decide which inbound routes apply (kept as the job's plan)
+//   process - run the plan's actions; actions that succeeded are not rerun
+//
+// Failed jobs are retried with exponential backoff and dead-lettered after
+// INBOUND_MAX_ATTEMPTS. Claims expire after INBOUND_JOB_LEASE_MS.
+
+import config from './config.js';
+import {
+  isDatabaseAvailable,
+  savePipelineEvent,
+  createInboundJob,
+  createMissingInboundJobs,
+  releaseStaleInboundJobs,
+  claimNextInboundJob,
+  saveInboundJobProgress,
+  finishInboundJob,
+  requeueInboundJob,
+  getInboundJobById,
+  getInboundJobs,
+  getInboundJobStats,
+  getReceivedEmailById,
+  getReceivedEmailByEmailId,
+  updateReceivedEmail,
+} from './database.js';
+import { getReceivedEmailWithRetry } from './resend-client.js';
+import { storeEmailAttachments } from './attachment-service.js';
+import { planInboundRoutes, runInboundPlan, describeFailedActions } from './inbound-route-service.js';
+import { publishWebhookEvent } from './webhook-subscription-service.js';
+import { assignEmailThread } from './thread-service.js';
+
+export const INBOUND_JOB_STAGES = ['fetch', 'route', 'process', 'done'];
+
+// Jobs handled per worker tick before yielding to the next interval
+const JOBS_PER_TICK = 10;
+
+let workerTimer = null;
+let workerBusy = false;
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+async function logPipelineEvent(eventName, details = {}) {
+  try {
+    await savePipelineEvent({ eventName, ...details });
+  } catch (err) {
+    console.error('Pipeline event logging failed:', err.message);
+  }
+}
+
+/**
+ * Exponential backoff from INBOUND_RETRY_BASE_MS, capped at INBOUND_RETRY_MAX_MS.
+ */
+export function getInboundRetryDelay(attemptCount, {
+  baseMs = config.INBOUND_RETRY_BASE_MS,
+  maxMs = config.INBOUND_RETRY_MAX_MS,
+} = {}) {
+  const exponent = Math.max(0, Number(attemptCount || 1) - 1);
+  return Math.min(baseMs * (2 ** exponent), maxMs);
+}
+
+/**
+ * Queue a received email for processing and wake the worker.
+ * @param {Object} options - { receivedEmailId, emailId (Resend id), domain, rawData (webhook data) }
+ * @returns {Promise<Object|null>} - { job, created }, null without a database
+ */
+export async function enqueueInboundEmail({ receivedEmailId = null, emailId, domain = null, rawData = null }) {
+  if (!isDatabaseAvailable() || !emailId) return null;
+
+  const queued = await createInboundJob({
+    receivedEmailId,
+    emailId,
+    domain,
+    rawData,
+    maxAttempts: config.INBOUND_MAX_ATTEMPTS,
+  });
+  if (queued.created) {
+    await logPipelineEvent('inbound.job.queued', {
+      emailId,
+      receivedEmailId,
+      metadata: { jobId: queued.job.id },
+    });
+    wakeInboundJobWorker();
+  }
+  return queued;
+}
+
+async function loadEmail(job) {
+  const email = job.received_email_id
+    ? await getReceivedEmailById(job.received_email_id)
+    : await getReceivedEmailByEmailId(job.email_id);
+  if (!email) throw httpError(404, `Received email ${job.email_id} not found`);
+  return email;
+}
+
+async function fetchContent(job, email) {
+  const context = { emailId: job.email_id, receivedEmailId: email.id };
+  await logPipelineEvent('email.content.fetch.started', { ...context, metadata: { jobId: job.id } });
+
+  let fullEmail;
+  try {
+    fullEmail = await getReceivedEmailWithRetry(job.email_id, job.domain || email.domain);
+  } catch (err) {
+    await logPipelineEvent('email.content.fetch.failed', {
+      ...context,
+      level: 'error',
+      message: err.message,
+      metadata: { jobId: job.id, code: err.code || null, status: err.status || null },
+    });
+    throw err;
+  }
+
+  const refreshed = await updateReceivedEmail(job.email_id, {
+    html: fullEmail.html,
+    text: fullEmail.text,
+    headers: fullEmail.headers,
+  }) || await getReceivedEmailByEmailId(job.email_id);
+  await logPipelineEvent('email.content.fetch.completed', {
+    ...context,
+    metadata: { jobId: job.id, hasHtml: !!fullEmail.html, hasText: !!fullEmail.text },
+  });
+
+  // The reply headers only arrive with the full email
+  try {
+    refreshed.thread_id = await assignEmailThread('received', refreshed);
+  } catch (threadErr) {
+    await logPipelineEvent('email.thread.failed', { ...context, level: 'warn', message: threadErr.message });
+  }
+
+  // Keep our own copy of the attachments before the Resend URLs expire
+  if (refreshed.attachments?.length || job.raw_data?.attachments?.length) {
+    try {
+      await storeEmailAttachments(refreshed);
+    } catch (storeErr) {
+      await logPipelineEvent('email.attachments.store.failed', {
+        ...context,
+        level: 'error',
+        message: storeErr.message,
+      });
+    }
+  }
+
+  return refreshed;
+}
+
+/**
+ * Run the remaining stages of a claimed job.
+ * @returns {Promise<Object>} - The job as last saved
+ * @throws when a stage fails; the job keeps the stage it reached
+ */
+async function runStages(job) {
+  let current = job;
+  let email = await loadEmail(current);
+
+  if (current.stage === 'fetch') {
+    email = await fetchContent(current, email);
+    current = await saveInboundJobProgress(current.id, { stage: 'route', receivedEmailId: email.id });
+    await publishWebhookEvent('email.received', {
+      email_id: email.email_id,
+      id: email.id,
+      domain: email.domain,
+      from: email.from_email,
+      to: email.to_email,
+      subject: email.subject,
+      attachments: (email.attachments || []).map(attachment => attachment.filename || attachment.name || null),
+      received_at: email.received_at,
+    });
+  }
+
+  if (current.stage === 'route') {
+    const plan = await planInboundRoutes(email, { rawData: current.raw_data });
+    current = await saveInboundJobProgress(current.id, { stage: 'process', plan });
+  }
+
+  if (current.stage === 'process') {
+    const results = await runInboundPlan(email, current.plan || [], { previous: current.results || [] });
+    current = await saveInboundJobProgress(current.id, { results });
+    const failed = describeFailedActions(results);
+    if (failed.length) throw new Error(`Route actions failed: ${failed.join('; ')}`);
+    current = await saveInboundJobProgress(current.id, { stage: 'done' });
+  }
+
+  return current;
+}
+
+export async function processNextInboundJob() {
+  if (!isDatabaseAvailable()) return null;
+
+  const job = await claimNextInboundJob({ staleAfterMs: config.INBOUND_JOB_LEASE_MS });
+  if (!job) return null;
+
+  const context = { emailId: job.email_id, receivedEmailId: job.received_email_id };
+  const startedAt = new Date();
+  try {
+    const finished = await runStages(job);
+    await finishInboundJob(job.id, {
+      status: 'COMPLETED',
+      attempt: { at: startedAt.toISOString(), ok: true, stage: job.stage },
+    });
+    await logPipelineEvent('inbound.job.completed', {
+      ...context,
+      metadata: { jobId: job.id, attemptCount: job.attempt_count, routes: (finished.plan || []).map(step => step.route.name) },
+    });
+    return { status: 'completed', id: job.id };
+  } catch (error) {
+    const latest = await getInboundJobById(job.id);
+    const stage = latest?.stage || job.stage;
+    const attempt = { at: startedAt.toISOString(), ok: false, stage, error: error.message };
+    const exhausted = job.attempt_count >= job.max_attempts;
+
+    if (!exhausted) {
+      const nextAttemptAt = new Date(Date.now() + getInboundRetryDelay(job.attempt_count));
+      await finishInboundJob(job.id, { status: 'PENDING', lastError: error.message, nextAttemptAt, attempt });
+      await logPipelineEvent('inbound.job.retry', {
+        ...context,
+        level: 'warn',
+        message: error.message,
+        metadata: { jobId: job.id, stage, attemptCount: job.attempt_count, nextAttemptAt: nextAttemptAt.toISOString() },
+      });
+      return { status: 'retry', id: job.id, stage, error: error.message, nextAttemptAt };
+    }
+
+    await finishInboundJob(job.id, { status: 'DEAD', lastError: error.message, attempt });
+    await logPipelineEvent('inbound.job.dead', {
+      ...context,
+      level: 'error',
+      message: error.message,
+      metadata: { jobId: job.id, stage, attemptCount: job.attempt_count },
+    });
+    return { status: 'dead', id: job.id, stage, error: error.message };
+  }
+}
+
+/**
+ * Startup recovery: release jobs left PROCESSING by a dead worker and queue
+ * recent received emails that never got their content (for example ones
+ * that arrived while the service was restarting).
+ * @returns {Promise<{ released: number, queued: number }>}
+ */
+export async function recoverInboundJobs() {
+  if (!isDatabaseAvailable()) return { released: 0, queued: 0 };
+
+  const released = await releaseStaleInboundJobs({ staleAfterMs: config.INBOUND_JOB_LEASE_MS });
+  const queued = await createMissingInboundJobs({
+    sinceDays: config.INBOUND_RECOVERY_DAYS,
+    maxAttempts: config.INBOUND_MAX_ATTEMPTS,
+  });
+
+  if (released.length || queued.length) {
+    await logPipelineEvent('inbound.jobs.recovered', {
+      message: `${released.length} stale job(s) released, ${queued.length} email(s) queued`,
+      metadata: {
+        releasedJobIds: released.map(job => job.id),
+        queuedEmailIds: queued.map(job => job.email_id),
+      },
+    });
+    console.log(`♻️ Inbound jobs recovered: ${released.length} released, ${queued.length} queued`);
+  }
+  return { released: released.length, queued: queued.length };
+}
+
+function compactInboundJob(job) {
+  if (!job) return null;
+  return {
+    id: job.id,
+    received_email_id: job.received_email_id,
+    email_id: job.email_id,
+    domain: job.domain,
+    stage: job.stage,
+    status: job.status,
+    attempt_count: job.attempt_count,
+    max_attempts: job.max_attempts,
+    next_attempt_at: job.next_attempt_at,
+    last_error: job.last_error,
+    created_at: job.created_at,
+    updated_at: job.updated_at,
+    completed_at: job.completed_at,
+    ...(job.attempts && { attempts: job.attempts }),
+    ...(job.plan && { plan: job.plan }),
+    ...(job.results && { results: job.results }),
+    ...(job.subject !== undefined && { from_email: job.from_email, to_email: job.to_email, subject: job.subject }),
+  };
+}
+
+export async function listInboundJobs(options) {
+  const rows = await getInboundJobs(options);
+  return rows.map(compactInboundJob);
+}
+
+export async function getInboundJob(id) {
+  const job = await getInboundJobById(id);
+  if (!job) throw httpError(404, 'Inbound job not found');
+  return compactInboundJob(job);
+}
+
+/**
+ * Put a dead-lettered job back on the queue with a fresh attempt budget.
+ */
+export async function retryInboundJob(id) {
+  const job = await getInboundJobById(id);
+  if (!job) throw httpError(404, 'Inbound job not found');
+  if (job.status !== 'DEAD') throw httpError(409, `Only DEAD jobs can be retried (status is ${job.status})`);
+
+  const requeued = await requeueInboundJob(id);
+  await logPipelineEvent('inbound.job.requeued', {
+    emailId: requeued.email_id,
+    receivedEmailId: requeued.received_email_id,
+    metadata: { jobId: requeued.id, stage: requeued.stage },
+  });
+  wakeInboundJobWorker();
+  return compactInboundJob(requeued);
+}
+
+async function tick() {
+  if (workerBusy || !isDatabaseAvailable()) return;
+  workerBusy = true;
+  try {
+    for (let handled = 0; handled < JOBS_PER_TICK; handled++) {
+      const result = await processNextInboundJob();
+      if (!result) break;
+      console.log(`📥 Inbound job worker: ${JSON.stringify({ id: result.id, status: result.status })}`);
+    }
+  } catch (error) {
+    console.error('❌ Inbound job worker error:', error.message);
+  } finally {
+    workerBusy = false;
+  }
+}
+
+/**
+ * Process queued jobs now instead of on the next interval. When the worker
+ * is busy the job is picked up by the running tick or the next one.
+ */
+export function wakeInboundJobWorker() {
+  if (workerTimer) void tick();
+}
+
+export function startInboundJobWorker() {
+  if (workerTimer) return stopInboundJobWorker;
+
+  workerTimer = setInterval(() => void tick(), config.INBOUND_WORKER_INTERVAL_MS);
+  workerTimer.unref?.();
+  void tick();
+  return stopInboundJobWorker;
+}
+
+export function stopInboundJobWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
+
+export { getInboundJobStats };
@@ -0,0 +1,345 @@
+// Runs the inbound routing rules for received emails
+//
+// Matching routes run in priority order. Within a route the actions run in
+// sequence and a failed action skips the rest of that route (so a reply is
+// only sent once the forward it acknowledges went through); other routes
+// still run.
+
+import config from './config.js';
+import {
+  isDatabaseAvailable,
+  savePipelineEvent,
+  getInboundRoutes,
+  getInboundRoute,
+  countInboundRoutes,
+  createInboundRoute,
+  updateInboundRoute,
+  deleteInboundRoute,
+  getReceivedEmailById,
+  getReceivedEmailByEmailId,
+} from './database.js';
+import {
+  buildDefaultInboundRoutes,
+  buildInboundMessage,
+  evaluateInboundRoutes,
+  normalizeInboundRoute,
+} from './inbound-routes.js';
+import { processJobApplicationEmail } from './job-application-service.js';
+import { enqueueSedaTaskForReceivedEmail } from './seda-task-service.js';
+import { queueEmail } from './outbound-email-service.js';
+import { renderTemplate } from './template-service.js';
+import { renderTemplateString } from './template-engine.js';
+import { buildReplyHeaders } from './email-threading.js';
+import { AUTO_REPLY_HEADERS, checkAutoReply } from './auto-reply-guard.js';
+import { sendWhatsAppMessage } from './whatsapp-client.js';
+import { extractDomainFromEmail } from './seda-email-parser.js';
+
+const DEFAULT_WHATSAPP_MESSAGE = [
+  '📧 New email to {{ to }}',
+  'From: {{ from }}',
+  'Subject: {{ subject }}',
+].join('\n');
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+async function logPipelineEvent(eventName, details = {}) {
+  try {
+    await savePipelineEvent({ eventName, ...details });
+  } catch (err) {
+    console.error('Pipeline event logging failed:', err.message);
+  }
+}
+
+export function defaultInboundRoutes() {
+  return buildDefaultInboundRoutes({
+    recruitment: config.JOB_APPLICATION_FROM,
+    pr: config.PR_EMAIL,
+    prWebhookUrl: config.PR_WEBHOOK_URL,
+  });
+}
+
+// Without a database the built-in routes apply
+async function loadRoutes() {
+  if (!isDatabaseAvailable()) {
+    return defaultInboundRoutes().map(route => ({ id: null, enabled: true, stop_processing: false, ...route }));
+  }
+  return getInboundRoutes();
+}
+
+const ACTIONS = {
+  async recruitment(email) {
+    const result = await processJobApplicationEmail(email);
+    return { skipped: result?.skipped || false, status: result?.status || result?.application?.status || null };
+  },
+
+  async seda_task(email) {
+    const result = await enqueueSedaTaskForReceivedEmail(email);
+    return { matched: result.matched, created: result.created ?? false, taskId: result.task?.id || null };
+  },
+
+  async forward_webhook(email, action, { recipients, route }) {
+    const response = await fetch(action.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        email_id: email.email_id || email.id,
+        received_email_id: email.id,
+        from: email.from_email,
+        subject: email.subject,
+        to: recipients,
+        route: route.name,
+      }),
+    });
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw httpError(502, `Forward to ${action.url} failed: ${response.status} ${text.slice(0, 200)}`);
+    }
+    return { status: response.status };
+  },
+
+  async auto_reply(email, action, { route }) {
+    const source = action.source || 'inbound-route';
+    const suppressed = await checkAutoReply(email, { source, from: action.from });
+    if (suppressed) {
+      await logPipelineEvent('inbound.auto_reply.suppressed', {
+        emailId: email.email_id,
+        receivedEmailId: email.id,
+        level: 'warn',
+        message: suppressed.detail,
+        metadata: { routeId: route.id, reason: suppressed.reason },
+      });
+      return { suppressed: suppressed.reason };
+    }
+
+    const rendered = await renderTemplate(action.template, {
+      original_subject: email.subject || 'Your message',
+      sender: email.from_email,
+    }, { domain: extractDomainFromEmail(action.from) });
+    const queued = await queueEmail({
+      from: action.from,
+      to: email.from_email,
+      subject: rendered.subject,
+      text: rendered.text,
+      html: rendered.html,
+      headers: { ...buildReplyHeaders(email), ...AUTO_REPLY_HEADERS },
+    }, {
+      source,
+      metadata: { received_email_id: email.id, template: rendered.template, inbound_route_id: route.id },
+    });
+    return { outboundEmailId: queued.id, status: queued.status };
+  },
+
+  async whatsapp_notify(email, action, { recipients, route }) {
+    const text = renderTemplateString(action.message || DEFAULT_WHATSAPP_MESSAGE, {
+      to: recipients.join(', '),
+      from: email.from_email,
+      subject: email.subject || '(no subject)',
+      route: route.name,
+      text: String(email.text || '').slice(0, 500),
+    }, { escape: false });
+    await sendWhatsAppMessage({ to: action.to, text });
+    return { to: action.to };
+  },
+};
+
+// Actions that are safe to run twice for one email (both deduplicate)
+export const REPEATABLE_ACTION_TYPES = ['recruitment', 'seda_task'];
+
+async function runRoute(email, step, { actionTypes, previous }) {
+  const context = { emailId: email.email_id, receivedEmailId: email.id };
+  const outcomes = [];
+
+  for (const [index, action] of step.actions.entries()) {
+    if (actionTypes && !actionTypes.includes(action.type)) {
+      outcomes[index] = { type: action.type, skipped: true };
+      continue;
+    }
+    // Finished on an earlier attempt
+    if (previous?.actions?.[index]?.success) {
+      outcomes[index] = previous.actions[index];
+      continue;
+    }
+
+    try {
+      const data = await ACTIONS[action.type](email, action, step);
+      outcomes[index] = { type: action.type, success: true, data };
+      await logPipelineEvent('inbound.action.completed', {
+        ...context,
+        metadata: { routeId: step.route.id, route: step.route.name, action: action.type, ...data },
+      });
+    } catch (err) {
+      outcomes[index] = { type: action.type, success: false, error: err.message };
+      await logPipelineEvent('inbound.action.failed', {
+        ...context,
+        level: 'error',
+        message: err.message,
+        metadata: { routeId: step.route.id, route: step.route.name, action: action.type, code: err.code || null, status: err.status || null },
+      });
+      console.error(`❌ Inbound route "${step.route.name}" action ${action.type} failed:`, err.message);
+      break;
+    }
+  }
+
+  // Actions after a failure did not run
+  for (const [index, action] of step.actions.entries()) {
+    outcomes[index] ??= { type: action.type, skipped: true };
+  }
+  return { routeId: step.route.id, route: step.route.name, actions: outcomes };
+}
+
+/**
+ * Decide which routes apply to a received email. The plan keeps the
+ * actions as they were when the email was routed, so a retry runs the
+ * same actions even if the routes were edited in between.
+ * @param {Object} email - received_emails row
+ * @param {Object} [options]
+ * @param {Object} [options.rawData] - Resend `email.received` data (envelope recipients, headers)
+ * @returns {Promise<Array<{ route: { id, name }, recipients: Array<string>, actions: Array }>>}
+ */
+export async function planInboundRoutes(email, { rawData = null } = {}) {
+  const message = buildInboundMessage(email, rawData);
+  const plan = evaluateInboundRoutes(await loadRoutes(), message)
+    .filter(result => result.selected)
+    .map(result => ({
+      route: { id: result.route.id, name: result.route.name },
+      recipients: result.recipients,
+      actions: result.route.actions || [],
+    }));
+
+  await logPipelineEvent('inbound.routes.matched', {
+    emailId: email.email_id,
+    receivedEmailId: email.id,
+    metadata: { recipients: message.recipients, routes: plan.map(step => step.route) },
+  });
+
+  return plan;
+}
+
+/**
+ * Run the actions of a plan.
+ * @param {Object} email - received_emails row with content fetched
+ * @param {Array} plan - From planInboundRoutes
+ * @param {Object} [options]
+ * @param {Array<string>} [options.actionTypes] - Only run these action types (e.g. when reprocessing)
+ * @param {Array} [options.previous] - Outcomes of an earlier run; actions that succeeded are not run again
+ * @returns {Promise<Array>} - Per route: { routeId, route, actions: [{ type, success, data|error } or { type, skipped }] }
+ */
+export async function runInboundPlan(email, plan, { actionTypes = null, previous = [] } = {}) {
+  const outcomes = [];
+  for (const [index, step] of plan.entries()) {
+    outcomes.push(await runRoute(email, step, { actionTypes, previous: previous?.[index] }));
+  }
+  return outcomes;
+}
+
+/**
+ * Actions of a run that failed, as "route: action: error" strings.
+ */
+export function describeFailedActions(outcomes) {
+  return outcomes.flatMap(outcome => outcome.actions
+    .filter(action => action.success === false)
+    .map(action => `${outcome.route}: ${action.type}: ${action.error}`));
+}
+
+/**
+ * Plan and run the routes for a received email in one go.
+ */
+export async function routeInboundEmail(email, { rawData = null, actionTypes = null } = {}) {
+  return runInboundPlan(email, await planInboundRoutes(email, { rawData }), { actionTypes });
+}
+
+/**
+ * Dry run: which routes would match and which actions would run, without
+ * running anything.
+ * @param {Object} input
+ * @param {number|string} [input.received_email_id] - Test against a stored email (id or Resend email_id)
+ * @param {Object} [input.email] - Or a hand-written one: { from, to, subject, headers }
+ * @param {Object} [input.route] - Unsaved route to evaluate together with the stored ones
+ */
+export async function testInboundRoutes({ received_email_id: receivedEmailId, email: sample, route: draft } = {}) {
+  let email;
+  if (receivedEmailId) {
+    email = /^\d+$/.test(String(receivedEmailId))
+      ? await getReceivedEmailById(Number(receivedEmailId))
+      : await getReceivedEmailByEmailId(String(receivedEmailId));
+    if (!email) throw httpError(404, 'Received email not found');
+  } else if (sample) {
+    email = {
+      from_email: sample.from || null,
+      to_email: Array.isArray(sample.to) ? sample.to.join(', ') : sample.to || null,
+      subject: sample.subject || '',
+      headers: sample.headers || {},
+    };
+  } else {
+    throw httpError(400, 'received_email_id or email is required');
+  }
+
+  const routes = await loadRoutes();
+  if (draft) routes.push({ ...normalizeInboundRoute(draft), id: null, draft: true });
+
+  const message = buildInboundMessage(email, receivedEmailId ? null : {});
+  return {
+    message,
+    results: evaluateInboundRoutes(routes, message).map(result => ({
+      route: {
+        id: result.route.id,
+        name: result.route.name,
+        priority: result.route.priority,
+        enabled: result.route.enabled !== false,
+        stop_processing: !!result.route.stop_processing,
+        ...(result.route.draft && { draft: true }),
+      },
+      matched: result.matched,
+      selected: result.selected,
+      checks: result.checks,
+      recipients: result.recipients,
+      actions: result.selected ? result.route.actions : [],
+    })),
+  };
+}
+
+export async function listInboundRoutes() {
+  return loadRoutes();
+}
+
+export async function createRoute(input, { createdBy = null } = {}) {
+  const route = normalizeInboundRoute(input);
+  return createInboundRoute({ ...route, stopProcessing: route.stop_processing, createdBy });
+}
+
+export async function updateRoute(id, input) {
+  const route = normalizeInboundRoute(input, { partial: true });
+  const updated = await updateInboundRoute(Number(id), { ...route, stopProcessing: route.stop_processing });
+  if (!updated) throw httpError(404, 'Inbound route not found');
+  return updated;
+}
+
+export async function removeRoute(id) {
+  const removed = await deleteInboundRoute(Number(id));
+  if (!removed) throw httpError(404, 'Inbound route not found');
+  return removed;
+}
+
+export async function getRoute(id) {
+  const route = await getInboundRoute(Number(id));
+  if (!route) throw httpError(404, 'Inbound route not found');
+  return route;
+}
+
+/**
+ * Insert the built-in routes into an empty table. Once any route exists the
+ * table is left alone, so deleted defaults stay deleted.
+ */
+export async function seedDefaultInboundRoutes() {
+  if (!isDatabaseAvailable() || await countInboundRoutes() > 0) return;
+
+  const routes = defaultInboundRoutes();
+  for (const route of routes) {
+    await createInboundRoute({ ...route, stopProcessing: false });
+  }
+  console.log(`✅ Seeded ${routes.length} inbound routes`);
+}
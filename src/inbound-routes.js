@@ -0,0 +1,281 @@
+// Inbound routing rules
+//
+// A route has match conditions and an ordered list of actions. Conditions
+// are ANDed; a route without conditions matches every email. Routes are
+// tried by ascending priority and every matching route runs, unless one
+// marked `stop_processing` matches first. This module only decides what
+// should happen; inbound-route-service.js runs the actions.
+
+import { extractEmailAddresses } from './seda-email-parser.js';
+
+export const ROUTE_ACTION_TYPES = ['recruitment', 'seda_task', 'forward_webhook', 'auto_reply', 'whatsapp_notify'];
+
+/**
+ * The built-in routes: seeded into an empty table, and used without a database.
+ * @param {Object} mailboxes - From config
+ * @param {string} mailboxes.recruitment - Vacancy mailbox (JOB_APPLICATION_FROM)
+ * @param {string} mailboxes.pr - PR mailbox (PR_EMAIL)
+ * @param {string} mailboxes.prWebhookUrl - PR service webhook (PR_WEBHOOK_URL)
+ * @returns {Array<Object>}
+ */
+export function buildDefaultInboundRoutes({ recruitment, pr, prWebhookUrl }) {
+  const address = value => extractEmailAddresses(value)[0] || String(value).trim().toLowerCase();
+  return [
+    {
+      name: 'Recruitment',
+      description: 'Job applications sent to the vacancy mailbox.',
+      priority: 10,
+      conditions: { recipient: [address(recruitment)] },
+      actions: [{ type: 'recruitment' }],
+    },
+    {
+      name: 'PR',
+      description: 'Forward to the PR service, then acknowledge the sender.',
+      priority: 20,
+      conditions: { recipient: [address(pr)] },
+      actions: [
+        { type: 'forward_webhook', url: prWebhookUrl },
+        { type: 'auto_reply', template: 'pr-acknowledgement', from: pr, source: 'pr' },
+      ],
+    },
+    {
+      name: 'SEDA approvals',
+      description: 'Every email is checked for a SEDA approval notice.',
+      priority: 100,
+      conditions: {},
+      actions: [{ type: 'seda_task' }],
+    },
+  ];
+}
+
+function routeError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function toList(value) {
+  if (value === null || value === undefined || value === '') return [];
+  return (Array.isArray(value) ? value : [value]).map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Address pattern as a RegExp: an exact address, `*@domain`, or `@domain`.
+ * `*` matches any run of characters.
+ */
+export function addressPatternToRegExp(pattern) {
+  const normalized = String(pattern).trim().toLowerCase();
+  const glob = normalized.startsWith('@') ? `*${normalized}` : normalized;
+  const source = glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+function compileRegExp(source, field) {
+  try {
+    return new RegExp(source, 'i');
+  } catch (error) {
+    throw routeError(`${field} is not a valid regular expression: ${error.message}`);
+  }
+}
+
+export function normalizeHeaders(headers) {
+  if (!headers) return {};
+  if (Array.isArray(headers)) {
+    return Object.fromEntries(headers
+      .filter(header => header?.name)
+      .map(header => [String(header.name).toLowerCase(), String(header.value ?? '')]));
+  }
+  if (typeof headers !== 'object') return {};
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) => [
+    name.toLowerCase(),
+    Array.isArray(value) ? value.join(', ') : String(value ?? ''),
+  ]));
+}
+
+/**
+ * The fields the conditions look at, from a received_emails row and the
+ * webhook payload it came from.
+ * @param {Object} email - received_emails row (to_email, from_email, subject, headers)
+ * @param {Object} [rawData] - Resend `email.received` data, for envelope recipients
+ * @returns {Object} - { recipients, sender, subject, headers }
+ */
+export function buildInboundMessage(email, rawData = null) {
+  const data = rawData || email?.raw_data || {};
+  const headers = { ...normalizeHeaders(data.headers), ...normalizeHeaders(email?.headers) };
+  return {
+    recipients: extractEmailAddresses([
+      email?.to_email,
+      data.to,
+      data.cc,
+      headers.to,
+      headers.cc,
+      headers['x-original-to'],
+      headers['delivered-to'],
+    ]),
+    sender: extractEmailAddresses(email?.from_email || data.from)[0] || null,
+    subject: String(email?.subject ?? data.subject ?? ''),
+    headers,
+  };
+}
+
+/**
+ * Check and clean route input from the API.
+ * @param {Object} input - { name, description, priority, enabled, stop_processing, conditions, actions }
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Only validate the fields present (PATCH)
+ * @returns {Object} - Normalized fields
+ * @throws {Error} 400 on invalid input
+ */
+export function normalizeInboundRoute(input, { partial = false } = {}) {
+  const route = {};
+  const has = field => Object.hasOwn(input || {}, field);
+
+  if (!partial || has('name')) {
+    const name = String(input?.name || '').trim();
+    if (!name) throw routeError('name is required');
+    route.name = name.slice(0, 100);
+  }
+  if (has('description')) route.description = input.description ? String(input.description) : null;
+  if (!partial || has('priority')) {
+    const priority = input?.priority === undefined || input.priority === null ? 100 : Number(input.priority);
+    if (!Number.isInteger(priority)) throw routeError('priority must be an integer');
+    route.priority = priority;
+  }
+  if (!partial || has('enabled')) route.enabled = input?.enabled !== false;
+  if (!partial || has('stop_processing')) route.stop_processing = input?.stop_processing === true;
+
+  if (!partial || has('conditions')) {
+    const conditions = input?.conditions || {};
+    if (typeof conditions !== 'object' || Array.isArray(conditions)) throw routeError('conditions must be an object');
+    route.conditions = {};
+
+    for (const field of ['recipient', 'sender']) {
+      const patterns = toList(conditions[field]);
+      if (patterns.length) route.conditions[field] = patterns.map(pattern => pattern.toLowerCase());
+    }
+    if (conditions.subject) {
+      compileRegExp(conditions.subject, 'conditions.subject');
+      route.conditions.subject = String(conditions.subject);
+    }
+    if (conditions.header) {
+      const name = String(conditions.header.name || '').trim().toLowerCase();
+      if (!name) throw routeError('conditions.header.name is required');
+      const pattern = String(conditions.header.pattern || '');
+      if (pattern) compileRegExp(pattern, 'conditions.header.pattern');
+      route.conditions.header = { name, pattern };
+    }
+  }
+
+  if (!partial || has('actions')) {
+    if (!Array.isArray(input?.actions) || !input.actions.length) throw routeError('actions must be a non-empty array');
+    route.actions = input.actions.map((action, index) => normalizeAction(action, index));
+  }
+
+  return route;
+}
+
+function normalizeAction(action, index) {
+  const field = `actions[${index}]`;
+  if (!ROUTE_ACTION_TYPES.includes(action?.type)) {
+    throw routeError(`${field}.type must be one of: ${ROUTE_ACTION_TYPES.join(', ')}`);
+  }
+
+  switch (action.type) {
+    case 'forward_webhook': {
+      let url;
+      try {
+        url = new URL(String(action.url || ''));
+      } catch {
+        throw routeError(`${field}.url must be a valid URL`);
+      }
+      if (!['http:', 'https:'].includes(url.protocol)) throw routeError(`${field}.url must be http(s)`);
+      return { type: action.type, url: url.toString() };
+    }
+    case 'auto_reply': {
+      if (!action.template) throw routeError(`${field}.template is required`);
+      const from = extractEmailAddresses(action.from)[0];
+      if (!from) throw routeError(`${field}.from must be an email address`);
+      return {
+        type: action.type,
+        template: String(action.template),
+        from,
+        ...(action.source && { source: String(action.source) }),
+      };
+    }
+    case 'whatsapp_notify': {
+      const to = String(action.to || '').replace(/[^\d+]/g, '');
+      if (!to) throw routeError(`${field}.to must be a WhatsApp number`);
+      return { type: action.type, to, ...(action.message && { message: String(action.message) }) };
+    }
+    default:
+      return { type: action.type };
+  }
+}
+
+/**
+ * Evaluate one route against a message.
+ * @returns {{ matched: boolean, checks: Array<{ condition: string, matched: boolean, detail: string }>, recipients: Array<string> }}
+ *   `recipients` are the message recipients the route's recipient condition selected
+ */
+export function matchInboundRoute(route, message) {
+  const conditions = route?.conditions || {};
+  const checks = [];
+  let recipients = message.recipients;
+
+  const recipientPatterns = toList(conditions.recipient);
+  if (recipientPatterns.length) {
+    const patterns = recipientPatterns.map(addressPatternToRegExp);
+    recipients = message.recipients.filter(address => patterns.some(pattern => pattern.test(address)));
+    checks.push({
+      condition: 'recipient',
+      matched: recipients.length > 0,
+      detail: recipients.length ? recipients.join(', ') : `none of ${message.recipients.join(', ') || '(no recipients)'}`,
+    });
+  }
+
+  const senderPatterns = toList(conditions.sender);
+  if (senderPatterns.length) {
+    const matched = !!message.sender && senderPatterns.map(addressPatternToRegExp).some(pattern => pattern.test(message.sender));
+    checks.push({ condition: 'sender', matched, detail: message.sender || '(no sender)' });
+  }
+
+  if (conditions.subject) {
+    checks.push({
+      condition: 'subject',
+      matched: compileRegExp(conditions.subject, 'conditions.subject').test(message.subject),
+      detail: message.subject || '(no subject)',
+    });
+  }
+
+  if (conditions.header?.name) {
+    const value = message.headers[conditions.header.name.toLowerCase()];
+    const matched = value !== undefined &&
+      (!conditions.header.pattern || compileRegExp(conditions.header.pattern, 'conditions.header.pattern').test(value));
+    checks.push({
+      condition: `header:${conditions.header.name}`,
+      matched,
+      detail: value === undefined ? '(header missing)' : value,
+    });
+  }
+
+  return { matched: checks.every(check => check.matched), checks, recipients };
+}
+
+/**
+ * Decide which routes apply to a message, in the order their actions run.
+ * Disabled routes are reported but never selected.
+ * @param {Array} routes - inbound_routes rows
+ * @param {Object} message - From buildInboundMessage
+ * @returns {Array<{ route, matched, selected, checks, recipients }>}
+ */
+export function evaluateInboundRoutes(routes, message) {
+  const ordered = [...routes].sort((a, b) => (a.priority - b.priority) || (Number(a.id) || 0) - (Number(b.id) || 0));
+  let stopped = false;
+
+  return ordered.map(route => {
+    const result = matchInboundRoute(route, message);
+    const selected = !stopped && route.enabled !== false && result.matched;
+    if (selected && route.stop_processing) stopped = true;
+    return { route, ...result, selected };
+  });
+}
@@ -4,15 +4,32 @@ import { createServer } from './server.js';
 import config from './config.js';
 import { initDatabase, initTables } from './database.js';
 import { startSedaTaskWorker } from './seda-task-service.js';
+import { startOutboundEmailWorker } from './outbound-email-service.js';
+import { seedDefaultTemplates } from './template-service.js';
+import { seedDefaultInboundRoutes } from './inbound-route-service.js';
+import { recoverInboundJobs, startInboundJobWorker } from './inbound-job-service.js';
+import { startWebhookDeliveryWorker } from './webhook-subscription-service.js';
+import { threadUnthreadedEmails } from './thread-service.js';
+import { linkApplicationsWithoutCandidate } from './candidate-service.js';
+import { startHodNotificationWorker } from './hod-notifier.js';
 
 // Initialize database
 const pool = initDatabase(config.DATABASE_URL);
 if (pool) {
   await initTables();
+  await seedDefaultTemplates();
+  await seedDefaultInboundRoutes();
+  await recoverInboundJobs();
+  await threadUnthreadedEmails();
+  await linkApplicationsWithoutCandidate();
 }
 
 const server = createServer();
 const stopSedaWorker = startSedaTaskWorker();
+const stopOutboundWorker = startOutboundEmailWorker();
+const stopInboundWorker = startInboundJobWorker();
+const stopWebhookWorker = startWebhookDeliveryWorker();
+const stopHodNotificationWorker = startHodNotificationWorker();
 
 server.listen(config.PORT, () => {
   console.log(`🚀 EE-Mail Service running on port ${config.PORT}`);
@@ -27,6 +44,10 @@ server.listen(config.PORT, () => {
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
   stopSedaWorker();
+  stopOutboundWorker();
+  stopInboundWorker();
+  stopWebhookWorker();
+  stopHodNotificationWorker();
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
@@ -36,6 +57,10 @@ process.on('SIGTERM', () => {
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully');
   stopSedaWorker();
+  stopOutboundWorker();
+  stopInboundWorker();
+  stopWebhookWorker();
+  stopHodNotificationWorker();
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
@@ -0,0 +1,342 @@
+// Interview scheduling for job applications
+//
+// The availability a candidate gives is parsed into PROPOSED interviews.
+// HR confirms one of them, or a time of their own: the candidate gets an
+// invitation with an .ics attachment and a scheduled reminder, the HOD gets
+// a WhatsApp message and the application moves to interview_scheduled.
+
+import config from './config.js';
+import {
+  isDatabaseAvailable,
+  getJobApplicationById,
+  getReceivedEmailById,
+  saveProposedInterviews,
+  upsertProposedInterview,
+  getInterviewById,
+  getInterviewsForApplication,
+  getUpcomingConfirmedInterview,
+  confirmInterview,
+  updateInterview,
+  cancelInterviewRecord,
+  updateJobApplicationLifecycle,
+  savePipelineEvent,
+} from './database.js';
+import { queueEmail, cancelScheduledSend } from './outbound-email-service.js';
+import { renderTemplate } from './template-service.js';
+import { buildReplyHeaders } from './email-threading.js';
+import { extractDomainFromEmail } from './seda-email-parser.js';
+import { notifyHod } from './hod-notifier.js';
+import { allowedTransitions } from './job-application-lifecycle.js';
+import { buildCalendarInvite, calendarAttachment } from './calendar-invite.js';
+import {
+  formatSlotTime,
+  isValidTimeZone,
+  parseAvailability,
+  parseInterviewSlot,
+  zonedTimeToUtc,
+} from './interview-slots.js';
+
+// Applications that are finished are not interviewed any more
+const CLOSED_STATUSES = ['hired', 'rejected', 'ignored'];
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+async function logPipelineEvent(eventName, details = {}) {
+  try {
+    await savePipelineEvent({ eventName, ...details });
+  } catch (err) {
+    console.error('Pipeline event logging failed:', err.message);
+  }
+}
+
+function slotOptions(timeZone = config.INTERVIEW_TIMEZONE) {
+  return { defaultTimeZone: timeZone, durationMinutes: config.INTERVIEW_DURATION_MINUTES };
+}
+
+/**
+ * Turn the availability on an application into PROPOSED interviews.
+ * Past slots and slots it already has are skipped.
+ * @param {Object} application - job_applications row
+ * @returns {Promise<Array>} - Interviews added
+ */
+export async function proposeInterviewSlots(application) {
+  if (!isDatabaseAvailable() || !application?.id) return [];
+
+  const now = Date.now();
+  const slots = parseAvailability(application.availability, slotOptions())
+    .filter(slot => slot.start.getTime() > now);
+  const added = await saveProposedInterviews(application.id, slots);
+  if (added.length) {
+    await logPipelineEvent('interview.slots.proposed', {
+      receivedEmailId: application.received_email_id,
+      applicationId: application.id,
+      metadata: { interviewIds: added.map(interview => interview.id) },
+    });
+  }
+  return added;
+}
+
+/**
+ * Start time of an interview HR picks: `slot` as free text like the
+ * candidate's availability, or `starts_at`. A `starts_at` without an
+ * offset is a wall-clock time in `time_zone`.
+ */
+export function resolveInterviewStart(input, { now = new Date() } = {}) {
+  const timeZone = input.time_zone ? String(input.time_zone).trim() : config.INTERVIEW_TIMEZONE;
+  if (!isValidTimeZone(timeZone)) throw httpError(400, `Unknown time_zone: ${timeZone}`);
+
+  let start;
+  let slotTimeZone = timeZone;
+  if (input.slot) {
+    const slot = parseInterviewSlot(input.slot, { ...slotOptions(timeZone), now });
+    if (!slot) throw httpError(400, 'slot must name a day and a time, e.g. "Monday 10am"');
+    start = slot.start;
+    slotTimeZone = slot.timeZone;
+  } else if (input.starts_at) {
+    const value = String(input.starts_at).trim();
+    const local = value.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::\d{2})?$/);
+    start = local
+      ? zonedTimeToUtc({ year: +local[1], month: +local[2], day: +local[3], hour: +local[4], minute: +local[5] }, timeZone)
+      : new Date(value);
+    if (Number.isNaN(start.getTime())) throw httpError(400, 'starts_at must be an ISO 8601 date-time');
+  } else {
+    throw httpError(400, 'Provide interview_id, slot or starts_at');
+  }
+
+  if (start.getTime() <= now.getTime()) throw httpError(400, 'The interview must be in the future');
+  return { start, timeZone: slotTimeZone, text: input.slot ? String(input.slot).trim() : null };
+}
+
+function interviewVariables(application, interview, extra = {}) {
+  return {
+    greeting: application.applicant_name ? `Hi ${application.applicant_name},` : 'Hi,',
+    applicant_name: application.applicant_name || '',
+    position: application.applied_position || 'advertised',
+    interview_time: formatSlotTime(new Date(interview.starts_at), interview.time_zone),
+    duration_minutes: Math.round((new Date(interview.ends_at) - new Date(interview.starts_at)) / 60000),
+    location: [interview.location, interview.meeting_url].filter(Boolean).join(' · ') || 'To be confirmed',
+    meeting_url: interview.meeting_url || '',
+    notes: interview.notes || '',
+    ...extra,
+  };
+}
+
+function interviewCalendar(application, interview, { method = 'REQUEST', sequence = interview.ics_sequence } = {}) {
+  const candidate = application.applicant_email;
+  return buildCalendarInvite({
+    uid: interview.ics_uid,
+    sequence,
+    method,
+    start: new Date(interview.starts_at),
+    end: new Date(interview.ends_at),
+    summary: `Interview: ${application.applied_position || 'Eternalgy'} – ${application.applicant_name || candidate}`,
+    description: interview.notes || '',
+    location: interview.location || interview.meeting_url || '',
+    url: interview.meeting_url || '',
+    organizer: { name: 'Eternalgy Recruitment', email: config.JOB_APPLICATION_FROM },
+    attendees: [{ name: application.applicant_name || '', email: candidate }],
+  });
+}
+
+// Send an interview email to the candidate in the application's thread
+async function sendCandidateEmail(application, template, variables, { attachments, sendAt = null, interviewId }) {
+  const received = await getReceivedEmailById(application.received_email_id);
+  const from = config.JOB_APPLICATION_FROM;
+  const rendered = await renderTemplate(template, variables, { domain: extractDomainFromEmail(from) });
+  return queueEmail({
+    to: application.applicant_email,
+    from,
+    domain: extractDomainFromEmail(from) || config.EMAIL_DOMAIN,
+    subject: rendered.subject,
+    text: rendered.text,
+    html: rendered.html,
+    ...(attachments && { attachments }),
+    headers: received ? buildReplyHeaders(received) : {},
+  }, {
+    source: 'interview',
+    sendAt,
+    metadata: { job_application_id: application.id, interview_id: interviewId, template: rendered.template },
+  });
+}
+
+function hodInterviewMessage(application, interview, { cancelled = false } = {}) {
+  return [
+    cancelled ? 'Interview cancelled' : 'Interview confirmed',
+    `Name: ${application.applicant_name || 'Not provided'}`,
+    `Position: ${application.applied_position || 'Not provided'}`,
+    `When: ${formatSlotTime(new Date(interview.starts_at), config.INTERVIEW_TIMEZONE)}`,
+    ...(interview.time_zone !== config.INTERVIEW_TIMEZONE
+      ? [`Candidate's time: ${formatSlotTime(new Date(interview.starts_at), interview.time_zone)}`]
+      : []),
+    `Where: ${[interview.location, interview.meeting_url].filter(Boolean).join(' · ') || 'To be confirmed'}`,
+    `WhatsApp: ${application.whatsapp_number || application.phone || 'Not provided'}`,
+  ].join('\n');
+}
+
+export async function listInterviews(applicationId) {
+  const application = await getJobApplicationById(applicationId);
+  if (!application) throw httpError(404, 'Job application not found');
+  return getInterviewsForApplication(applicationId);
+}
+
+/**
+ * Confirm an interview: a proposed slot (`interview_id`) or a time HR
+ * picks (`slot` or `starts_at` with `time_zone`).
+ * @param {number} applicationId
+ * @param {Object} input - { interview_id | slot | starts_at, time_zone, duration_minutes, location, meeting_url, notes }
+ * @param {Object} [options]
+ * @param {Object} [options.actor] - Who confirmed it (describeActor)
+ * @returns {Promise<Object>} - The confirmed interview
+ */
+export async function scheduleInterview(applicationId, input = {}, { actor = null } = {}) {
+  const application = await getJobApplicationById(applicationId);
+  if (!application) throw httpError(404, 'Job application not found');
+  if (CLOSED_STATUSES.includes(application.status)) {
+    throw httpError(409, `Cannot schedule an interview for a ${application.status} application`);
+  }
+  if (!application.applicant_email) throw httpError(409, 'The application has no candidate email address');
+
+  const upcoming = await getUpcomingConfirmedInterview(applicationId);
+  if (upcoming) {
+    throw httpError(409, `Interview ${upcoming.id} is already confirmed; cancel it before scheduling another`);
+  }
+
+  const duration = Number(input.duration_minutes || config.INTERVIEW_DURATION_MINUTES);
+  if (!Number.isInteger(duration) || duration < 5 || duration > 480) {
+    throw httpError(400, 'duration_minutes must be a whole number between 5 and 480');
+  }
+
+  let proposed;
+  if (input.interview_id) {
+    proposed = await getInterviewById(Number(input.interview_id));
+    if (!proposed || proposed.job_application_id !== application.id) throw httpError(404, 'Interview not found');
+    if (proposed.status !== 'PROPOSED') throw httpError(409, `Interview is ${proposed.status}`);
+    if (new Date(proposed.starts_at).getTime() <= Date.now()) throw httpError(409, 'That slot has passed');
+  } else {
+    const { start, timeZone, text } = resolveInterviewStart(input);
+    proposed = await upsertProposedInterview(application.id, {
+      text,
+      start,
+      end: new Date(start.getTime() + duration * 60000),
+      timeZone,
+    });
+  }
+
+  const domain = extractDomainFromEmail(config.JOB_APPLICATION_FROM) || config.EMAIL_DOMAIN;
+  const interview = await confirmInterview(proposed.id, {
+    endsAt: new Date(new Date(proposed.starts_at).getTime() + duration * 60000),
+    location: input.location ? String(input.location).trim() : (config.INTERVIEW_LOCATION || null),
+    meetingUrl: input.meeting_url ? String(input.meeting_url).trim() : null,
+    notes: input.notes ? String(input.notes).trim() : null,
+    icsUid: `interview-${proposed.id}@${domain}`,
+    confirmedBy: actor,
+  });
+  if (!interview) throw httpError(409, 'The interview changed in the meantime; reload and try again');
+
+  const context = { receivedEmailId: application.received_email_id, applicationId: application.id };
+  const updates = {};
+
+  try {
+    const invite = await sendCandidateEmail(application, 'interview-invitation', interviewVariables(application, interview), {
+      attachments: [calendarAttachment(interviewCalendar(application, interview))],
+      interviewId: interview.id,
+    });
+    updates.inviteEmailId = invite.emailId;
+  } catch (err) {
+    await logPipelineEvent('interview.invite.failed', { ...context, level: 'error', message: err.message });
+    throw err;
+  }
+
+  const reminderAt = new Date(new Date(interview.starts_at).getTime() - config.INTERVIEW_REMINDER_HOURS * 60 * 60 * 1000);
+  if (config.INTERVIEW_REMINDER_HOURS > 0 && reminderAt.getTime() > Date.now() + 5 * 60 * 1000) {
+    try {
+      const reminder = await sendCandidateEmail(application, 'interview-reminder', interviewVariables(application, interview), {
+        sendAt: reminderAt,
+        interviewId: interview.id,
+      });
+      updates.reminderEmailId = reminder.emailId;
+    } catch (err) {
+      await logPipelineEvent('interview.reminder.failed', { ...context, level: 'warn', message: err.message });
+    }
+  }
+
+  Object.assign(updates, await notifyHod(application.department, hodInterviewMessage(application, interview), {
+    kind: 'interview.scheduled',
+    applicationId: application.id,
+    interviewId: interview.id,
+  }));
+
+  if (allowedTransitions(application.status).includes('interview_scheduled')) {
+    await updateJobApplicationLifecycle(application.id, {
+      fromStatus: application.status,
+      status: 'interview_scheduled',
+      note: `Interview on ${formatSlotTime(new Date(interview.starts_at), config.INTERVIEW_TIMEZONE)}`,
+      changedBy: actor,
+    });
+  }
+
+  const updated = await updateInterview(interview.id, updates);
+  await logPipelineEvent('interview.scheduled', {
+    ...context,
+    level: updates.notificationError ? 'warn' : 'info',
+    message: updates.notificationError || null,
+    metadata: {
+      interviewId: interview.id,
+      startsAt: new Date(interview.starts_at).toISOString(),
+      timeZone: interview.time_zone,
+      reminder: !!updates.reminderEmailId,
+      hodNotified: !!updates.hodNotifiedAt,
+    },
+  });
+  return updated;
+}
+
+/**
+ * Cancel an interview. For a confirmed one the candidate gets a calendar
+ * cancellation, the pending reminder is dropped and the HOD is told.
+ */
+export async function cancelInterview(id, { reason = null } = {}) {
+  const interview = await getInterviewById(id);
+  if (!interview) throw httpError(404, 'Interview not found');
+
+  const cancelled = await cancelInterviewRecord(id, { reason: reason ? String(reason).trim() : null });
+  if (!cancelled) throw httpError(409, `Interview is ${interview.status}`);
+  if (interview.status !== 'CONFIRMED') return cancelled;
+
+  const application = await getJobApplicationById(interview.job_application_id);
+  const context = { receivedEmailId: application.received_email_id, applicationId: application.id };
+
+  if (interview.reminder_email_id) {
+    try {
+      await cancelScheduledSend(interview.reminder_email_id);
+    } catch (err) {
+      // Already sent or cancelled
+      if (err.status !== 409) throw err;
+    }
+  }
+
+  try {
+    await sendCandidateEmail(application, 'interview-cancelled', interviewVariables(application, cancelled, { reason: cancelled.cancel_reason || '' }), {
+      attachments: [calendarAttachment(interviewCalendar(application, cancelled, { method: 'CANCEL' }), { method: 'CANCEL' })],
+      interviewId: cancelled.id,
+    });
+  } catch (err) {
+    await logPipelineEvent('interview.cancellation.failed', { ...context, level: 'error', message: err.message });
+    throw err;
+  }
+
+  const notification = await notifyHod(application.department, hodInterviewMessage(application, cancelled, { cancelled: true }), {
+    kind: 'interview.cancelled',
+    applicationId: application.id,
+    interviewId: cancelled.id,
+  });
+  await logPipelineEvent('interview.cancelled', {
+    ...context,
+    metadata: { interviewId: cancelled.id, hodNotified: !!notification.hodNotifiedAt },
+  });
+  return cancelled;
+}
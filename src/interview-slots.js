@@ -0,0 +1,321 @@
+// Interview slot parsing
+//
+// Candidates give their availability as free text: "Monday 10am",
+// "12 May 2:30pm GMT+8", "2026-05-14 15:00 Asia/Jakarta", "Khamis 3pm".
+// A slot becomes an exact start time in the time zone the candidate wrote,
+// or the default zone when they gave none. Text without a recognisable day
+// and time is not a slot; HR still sees it on the application.
+
+const WEEKDAYS = [
+  ['sunday', 'sun', 'ahad'],
+  ['monday', 'mon', 'isnin'],
+  ['tuesday', 'tue', 'tues', 'selasa'],
+  ['wednesday', 'wed', 'rabu'],
+  ['thursday', 'thu', 'thur', 'thurs', 'khamis'],
+  ['friday', 'fri', 'jumaat'],
+  ['saturday', 'sat', 'sabtu'],
+];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_NAME = `(${MONTHS.join('|')})[a-z]*\\.?`;
+
+// Common abbreviations and names, mapped to a zone with the right DST rules
+const ZONE_ALIASES = {
+  utc: 'UTC',
+  gmt: 'UTC',
+  myt: 'Asia/Kuala_Lumpur',
+  'malaysia time': 'Asia/Kuala_Lumpur',
+  sgt: 'Asia/Singapore',
+  'singapore time': 'Asia/Singapore',
+  wib: 'Asia/Jakarta',
+  wita: 'Asia/Makassar',
+  ict: 'Asia/Bangkok',
+  pht: 'Asia/Manila',
+  hkt: 'Asia/Hong_Kong',
+  jst: 'Asia/Tokyo',
+  kst: 'Asia/Seoul',
+  ist: 'Asia/Kolkata',
+  aest: 'Australia/Sydney',
+  aedt: 'Australia/Sydney',
+  bst: 'Europe/London',
+  cet: 'Europe/Paris',
+  cest: 'Europe/Paris',
+  est: 'America/New_York',
+  edt: 'America/New_York',
+  pst: 'America/Los_Angeles',
+  pdt: 'America/Los_Angeles',
+};
+
+const FIXED_OFFSET_ZONE = /^UTC([+-])(\d{2}):(\d{2})$/;
+
+export function isValidTimeZone(timeZone) {
+  if (FIXED_OFFSET_ZONE.test(String(timeZone || ''))) return true;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function fixedOffsetZone(sign, hours, minutes = 0) {
+  const total = Number(hours) * 60 + Number(minutes);
+  if (total === 0) return 'UTC';
+  return `UTC${sign}${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Minutes the zone is ahead of UTC at the given instant.
+ * @param {Date} date
+ * @param {string} timeZone - IANA name or a fixed `UTC+08:00` offset
+ */
+export function getTimeZoneOffset(date, timeZone) {
+  const fixed = FIXED_OFFSET_ZONE.exec(timeZone);
+  if (fixed) return (fixed[1] === '-' ? -1 : 1) * (Number(fixed[2]) * 60 + Number(fixed[3]));
+
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(date).map(part => [part.type, part.value]));
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * The instant a wall-clock time in a zone refers to.
+ * @param {Object} local - { year, month (1-12), day, hour, minute }
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  // The offset at the guess can differ from the offset at the answer around DST changes
+  const first = asUtc - getTimeZoneOffset(new Date(asUtc), timeZone) * 60000;
+  return new Date(asUtc - getTimeZoneOffset(new Date(first), timeZone) * 60000);
+}
+
+// Calendar date and weekday of an instant in a zone
+function zonedDate(date, timeZone) {
+  const local = new Date(date.getTime() + getTimeZoneOffset(date, timeZone) * 60000);
+  return {
+    year: local.getUTCFullYear(),
+    month: local.getUTCMonth() + 1,
+    day: local.getUTCDate(),
+    weekday: local.getUTCDay(),
+  };
+}
+
+function addDays({ year, month, day }, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+function isValidDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+function fullYear(value) {
+  const year = Number(value);
+  return year < 100 ? 2000 + year : year;
+}
+
+/**
+ * Time zone written in a slot, if any.
+ * @returns {{ timeZone: string, match: string }|null}
+ */
+function findTimeZone(text) {
+  const iana = text.match(/\b([A-Za-z]+\/[A-Za-z_]+(?:\/[A-Za-z_]+)?)\b/);
+  if (iana && isValidTimeZone(iana[1])) {
+    return { timeZone: new Intl.DateTimeFormat('en-US', { timeZone: iana[1] }).resolvedOptions().timeZone, match: iana[0] };
+  }
+
+  const offset = text.match(/\b(?:UTC|GMT)\s*([+-])\s*(\d{1,2})(?::?(\d{2}))?\b/i);
+  if (offset && Number(offset[2]) <= 14) {
+    return { timeZone: fixedOffsetZone(offset[1], offset[2], offset[3] || 0), match: offset[0] };
+  }
+
+  for (const [alias, timeZone] of Object.entries(ZONE_ALIASES)) {
+    const match = text.match(new RegExp(`\\b${alias}\\b`, 'i'));
+    if (match) return { timeZone, match: match[0] };
+  }
+  return null;
+}
+
+/**
+ * Calendar date written in a slot: explicit dates first, then today,
+ * tomorrow or a weekday.
+ * @returns {{ date?: Object, year?: boolean, weekday?: number, offsetDays?: number, match: string }|null}
+ */
+function findDate(text) {
+  let match = text.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+  if (match) return { date: { year: +match[1], month: +match[2], day: +match[3] }, year: true, match: match[0] };
+
+  match = text.match(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/) || text.match(/\b(\d{1,2})-(\d{1,2})-(\d{4})\b/);
+  // Day first, as written in Malaysia and most of the region
+  if (match) return { date: { year: fullYear(match[3] || 0), month: +match[2], day: +match[1] }, year: !!match[3], match: match[0] };
+
+  match = text.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH_NAME},?(?:\\s+(\\d{4}))?`, 'i'));
+  if (match) {
+    const month = MONTHS.indexOf(match[2].toLowerCase()) + 1;
+    return { date: { year: fullYear(match[3] || 0), month, day: +match[1] }, year: !!match[3], match: match[0] };
+  }
+  match = text.match(new RegExp(`\\b${MONTH_NAME}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b,?(?:\\s+(\\d{4}))?`, 'i'));
+  if (match) {
+    const month = MONTHS.indexOf(match[1].toLowerCase()) + 1;
+    return { date: { year: fullYear(match[3] || 0), month, day: +match[2] }, year: !!match[3], match: match[0] };
+  }
+
+  match = text.match(/\b(today|hari ini|tomorrow|esok)\b/i);
+  if (match) return { offsetDays: /today|hari ini/i.test(match[1]) ? 0 : 1, match: match[0] };
+
+  for (const [weekday, names] of WEEKDAYS.entries()) {
+    match = text.match(new RegExp(`\\b(${names.join('|')})\\b\\.?`, 'i'));
+    if (match) return { weekday, match: match[0] };
+  }
+  return null;
+}
+
+function toDayHour(hour, meridiem) {
+  return (hour === 12 ? 0 : hour) + (meridiem.toLowerCase() === 'p' ? 12 : 0);
+}
+
+/**
+ * Start time written in a slot. In a range ("10-11am", "2pm to 4pm") the
+ * start is used; a start without am/pm takes the end's, unless that puts it
+ * after the end ("10-12pm", "11-1pm" start in the morning).
+ * @returns {{ hour: number, minute: number }|null}
+ */
+function findTime(text) {
+  const range = text.match(/\b(\d{1,2})(?:[:.](\d{2}))?\s*(?:-|–|to|until)\s*(\d{1,2})(?:[:.]\d{2})?\s*([ap])\.?m\.?(?![a-z])/i);
+  if (range) {
+    const [startHour, minute, endHour] = [range[1], range[2] || 0, range[3]].map(Number);
+    const meridiem = range[4];
+    if (startHour < 1 || startHour > 12 || endHour < 1 || endHour > 12 || minute > 59) return null;
+    let hour = toDayHour(startHour, meridiem);
+    if (meridiem.toLowerCase() === 'p' && hour > toDayHour(endHour, meridiem)) hour -= 12;
+    return { hour, minute };
+  }
+
+  let match = text.match(/\b(\d{1,2})(?:[:.](\d{2}))?\s*([ap])\.?m\.?(?![a-z])/i);
+  if (match) {
+    const hour = Number(match[1]);
+    const minute = Number(match[2] || 0);
+    if (hour < 1 || hour > 12 || minute > 59) return null;
+    return { hour: toDayHour(hour, match[3]), minute };
+  }
+
+  match = text.match(/\b([01]?\d|2[0-3])[:.]([0-5]\d)\b/) || text.match(/\b([01]\d|2[0-3])([0-5]\d)\s*(?:h|hrs|hours)\b/i);
+  if (match) return { hour: Number(match[1]), minute: Number(match[2]) };
+
+  if (/\b(noon|midday|tengah hari)\b/i.test(text)) return { hour: 12, minute: 0 };
+  return null;
+}
+
+/**
+ * Parse one availability entry into an interview slot.
+ * @param {string} text - As the candidate wrote it
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Weekdays and dates without a year are the next ones after this
+ * @param {string} [options.defaultTimeZone] - Used when the text names no zone
+ * @param {number} [options.durationMinutes]
+ * @returns {Object|null} - { text, start, end, timeZone, zoneGiven }, null if it is not a slot
+ */
+export function parseInterviewSlot(text, {
+  now = new Date(),
+  defaultTimeZone = 'UTC',
+  durationMinutes = 30,
+} = {}) {
+  const source = String(text ?? '').trim();
+  if (!source) return null;
+
+  const zone = findTimeZone(source);
+  const timeZone = zone?.timeZone || defaultTimeZone;
+  let rest = zone ? source.replace(zone.match, ' ') : source;
+
+  const date = findDate(rest);
+  if (!date) return null;
+  rest = rest.replace(date.match, ' ');
+
+  const time = findTime(rest);
+  if (!time) return null;
+
+  const today = zonedDate(now, timeZone);
+  const startOn = day => zonedTimeToUtc({ ...day, ...time }, timeZone);
+  let start;
+
+  if (date.date) {
+    const { month, day } = date.date;
+    let year = date.year ? date.date.year : today.year;
+    if (!isValidDate(year, month, day)) return null;
+    start = startOn({ year, month, day });
+    // "12 May" written in December means next year's
+    if (!date.year && start.getTime() < now.getTime() - 24 * 60 * 60 * 1000) {
+      year += 1;
+      if (!isValidDate(year, month, day)) return null;
+      start = startOn({ year, month, day });
+    }
+  } else if (date.offsetDays !== undefined) {
+    start = startOn(addDays(today, date.offsetDays));
+  } else {
+    // The next such weekday, today included if the time is still ahead
+    let days = (date.weekday - today.weekday + 7) % 7;
+    start = startOn(addDays(today, days));
+    if (start.getTime() <= now.getTime()) {
+      days += 7;
+      start = startOn(addDays(today, days));
+    }
+  }
+
+  return {
+    text: source,
+    start,
+    end: new Date(start.getTime() + durationMinutes * 60000),
+    timeZone,
+    zoneGiven: !!zone,
+  };
+}
+
+/**
+ * Parse every availability entry; entries that are not slots are left out.
+ * @param {Array<string>} availability - job_applications.availability
+ * @param {Object} [options] - See parseInterviewSlot
+ * @returns {Array<Object>} - Slots in the order given, without duplicates
+ */
+export function parseAvailability(availability, options = {}) {
+  const slots = [];
+  const seen = new Set();
+  for (const entry of Array.isArray(availability) ? availability : []) {
+    const slot = parseInterviewSlot(entry, options);
+    if (!slot || seen.has(slot.start.getTime())) continue;
+    seen.add(slot.start.getTime());
+    slots.push(slot);
+  }
+  return slots;
+}
+
+/**
+ * A start time as the person in that zone reads it, e.g.
+ * "Monday, 11 May 2026, 10:00 am (Asia/Kuala_Lumpur)".
+ */
+export function formatSlotTime(date, timeZone) {
+  const fixed = FIXED_OFFSET_ZONE.test(timeZone);
+  const local = fixed ? new Date(date.getTime() + getTimeZoneOffset(date, timeZone) * 60000) : date;
+  const formatted = new Intl.DateTimeFormat('en-GB', {
+    timeZone: fixed ? 'UTC' : timeZone,
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    hourCycle: 'h12',
+  }).format(local);
+  return `${formatted} (${timeZone})`;
+}
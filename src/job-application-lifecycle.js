@@ -0,0 +1,99 @@
+// Job application lifecycle
+//
+// The pipeline creates applications as `new`, `clarification_requested` or
+// `ignored`. From there HR moves them through screening, interview, offer
+// and hire, or rejects them. Only the transitions below are allowed; a
+// rejected candidate can be reconsidered and an ignored email can be
+// reopened as an application. This module is pure; job-application-service.js
+// applies the changes.
+
+export const APPLICATION_STATUSES = [
+  'clarification_requested',
+  'new',
+  'screening',
+  'interview_scheduled',
+  'offered',
+  'hired',
+  'rejected',
+  'ignored',
+];
+
+export const APPLICATION_TRANSITIONS = {
+  clarification_requested: ['new', 'rejected', 'ignored'],
+  new: ['screening', 'interview_scheduled', 'rejected', 'ignored'],
+  screening: ['interview_scheduled', 'rejected'],
+  interview_scheduled: ['offered', 'screening', 'rejected'],
+  offered: ['hired', 'rejected'],
+  hired: [],
+  rejected: ['screening'],
+  ignored: ['new'],
+};
+
+// Decided applications: a later email from the candidate starts a new
+// application instead of being merged into one of these
+export const CLOSED_APPLICATION_STATUSES = ['hired', 'rejected', 'ignored'];
+
+/**
+ * The application a follow-up reply is merged into, from the sender's
+ * applications in the reply's thread (newest first). Null when they are all
+ * closed, so the reply becomes a new application.
+ */
+export function selectApplicationForReply(applications) {
+  return applications.find(application => !CLOSED_APPLICATION_STATUSES.includes(application.status)) || null;
+}
+
+function lifecycleError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+export function allowedTransitions(status) {
+  return APPLICATION_TRANSITIONS[status] || [];
+}
+
+/**
+ * Check that an application may move from one status to another.
+ * @throws {Error} 409 listing the statuses it can move to
+ */
+export function validateTransition(from, to) {
+  if (from === to || allowedTransitions(from).includes(to)) return;
+  const allowed = allowedTransitions(from);
+  throw lifecycleError(409, allowed.length
+    ? `Cannot move an application from ${from} to ${to}; allowed: ${allowed.join(', ')}`
+    : `Cannot move an application from ${from}; it is final`);
+}
+
+/**
+ * Check and clean a PATCH /job-applications/:id body.
+ * @param {Object} input - { status, note, assignee }; an empty assignee unassigns
+ * @returns {Object} - Only the fields present
+ * @throws {Error} 400 on invalid input
+ */
+export function normalizeApplicationUpdate(input) {
+  const update = {};
+  const has = field => Object.hasOwn(input || {}, field);
+
+  if (has('status')) {
+    const status = String(input.status || '').trim().toLowerCase();
+    if (!APPLICATION_STATUSES.includes(status)) {
+      throw lifecycleError(400, `status must be one of: ${APPLICATION_STATUSES.join(', ')}`);
+    }
+    update.status = status;
+  }
+  if (has('note')) {
+    const note = String(input.note ?? '').trim();
+    if (note.length > 5000) throw lifecycleError(400, 'note must be at most 5000 characters');
+    if (note) update.note = note;
+  }
+  if (has('assignee')) {
+    const assignee = String(input.assignee ?? '').trim();
+    if (assignee.length > 255) throw lifecycleError(400, 'assignee must be at most 255 characters');
+    update.assignee = assignee || null;
+  }
+
+  if (!Object.keys(update).length) {
+    throw lifecycleError(400, 'Provide at least one of: status, note, assignee');
+  }
+  return update;
+}
@@ -1,33 +1,60 @@
 import config from './config.js';
-import { sendEmail } from './email-service.js';
+import { queueEmail } from './outbound-email-service.js';
+import { renderLocalizedTemplate } from './template-service.js';
+import { getAttachmentTexts } from './attachment-service.js';
 import {
   getHodDepartments,
-  getHodDepartment,
+  getJobApplicationById,
   getJobApplicationByReceivedEmailId,
   saveJobApplication,
   updateJobApplication,
+  findJobApplicationsForReply,
+  getJobApplicationReplyByReceivedEmailId,
+  saveJobApplicationReply,
+  updateJobApplicationReply,
+  updateJobApplicationLifecycle,
+  addJobApplicationStatusHistory,
+  getJobApplicationStatusHistory,
+  getJobApplicationStats,
+  getReceivedEmailById,
+  getHodNotifications,
   savePipelineEvent,
   saveAiActivityLog,
 } from './database.js';
-import { sendWhatsAppMessage } from './whatsapp-client.js';
+import { notifyHod, retryHodNotifications } from './hod-notifier.js';
+import { proposeInterviewSlots } from './interview-service.js';
+import { assignCandidate } from './candidate-service.js';
+import { publishWebhookEvent } from './webhook-subscription-service.js';
+import { buildReplyHeaders } from './email-threading.js';
+import { AUTO_REPLY_HEADERS, checkAutoReply } from './auto-reply-guard.js';
+import { extractEmailAddresses } from './seda-email-parser.js';
+import {
+  normalizeApplicationUpdate,
+  selectApplicationForReply,
+  validateTransition,
+} from './job-application-lifecycle.js';
+import { buildRecruitmentStats, resolveStatsRange } from './recruitment-stats.js';
+import { describeAiProvider, getAiBackend, getAiProviders } from './ai-providers.js';
+import { candidateGreeting, defaultReplySubject, detectLanguage, normalizeLanguage } from './candidate-language.js';
 
 const CLASSIFICATIONS = new Set([
   'job_application',
   'uncertain',
   'not_job_application',
 ]);
-const configuredAiTimeout = Number(process.env.AI_REQUEST_TIMEOUT_MS);
-const AI_REQUEST_TIMEOUT_MS = Number.isFinite(configuredAiTimeout) && configuredAiTimeout > 0
-  ? Math.min(configuredAiTimeout, 15000)
-  : 10000;
-const configuredAiAttempts = Number(process.env.AI_MAX_ATTEMPTS);
-const AI_MAX_ATTEMPTS = Number.isFinite(configuredAiAttempts) && configuredAiAttempts > 0
-  ? Math.max(1, Math.min(Math.floor(configuredAiAttempts), 5))
-  : 3;
-const configuredAiBackoff = Number(process.env.AI_RETRY_BACKOFF_MS);
-const AI_RETRY_BACKOFF_MS = Number.isFinite(configuredAiBackoff) && configuredAiBackoff >= 0
-  ? Math.min(configuredAiBackoff, 10000)
-  : 750;
+
+// How a follow-up reply may change each field: `replace` when the candidate
+// gives a different value, `fill` only when the application has none yet
+const MERGE_FIELDS = [
+  { key: 'name', column: 'applicant_name', update: 'applicantName', label: 'Name', mode: 'fill' },
+  { key: 'phone', column: 'phone', update: 'phone', label: 'Phone', mode: 'replace' },
+  { key: 'whatsapp_number', column: 'whatsapp_number', update: 'whatsappNumber', label: 'WhatsApp', mode: 'replace' },
+  { key: 'position', column: 'applied_position', update: 'appliedPosition', label: 'Position', mode: 'fill' },
+  { key: 'department', column: 'department', update: 'department', label: 'Department', mode: 'fill' },
+  { key: 'years_experience', column: 'years_experience', update: 'yearsExperience', label: 'Experience', mode: 'fill' },
+  { key: 'location', column: 'location', update: 'location', label: 'Location', mode: 'fill' },
+  { key: 'resume_summary', column: 'resume_summary', update: 'resumeSummary', label: 'Resume', mode: 'fill' },
+];
 
 async function logPipelineEvent(eventName, details = {}) {
   try {
@@ -37,6 +64,12 @@ async function logPipelineEvent(eventName, details = {}) {
   }
 }
 
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
 function truncateForLog(value, maxLength = 500) {
   return String(value || '').slice(0, maxLength);
 }
@@ -163,14 +196,35 @@ function getLatestReplyBody(body) {
     .trim();
 }
 
+// CV text extracted from the email's PDF/DOCX/text attachments, capped for the prompt
+function getAttachmentText(email) {
+  return (email.attachment_texts || [])
+    .map(attachment => `--- ${attachment.filename} ---\n${attachment.text}`)
+    .join('\n\n')
+    .slice(0, config.ATTACHMENT_TEXT_MAX_CHARS);
+}
+
+function inferYearsExperience(text) {
+  const match = /\b(\d{1,2}(?:\.\d)?)\+?\s*(?:years?|yrs?)\b(?:\s+of)?(?:\s+(?:working|work|professional|industry|relevant))?\s+experience/i
+    .exec(text);
+  return match ? `${match[1]} years` : null;
+}
+
+function summarizeResumeText(text) {
+  const collapsed = text.replace(/^--- .+ ---$/gm, ' ').replace(/\s+/g, ' ').trim();
+  return collapsed.length > 400 ? `${collapsed.slice(0, 400)}...` : collapsed || null;
+}
+
 function inferFallbackDepartment(searchableText, departments) {
   const normalizedText = searchableText.toLowerCase();
   const activeDepartments = departments
     .filter(department => department?.is_active !== false && department?.department)
     .map(department => department.department);
 
+  // Whole words only: "IT" must not match "with" in a CV
   const exactMatch = activeDepartments.find(department =>
-    normalizedText.includes(department.toLowerCase()),
+    new RegExp(`(^|[^a-z0-9])${department.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^a-z0-9])`)
+      .test(normalizedText),
   );
   if (exactMatch) return exactMatch;
 
@@ -193,6 +247,7 @@ export function deterministicRecruitmentFallback(email, hodDepartments = []) {
   const body = getLatestReplyBody(getApplicationBody(email));
   const subject = String(email.subject || '').trim();
   const searchableText = `${subject}\n${body}`;
+  const attachmentText = getAttachmentText(email);
   const asksWhetherAvailable = /\b(do you have|any|is there|are you hiring|available)\b/i.test(body)
     && /\b(job|vacanc|position|work|role)\b/i.test(body);
   const roleOnlyReply = body.length > 0
@@ -203,12 +258,15 @@ export function deterministicRecruitmentFallback(email, hodDepartments = []) {
   const hasApplicationEvidence = Boolean(email.attachments?.length)
     || /\b(apply|applied|application|applying|resume|curriculum vitae|\bcv\b|candidate|interested in)\b/i.test(searchableText);
   const classification = hasApplicationEvidence || roleOnlyReply ? 'job_application' : 'uncertain';
-  const department = inferFallbackDepartment(searchableText, hodDepartments);
+  // The email itself names the role more reliably than a CV's work history
+  const department = inferFallbackDepartment(searchableText, hodDepartments)
+    || (attachmentText ? inferFallbackDepartment(attachmentText, hodDepartments) : null);
 
   return {
     classification,
     confidence: classification === 'job_application' ? 0.7 : 0.5,
     reason: 'AI provider unavailable; conservative local recruitment fallback used',
+    language: detectLanguage(searchableText),
     applicant: {
       name: null,
       email: email.from_email || null,
@@ -216,17 +274,19 @@ export function deterministicRecruitmentFallback(email, hodDepartments = []) {
       whatsapp_number: null,
       position: roleOnlyReply ? body : null,
       department,
-      years_experience: null,
+      years_experience: inferYearsExperience(`${body}\n${attachmentText}`),
       location: null,
       availability: [],
-      resume_summary: null,
+      resume_summary: attachmentText ? summarizeResumeText(attachmentText) : null,
     },
   };
 }
 
 function isSimpleVacancyMessage(email) {
   const body = getLatestReplyBody(getApplicationBody(email));
-  return body.length > 0
+  // A short note with a readable CV still goes to the AI for extraction
+  return !email.attachment_texts?.length
+    && body.length > 0
     && body.length <= 160
     && /\b(job|vacanc|position|career|role)\b/i.test(email.subject || '')
     && !/https?:\/\//i.test(body);
@@ -234,6 +294,7 @@ function isSimpleVacancyMessage(email) {
 
 function applicationPrompt(email, hodDepartments = []) {
   const body = getApplicationBody(email);
+  const attachmentText = getAttachmentText(email);
   const availableDepartments = hodDepartments
     .filter(department => department?.is_active !== false && department?.department)
     .map(department => department.department);
@@ -244,6 +305,7 @@ Return JSON only with this exact shape:
   "classification": "job_application" | "uncertain" | "not_job_application",
   "confidence": 0,
   "reason": "short reason",
+  "language": "en" | "ms" | "zh" | "other",
   "applicant": {
     "name": null,
     "email": null,
@@ -266,6 +328,8 @@ Rules:
 - Choose applicant.department from this active HOD department list when the role, skills, or experience clearly match one of them: ${JSON.stringify(availableDepartments)}
 - Return the exact department name from that list. Do not invent a department name.
 - Use null only when the available list has no reasonable match.
+- Attachment text is extracted from the candidate's CV/resume files. Use it for resume_summary, years_experience, phone, location and name when the email body does not say.
+- language is the language the sender wrote the email body in: "en" for English, "ms" for Malay, "zh" for Chinese, "other" for anything else. Ignore quoted earlier messages and the attachment text.
 - Never invent values. Use null or [] when missing.
 
 Sender: ${email.from_email}
@@ -273,29 +337,10 @@ Recipient: ${email.to_email}
 Subject: ${email.subject}
 Attachments: ${JSON.stringify(email.attachments || [])}
 Body:
-${body.slice(0, 30000)}`;
-}
+${body.slice(0, 30000)}${attachmentText ? `
 
-function getAiConfig() {
-  const values = {
-    apiKey: config.AI_API_KEY,
-    apiBaseUrl: config.AI_API_BASE_URL,
-    model: config.AI_MODEL,
-  };
-  const missingConfig = [
-    ['AI_API_KEY', values.apiKey],
-    ['AI_API_BASE_URL', values.apiBaseUrl],
-    ['AI_MODEL', values.model],
-  ]
-    .filter(([, value]) => !value)
-    .map(([name]) => name);
-  if (missingConfig.length > 0) {
-    const error = new Error(`${missingConfig.join(', ')} must be configured`);
-    error.code = 'AI_CONFIG_MISSING';
-    error.status = 503;
-    throw error;
-  }
-  return values;
+Attachment text:
+${attachmentText}` : ''}`;
 }
 
 function isRetryableAiError(error) {
@@ -305,13 +350,14 @@ function isRetryableAiError(error) {
     || error.status >= 500;
 }
 
-function retryDelay(attempt) {
-  return AI_RETRY_BACKOFF_MS * (2 ** (attempt - 1));
+function retryDelay(provider, attempt) {
+  return provider.retryBackoffMs * (2 ** (attempt - 1));
 }
 
 const sleep = milliseconds => new Promise(resolve => setTimeout(resolve, milliseconds));
 
-export async function callAiApi(body, {
+// One provider with its own retry policy; throws once it keeps failing
+async function callAiProvider(provider, body, {
   emailId = null,
   action = 'llm_request',
   description = null,
@@ -322,36 +368,36 @@ export async function callAiApi(body, {
   sessionId = null,
   parentTaskId = null,
 } = {}) {
-  const { apiKey, apiBaseUrl, model } = getAiConfig();
-  const requestBody = JSON.stringify(body);
+  const backend = getAiBackend(provider.type);
+  const request = backend.buildRequest(provider, body);
+  const requestBody = JSON.stringify(request.body);
+  const { maxAttempts, timeoutMs } = provider;
   let lastError;
 
-  for (let attempt = 1; attempt <= AI_MAX_ATTEMPTS; attempt += 1) {
-    if (attempt > 1) await sleep(retryDelay(attempt - 1));
+  for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+    if (attempt > 1) await sleep(retryDelay(provider, attempt - 1));
 
     const startedAt = Date.now();
     await logPipelineEvent('ai.request.started', {
       emailId,
       metadata: {
-        model,
+        provider: provider.name,
+        model: provider.model,
         attempt,
-        maxAttempts: AI_MAX_ATTEMPTS,
-        timeoutMs: AI_REQUEST_TIMEOUT_MS,
+        maxAttempts,
+        timeoutMs,
         requestChars: requestBody.length,
       },
     });
 
     const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), AI_REQUEST_TIMEOUT_MS);
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
     let responseStatus = null;
     let data = null;
     try {
-      const response = await fetch(`${apiBaseUrl}/chat/completions`, {
+      const response = await fetch(request.url, {
         method: 'POST',
-        headers: {
-          Authorization: `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-        },
+        headers: request.headers,
         body: requestBody,
         signal: controller.signal,
       });
@@ -362,12 +408,13 @@ export async function callAiApi(body, {
         error.status = response.status;
         throw error;
       }
+      data = backend.parseResponse(data);
       const usage = getAiUsage(data);
       const durationMs = Date.now() - startedAt;
       await logAiActivity({
         emailId,
-        model,
-        apiUrl: `${apiBaseUrl}/chat/completions`,
+        model: provider.model,
+        apiUrl: request.url,
         action: action || 'llm_request',
         description: description || 'EE-Mail recruitment workflow completed an LLM request',
         entityType,
@@ -382,8 +429,10 @@ export async function callAiApi(body, {
         outputTokens: usage.outputTokens,
         durationMs,
         metadata: {
+          provider: provider.name,
+          providerType: provider.type,
           attempt,
-          maxAttempts: AI_MAX_ATTEMPTS,
+          maxAttempts,
           httpStatus: responseStatus,
           requestChars: requestBody.length,
           responseChars: JSON.stringify(data).length,
@@ -391,12 +440,12 @@ export async function callAiApi(body, {
       });
       await logPipelineEvent('ai.request.completed', {
         emailId,
-        metadata: { attempt, status: responseStatus, latencyMs: durationMs, model },
+        metadata: { provider: provider.name, attempt, status: responseStatus, latencyMs: durationMs, model: provider.model },
       });
       return data;
     } catch (err) {
       const error = err.name === 'AbortError'
-        ? Object.assign(new Error(`AI API timed out after ${AI_REQUEST_TIMEOUT_MS}ms`), {
+        ? Object.assign(new Error(`AI API timed out after ${timeoutMs}ms`), {
           code: 'AI_TIMEOUT',
           status: 504,
         })
@@ -407,8 +456,8 @@ export async function callAiApi(body, {
       const usage = getAiUsage(data);
       await logAiActivity({
         emailId,
-        model,
-        apiUrl: `${apiBaseUrl}/chat/completions`,
+        model: provider.model,
+        apiUrl: request.url,
         action: action || 'llm_request',
         description: description || 'EE-Mail recruitment workflow attempted an LLM request',
         entityType,
@@ -427,8 +476,10 @@ export async function callAiApi(body, {
         status: 'failed',
         errorMessage: error.message,
         metadata: {
+          provider: provider.name,
+          providerType: provider.type,
           attempt,
-          maxAttempts: AI_MAX_ATTEMPTS,
+          maxAttempts,
           httpStatus: responseStatus,
           requestChars: requestBody.length,
           responseChars: data ? JSON.stringify(data).length : 0,
@@ -440,25 +491,27 @@ export async function callAiApi(body, {
         level: 'error',
         emailId,
         metadata: {
+          provider: provider.name,
           attempt,
-          maxAttempts: AI_MAX_ATTEMPTS,
+          maxAttempts,
           retryable,
           status: error.status || null,
           latencyMs: Date.now() - startedAt,
-          model,
+          model: provider.model,
           code: error.code || null,
         },
         message: error.message,
       });
 
-      if (!retryable || attempt >= AI_MAX_ATTEMPTS) throw error;
+      if (!retryable || attempt >= maxAttempts) throw error;
 
       await logPipelineEvent('ai.request.retrying', {
         emailId,
         metadata: {
+          provider: provider.name,
           failedAttempt: attempt,
           nextAttempt: attempt + 1,
-          delayMs: retryDelay(attempt),
+          delayMs: retryDelay(provider, attempt),
           status: error.status || null,
           code: error.code || null,
         },
@@ -472,11 +525,47 @@ export async function callAiApi(body, {
   throw lastError;
 }
 
+/**
+ * Send a chat completion request to the configured AI providers in order.
+ * A provider that still fails after its retries hands the request to the next.
+ * The model in `body` is replaced by each provider's model.
+ * @param {Object} body - Chat completion request
+ * @param {Object} [options] - emailId and the AI activity log fields
+ * @returns {Promise<Object>} - Chat completion response; `provider` ({ name, type, model }) served it
+ * @throws {Error} - The last provider's error, or 503 when no provider is configured
+ */
+export async function callAiApi(body, options = {}) {
+  const providers = getAiProviders();
+  let lastError;
+
+  for (const [index, provider] of providers.entries()) {
+    try {
+      const data = await callAiProvider(provider, body, options);
+      return { ...data, provider: describeAiProvider(provider) };
+    } catch (error) {
+      lastError = error;
+      const next = providers[index + 1];
+      if (!next) break;
+      await logPipelineEvent('ai.provider.failover', {
+        level: 'warn',
+        emailId: options.emailId || null,
+        metadata: {
+          from: describeAiProvider(provider),
+          to: describeAiProvider(next),
+          status: error.status || null,
+          code: error.code || null,
+        },
+        message: error.message,
+      });
+    }
+  }
+
+  throw lastError;
+}
+
 export async function checkAiHealth() {
   const startedAt = Date.now();
-  const { model } = getAiConfig();
   const data = await callAiApi({
-    model,
     temperature: 0,
     response_format: { type: 'json_object' },
     messages: [
@@ -498,7 +587,13 @@ export async function checkAiHealth() {
     error.status = 502;
     throw error;
   }
-  return { ok: true, model, latencyMs: Date.now() - startedAt };
+  return {
+    ok: true,
+    provider: data.provider.name,
+    model: data.provider.model,
+    providers: getAiProviders().map(describeAiProvider),
+    latencyMs: Date.now() - startedAt,
+  };
 }
 
 async function classifyAndExtract(email) {
@@ -524,9 +619,7 @@ async function classifyAndExtract(email) {
   }
 
   try {
-    const { model } = getAiConfig();
     const data = await callAiApi({
-      model,
       temperature: 0,
       response_format: { type: 'json_object' },
       messages: [
@@ -553,6 +646,8 @@ async function classifyAndExtract(email) {
       ? parsed.applicant
       : {};
     if (!parsed.applicant.email) parsed.applicant.email = email.from_email;
+    parsed.language = normalizeLanguage(parsed.language) || fallback.language;
+    parsed.ai_provider = data.provider;
     return parsed;
   } catch (err) {
     await logPipelineEvent('ai.fallback.used', {
@@ -569,33 +664,6 @@ async function classifyAndExtract(email) {
   }
 }
 
-function candidateReply({ applicant, uncertain = false }) {
-  const greeting = applicant?.name ? `Hi ${applicant.name},` : 'Hi,';
-  if (uncertain) {
-    return `${greeting}
-
-Thank you for contacting Eternalgy. We are not sure whether your email is an application for a job vacancy.
-
-Please reply with the position or department you are applying for and attach your CV/resume if available.
-
-Regards,
-Eternalgy Recruitment`;
-  }
-
-  return `${greeting}
-
-Thank you for your job application to Eternalgy.
-
-For interview coordination, please reply with:
-1. Your WhatsApp number, which is compulsory for the interview invitation.
-2. Two or three possible interview dates and times, including your time zone.
-
-Our recruitment team will review your application and contact you.
-
-Regards,
-Eternalgy Recruitment`;
-}
-
 function hodMessage({ application, email }) {
   const a = application;
   const availability = Array.isArray(a.availability) && a.availability.length
@@ -614,6 +682,125 @@ function hodMessage({ application, email }) {
   ].join('\n');
 }
 
+function comparableValue(value, key = null) {
+  const text = String(value ?? '').trim();
+  return key === 'phone' || key === 'whatsapp_number'
+    ? text.replace(/\D/g, '')
+    : text.replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Fold the fields extracted from a follow-up reply into an application.
+ * New availability is appended to what the candidate already gave.
+ * @param {Object} application - job_applications row
+ * @param {Object} applicant - Extracted applicant fields of the reply
+ * @returns {{ updates: Object, changes: Array<{ field, label, from, to }> }} - updates use updateJobApplication keys
+ */
+export function mergeApplicantFields(application, applicant = {}) {
+  const updates = {};
+  const changes = [];
+
+  for (const field of MERGE_FIELDS) {
+    const raw = applicant[field.key];
+    const next = typeof raw === 'string' ? raw.trim() : raw;
+    if (next === null || next === undefined || next === '') continue;
+
+    const current = application[field.column];
+    if (comparableValue(current, field.key) === comparableValue(next, field.key)) continue;
+    if (field.mode === 'fill' && current) continue;
+
+    updates[field.update] = next;
+    changes.push({ field: field.column, label: field.label, from: current || null, to: next });
+  }
+
+  const existing = Array.isArray(application.availability) ? application.availability : [];
+  const seen = new Set(existing.map(slot => comparableValue(slot)));
+  const added = [];
+  for (const slot of Array.isArray(applicant.availability) ? applicant.availability : []) {
+    const value = String(slot ?? '').trim();
+    if (!value || seen.has(comparableValue(value))) continue;
+    seen.add(comparableValue(value));
+    added.push(value);
+  }
+  if (added.length) {
+    updates.availability = [...existing, ...added];
+    changes.push({ field: 'availability', label: 'Availability', from: existing.length ? existing : null, to: added });
+  }
+
+  return { updates, changes };
+}
+
+function hodUpdateMessage({ application, changes, email }) {
+  const a = application;
+  return [
+    'Job application updated by the candidate',
+    `Name: ${a.applicant_name || 'Not provided'}`,
+    `Email: ${a.applicant_email || email.from_email}`,
+    `Position: ${a.applied_position || 'Not provided'}`,
+    ...changes.map(change => (change.field === 'availability'
+      ? `Availability added: ${change.to.join('; ')}`
+      : `${change.label}: ${String(change.to).slice(0, 300)}${change.from ? ` (was ${String(change.from).slice(0, 100)})` : ''}`)),
+    `Subject: ${email.subject || '(no subject)'}`,
+  ].join('\n');
+}
+
+// Mark a real application as processed and tell webhook subscribers about it
+async function completeNewApplication(application, email, updates) {
+  const updated = await updateJobApplication(application.id, {
+    processingStatus: 'completed',
+    status: 'new',
+    acknowledgementSentAt: new Date(),
+    ...updates,
+  });
+  if (!updated) return updated;
+  await publishWebhookEvent('job_application.created', {
+    id: updated.id,
+    received_email_id: updated.received_email_id,
+    email_id: email.email_id || null,
+    classification: updated.classification,
+    applicant_name: updated.applicant_name,
+    applicant_email: updated.applicant_email,
+    phone: updated.phone,
+    whatsapp_number: updated.whatsapp_number,
+    applied_position: updated.applied_position,
+    department: updated.department,
+    years_experience: updated.years_experience,
+    location: updated.location,
+    language: updated.language,
+    hod_notified: !!updated.hod_notified_at,
+    created_at: updated.created_at,
+  });
+  return updated;
+}
+
+// Link the application to its candidate; never fails the pipeline
+async function linkCandidate(application, email, context) {
+  try {
+    await assignCandidate(application, { fromEmail: email.from_email });
+  } catch (err) {
+    await logPipelineEvent('candidate.assign.failed', {
+      ...context,
+      applicationId: application.id,
+      level: 'warn',
+      message: err.message,
+    });
+  }
+}
+
+// Interview slots from the availability the candidate gave; never fails the pipeline
+async function proposeInterviews(application, context) {
+  try {
+    await proposeInterviewSlots(application);
+  } catch (err) {
+    await logPipelineEvent('interview.slots.failed', {
+      ...context,
+      applicationId: application.id,
+      level: 'warn',
+      message: err.message,
+    });
+  }
+}
+
 export async function processJobApplicationEmail(email) {
   const context = { emailId: email?.email_id || null, receivedEmailId: email?.id || null };
   await logPipelineEvent('application.processing.started', context);
@@ -631,9 +818,37 @@ export async function processJobApplicationEmail(email) {
     return { skipped: true, application: existing };
   }
 
+  const mergedReply = await getJobApplicationReplyByReceivedEmailId(email.id);
+  if (mergedReply) {
+    await logPipelineEvent('application.processing.skipped', {
+      ...context,
+      applicationId: mergedReply.job_application_id,
+      metadata: { reason: 'already_merged' },
+    });
+    return { skipped: true, merged: true, reply: mergedReply };
+  }
+
+  const sender = extractEmailAddresses(email.from_email)[0];
+  const openApplication = selectApplicationForReply(await findJobApplicationsForReply({
+    threadId: email.thread_id,
+    sender,
+    receivedEmailId: email.id,
+  }));
+
+  let attachmentTexts = [];
+  try {
+    attachmentTexts = await getAttachmentTexts(email);
+  } catch (err) {
+    await logPipelineEvent('application.attachment_text.failed', {
+      ...context,
+      level: 'warn',
+      message: err.message,
+    });
+  }
+
   let extracted;
   try {
-    extracted = await classifyAndExtract({ ...email, emailId: email.email_id });
+    extracted = await classifyAndExtract({ ...email, emailId: email.email_id, attachment_texts: attachmentTexts });
   } catch (err) {
     await logPipelineEvent('application.processing.failed', {
       ...context,
@@ -643,6 +858,11 @@ export async function processJobApplicationEmail(email) {
     });
     throw err;
   }
+
+  if (openApplication) {
+    return mergeFollowUpReply({ application: openApplication, email, extracted, context });
+  }
+
   const applicant = extracted.applicant || {};
   const application = await saveJobApplication({
     receivedEmailId: email.id,
@@ -661,6 +881,7 @@ export async function processJobApplicationEmail(email) {
     resumeSummary: applicant.resume_summary,
     extraction: extracted,
     processingStatus: 'processing',
+    language: extracted.language,
   });
 
   await logPipelineEvent('application.classified', {
@@ -670,6 +891,8 @@ export async function processJobApplicationEmail(email) {
       classification: extracted.classification,
       confidence: extracted.confidence,
       department: applicant.department || null,
+      language: extracted.language || null,
+      attachmentTexts: attachmentTexts.length,
     },
   });
 
@@ -679,28 +902,60 @@ export async function processJobApplicationEmail(email) {
       status: 'ignored',
     });
   }
+  if (application) await linkCandidate(application, email, context);
 
   const uncertain = extracted.classification === 'uncertain';
+  // Never answer an auto-responder, a bounce or a sender we already replied to often
+  const suppressed = await checkAutoReply(email, { source: 'recruitment', from: config.JOB_APPLICATION_FROM });
+  if (suppressed) {
+    await logPipelineEvent('candidate.reply.suppressed', {
+      ...context,
+      applicationId: application?.id,
+      level: 'warn',
+      message: suppressed.detail,
+      metadata: { reason: suppressed.reason, classification: extracted.classification },
+    });
+    // Without the clarification request nobody will answer an unclear automated email
+    if (uncertain) {
+      return updateJobApplication(application.id, { processingStatus: 'completed', status: 'ignored' });
+    }
+    return finishNewApplication(application, email, applicant, context, { acknowledgementSentAt: null });
+  }
+
   await logPipelineEvent('candidate.reply.started', {
     ...context,
     applicationId: application?.id,
     metadata: { classification: extracted.classification, uncertain },
   });
   try {
-    await sendEmail({
-    to: email.from_email,
-    from: config.JOB_APPLICATION_FROM,
-    domain: config.EMAIL_DOMAIN,
-    subject: uncertain
-      ? `Re: ${email.subject || 'Your email to Eternalgy'}`
-      : `Re: ${email.subject || 'Your job application to Eternalgy'}`,
-    text: candidateReply({ applicant, uncertain }),
-    html: `<pre style="font-family: Arial, sans-serif; white-space: pre-wrap;">${candidateReply({ applicant, uncertain })}</pre>`,
+    const rendered = await renderLocalizedTemplate(
+      uncertain ? 'recruitment-clarification' : 'recruitment-acknowledgement',
+      extracted.language,
+      {
+        greeting: candidateGreeting(applicant?.name, extracted.language),
+        applicant_name: applicant?.name || '',
+        original_subject: email.subject || defaultReplySubject(uncertain ? 'clarification' : 'application', extracted.language),
+      },
+      { domain: config.EMAIL_DOMAIN }
+    );
+    const reply = await queueEmail({
+      to: email.from_email,
+      from: config.JOB_APPLICATION_FROM,
+      domain: config.EMAIL_DOMAIN,
+      subject: rendered.subject,
+      text: rendered.text,
+      html: rendered.html,
+      headers: { ...buildReplyHeaders(email), ...AUTO_REPLY_HEADERS },
+    }, {
+      source: 'recruitment',
+      metadata: { job_application_id: application?.id || null, template: rendered.template },
+      // The inbound job retries this stage; a retry gets the reply already queued
+      idempotencyKey: `recruitment-ack:${email.id}`,
     });
-    await logPipelineEvent('candidate.reply.sent', {
+    await logPipelineEvent(reply.queued ? 'candidate.reply.queued' : 'candidate.reply.sent', {
       ...context,
       applicationId: application?.id,
-      metadata: { uncertain },
+      metadata: { uncertain, outboundEmailId: reply.id, template: rendered.template.slug },
     });
   } catch (err) {
     await logPipelineEvent('candidate.reply.failed', {
@@ -720,36 +975,173 @@ export async function processJobApplicationEmail(email) {
     });
   }
 
-  const hod = await getHodDepartment(applicant.department);
-  if (hod?.hod_whatsapp_number) {
-    try {
-      await sendWhatsAppMessage({
-        to: hod.hod_whatsapp_number,
-        text: hodMessage({ application, email }),
-      });
-      return updateJobApplication(application.id, {
-        processingStatus: 'completed',
-        status: 'new',
-        acknowledgementSentAt: new Date(),
-        hodNotifiedAt: new Date(),
-        notificationError: null,
-      });
-    } catch (err) {
-      return updateJobApplication(application.id, {
-        processingStatus: 'completed',
-        status: 'new',
-        acknowledgementSentAt: new Date(),
-        notificationError: err.message,
-      });
-    }
+  return finishNewApplication(application, email, applicant, context);
+}
+
+// Tell the HOD about a new application and propose its interview slots
+async function finishNewApplication(application, email, applicant, context, updates = {}) {
+  const completed = await completeNewApplication(application, email, {
+    ...updates,
+    ...await notifyHod(applicant.department, hodMessage({ application, email }), { applicationId: application.id }),
+  });
+  if (completed) await proposeInterviews(completed, context);
+  return completed;
+}
+
+/**
+ * A reply from the candidate in the thread of an open application: merge
+ * what it adds and tell the HOD what changed. A clarification answered with
+ * a real application becomes a new application and the HOD gets the full
+ * notification instead.
+ */
+async function mergeFollowUpReply({ application, email, extracted, context }) {
+  const { updates, changes } = mergeApplicantFields(application, extracted.applicant || {});
+  const promoted = application.status === 'clarification_requested' &&
+    extracted.classification === 'job_application';
+  if (promoted) updates.classification = 'job_application';
+
+  let updated = Object.keys(updates).length
+    ? await updateJobApplication(application.id, updates)
+    : application;
+  const reply = await saveJobApplicationReply({
+    jobApplicationId: application.id,
+    receivedEmailId: email.id,
+    classification: extracted.classification,
+    changes,
+    extraction: extracted,
+  });
+  await logPipelineEvent('application.reply.merged', {
+    ...context,
+    applicationId: application.id,
+    metadata: { classification: extracted.classification, fields: changes.map(change => change.field), promoted },
+  });
+
+  let notification = null;
+  if (promoted) {
+    await addJobApplicationStatusHistory({
+      jobApplicationId: application.id,
+      fromStatus: application.status,
+      toStatus: 'new',
+      note: 'The candidate answered the clarification request with an application',
+      assignee: application.assignee || null,
+    });
+    notification = await notifyHod(updated.department, hodMessage({ application: updated, email }), {
+      applicationId: application.id,
+      replyId: reply.id,
+    });
+    updated = await completeNewApplication(updated, email, {
+      acknowledgementSentAt: application.acknowledgement_sent_at,
+      statusChangedAt: new Date(),
+      ...notification,
+    });
+  } else if (changes.length && application.status !== 'clarification_requested') {
+    notification = await notifyHod(updated.department, hodUpdateMessage({ application: updated, changes, email }), {
+      kind: 'application.updated',
+      applicationId: application.id,
+      replyId: reply.id,
+    });
   }
 
-  return updateJobApplication(application.id, {
-    processingStatus: 'completed',
-    status: 'new',
-    acknowledgementSentAt: new Date(),
-    notificationError: applicant.department
-      ? `No HOD WhatsApp number configured for department: ${applicant.department}`
-      : 'No department was extracted and no default HOD is configured',
+  if (notification) {
+    await updateJobApplicationReply(reply.id, notification);
+    await logPipelineEvent(notification.hodNotifiedAt ? 'application.reply.hod_notified' : 'application.reply.hod_notification_failed', {
+      ...context,
+      applicationId: application.id,
+      level: notification.hodNotifiedAt ? 'info' : 'warn',
+      message: notification.notificationError || null,
+    });
+  }
+
+  if (updated && changes.some(change => ['applicant_name', 'phone', 'whatsapp_number'].includes(change.field))) {
+    await linkCandidate(updated, email, context);
+  }
+  if (updated && (promoted || updates.availability)) await proposeInterviews(updated, context);
+
+  return { merged: true, promoted, changes, application: updated };
+}
+
+/**
+ * Move an application along its lifecycle, reassign it or add a note.
+ * Every call is recorded in the status history.
+ * @param {number} id
+ * @param {Object} input - PATCH body: { status, note, assignee }
+ * @param {Object} [options]
+ * @param {Object} [options.actor] - Who made the change (describeActor)
+ * @returns {Promise<Object>} - The application with its status history
+ * @throws {Error} 400 on invalid input, 404, 409 on a disallowed or conflicting transition
+ */
+export async function updateJobApplicationStatus(id, input, { actor = null } = {}) {
+  const update = normalizeApplicationUpdate(input);
+  const application = await getJobApplicationById(id);
+  if (!application) throw httpError(404, 'Job application not found');
+  if (application.processing_status !== 'completed') {
+    throw httpError(409, 'The application is still being processed');
+  }
+
+  const status = update.status || application.status;
+  validateTransition(application.status, status);
+
+  const updated = await updateJobApplicationLifecycle(id, {
+    fromStatus: application.status,
+    status,
+    assignee: update.assignee,
+    note: update.note || null,
+    changedBy: actor,
+  });
+  if (!updated) {
+    throw httpError(409, 'The application status changed in the meantime; reload and try again');
+  }
+
+  await logPipelineEvent('application.status.changed', {
+    receivedEmailId: updated.received_email_id,
+    applicationId: id,
+    metadata: { from: application.status, to: status, assignee: updated.assignee, noted: !!update.note },
+  });
+  return { ...updated, history: await getJobApplicationStatusHistory(id) };
+}
+
+/**
+ * Send an application's HOD WhatsApp again by hand. Notifications that
+ * failed or are waiting are retried now; when every one was sent, the
+ * new-application message is sent once more.
+ * @returns {Promise<Object>} - { application, notifications }
+ * @throws {Error} 404, 409 when the application is not one the HOD is told about
+ */
+export async function resendHodNotification(id) {
+  const application = await getJobApplicationById(id);
+  if (!application) throw httpError(404, 'Job application not found');
+  if (application.processing_status !== 'completed') {
+    throw httpError(409, 'The application is still being processed');
+  }
+  if (['ignored', 'clarification_requested'].includes(application.status)) {
+    throw httpError(409, `HODs are not notified about ${application.status} applications`);
+  }
+
+  const context = { receivedEmailId: application.received_email_id, applicationId: id };
+  const retried = await retryHodNotifications(id);
+  let updated = await getJobApplicationById(id);
+  if (!retried.length) {
+    const email = await getReceivedEmailById(application.received_email_id);
+    const notification = await notifyHod(application.department, hodMessage({ application, email }), { applicationId: id });
+    updated = await updateJobApplication(id, notification);
+  }
+
+  const notifications = await getHodNotifications({ jobApplicationId: id });
+  await logPipelineEvent('application.hod_notification.resent', {
+    ...context,
+    level: updated.notification_error ? 'warn' : 'info',
+    message: updated.notification_error || null,
+    metadata: { retried: retried.map(notification => notification.id), resent: !retried.length },
   });
+  return { application: updated, notifications };
+}
+
+/**
+ * Recruitment report for GET /job-applications/stats.
+ * @param {Object} query - { from, to, time_zone, department }; see resolveStatsRange
+ * @throws {Error} 400 on an invalid range
+ */
+export async function getJobApplicationReport(query = {}, { now = new Date() } = {}) {
+  const range = resolveStatsRange(query, { now, defaultTimeZone: config.INTERVIEW_TIMEZONE });
+  return buildRecruitmentStats(range, await getJobApplicationStats(range) || {});
 }
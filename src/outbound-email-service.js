@@ -0,0 +1,398 @@
+// Durable outbound queue in front of Resend
+//
+// Callers queue a message and get an id back immediately; the worker sends
+// it, retries 429/5xx with exponential backoff and dead-letters the rest.
+// Messages with a send_at wait as SCHEDULED until the worker releases them.
+
+import config from './config.js';
+import {
+  isDatabaseAvailable,
+  saveQueuedEmail,
+  savePipelineEvent,
+  claimNextOutboundEmail,
+  finishOutboundEmail,
+  requeueOutboundEmail,
+  getOutboundEmailById,
+  getOutboundEmailByEmailId,
+  getOutboundEmails,
+  getOutboundEmailStats,
+  getEmailById,
+  getEmailByIdempotencyKey,
+  releaseDueScheduledEmails,
+  cancelScheduledEmail,
+} from './database.js';
+import { sendEmail } from './email-service.js';
+import { extractDomainFromEmail } from './seda-email-parser.js';
+import { idempotencyInProgressError, isIdempotencyKeyConflict } from './idempotency.js';
+import { filterSuppressedRecipients } from './suppression-service.js';
+import { normalizeHeaders } from './inbound-routes.js';
+import { generateMessageId, normalizeMessageId, parseMessageIds } from './email-threading.js';
+import { assignEmailThread } from './thread-service.js';
+
+// Emails sent per worker tick before yielding to the next interval
+const EMAILS_PER_TICK = 20;
+
+let workerTimer = null;
+let workerBusy = false;
+
+function serializeError(error) {
+  return error instanceof Error ? error.message : String(error);
+}
+
+/**
+ * Rate limits, timeouts, server errors and network failures (no HTTP status)
+ * are worth retrying; other 4xx responses will fail the same way again.
+ */
+export function isRetryableSendError(error) {
+  const status = Number(error?.status);
+  if (!status) return true;
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Exponential backoff from OUTBOUND_RETRY_BASE_MS, capped at
+ * OUTBOUND_RETRY_MAX_MS. A Retry-After from Resend wins when it is longer.
+ */
+export function getOutboundRetryDelay(attemptCount, {
+  baseMs = config.OUTBOUND_RETRY_BASE_MS,
+  maxMs = config.OUTBOUND_RETRY_MAX_MS,
+  retryAfterMs = null,
+} = {}) {
+  const exponent = Math.max(0, Number(attemptCount || 1) - 1);
+  const backoff = Math.min(baseMs * (2 ** exponent), maxMs);
+  return retryAfterMs ? Math.min(Math.max(backoff, retryAfterMs), maxMs) : backoff;
+}
+
+/**
+ * Parse a send_at value. Returns null for "send now".
+ */
+export function parseSendAt(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const sendAt = new Date(value);
+  if (Number.isNaN(sendAt.getTime())) {
+    const error = new Error('send_at must be an ISO 8601 date-time');
+    error.status = 400;
+    throw error;
+  }
+  if (sendAt.getTime() <= now) {
+    const error = new Error('send_at must be in the future');
+    error.status = 400;
+    throw error;
+  }
+  return sendAt;
+}
+
+function compactOutboundEmail(row) {
+  if (!row) return null;
+  const { payload, ...rest } = row;
+  return {
+    ...rest,
+    to_email: rest.to_email ?? payload?.to ?? null,
+    subject: rest.subject ?? payload?.subject ?? null,
+  };
+}
+
+/**
+ * Give a message its own Message-ID so replies to it can be threaded.
+ * A caller-supplied Message-ID is kept.
+ */
+function withMessageId(headers, domain) {
+  const existing = normalizeHeaders(headers)['message-id'];
+  return existing ? headers : { ...(headers || {}), 'Message-ID': generateMessageId(domain) };
+}
+
+/**
+ * Queue an email for delivery.
+ * Without a database there is nowhere durable to keep it, so it is sent inline.
+ * The email is added to a conversation thread; set `options.headers` from
+ * buildReplyHeaders() to send it as a reply.
+ * @param {Object} options - Same options as sendEmail
+ * @param {Object} [queueOptions]
+ * @param {string} [queueOptions.source] - Who queued it (api, recruitment, pr, ...)
+ * @param {Object} [queueOptions.metadata] - Stored on the emails row
+ * @param {string} [queueOptions.idempotencyKey] - Idempotency-Key, also passed to Resend. Without a
+ *   requestHash it is our own key, and queueing again with it returns the email queued the first time
+ * @param {string} [queueOptions.requestHash] - Hash of the client request that carried the key
+ * @param {Function} [queueOptions.idempotentResponse] - (queued) => response a retry with the key
+ *   gets; stored with the email so the key is never left without one
+ * @param {Date} [queueOptions.sendAt] - Hold the email until this time
+ * @returns {Promise<Object>} - { queued, id, emailId, status, domain, sendAt, result? }
+ */
+export async function queueEmail(options, {
+  source = 'api',
+  metadata = {},
+  idempotencyKey = null,
+  requestHash = null,
+  idempotentResponse = null,
+  sendAt = null,
+} = {}) {
+  const from = options.from || config.DEFAULT_FROM;
+  const domain = options.domain || extractDomainFromEmail(from) || config.EMAIL_DOMAIN;
+  const headers = withMessageId(options.headers, domain);
+  const payload = { ...options, from, domain, headers, ...(idempotencyKey && { idempotencyKey }) };
+  const threadHeaders = normalizeHeaders(headers);
+
+  if (!isDatabaseAvailable()) {
+    if (sendAt) {
+      const error = new Error('Scheduled sends need the database');
+      error.status = 503;
+      throw error;
+    }
+    const result = await sendEmail(payload);
+    return { queued: false, id: null, emailId: null, status: 'SENT', domain, result };
+  }
+
+  // Refuse up front; the worker checks again at send time
+  await filterSuppressedRecipients({ domain, to: payload.to, cc: payload.cc, bcc: payload.bcc });
+
+  const describe = (email, outbound) => ({
+    queued: true,
+    id: outbound.id,
+    emailId: email.id,
+    status: outbound.status,
+    domain,
+    sendAt: sendAt ? sendAt.toISOString() : null,
+  });
+
+  // The email, its queue row and the idempotent response are saved together
+  let saved;
+  try {
+    saved = await saveQueuedEmail({
+      domain,
+      from,
+      to: payload.to,
+      cc: payload.cc,
+      bcc: payload.bcc,
+      subject: payload.subject,
+      html: payload.html,
+      text: payload.text,
+      status: sendAt ? 'scheduled' : 'queued',
+      metadata: { ...metadata, source },
+      idempotencyKey,
+      requestHash,
+      sendAt,
+      messageId: normalizeMessageId(threadHeaders['message-id']),
+      inReplyTo: normalizeMessageId(threadHeaders['in-reply-to']),
+      referenceIds: parseMessageIds(threadHeaders.references),
+    }, {
+      domain,
+      source,
+      payload,
+      maxAttempts: config.OUTBOUND_MAX_ATTEMPTS,
+      sendAt,
+    }, {
+      buildResponse: idempotencyKey && idempotentResponse
+        ? (email, outbound) => idempotentResponse(describe(email, outbound))
+        : null,
+    });
+  } catch (error) {
+    if (!isIdempotencyKeyConflict(error)) throw error;
+    // A retried job queues its reply again; hand back the one it queued before
+    const email = requestHash ? null : await getEmailByIdempotencyKey(idempotencyKey);
+    const outbound = email && await getOutboundEmailByEmailId(email.id);
+    if (outbound) return describe(email, outbound);
+    throw idempotencyInProgressError();
+  }
+
+  try {
+    await assignEmailThread('sent', saved.email);
+  } catch (error) {
+    console.error(`❌ Could not thread email ${saved.email.id}:`, error.message);
+  }
+
+  return describe(saved.email, saved.outbound);
+}
+
+async function logOutboundEvent(eventName, outbound, { level = 'info', message = null, metadata = {} } = {}) {
+  try {
+    await savePipelineEvent({
+      eventName,
+      level,
+      message,
+      metadata: {
+        outboundEmailId: outbound.id,
+        emailId: outbound.email_id,
+        source: outbound.source,
+        attemptCount: outbound.attempt_count,
+        ...metadata,
+      },
+    });
+  } catch (error) {
+    console.error(`Pipeline event ${eventName} failed:`, error.message);
+  }
+}
+
+export async function processNextOutboundEmail() {
+  if (!isDatabaseAvailable()) return null;
+
+  const outbound = await claimNextOutboundEmail();
+  if (!outbound) return null;
+
+  const startedAt = new Date();
+  try {
+    // Without a client key, the queue id still stops Resend sending twice
+    // when a response is lost and the row is retried
+    const result = await sendEmail({
+      ...outbound.payload,
+      idempotencyKey: outbound.payload.idempotencyKey || `ee-mail-outbound-${outbound.id}`,
+    });
+    await finishOutboundEmail(outbound.id, {
+      status: 'SENT',
+      resendId: result?.id || null,
+      attempt: { at: startedAt.toISOString(), ok: true, resendId: result?.id || null },
+    });
+    await logOutboundEvent('email.outbound.sent', outbound, { metadata: { resendId: result?.id || null } });
+    return { status: 'sent', id: outbound.id, resendId: result?.id || null };
+  } catch (error) {
+    const message = serializeError(error);
+    const httpStatus = Number(error?.status) || null;
+    const attempt = { at: startedAt.toISOString(), ok: false, status: httpStatus, error: message };
+    const exhausted = outbound.attempt_count >= outbound.max_attempts;
+
+    if (isRetryableSendError(error) && !exhausted) {
+      const delayMs = getOutboundRetryDelay(outbound.attempt_count, { retryAfterMs: error?.retryAfterMs });
+      const nextAttemptAt = new Date(Date.now() + delayMs);
+      await finishOutboundEmail(outbound.id, {
+        status: 'PENDING',
+        lastError: message,
+        httpStatus,
+        nextAttemptAt,
+        attempt,
+      });
+      await logOutboundEvent('email.outbound.retry', outbound, {
+        level: 'warn',
+        message,
+        metadata: { httpStatus, nextAttemptAt: nextAttemptAt.toISOString() },
+      });
+      return { status: 'retry', id: outbound.id, error: message, nextAttemptAt };
+    }
+
+    await finishOutboundEmail(outbound.id, {
+      status: 'DEAD',
+      lastError: message,
+      httpStatus,
+      attempt,
+    });
+    await logOutboundEvent('email.outbound.dead', outbound, {
+      level: 'error',
+      message,
+      metadata: { httpStatus, exhausted },
+    });
+    return { status: 'dead', id: outbound.id, error: message };
+  }
+}
+
+/**
+ * Queue every SCHEDULED email whose send_at has passed.
+ */
+export async function releaseScheduledEmails() {
+  if (!isDatabaseAvailable()) return [];
+
+  const released = await releaseDueScheduledEmails();
+  for (const outbound of released) {
+    await logOutboundEvent('email.scheduled.released', outbound);
+  }
+  return released;
+}
+
+/**
+ * Cancel a scheduled email by its emails-table id.
+ */
+export async function cancelScheduledSend(emailId) {
+  const email = await getEmailById(emailId);
+  if (!email) {
+    const error = new Error('Email not found');
+    error.status = 404;
+    throw error;
+  }
+
+  const cancelled = email.status === 'scheduled' ? await cancelScheduledEmail(email.id) : null;
+  if (!cancelled) {
+    const error = new Error(`Email is not scheduled (status is ${email.status})`);
+    error.status = 409;
+    throw error;
+  }
+
+  await logOutboundEvent('email.scheduled.cancelled', cancelled);
+  return { ...compactOutboundEmail(cancelled), email_status: 'cancelled' };
+}
+
+export async function getOutboundEmail(id) {
+  const outbound = await getOutboundEmailById(id);
+  if (!outbound) {
+    const error = new Error('Outbound email not found');
+    error.status = 404;
+    throw error;
+  }
+  return compactOutboundEmail(outbound);
+}
+
+export async function listOutboundEmails(options) {
+  const rows = await getOutboundEmails(options);
+  return rows.map(compactOutboundEmail);
+}
+
+/**
+ * Put a dead-lettered email back on the queue with a fresh attempt budget.
+ */
+export async function retryOutboundEmail(id) {
+  const outbound = await getOutboundEmailById(id);
+  if (!outbound) {
+    const error = new Error('Outbound email not found');
+    error.status = 404;
+    throw error;
+  }
+  if (outbound.status !== 'DEAD') {
+    const error = new Error(`Only DEAD emails can be retried (status is ${outbound.status})`);
+    error.status = 409;
+    throw error;
+  }
+
+  const requeued = await requeueOutboundEmail(id);
+  await logOutboundEvent('email.outbound.requeued', requeued);
+  return compactOutboundEmail(requeued);
+}
+
+export function startOutboundEmailWorker() {
+  if (workerTimer) return stopOutboundEmailWorker;
+
+  const intervalMs = config.OUTBOUND_WORKER_INTERVAL_MS;
+  const tick = async () => {
+    if (workerBusy || !isDatabaseAvailable()) return;
+    workerBusy = true;
+    try {
+      const released = await releaseScheduledEmails();
+      if (released.length) {
+        console.log(`⏰ Released ${released.length} scheduled email(s)`);
+      }
+
+      for (let handled = 0; handled < EMAILS_PER_TICK; handled++) {
+        const result = await processNextOutboundEmail();
+        if (!result) break;
+        console.log(`📤 Outbound email worker: ${JSON.stringify({
+          id: result.id,
+          status: result.status,
+        })}`);
+      }
+    } catch (error) {
+      console.error('❌ Outbound email worker error:', error.message);
+    } finally {
+      workerBusy = false;
+    }
+  };
+
+  void tick();
+  workerTimer = setInterval(() => void tick(), intervalMs);
+  workerTimer.unref?.();
+  return stopOutboundEmailWorker;
+}
+
+export function stopOutboundEmailWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
+
+export { getOutboundEmailStats };
@@ -0,0 +1,155 @@
+// Recruitment reporting
+//
+// GET /job-applications/stats counts applications over a date range by
+// classification, department, status and day, and reports how the pipeline
+// performed: AI versus fallback classification (from pipeline_events),
+// acknowledgement latency and HOD notification failures. Days are counted in
+// a time zone so "this month" matches the office calendar. This module is
+// pure; the counting happens in database.js.
+
+import { isValidTimeZone, zonedTimeToUtc } from './interview-slots.js';
+
+// Longest range one request may cover
+export const MAX_REPORT_DAYS = 366;
+
+function statsError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function parseDay(value, name) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value).trim());
+  const date = match && new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  if (!date || date.getUTCDate() !== +match[3] || date.getUTCMonth() !== +match[2] - 1) {
+    throw statsError(`${name} must be a date (YYYY-MM-DD)`);
+  }
+  return date;
+}
+
+function formatDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * 86400000);
+}
+
+// The calendar date at an instant in a zone, as a UTC midnight
+function zonedToday(now, timeZone) {
+  return parseDay(new Intl.DateTimeFormat('en-CA', { timeZone }).format(now), 'today');
+}
+
+// Start of a calendar day in a zone
+function startOfDay(day, timeZone) {
+  return zonedTimeToUtc({ year: day.getUTCFullYear(), month: day.getUTCMonth() + 1, day: day.getUTCDate() }, timeZone);
+}
+
+/**
+ * Check and resolve the query of GET /job-applications/stats.
+ * @param {Object} query - { from, to, time_zone, department }; dates are YYYY-MM-DD, both inclusive
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {string} [options.defaultTimeZone]
+ * @returns {{ from: string, to: string, timeZone: string, department: string|null, start: Date, end: Date, days: Array<string> }}
+ *   start and end are the instants the range covers, end exclusive
+ * @throws {Error} 400 on invalid input
+ */
+export function resolveStatsRange(query = {}, { now = new Date(), defaultTimeZone = 'UTC' } = {}) {
+  const timeZone = String(query.time_zone || defaultTimeZone).trim();
+  // Fixed offsets are read the other way round by Postgres (POSIX), so only zone names
+  if (/^(UTC|GMT)?[+-]/i.test(timeZone) || !isValidTimeZone(timeZone)) {
+    throw statsError('time_zone must be an IANA time zone such as Asia/Kuala_Lumpur');
+  }
+
+  const today = zonedToday(now, timeZone);
+  const to = query.to ? parseDay(query.to, 'to') : today;
+  const from = query.from
+    ? parseDay(query.from, 'from')
+    : new Date(Date.UTC(to.getUTCFullYear(), to.getUTCMonth(), 1));
+  if (from > to) throw statsError('from must not be after to');
+
+  const length = Math.round((to - from) / 86400000) + 1;
+  if (length > MAX_REPORT_DAYS) throw statsError(`The range can cover at most ${MAX_REPORT_DAYS} days`);
+
+  const department = String(query.department ?? '').trim() || null;
+  return {
+    from: formatDay(from),
+    to: formatDay(to),
+    timeZone,
+    department,
+    start: startOfDay(from, timeZone),
+    end: startOfDay(addDays(to, 1), timeZone),
+    days: Array.from({ length }, (_, index) => formatDay(addDays(from, index))),
+  };
+}
+
+function ratio(part, total) {
+  return total ? Math.round((part / total) * 1000) / 1000 : null;
+}
+
+function seconds(value) {
+  return value === null || value === undefined ? null : Math.round(Number(value));
+}
+
+function latency(row = {}) {
+  return {
+    count: Number(row.count) || 0,
+    avg_seconds: seconds(row.avg),
+    p50_seconds: seconds(row.p50),
+    p90_seconds: seconds(row.p90),
+  };
+}
+
+function grouped(rows = [], key) {
+  return rows
+    .map(row => ({ [key]: row.key ?? null, count: Number(row.count) || 0 }))
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Shape the raw counts of getJobApplicationStats into the report.
+ * Days without applications are filled in with zero.
+ * @param {Object} range - resolveStatsRange()
+ * @param {Object} raw - getJobApplicationStats()
+ */
+export function buildRecruitmentStats(range, raw = {}) {
+  const perDay = new Map((raw.byDay || []).map(row => [String(row.key).slice(0, 10), Number(row.count) || 0]));
+  const events = Object.fromEntries((raw.events || []).map(row => [row.event_name, row]));
+  const eventCount = name => Number(events[name]?.count) || 0;
+  const sources = Object.fromEntries((raw.classificationSources || []).map(row => [row.key, Number(row.count) || 0]));
+  const classified = (sources.ai || 0) + (sources.fast_path || 0) + (sources.fallback || 0);
+  const avgLatency = events['ai.request.completed']?.avg_latency_ms;
+
+  const notify = raw.notifications || {};
+  const attempted = Number(notify.attempted) || 0;
+  const failed = Number(notify.failed) || 0;
+
+  return {
+    range: { from: range.from, to: range.to, time_zone: range.timeZone, department: range.department },
+    total: Number(raw.total) || 0,
+    by_classification: grouped(raw.byClassification, 'classification'),
+    by_department: grouped(raw.byDepartment, 'department'),
+    by_status: grouped(raw.byStatus, 'status'),
+    by_day: range.days.map(date => ({ date, count: perDay.get(date) || 0 })),
+    ai: {
+      classified,
+      ai: sources.ai || 0,
+      fast_path: sources.fast_path || 0,
+      fallback: sources.fallback || 0,
+      fallback_rate: ratio(sources.fallback || 0, classified),
+      requests: eventCount('ai.request.completed'),
+      failed_requests: eventCount('ai.request.failed') + eventCount('ai.request.timeout'),
+      retries: eventCount('ai.request.retrying'),
+      avg_latency_ms: avgLatency === null || avgLatency === undefined ? null : Math.round(Number(avgLatency)),
+    },
+    acknowledgement: latency(raw.acknowledgement),
+    hod_notification: {
+      attempted,
+      notified: attempted - failed,
+      failed,
+      failure_rate: ratio(failed, attempted),
+      ...latency(raw.hodLatency),
+    },
+  };
+}
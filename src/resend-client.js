@@ -44,12 +44,21 @@ export async function fetchAttachments(emailId, domain) {
   return data;
 }
 
+function attachmentTooLargeError(sizeBytes, maxBytes) {
+  const error = new Error(`Larger than ${maxBytes} bytes`);
+  error.code = 'ATTACHMENT_TOO_LARGE';
+  error.sizeBytes = sizeBytes;
+  return error;
+}
+
 /**
  * Download attachment content from download URL
  * @param {string} downloadUrl - The temporary download URL from Resend
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes] - Stop reading once the file is larger; throws ATTACHMENT_TOO_LARGE
  * @returns {Promise<Buffer>} - Attachment content as buffer
  */
-export async function downloadAttachment(downloadUrl) {
+export async function downloadAttachment(downloadUrl, { maxBytes = Infinity } = {}) {
   if (!downloadUrl) {
     throw new Error('Download URL is required');
   }
@@ -62,7 +71,25 @@ export async function downloadAttachment(downloadUrl) {
     throw new Error(`Download failed: ${response.status} ${response.statusText}`);
   }
 
-  const buffer = Buffer.from(await response.arrayBuffer());
+  const declaredSize = Number(response.headers.get('content-length'));
+  if (declaredSize > maxBytes) {
+    await response.body?.cancel();
+    throw attachmentTooLargeError(declaredSize, maxBytes);
+  }
+
+  // Read chunk by chunk so a file without (or with a wrong) Content-Length
+  // is dropped as soon as it passes the limit
+  const chunks = [];
+  let size = 0;
+  if (response.body) {
+    for await (const chunk of response.body) {
+      size += chunk.length;
+      if (size > maxBytes) throw attachmentTooLargeError(size, maxBytes);
+      chunks.push(chunk);
+    }
+  }
+
+  const buffer = Buffer.concat(chunks, size);
   console.log(`✅ Downloaded ${buffer.length} bytes`);
   return buffer;
 }
@@ -19,6 +19,7 @@ import {
   parseSedaApprovalEmail,
 } from './seda-email-parser.js';
 import { callAiApi } from './job-application-service.js';
+import { publishWebhookEvent } from './webhook-subscription-service.js';
 
 const TASK_TYPE = 'SEDA_ATAP_APPROVAL';
 const DEFAULT_API_URL = 'https://admin.atap.solar/api/v1/seda/status';
@@ -114,7 +115,6 @@ async function runSedaApprovalAiReview(email, parsed) {
 
   try {
     const data = await callAiApi({
-      model: config.AI_MODEL,
       temperature: 0,
       response_format: { type: 'json_object' },
       messages: [
@@ -393,6 +393,17 @@ async function processClaimedSedaTask(task) {
           apiResponse: result.body,
           apiAttempts: attempts,
         });
+        await publishWebhookEvent('seda_task.completed', {
+          id: task.id,
+          task_type: task.task_type,
+          source_email_id: task.source_email_id,
+          source_received_email_id: task.source_received_email_id,
+          customer_name: task.customer_name,
+          matched_name: candidateName,
+          installation_address: task.installation_address,
+          application_number: task.application_number,
+          response: result.body,
+        });
         return { status: 'completed', taskId: task.id, response: result.body };
       }
 
@@ -5,12 +5,44 @@ import fs from 'fs';
 import path from 'path';
 import { URL } from 'url';
 import config, { validateConfig, clearApiKeysCache } from './config.js';
-import { sendEmail, sendBatch, sendTextEmail } from './email-service.js';
+import { sendBatch } from './email-service.js';
+import {
+  renderTemplate,
+  listTemplates,
+  getTemplateWithVersions,
+  createTemplate,
+  saveTemplateVersion,
+  activateTemplateVersion,
+} from './template-service.js';
+import {
+  readIdempotencyKey,
+  batchItemIdempotencyKey,
+  hashIdempotentRequest,
+  findIdempotentResponse,
+} from './idempotency.js';
+import {
+  queueEmail,
+  listOutboundEmails,
+  getOutboundEmail,
+  getOutboundEmailStats,
+  retryOutboundEmail,
+  parseSendAt,
+  cancelScheduledSend,
+} from './outbound-email-service.js';
+import {
+  listSuppressions,
+  addSuppression,
+  removeSuppression,
+  recordSuppressionFromEvent,
+} from './suppression-service.js';
 import {
   isDatabaseAvailable,
-  saveEmail,
   saveWebhook,
+  webhookDeliveryExists,
+  markWebhookDelivered,
   updateEmailStatus,
+  saveEmailEvent,
+  getEmailEvents,
   saveReceivedEmail,
   updateReceivedEmail,
   getStats,
@@ -28,11 +60,19 @@ import {
   getReceivedEmailById,
   getReceivedEmailByEmailId,
   getJobApplications,
+  getJobApplicationById,
+  getJobApplicationReplies,
+  getJobApplicationStatusHistory,
   getPipelineEvents,
   getAiActivityLogs,
   savePipelineEvent,
-  getHodDepartments,
-  saveHodDepartment,
+  createBatch,
+  saveBatchEmail,
+  finishBatch,
+  getBatches,
+  getBatchById,
+  getDomainBrandings,
+  saveDomainBranding,
   deleteHodDepartment,
   getAllApiKeys,
   saveApiKey,
@@ -45,12 +85,44 @@ import {
   getAgentEmailAccountsByAgent,
   agentEmailAssignmentExists,
   createAgentEmailAccount,
-  deleteAgentEmailAccount
+  deleteAgentEmailAccount,
+  getServiceTokens,
+  createServiceToken,
+  revokeServiceToken,
 } from './database.js';
 import { getReceivedEmailWithRetry } from './resend-client.js';
-import { checkAiHealth, processJobApplicationEmail } from './job-application-service.js';
 import {
-  enqueueSedaTaskForReceivedEmail,
+  enqueueInboundEmail,
+  listInboundJobs,
+  getInboundJob,
+  getInboundJobStats,
+  retryInboundJob,
+} from './inbound-job-service.js';
+import {
+  checkAiHealth,
+  updateJobApplicationStatus,
+  getJobApplicationReport,
+  resendHodNotification,
+} from './job-application-service.js';
+import {
+  listHodNotifications,
+  acknowledgeHodNotification,
+  listHodDepartments,
+  saveHodDepartmentSettings,
+  addHodRecipient,
+  updateHodRecipientSettings,
+  removeHodRecipient,
+} from './hod-notifier.js';
+import { allowedTransitions } from './job-application-lifecycle.js';
+import { listInterviews, scheduleInterview, cancelInterview } from './interview-service.js';
+import {
+  listCandidates,
+  getCandidate,
+  listCandidateReviews,
+  mergeCandidateReview,
+  rejectCandidateReview,
+} from './candidate-service.js';
+import {
   enqueueSedaTaskForReceivedEmailId,
   scanReceivedEmailsForSedaTasks,
   retrySedaTaskById,
@@ -58,25 +130,99 @@ import {
   getSedaTaskById,
   getSedaTaskStats,
 } from './seda-task-service.js';
-import { extractEmailAddresses, extractDomainFromEmail } from './seda-email-parser.js';
-import { fetchAttachments, downloadAttachment } from './resend-client.js';
-
-// Request body parser
-function parseBody(req) {
+import { extractDomainFromEmail } from './seda-email-parser.js';
+import {
+  REPEATABLE_ACTION_TYPES,
+  routeInboundEmail,
+  testInboundRoutes,
+  listInboundRoutes,
+  getRoute,
+  createRoute,
+  updateRoute,
+  removeRoute,
+} from './inbound-route-service.js';
+import { listEmailAttachments, readEmailAttachment, storeEmailAttachments } from './attachment-service.js';
+import {
+  WEBHOOK_EVENT_TYPES,
+  publishWebhookEvent,
+  listWebhookSubscriptions,
+  createSubscription,
+  updateSubscription,
+  rotateSubscriptionSecret,
+  removeSubscription,
+  sendTestWebhook,
+  listWebhookDeliveries,
+  getWebhookDelivery,
+  replayWebhookDelivery,
+} from './webhook-subscription-service.js';
+import { assignEmailThread, listThreads, getThread } from './thread-service.js';
+import { verifyWebhookSignature, createReplayCache } from './webhook-signature.js';
+import { describeEmailEvent, isDeliveryEvent } from './email-events.js';
+import {
+  authenticateRequest,
+  authenticateToken,
+  buildClearedSessionCookie,
+  buildSessionCookie,
+  describeActor,
+  generateServiceToken,
+  hasRole,
+  isValidRole,
+  ROLES,
+} from './auth.js';
+
+// Raw request body reader (signature checks need the exact bytes)
+function readRawBody(req) {
   return new Promise((resolve, reject) => {
-    let body = '';
-    req.on('data', chunk => body += chunk);
-    req.on('end', () => {
-      try {
-        resolve(body ? JSON.parse(body) : {});
-      } catch (err) {
-        reject(err);
-      }
-    });
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
     req.on('error', reject);
   });
 }
 
+// sendBatch results hold Error objects; clients get the message
+function serializeBatchResult(result) {
+  return {
+    index: result.index,
+    success: result.success,
+    data: result.data,
+    error: result.error ? result.error.message || String(result.error) : null,
+  };
+}
+
+// Request body parser
+async function parseBody(req) {
+  const body = await readRawBody(req);
+  return body ? JSON.parse(body) : {};
+}
+
+// Replay protection for signed webhooks; the database check covers restarts
+const webhookReplayCache = createReplayCache({
+  ttlMs: config.WEBHOOK_TOLERANCE_SECONDS * 2 * 1000,
+});
+
+async function recordWebhookRejection(req, verification) {
+  await savePipelineEvent({
+    eventName: 'webhook.rejected',
+    level: 'warn',
+    message: verification.message,
+    metadata: {
+      reason: verification.reason,
+      deliveryId: verification.id || null,
+      timestamp: verification.timestamp || null,
+      remoteAddress: req.headers['x-forwarded-for'] || req.socket?.remoteAddress || null,
+      userAgent: req.headers['user-agent'] || null,
+    },
+  }).catch(err => console.error('Pipeline event logging failed:', err.message));
+  console.warn(`⚠️ Webhook rejected (${verification.reason}): ${verification.message}`);
+}
+
+// Small HTML page for the HOD acknowledgement link
+function hodAckPage(res, status, content) {
+  res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(`<!DOCTYPE html><html lang="en"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>EE-Mail</title></head><body style="font: 16px/1.5 Arial, sans-serif; max-width: 480px; margin: 60px auto; padding: 0 20px;">${content}</body></html>`);
+}
+
 // JSON response helper
 function json(res, status, data) {
   res.writeHead(status, { 'Content-Type': 'application/json' });
@@ -118,8 +264,131 @@ function serveStatic(res, filePath) {
 // CORS headers
 function setCors(res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, Idempotency-Key');
+}
+
+// Minimum role per route key. Routes missing from this map require admin.
+const ROUTE_ACCESS = {
+  'GET /health': 'public',
+  'GET /api': 'public',
+  'POST /webhook': 'public', // Authenticated by its Svix signature instead
+  'POST /auth/login': 'public',
+  'POST /auth/logout': 'public',
+  'GET /hod-ack/:token': 'public', // Authenticated by the unguessable token in the WhatsApp link
+  'POST /hod-ack/:token': 'public',
+
+  'GET /auth/me': 'viewer',
+  'GET /health/ai': 'viewer',
+  'GET /pipeline-events': 'viewer',
+  'GET /ai-activity-logs': 'viewer',
+  'GET /stats': 'viewer',
+  'GET /stats/domains': 'viewer',
+  'GET /domains': 'viewer',
+  'GET /emails': 'viewer',
+  'GET /emails/:id': 'viewer',
+  'GET /received-emails': 'viewer',
+  'GET /received-emails/:id': 'viewer',
+  'GET /received-emails/:id/attachments': 'viewer',
+  'GET /attachments/:emailId/:attachment': 'viewer',
+  'GET /attachments/:emailId/:attachment/download': 'viewer',
+  'GET /seda-tasks': 'viewer',
+  'GET /seda-tasks/stats': 'viewer',
+  'GET /seda-tasks/:id': 'viewer',
+  'GET /templates': 'viewer',
+  'GET /templates/:id': 'viewer',
+  'POST /templates/:id/preview': 'viewer',
+  'GET /domain-branding': 'viewer',
+  'GET /suppressions': 'viewer',
+  'GET /inbound-routes': 'viewer',
+  'GET /inbound-routes/:id': 'viewer',
+  'POST /inbound-routes/test': 'viewer',
+  'GET /batches': 'viewer',
+  'GET /batches/:id': 'viewer',
+  'GET /outbound-emails': 'viewer',
+  'GET /outbound-emails/stats': 'viewer',
+  'GET /outbound-emails/:id': 'viewer',
+  'GET /inbound-jobs': 'viewer',
+  'GET /threads': 'viewer',
+  'GET /threads/:id': 'viewer',
+  'GET /inbound-jobs/stats': 'viewer',
+  'GET /inbound-jobs/:id': 'viewer',
+  'GET /agents': 'viewer',
+  'GET /agents/:bubbleId': 'viewer',
+  'GET /agent-email-accounts': 'viewer',
+  'GET /job-applications': 'viewer',
+  'GET /job-applications/stats': 'viewer',
+  'GET /job-applications/:id': 'viewer',
+  'GET /job-applications/:id/interviews': 'viewer',
+  'GET /candidates': 'viewer',
+  'GET /candidates/:id': 'viewer',
+  'GET /candidate-reviews': 'viewer',
+  'GET /hod-departments': 'viewer',
+  'GET /hod-notifications': 'viewer',
+  'POST /hod-notifications/:id/acknowledge': 'operator',
+
+  'POST /send': 'operator',
+  'POST /send-batch': 'operator',
+  'POST /received-emails/fetch': 'operator',
+  'POST /seda-tasks/from-received-email/:id': 'operator',
+  'POST /seda-tasks/:id/retry': 'operator',
+  'POST /seda-tasks/scan': 'operator',
+  'POST /outbound-emails/:id/retry': 'operator',
+  'POST /inbound-jobs/:id/retry': 'operator',
+  'PATCH /job-applications/:id': 'operator',
+  'POST /job-applications/:id/notify': 'operator',
+  'POST /job-applications/:id/interviews': 'operator',
+  'POST /interviews/:id/cancel': 'operator',
+  'POST /candidate-reviews/:id/merge': 'operator',
+  'POST /candidate-reviews/:id/reject': 'operator',
+  'DELETE /emails/:id/schedule': 'operator',
+
+  'POST /templates': 'admin',
+  'POST /templates/:id/versions': 'admin',
+  'POST /templates/:id/versions/:version/activate': 'admin',
+  'POST /domain-branding': 'admin',
+  'POST /suppressions': 'admin',
+  'DELETE /suppressions/:id': 'admin',
+  'POST /inbound-routes': 'admin',
+  'PATCH /inbound-routes/:id': 'admin',
+  'DELETE /inbound-routes/:id': 'admin',
+  'GET /webhook-subscriptions': 'admin',
+  'GET /webhook-subscriptions/event-types': 'admin',
+  'POST /webhook-subscriptions': 'admin',
+  'PATCH /webhook-subscriptions/:id': 'admin',
+  'DELETE /webhook-subscriptions/:id': 'admin',
+  'POST /webhook-subscriptions/:id/rotate-secret': 'admin',
+  'POST /webhook-subscriptions/:id/test': 'admin',
+  'GET /webhook-deliveries': 'admin',
+  'GET /webhook-deliveries/:id': 'admin',
+  'POST /webhook-deliveries/:id/replay': 'admin',
+  'GET /api-keys': 'admin',
+  'POST /api-keys': 'admin',
+  'PATCH /api-keys/:id': 'admin',
+  'DELETE /api-keys/:id': 'admin',
+  'POST /agent-email-accounts': 'admin',
+  'DELETE /agent-email-accounts/:id': 'admin',
+  'POST /hod-departments': 'admin',
+  'DELETE /hod-departments/:id': 'admin',
+  'POST /hod-departments/:id/recipients': 'admin',
+  'PATCH /hod-recipients/:id': 'admin',
+  'DELETE /hod-recipients/:id': 'admin',
+  'GET /auth/tokens': 'admin',
+  'POST /auth/tokens': 'admin',
+  'DELETE /auth/tokens/:id': 'admin',
+};
+
+// Record a data-changing action together with the authenticated caller
+async function auditEvent(req, action, metadata = {}) {
+  try {
+    await savePipelineEvent({
+      eventName: `audit.${action}`,
+      message: `${req.auth?.name || 'anonymous'} ${req.method} ${req.routeKey || req.url}`,
+      metadata: { ...metadata, actor: describeActor(req.auth) },
+    });
+  } catch (err) {
+    console.error('Audit event logging failed:', err.message);
+  }
 }
 
 // Route handlers
@@ -134,6 +403,108 @@ const routes = {
     });
   },
 
+  // ============================================
+  // Authentication
+  // ============================================
+
+  // Exchange a service token for an HttpOnly session cookie (admin pages)
+  'POST /auth/login': async (req, res) => {
+    try {
+      const body = await parseBody(req);
+      const identity = await authenticateToken(String(body.token || '').trim());
+      if (!identity) {
+        await savePipelineEvent({
+          eventName: 'audit.auth.login_failed',
+          level: 'warn',
+          metadata: { remoteAddress: req.headers['x-forwarded-for'] || req.socket?.remoteAddress || null },
+        }).catch(() => {});
+        return json(res, 401, { success: false, error: 'Invalid or revoked token' });
+      }
+
+      req.auth = identity;
+      await auditEvent(req, 'auth.login');
+      res.setHeader('Set-Cookie', buildSessionCookie(body.token.trim()));
+      json(res, 200, { success: true, data: describeActor(identity) });
+    } catch (err) {
+      json(res, 500, { success: false, error: err.message });
+    }
+  },
+
+  'POST /auth/logout': async (req, res) => {
+    res.setHeader('Set-Cookie', buildClearedSessionCookie());
+    json(res, 200, { success: true });
+  },
+
+  'GET /auth/me': async (req, res) => {
+    json(res, 200, { success: true, data: describeActor(req.auth) });
+  },
+
+  'GET /auth/tokens': async (req, res) => {
+    try {
+      if (!isDatabaseAvailable()) {
+        return json(res, 503, { success: false, error: 'Database not available' });
+      }
+      json(res, 200, { success: true, data: await getServiceTokens() });
+    } catch (err) {
+      json(res, 500, { success: false, error: err.message });
+    }
+  },
+
+  // Create a service token; the plain token is only returned in this response
+  'POST /auth/tokens': async (req, res) => {
+    try {
+      if (!isDatabaseAvailable()) {
+        return json(res, 503, { success: false, error: 'Database not available' });
+      }
+
+      const body = await parseBody(req);
+      if (!body.name || !isValidRole(body.role)) {
+        return json(res, 400, {
+          success: false,
+          error: `Missing required fields: name, role (${ROLES.join(', ')})`,
+        });
+      }
+
+      const expiresAt = body.expires_at ? new Date(body.expires_at) : null;
+      if (expiresAt && Number.isNaN(expiresAt.getTime())) {
+        return json(res, 400, { success: false, error: 'expires_at must be a valid date' });
+      }
+
+      const { token, tokenHash, tokenPrefix } = generateServiceToken();
+      const record = await createServiceToken({
+        name: String(body.name).trim(),
+        tokenHash,
+        tokenPrefix,
+        role: body.role,
+        createdBy: req.auth?.name || null,
+        expiresAt,
+      });
+      await auditEvent(req, 'auth.token_created', { tokenId: record.id, role: record.role });
+
+      json(res, 201, { success: true, data: { ...record, token } });
+    } catch (err) {
+      json(res, 500, { success: false, error: err.message });
+    }
+  },
+
+  'DELETE /auth/tokens/:id': async (req, res) => {
+    try {
+      if (!isDatabaseAvailable()) {
+        return json(res, 503, { success: false, error: 'Database not available' });
+      }
+
+      const revoked = await revokeServiceToken(parseInt(req.params.id));
+      if (!revoked) {
+        return json(res, 404, { success: false, error: 'Active token not found' });
+      }
+      await auditEvent(req, 'auth.token_revoked', { tokenId: revoked.id });
+
+      json(res, 200, { success: true, data: revoked });
+    } catch (err) {
+      json(res, 500, { success: false, error: err.message });
+    }
+  },
+
   // Pipeline event inspection
   'GET /pipeline-events': async (req, res) => {
     try {
@@ -186,11 +557,12 @@ const routes = {
   'POST /send': async (req, res) => {
     try {
       const body = await parseBody(req);
+      const idempotencyKey = readIdempotencyKey(req.headers);
       
       // Validate required fields
-      if (!body.to || !body.subject || (!body.html && !body.text)) {
+      if (!body.to || (!body.template_id && (!body.subject || (!body.html && !body.text)))) {
         return json(res, 400, {
-          error: 'Missing required fields: to, subject, html (or text)',
+          error: 'Missing required fields: to, subject, html (or text), or to and template_id',
         });
       }
 
@@ -236,30 +608,57 @@ const routes = {
         domain = config.EMAIL_DOMAIN;
       }
 
-      const result = await sendEmail({ ...body, from: fromEmail });
-      
-      // Save to database if available
-      if (isDatabaseAvailable()) {
-        await saveEmail({
-          resendId: result.id,
+      const requestHash = idempotencyKey ? hashIdempotentRequest(body) : null;
+      const replay = isDatabaseAvailable() ? await findIdempotentResponse(idempotencyKey, requestHash) : null;
+      if (replay) {
+        res.setHeader('Idempotent-Replayed', 'true');
+        return json(res, replay.status, replay.body);
+      }
+
+      // A template fills subject/html/text; explicit fields in the body still win
+      const { template_id: templateId, variables, ...message } = body;
+      let template = null;
+      if (templateId) {
+        const rendered = await renderTemplate(templateId, variables || {}, { domain });
+        template = rendered.template;
+        message.subject = message.subject || rendered.subject;
+        message.html = message.html || rendered.html;
+        message.text = message.text || rendered.text;
+      }
+
+      const { send_at: sendAtValue, ...fields } = message;
+      const sendAt = parseSendAt(sendAtValue);
+
+      const queuedResponse = queued => ({
+        status: 202,
+        body: {
+          success: true,
+          data: { id: queued.id, email_id: queued.emailId, status: queued.status, send_at: queued.sendAt },
           domain,
-          from: fromEmail,
-          to: body.to,
-          cc: body.cc,
-          bcc: body.bcc,
-          subject: body.subject,
-          html: body.html,
-          text: body.text,
-          status: 'sent',
-        });
+        },
+      });
+      const queued = await queueEmail({ ...fields, from: fromEmail, domain }, {
+        source: 'api',
+        metadata: { requested_by: describeActor(req.auth), ...(template && { template }) },
+        idempotencyKey,
+        requestHash,
+        idempotentResponse: queuedResponse,
+        sendAt,
+      });
+
+      if (!queued.queued) {
+        // No database: sent inline, nothing to poll. Resend itself dedupes the key.
+        return json(res, 200, { success: true, data: queued.result, domain });
       }
-      
-      json(res, 200, { success: true, data: result, domain });
+
+      const response = queuedResponse(queued);
+      json(res, response.status, response.body);
     } catch (err) {
       console.error('Send email error:', err);
       json(res, err.status || 500, {
         success: false,
         error: err.message,
+        ...(err.suppressed && { code: err.code, suppressed: err.suppressed }),
       });
     }
   },
@@ -275,8 +674,83 @@ const routes = {
         });
       }
 
-      const results = await sendBatch(body.emails);
-      json(res, 200, { success: true, data: results });
+      const idempotencyKey = readIdempotencyKey(req.headers);
+      const items = body.emails.map((email, index) => ({
+        index,
+        email: { ...email, from: email.from || config.DEFAULT_FROM },
+        key: batchItemIdempotencyKey(idempotencyKey, index),
+        requestHash: idempotencyKey ? hashIdempotentRequest(email) : null,
+      }));
+
+      if (!isDatabaseAvailable()) {
+        const results = await sendBatch(items.map(item => ({ ...item.email, idempotencyKey: item.key })));
+        return json(res, 200, { success: true, data: results.map(serializeBatchResult) });
+      }
+
+      // Each item is keyed `batch:<key>:<index>` so a retried batch only sends the
+      // items that did not succeed the first time
+      const replays = await Promise.all(items.map(item => findIdempotentResponse(item.key, item.requestHash)));
+      const batch = await createBatch({
+        totalCount: items.length,
+        idempotencyKey,
+        createdBy: describeActor(req.auth),
+      });
+
+      const results = items.map((item, position) => (
+        replays[position] ? { ...replays[position].body, index: item.index, replayed: true } : null
+      ));
+      const pending = items.filter((item, position) => !replays[position]);
+
+      await sendBatch(pending.map(item => ({ ...item.email, idempotencyKey: item.key })), {
+        // Rows are written as each message completes so GET /batches/:id shows progress
+        onResult: async ({ index: position, ...outcome }) => {
+          const item = pending[position];
+          const result = serializeBatchResult({ ...outcome, index: item.index });
+          results[item.index] = result;
+
+          try {
+            await saveBatchEmail({
+              batchId: batch.id,
+              batchIndex: item.index,
+              resendId: result.data?.id || null,
+              from: item.email.from,
+              domain: item.email.domain,
+              to: item.email.to,
+              cc: item.email.cc,
+              bcc: item.email.bcc,
+              subject: item.email.subject,
+              html: item.email.html,
+              text: item.email.text,
+              status: result.success ? 'sent' : 'failed',
+              errorMessage: result.error,
+              metadata: { requested_by: describeActor(req.auth), source: 'batch' },
+              // Failed items stay unkeyed so a retry sends them again
+              idempotencyKey: result.success ? item.key : null,
+              requestHash: item.requestHash,
+              idempotencyResponse: result.success && item.key ? { status: 200, body: result } : null,
+            });
+          } catch (saveErr) {
+            console.error(`Failed to record batch ${batch.id} item ${item.index}:`, saveErr.message);
+          }
+        },
+      });
+
+      const finished = await finishBatch(batch.id);
+      await auditEvent(req, 'batch.sent', {
+        batchId: batch.id,
+        total: items.length,
+        replayed: items.length - pending.length,
+      });
+
+      if (idempotencyKey && pending.length === 0) {
+        res.setHeader('Idempotent-Replayed', 'true');
+      }
+      json(res, 200, {
+        success: true,
+        batch_id: batch.id,
+        status: finished?.status || batch.status,
+        data: results,
+      });
     } catch (err) {
       console.error('Send batch error:', err);
       json(res, err.status || 500, {
@@ -288,8 +762,52 @@ const routes = {
 
   // Receive webhook (for delivery status and inbound emails)
   'POST /webhook': async (req, res) => {
+    let deliveryId = null;
     try {
-      const body = await parseBody(req);
+      const rawBody = await readRawBody(req);
+
+      if (!config.WEBHOOK_SECRET && config.NODE_ENV === 'production' && !config.WEBHOOK_ALLOW_UNSIGNED) {
+        await recordWebhookRejection(req, {
+          reason: 'secret_missing',
+          message: 'WEBHOOK_SECRET is not configured; unsigned webhooks are refused in production',
+        });
+        return json(res, 503, { error: 'Webhook signing secret is not configured' });
+      }
+
+      if (config.WEBHOOK_SECRET) {
+        const verification = verifyWebhookSignature({
+          payload: rawBody,
+          headers: req.headers,
+          secret: config.WEBHOOK_SECRET,
+          toleranceSeconds: config.WEBHOOK_TOLERANCE_SECONDS,
+        });
+        if (!verification.valid) {
+          await recordWebhookRejection(req, verification);
+          return json(res, 401, { error: verification.message });
+        }
+
+        deliveryId = verification.id;
+        if (webhookReplayCache.has(deliveryId) || await webhookDeliveryExists(deliveryId)) {
+          await recordWebhookRejection(req, {
+            ...verification,
+            reason: 'replayed',
+            message: `Webhook delivery ${deliveryId} was already processed`,
+          });
+          // Answer 200 so a legitimate provider retry stops, but never process twice
+          return json(res, 200, { received: true, duplicate: true });
+        }
+        // Held while processing; released on failure so the provider's retry is processed
+        webhookReplayCache.add(deliveryId);
+      }
+
+      let body;
+      try {
+        body = rawBody ? JSON.parse(rawBody) : {};
+      } catch (parseErr) {
+        if (deliveryId) webhookReplayCache.delete(deliveryId);
+        return json(res, 400, { error: 'Invalid JSON payload' });
+      }
+
       await savePipelineEvent({
         eventName: 'webhook.received',
         emailId: body.data?.email_id || null,
@@ -297,30 +815,42 @@ const routes = {
       });
       console.log(`📨 Webhook received: ${body.type}`, JSON.stringify(body, null, 2));
       
-      // Save webhook to database
+      // Save webhook to database; the delivery id is recorded once processing succeeded
       if (isDatabaseAvailable()) {
-        await saveWebhook(body);
+        const webhook = await saveWebhook(body);
         
-        // Handle delivery status events
-        if (body.type && body.data?.email_id) {
-          const statusMap = {
-            'email.sent': 'sent',
-            'email.delivered': 'delivered',
-            'email.bounced': 'bounced',
-            'email.complained': 'complained',
-            'email.opened': 'opened',
-            'email.clicked': 'clicked',
-          };
-          
-          if (statusMap[body.type]) {
+        // Handle delivery status events: keep every event, only move the status forward
+        if (isDeliveryEvent(body.type) && body.data?.email_id) {
+          const event = describeEmailEvent(body);
+          let email = null;
+
+          if (event.status) {
             const updateData = {};
-            if (body.type === 'email.delivered') updateData.delivered_at = new Date();
-            if (body.type === 'email.opened') updateData.opened_at = new Date();
-            if (body.type === 'email.clicked') updateData.clicked_at = new Date();
+            if (body.type === 'email.delivered') updateData.delivered_at = event.occurredAt;
+            if (body.type === 'email.opened') updateData.opened_at = event.occurredAt;
+            if (body.type === 'email.clicked') updateData.clicked_at = event.occurredAt;
             
-            await updateEmailStatus(body.data.email_id, statusMap[body.type], updateData);
-            console.log(`✅ Updated email ${body.data.email_id} status to ${statusMap[body.type]}`);
+            email = await updateEmailStatus(event.resendId, event.status, updateData);
+            console.log(`✅ Email ${event.resendId} ${body.type}, status now ${email?.status || 'unknown'}`);
+
+            // Hard bounces and complaints stop further mail to the recipient
+            await recordSuppressionFromEvent(body, email);
+          } else {
+            email = await getEmailByResendId(event.resendId);
           }
+
+          await saveEmailEvent({ ...event, emailId: email?.id || null, webhookId: webhook?.id || null });
+          await publishWebhookEvent(body.type, {
+            email_id: event.resendId,
+            id: email?.id || null,
+            from: email?.from_email || body.data.from || null,
+            to: email?.to_email || body.data.to || null,
+            subject: email?.subject || body.data.subject || null,
+            status: email?.status || null,
+            occurred_at: event.occurredAt.toISOString(),
+            click_url: event.clickUrl,
+            details: event.details,
+          });
         }
         
         // Handle inbound email (someone sent TO @eternalgy.me)
@@ -365,128 +895,24 @@ const routes = {
           });
           console.log('✅ Inbound email saved, id:', saved?.id);
           
-          // Fetch full email content from Resend API (async, don't block response)
-          if (emailData.email_id) {
-            setTimeout(async () => {
-              try {
-                await savePipelineEvent({
-                  eventName: 'email.content.fetch.started',
-                  emailId: emailData.email_id,
-                  receivedEmailId: saved?.id || null,
-                });
-                console.log(`🔄 Fetching email content for ${emailData.email_id}...`);
-                const fullEmail = await getReceivedEmailWithRetry(emailData.email_id, domain);
-                
-                const updatedEmail = await updateReceivedEmail(emailData.email_id, {
-                  html: fullEmail.html,
-                  text: fullEmail.text,
-                  headers: fullEmail.headers,
-                });
-
-                const refreshedEmail = updatedEmail ||
-                  await getReceivedEmailByEmailId(emailData.email_id);
-                await savePipelineEvent({
-                  eventName: 'email.content.fetch.completed',
-                  emailId: emailData.email_id,
-                  receivedEmailId: refreshedEmail?.id || saved?.id || null,
-                  metadata: { hasHtml: !!fullEmail.html, hasText: !!fullEmail.text },
-                });
-                if (refreshedEmail) {
-                  const recipients = extractEmailAddresses([
-                    refreshedEmail.to_email,
-                    emailData.to,
-                    emailData.headers?.to,
-                    emailData.headers?.['x-original-to'],
-                    emailData.headers?.['delivered-to']
-                  ]);
-                  const isVacancyEmail = recipients.includes('vacancy@eternalgy.me');
-                  const isPrEmail = recipients.includes('pr@eternalgy.me');
-
-                  if (isVacancyEmail) {
-                    try {
-                      const applicationResult = await processJobApplicationEmail(refreshedEmail);
-                      console.log('🧾 Job application processing result:', {
-                        emailId: emailData.email_id,
-                        skipped: applicationResult?.skipped || false,
-                        status: applicationResult?.status,
-                      });
-                    } catch (jobErr) {
-                      await savePipelineEvent({
-                        eventName: 'application.processing.failed.webhook',
-                        level: 'error',
-                        emailId: emailData.email_id,
-                        receivedEmailId: refreshedEmail.id,
-                        message: jobErr.message,
-                        metadata: { code: jobErr.code || null, status: jobErr.status || null },
-                      });
-                      console.error('❌ Job application processing failed:', jobErr.message);
-                    }
-                  }
-
-                  if (isPrEmail) {
-                    try {
-                      const prPayload = {
-                        email_id: refreshedEmail.email_id || refreshedEmail.id,
-                        from: refreshedEmail.from_email,
-                        subject: refreshedEmail.subject,
-                        to: recipients.filter(r => r.includes('pr@eternalgy.me')),
-                      };
-
-                      console.log('📢 Notifying PR service:', prPayload);
-                    const prResponse = await fetch('https://ee-pr.up.railway.app/webhook/email-received', {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify(prPayload),
-                      });
-
-                      if (prResponse.ok) {
-                        try {
-                          const acknowledgement = await sendEmail({
-                            from: 'pr@eternalgy.me',
-                            to: refreshedEmail.from_email,
-                            subject: `Re: ${refreshedEmail.subject || 'Your message'}`,
-                            text: 'Message received. Sent to PR AI to process.',
-                            html: '<p>Message received.</p><p>Sent to PR AI to process.</p>',
-                          });
-                          console.log('✅ PR acknowledgement sent:', acknowledgement);
-                        } catch (replyErr) {
-                          console.error('❌ PR acknowledgement error:', replyErr.message);
-                        }
-                        const prResult = await prResponse.json();
-                        console.log('✅ PR service notified:', prResult);
-                      } else {
-                        console.error('❌ PR service notification failed:', prResponse.status, await prResponse.text());
-                      }
-                    } catch (prErr) {
-                      console.error('❌ PR notification error:', prErr.message);
-                    }
-                  }
-
-                  const taskResult = await enqueueSedaTaskForReceivedEmail(refreshedEmail);
-                  if (taskResult.matched) {
-                    console.log(`📌 SEDA approval task ${taskResult.created ? 'created' : 'already exists'}: ${taskResult.task?.id}`);
-                  }
-                }
-                
-                console.log('✅ Email content updated');
-              } catch (err) {
-                await savePipelineEvent({
-                  eventName: 'email.content.fetch.failed',
-                  level: 'error',
-                  emailId: emailData.email_id,
-                  receivedEmailId: saved?.id || null,
-                  message: err.message,
-                  metadata: { code: err.code || null, status: err.status || null },
-                });
-                console.error('❌ Failed to fetch email content:', err.message);
-              }
-            }, 100);
+          // Content fetch and routing run on the durable inbound queue
+          const queued = await enqueueInboundEmail({
+            receivedEmailId: saved?.id || null,
+            emailId: emailData.email_id,
+            domain,
+            rawData: emailData,
+          });
+          if (queued) {
+            console.log(`📥 Inbound job ${queued.created ? 'queued' : 'already queued'}: ${queued.job?.id}`);
           }
         }
+
+        if (webhook && deliveryId) await markWebhookDelivered(webhook.id, deliveryId);
       }
       
       json(res, 200, { received: true });
     } catch (err) {
+      if (deliveryId) webhookReplayCache.delete(deliveryId);
       console.error('❌ Webhook error:', err);
       json(res, 500, { error: err.message });
     }
@@ -612,7 +1038,8 @@ const routes = {
         return json(res, 404, { success: false, error: 'Email not found' });
       }
 
-      json(res, 200, { success: true, data: email });
+      const events = await getEmailEvents(email.resend_id);
+      json(res, 200, { success: true, data: { ...email, events } });
     } catch (err) {
       json(res, 500, { success: false, error: err.message });
     }
@@ -670,7 +1097,7 @@ const routes = {
         return json(res, 400, { success: false, error: 'Email has no Resend ID' });
       }
 
-      const attachments = await fetchAttachments(email.email_id, email.domain);
+      const attachments = await listEmailAttachments(email);
       
       json(res, 200, { 
         success: true, 
@@ -682,32 +1109,23 @@ const routes = {
     }
   },
 
-  // Proxy download attachment (handles CORS and expired URLs)
-  'GET /attachments/:emailId/:filename': async (req, res) => {
+  // Serve attachment inline from the attachment store
+  'GET /attachments/:emailId/:attachment': async (req, res) => {
     try {
-      const { emailId, filename } = req.params;
+      const { emailId, attachment: ref } = req.params;
       
-      if (!emailId || !filename) {
-        return json(res, 400, { success: false, error: 'Missing emailId or filename' });
+      if (!emailId || !ref) {
+        return json(res, 400, { success: false, error: 'Missing emailId or attachment' });
       }
 
       // Get domain from database if available
-      let domain = null;
-      if (isDatabaseAvailable()) {
-        const email = await getReceivedEmailByEmailId(emailId);
-        domain = email?.domain;
-      }
+      const email = isDatabaseAvailable() ? await getReceivedEmailByEmailId(emailId) : null;
 
-      // Fetch fresh attachments to get valid download_url
-      const attachments = await fetchAttachments(emailId, domain);
-      const attachment = attachments.find(a => a.filename === decodeURIComponent(filename));
-      
-      if (!attachment) {
-        return json(res, 404, { success: false, error: 'Attachment not found' });
-      }
-
-      // Download the attachment content
-      const content = await downloadAttachment(attachment.download_url);
+      // Served from the attachment store; older emails are stored on first access
+      const { attachment, content } = await readEmailAttachment(emailId, decodeURIComponent(ref), {
+        domain: email?.domain || null,
+        receivedEmailId: email?.id || null,
+      });
       
       // Set appropriate headers
       res.writeHead(200, {
@@ -718,36 +1136,27 @@ const routes = {
       res.end(content);
     } catch (err) {
       console.error('❌ Failed to download attachment:', err);
-      json(res, 500, { success: false, error: err.message });
+      json(res, err.status || 500, { success: false, error: err.message });
     }
   },
 
   // Download attachment with download header
-  'GET /attachments/:emailId/:filename/download': async (req, res) => {
+  'GET /attachments/:emailId/:attachment/download': async (req, res) => {
     try {
-      const { emailId, filename } = req.params;
+      const { emailId, attachment: ref } = req.params;
       
-      if (!emailId || !filename) {
-        return json(res, 400, { success: false, error: 'Missing emailId or filename' });
+      if (!emailId || !ref) {
+        return json(res, 400, { success: false, error: 'Missing emailId or attachment' });
       }
 
       // Get domain from database if available
-      let domain = null;
-      if (isDatabaseAvailable()) {
-        const email = await getReceivedEmailByEmailId(emailId);
-        domain = email?.domain;
-      }
+      const email = isDatabaseAvailable() ? await getReceivedEmailByEmailId(emailId) : null;
 
-      // Fetch fresh attachments to get valid download_url
-      const attachments = await fetchAttachments(emailId, domain);
-      const attachment = attachments.find(a => a.filename === decodeURIComponent(filename));
-      
-      if (!attachment) {
-        return json(res, 404, { success: false, error: 'Attachment not found' });
-      }
-
-      // Download the attachment content
-      const content = await downloadAttachment(attachment.download_url);
+      // Served from the attachment store; older emails are stored on first access
+      const { attachment, content } = await readEmailAttachment(emailId, decodeURIComponent(ref), {
+        domain: email?.domain || null,
+        receivedEmailId: email?.id || null,
+      });
       
       // Set appropriate headers for download
       res.writeHead(200, {
@@ -758,11 +1167,11 @@ const routes = {
       res.end(content);
     } catch (err) {
       console.error('❌ Failed to download attachment:', err);
-      json(res, 500, { success: false, error: err.message });
+      json(res, err.status || 500, { success: false, error: err.message });
     }
   },
 
-  // SEDA ATAP approval tasks (read-only dashboard endpoints are public like the email inbox)
+  // SEDA ATAP approval tasks (read-only endpoints need the viewer role like the email inbox)
   'GET /seda-tasks': async (req, res) => {
     try {
       const limit = Math.min(parseInt(req.query?.limit) || 50, 100);
@@ -811,6 +1220,7 @@ const routes = {
   'POST /seda-tasks/from-received-email/:id': async (req, res) => {
     try {
       const result = await enqueueSedaTaskForReceivedEmailId(req.params.id);
+      await auditEvent(req, 'seda_task.enqueued', { receivedEmail: req.params.id, matched: result.matched });
       if (!result.matched) {
         return json(res, 422, {
           success: false,
@@ -831,6 +1241,7 @@ const routes = {
   'POST /seda-tasks/:id/retry': async (req, res) => {
     try {
       const task = await retrySedaTaskById(parseInt(req.params.id));
+      await auditEvent(req, 'seda_task.retried', { taskId: task?.id || null });
       json(res, 200, { success: true, data: task });
     } catch (err) {
       json(res, err.status || 500, { success: false, error: err.message });
@@ -846,118 +1257,624 @@ const routes = {
       const limit = body.limit ? Math.min(parseInt(body.limit) || 500, 1000) : 500;
 
       const result = await scanReceivedEmailsForSedaTasks({ sinceDays, domain, limit });
+      await auditEvent(req, 'seda_task.scanned', { sinceDays, domain, created: result.created });
       json(res, 200, { success: true, data: result });
     } catch (err) {
       json(res, err.status || 500, { success: false, error: err.message });
     }
   },
 
-  // Re-fetch email content from Resend API
-  'POST /received-emails/fetch': async (req, res) => {
+  // Versioned email templates (each save adds a version) and per-domain branding
+  'GET /templates': async (req, res) => {
     try {
-      if (!isDatabaseAvailable()) {
-        return json(res, 503, { success: false, error: 'Database not available' });
-      }
-
-      const body = await parseBody(req);
-      const emailId = body.email_id;
-      
-      if (!emailId) {
-        return json(res, 400, { success: false, error: 'email_id required in body' });
-      }
+      const templates = await listTemplates();
+      json(res, 200, { success: true, data: templates });
+    } catch (err) {
+      json(res, 500, { success: false, error: err.message });
+    }
+  },
 
-      // Get domain from database for API key selection
-      const email = await getReceivedEmailByEmailId(emailId);
-      const domain = email?.domain;
+  'GET /templates/:id': async (req, res) => {
+    try {
+      const template = await getTemplateWithVersions(req.params.id);
+      json(res, 200, { success: true, data: template });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
 
-      console.log(`🔄 Manually fetching content for email: ${emailId}`);
-      
-      const fullEmail = await getReceivedEmailWithRetry(emailId, domain);
-      
-      const updated = await updateReceivedEmail(emailId, {
-        html: fullEmail.html,
-        text: fullEmail.text,
-        headers: fullEmail.headers,
-      });
+  'POST /templates': async (req, res) => {
+    try {
+      const body = await parseBody(req);
+      const template = await createTemplate(body, { createdBy: describeActor(req.auth) });
+      await auditEvent(req, 'template.created', { templateId: template.id, slug: template.slug });
+      json(res, 201, { success: true, data: template });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
 
-      const refreshedEmail = updated || await getReceivedEmailByEmailId(emailId);
-      const taskResult = refreshedEmail
-        ? await enqueueSedaTaskForReceivedEmail(refreshedEmail)
-        : { matched: false };
-      let applicationResult = null;
-
-      if (refreshedEmail) {
-        const recipients = extractEmailAddresses([
-          refreshedEmail.to_email,
-          refreshedEmail.headers?.to,
-          refreshedEmail.headers?.['x-original-to'],
-          refreshedEmail.headers?.['delivered-to'],
-        ]);
-        if (recipients.includes('vacancy@eternalgy.me')) {
-          applicationResult = await processJobApplicationEmail(refreshedEmail);
-        }
-      }
+  'POST /templates/:id/versions': async (req, res) => {
+    try {
+      const body = await parseBody(req);
+      const version = await saveTemplateVersion(req.params.id, body, { createdBy: describeActor(req.auth) });
+      await auditEvent(req, 'template.version_created', { templateId: version.template_id, version: version.version });
+      json(res, 201, { success: true, data: version });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
 
-      json(res, 200, {
-        success: true,
-        message: 'Email content updated',
-        data: {
-          hasHtml: !!fullEmail.html,
-          hasText: !!fullEmail.text,
-          application: applicationResult,
-          sedaTask: taskResult.matched
-            ? { created: taskResult.created, task: taskResult.task }
-            : null,
-        }
-      });
+  'POST /templates/:id/versions/:version/activate': async (req, res) => {
+    try {
+      const template = await activateTemplateVersion(req.params.id, req.params.version);
+      await auditEvent(req, 'template.version_activated', { templateId: template.id, version: template.current_version });
+      json(res, 200, { success: true, data: template });
     } catch (err) {
-      console.error('❌ Failed to fetch email content:', err);
-      json(res, 500, { success: false, error: err.message });
+      json(res, err.status || 500, { success: false, error: err.message });
     }
   },
 
-  // ============================================
-  // API Key Management (Admin UI)
-  // ============================================
-  
-  // Get all API keys
-  'GET /api-keys': async (req, res) => {
+  'POST /templates/:id/preview': async (req, res) => {
     try {
-      if (!isDatabaseAvailable()) {
-        return json(res, 503, { success: false, error: 'Database not available' });
-      }
+      const body = await parseBody(req);
+      const rendered = await renderTemplate(req.params.id, body.variables || {}, { domain: body.domain || null });
+      json(res, 200, { success: true, data: rendered });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
 
-      const keys = await getAllApiKeys();
-      json(res, 200, { success: true, data: keys });
+  'GET /domain-branding': async (req, res) => {
+    try {
+      const brandings = await getDomainBrandings();
+      json(res, 200, { success: true, data: brandings });
     } catch (err) {
       json(res, 500, { success: false, error: err.message });
     }
   },
 
-  // Create or update API key
-  'POST /api-keys': async (req, res) => {
+  'POST /domain-branding': async (req, res) => {
     try {
       if (!isDatabaseAvailable()) {
         return json(res, 503, { success: false, error: 'Database not available' });
       }
 
       const body = await parseBody(req);
-      
-      if (!body.domain || !body.api_key) {
-        return json(res, 400, {
-          error: 'Missing required fields: domain, api_key',
-        });
+      if (!body.domain) {
+        return json(res, 400, { success: false, error: 'domain is required' });
       }
 
-      const result = await saveApiKey(body.domain, body.api_key, body.description || '');
-      
-      // Clear cache so new key is used immediately
-      clearApiKeysCache();
-      
-      json(res, 200, { success: true, data: result });
+      const branding = await saveDomainBranding({
+        domain: body.domain,
+        companyName: body.company_name || null,
+        logoUrl: body.logo_url || null,
+        primaryColor: body.primary_color || null,
+        footerHtml: body.footer_html || null,
+        footerText: body.footer_text || null,
+      });
+      await auditEvent(req, 'domain_branding.saved', { domain: branding.domain });
+      json(res, 200, { success: true, data: branding });
     } catch (err) {
-      console.error('Save API key error:', err);
-      json(res, 500, { success: false, error: err.message });
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
+
+  // Suppression list (per sending domain)
+  'GET /suppressions': async (req, res) => {
+    try {
+      const suppressions = await listSuppressions({
+        domain: req.query?.domain || null,
+        search: req.query?.q || null,
+        limit: req.query?.limit,
+      });
+      json(res, 200, { success: true, data: suppressions });
+    } catch (err) {
+      json(res, 500, { success: false, error: err.message });
+    }
+  },
+
+  'POST /suppressions': async (req, res) => {
+    try {
+      if (!isDatabaseAvailable()) {
+        return json(res, 503, { success: false, error: 'Database not available' });
+      }
+
+      const body = await parseBody(req);
+      const suppression = await addSuppression(
+        { domain: body.domain, email: body.email, reason: body.reason || 'manual', note: body.note },
+        { createdBy: describeActor(req.auth) }
+      );
+      await auditEvent(req, 'suppression.added', {
+        suppressionId: suppression.id,
+        domain: suppression.domain,
+        email: suppression.email,
+      });
+      json(res, 201, { success: true, data: suppression });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
+
+  'DELETE /suppressions/:id': async (req, res) => {
+    try {
+      if (!isDatabaseAvailable()) {
+        return json(res, 503, { success: false, error: 'Database not available' });
+      }
+
+      const removed = await removeSuppression(parseInt(req.params.id));
+      await auditEvent(req, 'suppression.removed', {
+        suppressionId: removed.id,
+        domain: removed.domain,
+        email: removed.email,
+      });
+      json(res, 200, { success: true, data: removed });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
+
+  // Inbound routing rules
+  'GET /inbound-routes': async (req, res) => {
+    try {
+      json(res, 200, { success: true, data: await listInboundRoutes() });
+    } catch (err) {
+      json(res, 500, { success: false, error: err.message });
+    }
+  },
+
+  'GET /inbound-routes/:id': async (req, res) => {
+    try {
+      if (!isDatabaseAvailable()) {
+        return json(res, 503, { success: false, error: 'Database not available' });
+      }
+
+      json(res, 200, { success: true, data: await getRoute(parseInt(req.params.id)) });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
+
+  // Dry run: nothing is sent, forwarded or queued
+  'POST /inbound-routes/test': async (req, res) => {
+    try {
+      const body = await parseBody(req);
+      json(res, 200, { success: true, data: await testInboundRoutes(body) });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
+
+  'POST /inbound-routes': async (req, res) => {
+    try {
+      if (!isDatabaseAvailable()) {
+        return json(res, 503, { success: false, error: 'Database not available' });
+      }
+
+      const body = await parseBody(req);
+      const route = await createRoute(body, { createdBy: describeActor(req.auth) });
+      await auditEvent(req, 'inbound_route.created', { routeId: route.id, name: route.name });
+      json(res, 201, { success: true, data: route });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
+
+  'PATCH /inbound-routes/:id': async (req, res) => {
+    try {
+      if (!isDatabaseAvailable()) {
+        return json(res, 503, { success: false, error: 'Database not available' });
+      }
+
+      const body = await parseBody(req);
+      const route = await updateRoute(parseInt(req.params.id), body);
+      await auditEvent(req, 'inbound_route.updated', {
+        routeId: route.id,
+        name: route.name,
+        fields: Object.keys(body),
+      });
+      json(res, 200, { success: true, data: route });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
+
+  'DELETE /inbound-routes/:id': async (req, res) => {
+    try {
+      if (!isDatabaseAvailable()) {
+        return json(res, 503, { success: false, error: 'Database not available' });
+      }
+
+      const removed = await removeRoute(parseInt(req.params.id));
+      await auditEvent(req, 'inbound_route.deleted', { routeId: removed.id, name: removed.name });
+      json(res, 200, { success: true, data: removed });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
+
+  // Outgoing webhook subscriptions and their delivery log
+  'GET /webhook-subscriptions': async (req, res) => {
+    try {
+      json(res, 200, { success: true, data: await listWebhookSubscriptions() });
+    } catch (err) {
+      json(res, 500, { success: false, error: err.message });
+    }
+  },
+
+  'GET /webhook-subscriptions/event-types': async (req, res) => {
+    const data = Object.entries(WEBHOOK_EVENT_TYPES).map(([type, description]) => ({ type, description }));
+    json(res, 200, { success: true, data });
+  },
+
+  'POST /webhook-subscriptions': async (req, res) => {
+    try {
+      if (!isDatabaseAvailable()) {
+        return json(res, 503, { success: false, error: 'Database not available' });
+      }
+
+      const body = await parseBody(req);
+      const subscription = await createSubscription(body, { createdBy: describeActor(req.auth) });
+      await auditEvent(req, 'webhook_subscription.created', {
+        subscriptionId: subscription.id,
+        name: subscription.name,
+        url: subscription.url,
+      });
+      json(res, 201, { success: true, data: subscription });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
+
+  'PATCH /webhook-subscriptions/:id': async (req, res) => {
+    try {
+      if (!isDatabaseAvailable()) {
+        return json(res, 503, { success: false, error: 'Database not available' });
+      }
+
+      const body = await parseBody(req);
+      const subscription = await updateSubscription(parseInt(req.params.id), body);
+      await auditEvent(req, 'webhook_subscription.updated', {
+        subscriptionId: subscription.id,
+        name: subscription.name,
+        fields: Object.keys(body),
+      });
+      json(res, 200, { success: true, data: subscription });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
+
+  'DELETE /webhook-subscriptions/:id': async (req, res) => {
+    try {
+      if (!isDatabaseAvailable()) {
+        return json(res, 503, { success: false, error: 'Database not available' });
+      }
+
+      const removed = await removeSubscription(parseInt(req.params.id));
+      await auditEvent(req, 'webhook_subscription.deleted', { subscriptionId: removed.id, name: removed.name });
+      json(res, 200, { success: true, data: removed });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
+
+  // The new secret is only returned in this response
+  'POST /webhook-subscriptions/:id/rotate-secret': async (req, res) => {
+    try {
+      if (!isDatabaseAvailable()) {
+        return json(res, 503, { success: false, error: 'Database not available' });
+      }
+
+      const subscription = await rotateSubscriptionSecret(parseInt(req.params.id));
+      await auditEvent(req, 'webhook_subscription.secret_rotated', { subscriptionId: subscription.id });
+      json(res, 200, { success: true, data: subscription });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
+
+  'POST /webhook-subscriptions/:id/test': async (req, res) => {
+    try {
+      if (!isDatabaseAvailable()) {
+        return json(res, 503, { success: false, error: 'Database not available' });
+      }
+
+      const delivery = await sendTestWebhook(parseInt(req.params.id));
+      json(res, 202, { success: true, data: delivery });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
+
+  'GET /webhook-deliveries': async (req, res) => {
+    try {
+      const deliveries = await listWebhookDeliveries({
+        subscriptionId: req.query?.subscription_id ? parseInt(req.query.subscription_id) : null,
+        status: req.query?.status || null,
+        eventType: req.query?.event_type || null,
+        limit: req.query?.limit,
+      });
+      json(res, 200, { success: true, data: deliveries });
+    } catch (err) {
+      json(res, 500, { success: false, error: err.message });
+    }
+  },
+
+  'GET /webhook-deliveries/:id': async (req, res) => {
+    try {
+      if (!isDatabaseAvailable()) {
+        return json(res, 503, { success: false, error: 'Database not available' });
+      }
+
+      json(res, 200, { success: true, data: await getWebhookDelivery(parseInt(req.params.id)) });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
+
+  'POST /webhook-deliveries/:id/replay': async (req, res) => {
+    try {
+      if (!isDatabaseAvailable()) {
+        return json(res, 503, { success: false, error: 'Database not available' });
+      }
+
+      const delivery = await replayWebhookDelivery(parseInt(req.params.id));
+      await auditEvent(req, 'webhook_delivery.replayed', {
+        deliveryId: delivery.id,
+        replayOf: delivery.replay_of,
+        subscriptionId: delivery.subscription_id,
+      });
+      json(res, 202, { success: true, data: delivery });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
+
+  // Cancel a scheduled send before the worker releases it
+  'DELETE /emails/:id/schedule': async (req, res) => {
+    try {
+      if (!isDatabaseAvailable()) {
+        return json(res, 503, { success: false, error: 'Database not available' });
+      }
+
+      const cancelled = await cancelScheduledSend(parseInt(req.params.id));
+      await auditEvent(req, 'email.schedule_cancelled', { emailId: cancelled.email_id, outboundEmailId: cancelled.id });
+      json(res, 200, { success: true, data: cancelled });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
+
+  // Batch sends recorded by POST /send-batch
+  'GET /batches': async (req, res) => {
+    try {
+      const batches = await getBatches({ limit: req.query?.limit });
+      json(res, 200, { success: true, data: batches });
+    } catch (err) {
+      json(res, 500, { success: false, error: err.message });
+    }
+  },
+
+  'GET /batches/:id': async (req, res) => {
+    try {
+      const batch = await getBatchById(parseInt(req.params.id));
+      if (!batch) {
+        return json(res, 404, { success: false, error: 'Batch not found' });
+      }
+
+      json(res, 200, { success: true, data: batch });
+    } catch (err) {
+      json(res, 500, { success: false, error: err.message });
+    }
+  },
+
+  // Outbound send queue (PENDING -> PROCESSING -> SENT, or DEAD after the last retry)
+  'GET /outbound-emails': async (req, res) => {
+    try {
+      const emails = await listOutboundEmails({
+        status: req.query?.status || null,
+        limit: req.query?.limit,
+      });
+      json(res, 200, { success: true, data: emails });
+    } catch (err) {
+      json(res, 500, { success: false, error: err.message });
+    }
+  },
+
+  'GET /outbound-emails/stats': async (req, res) => {
+    try {
+      const stats = await getOutboundEmailStats();
+      json(res, 200, { success: true, data: stats });
+    } catch (err) {
+      json(res, 500, { success: false, error: err.message });
+    }
+  },
+
+  'GET /outbound-emails/:id': async (req, res) => {
+    try {
+      const outbound = await getOutboundEmail(parseInt(req.params.id));
+      json(res, 200, { success: true, data: outbound });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
+
+  'POST /outbound-emails/:id/retry': async (req, res) => {
+    try {
+      const outbound = await retryOutboundEmail(parseInt(req.params.id));
+      await auditEvent(req, 'outbound_email.retried', { outboundEmailId: outbound.id });
+      json(res, 200, { success: true, data: outbound });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
+
+  // Conversations across sent and received mail
+  'GET /threads': async (req, res) => {
+    try {
+      const threads = await listThreads({ q: req.query?.q || null, limit: req.query?.limit });
+      json(res, 200, { success: true, data: threads });
+    } catch (err) {
+      json(res, 500, { success: false, error: err.message });
+    }
+  },
+
+  'GET /threads/:id': async (req, res) => {
+    try {
+      if (!isDatabaseAvailable()) {
+        return json(res, 503, { success: false, error: 'Database not available' });
+      }
+
+      json(res, 200, { success: true, data: await getThread(parseInt(req.params.id)) });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
+
+  // Inbound processing queue
+  'GET /inbound-jobs': async (req, res) => {
+    try {
+      const jobs = await listInboundJobs({
+        status: req.query?.status || null,
+        limit: req.query?.limit,
+      });
+      json(res, 200, { success: true, data: jobs });
+    } catch (err) {
+      json(res, 500, { success: false, error: err.message });
+    }
+  },
+
+  'GET /inbound-jobs/stats': async (req, res) => {
+    try {
+      json(res, 200, { success: true, data: await getInboundJobStats() });
+    } catch (err) {
+      json(res, 500, { success: false, error: err.message });
+    }
+  },
+
+  'GET /inbound-jobs/:id': async (req, res) => {
+    try {
+      json(res, 200, { success: true, data: await getInboundJob(parseInt(req.params.id)) });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
+
+  'POST /inbound-jobs/:id/retry': async (req, res) => {
+    try {
+      const job = await retryInboundJob(parseInt(req.params.id));
+      await auditEvent(req, 'inbound_job.retried', { inboundJobId: job.id, emailId: job.email_id });
+      json(res, 200, { success: true, data: job });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
+
+  // Re-fetch email content from Resend API
+  'POST /received-emails/fetch': async (req, res) => {
+    try {
+      if (!isDatabaseAvailable()) {
+        return json(res, 503, { success: false, error: 'Database not available' });
+      }
+
+      const body = await parseBody(req);
+      const emailId = body.email_id;
+      
+      if (!emailId) {
+        return json(res, 400, { success: false, error: 'email_id required in body' });
+      }
+
+      // Get domain from database for API key selection
+      const email = await getReceivedEmailByEmailId(emailId);
+      const domain = email?.domain;
+
+      console.log(`🔄 Manually fetching content for email: ${emailId}`);
+      await auditEvent(req, 'received_email.refetched', { emailId });
+      
+      const fullEmail = await getReceivedEmailWithRetry(emailId, domain);
+      
+      const updated = await updateReceivedEmail(emailId, {
+        html: fullEmail.html,
+        text: fullEmail.text,
+        headers: fullEmail.headers,
+      });
+
+      const refreshedEmail = updated || await getReceivedEmailByEmailId(emailId);
+      if (refreshedEmail) refreshedEmail.thread_id = await assignEmailThread('received', refreshedEmail);
+      // Store the attachments the first fetch missed, so the CV text is there for recruitment
+      let storedAttachments = [];
+      if (refreshedEmail && (refreshedEmail.attachments?.length || refreshedEmail.raw_data?.attachments?.length)) {
+        try {
+          storedAttachments = await storeEmailAttachments(refreshedEmail);
+        } catch (storeErr) {
+          console.error(`❌ Failed to store attachments for ${emailId}:`, storeErr.message);
+        }
+      }
+      // Replies and forwards already went out the first time
+      const routeResults = refreshedEmail
+        ? await routeInboundEmail(refreshedEmail, { actionTypes: REPEATABLE_ACTION_TYPES })
+        : [];
+
+      json(res, 200, {
+        success: true,
+        message: 'Email content updated',
+        data: {
+          hasHtml: !!fullEmail.html,
+          hasText: !!fullEmail.text,
+          attachmentsStored: storedAttachments.filter(row => row?.status === 'stored').length,
+          routes: routeResults,
+        }
+      });
+    } catch (err) {
+      console.error('❌ Failed to fetch email content:', err);
+      json(res, 500, { success: false, error: err.message });
+    }
+  },
+
+  // ============================================
+  // API Key Management (Admin UI)
+  // ============================================
+  
+  // Get all API keys
+  'GET /api-keys': async (req, res) => {
+    try {
+      if (!isDatabaseAvailable()) {
+        return json(res, 503, { success: false, error: 'Database not available' });
+      }
+
+      const keys = await getAllApiKeys();
+      json(res, 200, { success: true, data: keys });
+    } catch (err) {
+      json(res, 500, { success: false, error: err.message });
+    }
+  },
+
+  // Create or update API key
+  'POST /api-keys': async (req, res) => {
+    try {
+      if (!isDatabaseAvailable()) {
+        return json(res, 503, { success: false, error: 'Database not available' });
+      }
+
+      const body = await parseBody(req);
+      
+      if (!body.domain || !body.api_key) {
+        return json(res, 400, {
+          error: 'Missing required fields: domain, api_key',
+        });
+      }
+
+      const result = await saveApiKey(body.domain, body.api_key, body.description || '');
+      await auditEvent(req, 'api_key.saved', { apiKeyId: result?.id || null, domain: result?.domain || null });
+      
+      // Clear cache so new key is used immediately
+      clearApiKeysCache();
+      
+      json(res, 200, { success: true, data: result });
+    } catch (err) {
+      console.error('Save API key error:', err);
+      json(res, 500, { success: false, error: err.message });
     }
   },
 
@@ -981,6 +1898,7 @@ const routes = {
       if (!result) {
         return json(res, 404, { success: false, error: 'API key not found' });
       }
+      await auditEvent(req, 'api_key.updated', { apiKeyId: id, fields: Object.keys(updates) });
       
       // Clear cache so changes take effect immediately
       clearApiKeysCache();
@@ -1004,6 +1922,7 @@ const routes = {
       if (!deleted) {
         return json(res, 404, { success: false, error: 'API key not found' });
       }
+      await auditEvent(req, 'api_key.deleted', { apiKeyId: id });
       
       // Clear cache so deletion takes effect immediately
       clearApiKeysCache();
@@ -1119,6 +2038,7 @@ const routes = {
       }
 
       const result = await createAgentEmailAccount(body.agent_bubble_id, emailPrefix, emailDomain);
+      await auditEvent(req, 'agent_email_account.created', { accountId: result?.id || null, email: fullEmail });
       
       json(res, 201, { success: true, data: result });
     } catch (err) {
@@ -1140,6 +2060,7 @@ const routes = {
       if (!deleted) {
         return json(res, 404, { success: false, error: 'Email account not found' });
       }
+      await auditEvent(req, 'agent_email_account.deleted', { accountId: id });
       
       json(res, 200, { success: true, message: 'Email account deleted' });
     } catch (err) {
@@ -1160,49 +2081,380 @@ const routes = {
       const applications = await getJobApplications({
         limit: req.query?.limit,
         status: req.query?.status || null,
+        assignee: req.query?.assignee || null,
+      });
+      json(res, 200, {
+        success: true,
+        data: applications.map(application => ({
+          ...application,
+          next_statuses: allowedTransitions(application.status),
+        })),
       });
-      json(res, 200, { success: true, data: applications });
     } catch (err) {
       json(res, 500, { success: false, error: err.message });
     }
   },
 
-  'GET /hod-departments': async (req, res) => {
+  // Counts by classification, department, status and day, plus pipeline health
+  'GET /job-applications/stats': async (req, res) => {
+    try {
+      if (!isDatabaseAvailable()) {
+        return json(res, 503, { success: false, error: 'Database not available' });
+      }
+
+      json(res, 200, { success: true, data: await getJobApplicationReport(req.query || {}) });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
+
+  // One application with the follow-up replies merged into it and its status history
+  'GET /job-applications/:id': async (req, res) => {
     try {
       if (!isDatabaseAvailable()) {
         return json(res, 503, { success: false, error: 'Database not available' });
       }
-      json(res, 200, { success: true, data: await getHodDepartments() });
+
+      const application = await getJobApplicationById(parseInt(req.params.id));
+      if (!application) {
+        return json(res, 404, { success: false, error: 'Job application not found' });
+      }
+      const [replies, history, hodNotifications] = await Promise.all([
+        getJobApplicationReplies(application.id),
+        getJobApplicationStatusHistory(application.id),
+        listHodNotifications({ jobApplicationId: application.id }),
+      ]);
+      json(res, 200, {
+        success: true,
+        data: {
+          ...application,
+          next_statuses: allowedTransitions(application.status),
+          replies,
+          history,
+          hod_notifications: hodNotifications,
+        },
+      });
     } catch (err) {
       json(res, 500, { success: false, error: err.message });
     }
   },
 
-  'POST /hod-departments': async (req, res) => {
+  // Send the HOD WhatsApp again: retries failed or waiting notifications, or resends the application
+  'POST /job-applications/:id/notify': async (req, res) => {
+    try {
+      if (!isDatabaseAvailable()) {
+        return json(res, 503, { success: false, error: 'Database not available' });
+      }
+
+      const result = await resendHodNotification(parseInt(req.params.id));
+      await auditEvent(req, 'job_application.hod_notified', {
+        applicationId: result.application.id,
+        hodNotified: !!result.application.hod_notified_at,
+      });
+      json(res, 200, { success: true, data: result });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
+
+  // Move an application through the hiring stages, reassign it or add a note
+  'PATCH /job-applications/:id': async (req, res) => {
     try {
       if (!isDatabaseAvailable()) {
         return json(res, 503, { success: false, error: 'Database not available' });
       }
 
       const body = await parseBody(req);
-      if (!body.department || !body.hod_whatsapp_number) {
-        return json(res, 400, {
-          success: false,
-          error: 'Missing required fields: department, hod_whatsapp_number',
-        });
+      const application = await updateJobApplicationStatus(parseInt(req.params.id), body, {
+        actor: describeActor(req.auth),
+      });
+      await auditEvent(req, 'job_application.updated', {
+        applicationId: application.id,
+        status: application.status,
+        assignee: application.assignee,
+        fields: Object.keys(body),
+      });
+      json(res, 200, {
+        success: true,
+        data: { ...application, next_statuses: allowedTransitions(application.status) },
+      });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
+
+  // Proposed and confirmed interviews of an application
+  'GET /job-applications/:id/interviews': async (req, res) => {
+    try {
+      if (!isDatabaseAvailable()) {
+        return json(res, 503, { success: false, error: 'Database not available' });
       }
 
-      const result = await saveHodDepartment(
-        body.department,
-        body.hod_whatsapp_number,
-        body.is_active !== false
-      );
-      json(res, 200, { success: true, data: result });
+      const interviews = await listInterviews(parseInt(req.params.id));
+      json(res, 200, { success: true, data: interviews });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
+
+  // Confirm an interview: sends the invite with an .ics file, schedules the reminder, tells the HOD
+  'POST /job-applications/:id/interviews': async (req, res) => {
+    try {
+      if (!isDatabaseAvailable()) {
+        return json(res, 503, { success: false, error: 'Database not available' });
+      }
+
+      const body = await parseBody(req);
+      const interview = await scheduleInterview(parseInt(req.params.id), body, { actor: describeActor(req.auth) });
+      await auditEvent(req, 'interview.scheduled', {
+        applicationId: interview.job_application_id,
+        interviewId: interview.id,
+        startsAt: interview.starts_at,
+      });
+      json(res, 201, { success: true, data: interview });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
+
+  'POST /interviews/:id/cancel': async (req, res) => {
+    try {
+      if (!isDatabaseAvailable()) {
+        return json(res, 503, { success: false, error: 'Database not available' });
+      }
+
+      const body = await parseBody(req);
+      const interview = await cancelInterview(parseInt(req.params.id), { reason: body.reason });
+      await auditEvent(req, 'interview.cancelled', {
+        applicationId: interview.job_application_id,
+        interviewId: interview.id,
+      });
+      json(res, 200, { success: true, data: interview });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
+
+  'GET /candidates': async (req, res) => {
+    try {
+      if (!isDatabaseAvailable()) {
+        return json(res, 503, { success: false, error: 'Database not available' });
+      }
+
+      const candidates = await listCandidates({ q: req.query?.q || null, limit: req.query?.limit });
+      json(res, 200, { success: true, data: candidates });
+    } catch (err) {
+      json(res, 500, { success: false, error: err.message });
+    }
+  },
+
+  // A candidate with the full history of their applications
+  'GET /candidates/:id': async (req, res) => {
+    try {
+      if (!isDatabaseAvailable()) {
+        return json(res, 503, { success: false, error: 'Database not available' });
+      }
+
+      const candidate = await getCandidate(parseInt(req.params.id));
+      json(res, 200, {
+        success: true,
+        data: {
+          ...candidate,
+          applications: candidate.applications.map(application => ({
+            ...application,
+            next_statuses: allowedTransitions(application.status),
+          })),
+        },
+      });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
+
+  // Possible duplicate candidates waiting for HR
+  'GET /candidate-reviews': async (req, res) => {
+    try {
+      if (!isDatabaseAvailable()) {
+        return json(res, 503, { success: false, error: 'Database not available' });
+      }
+
+      const reviews = await listCandidateReviews({ status: req.query?.status || 'PENDING', limit: req.query?.limit });
+      json(res, 200, { success: true, data: reviews });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
+
+  'POST /candidate-reviews/:id/merge': async (req, res) => {
+    try {
+      if (!isDatabaseAvailable()) {
+        return json(res, 503, { success: false, error: 'Database not available' });
+      }
+
+      const candidate = await mergeCandidateReview(parseInt(req.params.id), { actor: describeActor(req.auth) });
+      await auditEvent(req, 'candidate.merged', { reviewId: parseInt(req.params.id), candidateId: candidate.id });
+      json(res, 200, { success: true, data: candidate });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
+
+  'POST /candidate-reviews/:id/reject': async (req, res) => {
+    try {
+      if (!isDatabaseAvailable()) {
+        return json(res, 503, { success: false, error: 'Database not available' });
+      }
+
+      const review = await rejectCandidateReview(parseInt(req.params.id), { actor: describeActor(req.auth) });
+      await auditEvent(req, 'candidate.review.rejected', {
+        reviewId: review.id,
+        candidateId: review.candidate_id,
+        matchCandidateId: review.match_candidate_id,
+      });
+      json(res, 200, { success: true, data: review });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
+
+  'GET /hod-departments': async (req, res) => {
+    try {
+      if (!isDatabaseAvailable()) {
+        return json(res, 503, { success: false, error: 'Database not available' });
+      }
+      json(res, 200, { success: true, data: await listHodDepartments() });
     } catch (err) {
       json(res, 500, { success: false, error: err.message });
     }
   },
 
+  'POST /hod-departments': async (req, res) => {
+    try {
+      if (!isDatabaseAvailable()) {
+        return json(res, 503, { success: false, error: 'Database not available' });
+      }
+
+      // Notifications that were waiting for a recipient go out now
+      const result = await saveHodDepartmentSettings(await parseBody(req));
+      await auditEvent(req, 'hod_department.saved', { department: result.department });
+      json(res, 200, { success: true, data: result });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
+
+  'POST /hod-departments/:id/recipients': async (req, res) => {
+    try {
+      if (!isDatabaseAvailable()) {
+        return json(res, 503, { success: false, error: 'Database not available' });
+      }
+
+      const recipient = await addHodRecipient(parseInt(req.params.id), await parseBody(req));
+      await auditEvent(req, 'hod_recipient.saved', {
+        hodDepartmentId: recipient.hod_department_id,
+        hodRecipientId: recipient.id,
+        role: recipient.role,
+      });
+      json(res, 200, { success: true, data: recipient });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
+
+  'PATCH /hod-recipients/:id': async (req, res) => {
+    try {
+      if (!isDatabaseAvailable()) {
+        return json(res, 503, { success: false, error: 'Database not available' });
+      }
+
+      const recipient = await updateHodRecipientSettings(parseInt(req.params.id), await parseBody(req));
+      await auditEvent(req, 'hod_recipient.updated', {
+        hodDepartmentId: recipient.hod_department_id,
+        hodRecipientId: recipient.id,
+        role: recipient.role,
+        isActive: recipient.is_active,
+      });
+      json(res, 200, { success: true, data: recipient });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
+
+  'DELETE /hod-recipients/:id': async (req, res) => {
+    try {
+      if (!isDatabaseAvailable()) {
+        return json(res, 503, { success: false, error: 'Database not available' });
+      }
+
+      const recipient = await removeHodRecipient(parseInt(req.params.id));
+      await auditEvent(req, 'hod_recipient.deleted', {
+        hodDepartmentId: recipient.hod_department_id,
+        hodRecipientId: recipient.id,
+      });
+      json(res, 200, { success: true });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
+
+  // HR records that the HOD has seen a notification; stops its escalation
+  'POST /hod-notifications/:id/acknowledge': async (req, res) => {
+    try {
+      if (!isDatabaseAvailable()) {
+        return json(res, 503, { success: false, error: 'Database not available' });
+      }
+
+      const notification = await acknowledgeHodNotification({
+        id: parseInt(req.params.id),
+        actor: describeActor(req.auth),
+      });
+      await auditEvent(req, 'hod_notification.acknowledged', {
+        notificationId: notification.id,
+        applicationId: notification.job_application_id,
+      });
+      json(res, 200, { success: true, data: notification });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
+
+  // Acknowledgement link in the HOD WhatsApp message. Link previews and URL
+  // scanners open it too, so opening it only asks; the button POSTs.
+  'GET /hod-ack/:token': async (req, res) => {
+    hodAckPage(res, 200, `<p>Have you seen this job application?</p><form method="POST" action="/hod-ack/${encodeURIComponent(req.params.token)}"><button type="submit" style="font-size: 16px; padding: 8px 16px;">Mark as seen</button></form>`);
+  },
+
+  'POST /hod-ack/:token': async (req, res) => {
+    let status = 200;
+    let message = 'Thank you. The application is marked as seen and will not be escalated.';
+    try {
+      if (!isDatabaseAvailable()) throw Object.assign(new Error('Database not available'), { status: 503 });
+      await acknowledgeHodNotification({ token: req.params.token });
+    } catch (err) {
+      status = err.status || 500;
+      message = status === 404 ? 'This link is not valid.' : 'Something went wrong. Please try again later.';
+    }
+    hodAckPage(res, status, `<p>${message}</p>`);
+  },
+
+  // The HOD WhatsApp outbox
+  'GET /hod-notifications': async (req, res) => {
+    try {
+      if (!isDatabaseAvailable()) {
+        return json(res, 503, { success: false, error: 'Database not available' });
+      }
+
+      const notifications = await listHodNotifications({
+        status: req.query?.status || null,
+        jobApplicationId: req.query?.job_application_id ? parseInt(req.query.job_application_id) : null,
+        limit: req.query?.limit,
+      });
+      json(res, 200, { success: true, data: notifications });
+    } catch (err) {
+      json(res, err.status || 500, { success: false, error: err.message });
+    }
+  },
+
   'DELETE /hod-departments/:id': async (req, res) => {
     try {
       if (!isDatabaseAvailable()) {
@@ -1213,6 +2465,7 @@ const routes = {
       if (!deleted) {
         return json(res, 404, { success: false, error: 'HOD department not found' });
       }
+      await auditEvent(req, 'hod_department.deleted', { hodDepartmentId: Number(req.params.id) });
       json(res, 200, { success: true });
     } catch (err) {
       json(res, 500, { success: false, error: err.message });
@@ -1226,12 +2479,21 @@ const routes = {
       version: '1.0.0',
       domain: config.EMAIL_DOMAIN,
       database: isDatabaseAvailable() ? 'connected' : 'not configured',
+      authentication: {
+        description: 'Send a service token as "Authorization: Bearer <token>" or "X-API-Key: <token>". Admin pages sign in through POST /auth/login.',
+        roles: ROLES,
+        route_roles: ROUTE_ACCESS,
+        default_role: 'admin',
+      },
       documentation: {
         send_email: {
           endpoint: 'POST /send',
           description: 'Send a single email with optional attachments',
           request_body: {
             to: 'string or array - Recipient email(s)',
+            template_id: 'number or string - Template id or slug (optional, replaces subject/html/text)',
+            variables: 'object - Values for the template placeholders (optional)',
+            send_at: 'ISO 8601 date-time - Schedule for later (optional, cancel with DELETE /emails/:id/schedule)',
             subject: 'string - Email subject',
             html: 'string - HTML content (optional if text provided)',
             text: 'string - Plain text content (optional if html provided)',
@@ -1250,6 +2512,8 @@ const routes = {
             max_attachment_size: '10MB per file',
             max_total_attachments: '10MB total',
           },
+          response: '202 with { id, email_id, status: "PENDING" } - poll GET /outbound-emails/:id for delivery. Without a database the email is sent inline and 200 returns the Resend response.',
+          idempotency: 'Optional Idempotency-Key header (max 200 chars). A retry with the same key and body returns the original response with Idempotent-Replayed: true; the same key with a different body returns 409. The key is passed on to Resend.',
           example: {
             to: 'user@example.com',
             subject: 'Hello',
@@ -1264,7 +2528,9 @@ const routes = {
           description: 'Send multiple emails in one request',
           request_body: {
             emails: 'array of email objects (same as /send)'
-          }
+          },
+          response: '{ batch_id, status: completed|partial|failed, data: [{ index, success, data, error }] }. Messages are sent SEND_BATCH_CONCURRENCY at a time; track progress with GET /batches/:id.',
+          idempotency: 'Optional Idempotency-Key header. Item N is keyed "batch:<key>:N"; client keys may not start with "batch:"; a retried batch reopens the same batch, replays the items that were sent and only sends the rest.'
         },
         list_sent: {
           endpoint: 'GET /emails?domain=&limit=50&q=&field=all',
@@ -1295,29 +2561,69 @@ const routes = {
         }
       },
       endpoints: [
-        { method: 'GET', path: '/seda-tasks', description: 'List protected SEDA ATAP approval tasks' },
+        { method: 'GET', path: '/seda-tasks', description: 'List SEDA ATAP approval tasks' },
         { method: 'GET', path: '/seda-tasks/stats', description: 'Get protected SEDA task counts' },
         { method: 'GET', path: '/seda-tasks/:id', description: 'Get one protected SEDA task' },
         { method: 'POST', path: '/seda-tasks/from-received-email/:id', description: 'Create a protected PENDING task from an existing received email' },
         { method: 'POST', path: '/seda-tasks/:id/retry', description: 'Make a protected SEDA task retryable' },
-        { method: 'POST', path: '/seda-tasks/scan', description: 'Scan received emails since N days ago and create PENDING tasks for any matches (public, body: { days, domain, limit })' },
+        { method: 'POST', path: '/seda-tasks/scan', description: 'Scan received emails since N days ago and create PENDING tasks for any matches (operator, body: { days, domain, limit })' },
+        { method: 'DELETE', path: '/emails/:id/schedule', description: 'Cancel a scheduled send that has not gone out yet (operator)' },
+        { method: 'GET', path: '/templates', description: 'List email templates with their current version and placeholders' },
+        { method: 'GET', path: '/templates/:id', description: 'One template (id or slug) with every version' },
+        { method: 'POST', path: '/templates', description: 'Create a template (admin, body: { slug, name, description, subject, html, text })' },
+        { method: 'POST', path: '/templates/:id/versions', description: 'Save an edit as a new current version (admin, body: { subject, html, text })' },
+        { method: 'POST', path: '/templates/:id/versions/:version/activate', description: 'Switch the current version (admin)' },
+        { method: 'POST', path: '/templates/:id/preview', description: 'Render a template (body: { variables, domain })' },
+        { method: 'GET', path: '/domain-branding', description: 'Per-domain branding used to wrap template emails' },
+        { method: 'POST', path: '/domain-branding', description: 'Save branding (admin, body: { domain, company_name, logo_url, primary_color, footer_html, footer_text })' },
+        { method: 'GET', path: '/suppressions', description: 'Suppressed recipients (query: domain, q, limit)' },
+        { method: 'POST', path: '/suppressions', description: 'Suppress a recipient for a domain (admin, body: { domain, email, reason, note })' },
+        { method: 'DELETE', path: '/suppressions/:id', description: 'Remove a suppression (admin)' },
+        { method: 'GET', path: '/inbound-routes', description: 'Inbound routing rules in priority order' },
+        { method: 'GET', path: '/inbound-routes/:id', description: 'One inbound route' },
+        { method: 'POST', path: '/inbound-routes/test', description: 'Dry-run the routes (body: { received_email_id } or { email: { from, to, subject, headers } }, optional draft route)' },
+        { method: 'POST', path: '/inbound-routes', description: 'Create an inbound route (admin, body: { name, priority, enabled, stop_processing, conditions, actions })' },
+        { method: 'PATCH', path: '/inbound-routes/:id', description: 'Update an inbound route (admin)' },
+        { method: 'DELETE', path: '/inbound-routes/:id', description: 'Delete an inbound route (admin)' },
+        { method: 'GET', path: '/webhook-subscriptions', description: 'Outgoing webhook subscriptions, secrets masked (admin)' },
+        { method: 'GET', path: '/webhook-subscriptions/event-types', description: 'Event types a subscription can filter on (admin)' },
+        { method: 'POST', path: '/webhook-subscriptions', description: 'Subscribe a URL to events (admin, body: { name, url, event_types, description, is_active }); returns the signing secret once' },
+        { method: 'PATCH', path: '/webhook-subscriptions/:id', description: 'Update a subscription (admin)' },
+        { method: 'DELETE', path: '/webhook-subscriptions/:id', description: 'Delete a subscription and its delivery log (admin)' },
+        { method: 'POST', path: '/webhook-subscriptions/:id/rotate-secret', description: 'Issue a new signing secret (admin)' },
+        { method: 'POST', path: '/webhook-subscriptions/:id/test', description: 'Queue a webhook.test event for one subscription (admin)' },
+        { method: 'GET', path: '/webhook-deliveries?subscription_id=&status=&event_type=&limit=', description: 'Webhook delivery log (PENDING, PROCESSING, DELIVERED, DEAD) (admin)' },
+        { method: 'GET', path: '/webhook-deliveries/:id', description: 'One delivery with its payload and attempts (admin)' },
+        { method: 'POST', path: '/webhook-deliveries/:id/replay', description: 'Send a logged event again as a new delivery (admin)' },
+        { method: 'GET', path: '/batches?limit=', description: 'Recent batch sends with progress and delivery outcome counts' },
+        { method: 'GET', path: '/batches/:id', description: 'One batch with per-message status and failures' },
+        { method: 'GET', path: '/outbound-emails?status=&limit=', description: 'List queued outbound emails (PENDING, PROCESSING, SENT, DEAD)' },
+        { method: 'GET', path: '/outbound-emails/stats', description: 'Outbound queue counts by status' },
+        { method: 'GET', path: '/outbound-emails/:id', description: 'One queued email with its attempt history' },
+        { method: 'POST', path: '/outbound-emails/:id/retry', description: 'Requeue a dead-lettered email (operator)' },
+        { method: 'GET', path: '/threads?q=&limit=', description: 'Recent conversation threads (q searches subject and participants)' },
+        { method: 'GET', path: '/threads/:id', description: 'One thread with its sent and received messages, oldest first' },
+        { method: 'GET', path: '/inbound-jobs?status=&limit=', description: 'Inbound processing jobs (PENDING, PROCESSING, COMPLETED, DEAD)' },
+        { method: 'GET', path: '/inbound-jobs/stats', description: 'Inbound queue counts by status' },
+        { method: 'GET', path: '/inbound-jobs/:id', description: 'One inbound job with its stage, route plan, action results and attempts' },
+        { method: 'POST', path: '/inbound-jobs/:id/retry', description: 'Requeue a dead-lettered inbound job at the stage it failed in (operator)' },
         { method: 'GET', path: '/health', description: 'Application liveness check' },
         { method: 'GET', path: '/health/ai', description: 'AI provider readiness and live smoke test' },
         { method: 'GET', path: '/pipeline-events?email_id=&received_email_id=&limit=', description: 'Inspect structured recruitment pipeline events' },
         { method: 'GET', path: '/stats', description: 'Email statistics (sent)' },
         { method: 'GET', path: '/emails', description: 'List sent emails with optional domain and search filters' },
-        { method: 'GET', path: '/emails/:id', description: 'View a single sent email by ID (database ID or Resend ID)' },
+        { method: 'GET', path: '/emails/:id', description: 'View a single sent email by ID (database ID or Resend ID) with its delivery event timeline' },
         { method: 'GET', path: '/received-emails', description: 'List received (inbound) emails with optional domain and search filters' },
         { method: 'GET', path: '/received-emails/:id', description: 'View a single received email by ID (database ID or email ID)' },
         { method: 'POST', path: '/send', description: 'Send email with optional attachments (10MB limit)' },
         { method: 'POST', path: '/send-batch', description: 'Send batch emails' },
-        { method: 'POST', path: '/webhook', description: 'Receive webhooks & inbound emails' },
-        { method: 'POST', path: '/received-emails/fetch', description: 'Re-fetch email content and retry vacancy processing from Resend' },
+        { method: 'POST', path: '/webhook', description: 'Receive webhooks & inbound emails (Svix signature verified; refused in production without WEBHOOK_SECRET)' },
+        { method: 'POST', path: '/received-emails/fetch', description: 'Re-fetch email content, store missing attachments and retry vacancy processing from Resend' },
         { method: 'GET', path: '/domains', description: 'List all known domains (configured + seen in emails)' },
         { method: 'GET', path: '/stats/domains', description: 'Get stats grouped by domain' },
-        { method: 'GET', path: '/received-emails/:id/attachments', description: 'Get email attachments list' },
-        { method: 'GET', path: '/attachments/:emailId/:filename', description: 'View attachment inline' },
-        { method: 'GET', path: '/attachments/:emailId/:filename/download', description: 'Download attachment' },
+        { method: 'GET', path: '/received-emails/:id/attachments', description: 'Get email attachments list (stored copies with size, sha256 and status)' },
+        { method: 'GET', path: '/attachments/:emailId/:attachment', description: 'View attachment inline by attachment id (or filename), served from the attachment store' },
+        { method: 'GET', path: '/attachments/:emailId/:attachment/download', description: 'Download attachment' },
         { method: 'GET', path: '/api-keys', description: 'List all API keys (admin)' },
         { method: 'POST', path: '/api-keys', description: 'Create/update API key (admin)' },
         { method: 'PATCH', path: '/api-keys/:id', description: 'Update API key (admin)' },
@@ -1328,14 +2634,74 @@ const routes = {
         { method: 'POST', path: '/agent-email-accounts', description: 'Create agent email assignment' },
         { method: 'DELETE', path: '/agent-email-accounts/:id', description: 'Delete agent email assignment' },
         { method: 'GET', path: '/job-applications', description: 'List classified recruitment applications' },
-        { method: 'GET', path: '/hod-departments', description: 'List department HOD WhatsApp mappings' },
-        { method: 'POST', path: '/hod-departments', description: 'Create or update a department HOD mapping' },
+        { method: 'GET', path: '/job-applications/stats', description: 'Recruitment report (?from=&to=&time_zone=&department=)' },
+        { method: 'GET', path: '/job-applications/:id', description: 'One application with the candidate follow-up replies merged into it and its status history' },
+        { method: 'PATCH', path: '/job-applications/:id', description: 'Change an application status, assignee or add a note (validated transitions)' },
+        { method: 'GET', path: '/job-applications/:id/interviews', description: 'Interviews proposed from the candidate availability and confirmed by HR' },
+        { method: 'POST', path: '/job-applications/:id/interviews', description: 'Confirm an interview; emails an .ics invite, schedules a reminder and notifies the HOD' },
+        { method: 'POST', path: '/interviews/:id/cancel', description: 'Cancel an interview and send the calendar cancellation' },
+        { method: 'GET', path: '/candidates', description: 'Candidates with their number of applications (?q= searches name, email and phone)' },
+        { method: 'GET', path: '/candidates/:id', description: 'A candidate with their full application history' },
+        { method: 'GET', path: '/candidate-reviews', description: 'Possible duplicate candidates (?status=PENDING|MERGED|REJECTED|ALL)' },
+        { method: 'POST', path: '/candidate-reviews/:id/merge', description: 'Merge two candidates that are the same person' },
+        { method: 'POST', path: '/candidate-reviews/:id/reject', description: 'Keep two similar candidates apart' },
+        { method: 'GET', path: '/hod-departments', description: 'Departments with their HOD WhatsApp recipients' },
+        { method: 'POST', path: '/hod-departments', description: 'Create or update a department (admin, body: { department, is_active, escalation_hours, hod_whatsapp_number })' },
         { method: 'DELETE', path: '/hod-departments/:id', description: 'Delete a department HOD mapping' },
+        { method: 'POST', path: '/hod-departments/:id/recipients', description: 'Add or update a recipient (admin, body: { name, whatsapp_number, role: primary|backup|hr, is_active })' },
+        { method: 'PATCH', path: '/hod-recipients/:id', description: 'Update a HOD recipient (admin)' },
+        { method: 'DELETE', path: '/hod-recipients/:id', description: 'Remove a HOD recipient (admin)' },
+        { method: 'POST', path: '/hod-notifications/:id/acknowledge', description: 'Record that the HOD has seen a notification; stops its escalation (operator)' },
+        { method: 'GET', path: '/hod-notifications', description: 'HOD WhatsApp outbox (?status=&job_application_id=)' },
+        { method: 'POST', path: '/job-applications/:id/notify', description: 'Send the HOD WhatsApp of an application again' },
+        { method: 'POST', path: '/auth/login', description: 'Exchange a service token for an admin-page session cookie (public)' },
+        { method: 'POST', path: '/auth/logout', description: 'Clear the admin-page session cookie (public)' },
+        { method: 'GET', path: '/auth/me', description: 'Show the authenticated caller and role' },
+        { method: 'GET', path: '/auth/tokens', description: 'List service tokens (admin)' },
+        { method: 'POST', path: '/auth/tokens', description: 'Create a service token; the token is shown once (admin)' },
+        { method: 'DELETE', path: '/auth/tokens/:id', description: 'Revoke a service token (admin)' },
       ],
     });
   },
 };
 
+// Find the handler for a request: exact match first, then dynamic routes (e.g. /emails/:id)
+function matchRoute(method, pathname) {
+  const exactKey = `${method} ${pathname}`;
+  if (routes[exactKey]) {
+    return { routeKey: exactKey, handler: routes[exactKey], params: {} };
+  }
+
+  const routeParts = pathname.split('/').filter(Boolean);
+  for (const [routePattern, routeHandler] of Object.entries(routes)) {
+    const [routeMethod, pattern] = routePattern.split(' ');
+    if (routeMethod !== method) continue;
+
+    const patternParts = pattern.split('/').filter(Boolean);
+    if (patternParts.length !== routeParts.length) continue;
+
+    const params = {};
+    let isMatch = true;
+
+    for (let i = 0; i < patternParts.length; i++) {
+      if (patternParts[i].startsWith(':')) {
+        // Extract parameter name (remove ':')
+        const paramName = patternParts[i].slice(1);
+        params[paramName] = routeParts[i];
+      } else if (patternParts[i] !== routeParts[i]) {
+        isMatch = false;
+        break;
+      }
+    }
+
+    if (isMatch) {
+      return { routeKey: routePattern, handler: routeHandler, params };
+    }
+  }
+
+  return null;
+}
+
 // Create server
 export function createServer() {
   validateConfig();
@@ -1352,46 +2718,39 @@ export function createServer() {
 
     const url = new URL(req.url, `http://${req.headers.host}`);
     const pathname = url.pathname;
-    const routeKey = `${req.method} ${pathname}`;
 
     // Attach query params to request
     req.query = Object.fromEntries(url.searchParams.entries());
 
-    // API routes - exact match first
-    const handler = routes[routeKey];
-    if (handler) {
-      await handler(req, res);
-      return;
-    }
-
-    // Try to match dynamic routes (e.g., /emails/:id)
-    const routeParts = pathname.split('/').filter(Boolean);
-    for (const [routePattern, routeHandler] of Object.entries(routes)) {
-      const [method, pattern] = routePattern.split(' ');
-      if (method !== req.method) continue;
-
-      const patternParts = pattern.split('/').filter(Boolean);
-      if (patternParts.length !== routeParts.length) continue;
-
-      const params = {};
-      let isMatch = true;
+    const match = matchRoute(req.method, pathname);
+    if (match) {
+      req.params = match.params;
+      req.routeKey = match.routeKey;
+
+      const requiredRole = ROUTE_ACCESS[match.routeKey] || 'admin';
+      if (requiredRole !== 'public') {
+        let identity;
+        try {
+          identity = await authenticateRequest(req);
+        } catch (err) {
+          console.error('❌ Authentication lookup failed:', err.message);
+          return json(res, 503, { success: false, error: 'Authentication unavailable' });
+        }
 
-      for (let i = 0; i < patternParts.length; i++) {
-        if (patternParts[i].startsWith(':')) {
-          // Extract parameter name (remove ':')
-          const paramName = patternParts[i].slice(1);
-          params[paramName] = routeParts[i];
-        } else if (patternParts[i] !== routeParts[i]) {
-          isMatch = false;
-          break;
+        if (!identity) {
+          return json(res, 401, { success: false, error: 'Authentication required' });
+        }
+        if (!hasRole(identity.role, requiredRole)) {
+          return json(res, 403, {
+            success: false,
+            error: `This action requires the ${requiredRole} role`,
+          });
         }
+        req.auth = identity;
       }
 
-      if (isMatch) {
-        req.params = params;
-        await routeHandler(req, res);
-        return;
-      }
+      await match.handler(req, res);
+      return;
     }
 
     // Serve admin page at root
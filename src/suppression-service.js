@@ -0,0 +1,157 @@
+// Per-domain suppression list
+//
+// Hard bounces and spam complaints reported by Resend add the recipient to
+// the sending domain's list; admins can add or remove entries by hand.
+// Suppressed cc/bcc recipients are dropped from a send, a send with no
+// deliverable `to` recipient left is refused.
+
+import {
+  isDatabaseAvailable,
+  savePipelineEvent,
+  getSuppressions,
+  getSuppressionsForRecipients,
+  saveSuppression,
+  deleteSuppression,
+} from './database.js';
+import { extractEmailAddresses, extractDomainFromEmail } from './seda-email-parser.js';
+
+export const SUPPRESSION_REASONS = ['bounce', 'complaint', 'manual'];
+
+const EVENT_REASONS = {
+  'email.bounced': 'bounce',
+  'email.complained': 'complaint',
+};
+
+function httpError(status, message, code) {
+  const error = new Error(message);
+  error.status = status;
+  if (code) error.code = code;
+  return error;
+}
+
+function toList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : [value]).filter(Boolean);
+}
+
+/**
+ * Remove suppressed addresses from a recipient list.
+ * @param {string|Array} recipients - `to`, `cc` or `bcc` as given to sendEmail
+ * @param {Set<string>} suppressed - Lower-cased suppressed addresses
+ * @returns {{ kept: Array<string>, skipped: Array<string> }}
+ */
+export function partitionRecipients(recipients, suppressed) {
+  const kept = [];
+  const skipped = [];
+  for (const recipient of toList(recipients)) {
+    const blocked = extractEmailAddresses(recipient).filter(address => suppressed.has(address));
+    if (blocked.length) skipped.push(...blocked);
+    else kept.push(recipient);
+  }
+  return { kept, skipped };
+}
+
+/**
+ * Apply the domain's suppression list to a message.
+ * @param {Object} message - { domain, to, cc, bcc }
+ * @returns {Promise<Object>} - { to, cc, bcc, skipped }; cc/bcc are null when emptied
+ * @throws {Error} 422 `recipient_suppressed` when every `to` recipient is suppressed
+ */
+export async function filterSuppressedRecipients({ domain, to, cc, bcc }) {
+  const unchanged = { to, cc, bcc, skipped: [] };
+  if (!domain || !isDatabaseAvailable()) return unchanged;
+
+  const addresses = extractEmailAddresses([...toList(to), ...toList(cc), ...toList(bcc)]);
+  const rows = await getSuppressionsForRecipients(domain, addresses);
+  if (!rows.length) return unchanged;
+
+  const suppressed = new Set(rows.map(row => row.email));
+  const filteredTo = partitionRecipients(to, suppressed);
+  const filteredCc = partitionRecipients(cc, suppressed);
+  const filteredBcc = partitionRecipients(bcc, suppressed);
+
+  if (!filteredTo.kept.length) {
+    const error = httpError(
+      422,
+      `Recipient is on the suppression list for ${domain}: ${filteredTo.skipped.join(', ')}`,
+      'recipient_suppressed'
+    );
+    error.suppressed = rows.map(row => ({ email: row.email, reason: row.reason }));
+    throw error;
+  }
+
+  return {
+    to: Array.isArray(to) ? filteredTo.kept : filteredTo.kept[0],
+    cc: filteredCc.kept.length ? filteredCc.kept : null,
+    bcc: filteredBcc.kept.length ? filteredBcc.kept : null,
+    skipped: [...filteredTo.skipped, ...filteredCc.skipped, ...filteredBcc.skipped],
+  };
+}
+
+/**
+ * Suppress the recipients of a bounced or complained-about email.
+ * Transient (soft) bounces are ignored; the mailbox may accept mail later.
+ * @param {Object} event - Resend webhook body
+ * @param {Object|null} email - Matching emails row, for the sending domain
+ * @returns {Promise<Array>} - Saved suppression rows
+ */
+export async function recordSuppressionFromEvent(event, email = null) {
+  const reason = EVENT_REASONS[event?.type];
+  if (!reason || !isDatabaseAvailable()) return [];
+  if (reason === 'bounce' && String(event.data?.bounce?.type || '').toLowerCase() === 'transient') return [];
+
+  const domain = email?.domain || extractDomainFromEmail(event.data?.from);
+  const recipients = extractEmailAddresses(event.data?.to || email?.to_email);
+  if (!domain || !recipients.length) return [];
+
+  const details = {
+    resend_id: event.data?.email_id || null,
+    email_id: email?.id || null,
+    ...(event.data?.bounce && { bounce: event.data.bounce }),
+  };
+
+  const saved = [];
+  for (const recipient of recipients) {
+    saved.push(await saveSuppression({ domain, email: recipient, reason, source: 'webhook', details }));
+  }
+
+  try {
+    await savePipelineEvent({
+      eventName: 'suppression.added',
+      message: `${recipients.join(', ')} suppressed for ${domain} (${reason})`,
+      metadata: { domain, recipients, reason, resendId: details.resend_id },
+    });
+  } catch (error) {
+    console.error('Pipeline event suppression.added failed:', error.message);
+  }
+
+  return saved;
+}
+
+export async function listSuppressions({ domain, search, limit } = {}) {
+  return getSuppressions({ domain, search, limit });
+}
+
+export async function addSuppression({ domain, email, reason = 'manual', note }, { createdBy = null } = {}) {
+  const address = extractEmailAddresses(email)[0];
+  if (!address) throw httpError(400, 'A valid email is required');
+  if (!domain || !String(domain).trim()) throw httpError(400, 'domain is required');
+  if (!SUPPRESSION_REASONS.includes(reason)) {
+    throw httpError(400, `reason must be one of: ${SUPPRESSION_REASONS.join(', ')}`);
+  }
+
+  return saveSuppression({
+    domain: String(domain).trim(),
+    email: address,
+    reason,
+    source: 'manual',
+    details: note ? { note: String(note) } : {},
+    createdBy,
+  });
+}
+
+export async function removeSuppression(id) {
+  const removed = await deleteSuppression(Number(id));
+  if (!removed) throw httpError(404, 'Suppression not found');
+  return removed;
+}
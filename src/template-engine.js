@@ -0,0 +1,127 @@
+// Email template rendering
+//
+// `{{ name }}` inserts an HTML-escaped value, `{{{ name }}}` inserts it as-is.
+// Dotted paths (`{{ applicant.name }}`) read nested values and missing values
+// render as an empty string. Subjects and plain text are never escaped.
+
+import { htmlToText } from './seda-email-parser.js';
+
+const PLACEHOLDER_PATTERN = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([\w.]+)\s*\}\}/g;
+
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function lookup(variables, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), variables);
+}
+
+function formatValue(value) {
+  if (value == null) return '';
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Replace placeholders in one template string.
+ * @param {string} source - Template text
+ * @param {Object} variables - Values by name
+ * @param {Object} [options]
+ * @param {boolean} [options.escape] - HTML-escape `{{ }}` values (true for HTML bodies)
+ * @returns {string}
+ */
+export function renderTemplateString(source, variables = {}, { escape = true } = {}) {
+  return String(source || '').replace(PLACEHOLDER_PATTERN, (_, rawPath, escapedPath) => {
+    const value = formatValue(lookup(variables, rawPath || escapedPath));
+    return rawPath || !escape ? value : escapeHtml(value);
+  });
+}
+
+/**
+ * Names of all placeholders used in the given strings, for the admin editor.
+ */
+export function findTemplateVariables(...sources) {
+  const names = new Set();
+  for (const source of sources) {
+    for (const match of String(source || '').matchAll(PLACEHOLDER_PATTERN)) {
+      names.add(match[1] || match[2]);
+    }
+  }
+  return [...names].sort();
+}
+
+/**
+ * Turn plain text into simple paragraphs; used for bodies written as text.
+ */
+export function textToHtml(text) {
+  return String(text || '')
+    .split(/\n{2,}/)
+    .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+    .join('\n');
+}
+
+/**
+ * Wrap a rendered body in the sending domain's branding.
+ * @param {string} html - Rendered body
+ * @param {Object|null} branding - domain_branding row
+ */
+export function applyBranding(html, branding) {
+  if (!branding) return html;
+
+  const color = /^#[0-9a-f]{3,8}$/i.test(branding.primary_color || '') ? branding.primary_color : '#111827';
+  const header = branding.logo_url
+    ? `<img src="${escapeHtml(branding.logo_url)}" alt="${escapeHtml(branding.company_name || '')}" style="max-height:48px;">`
+    : branding.company_name
+      ? `<strong style="font-size:18px; color:${color};">${escapeHtml(branding.company_name)}</strong>`
+      : '';
+  const footer = branding.footer_html
+    || (branding.footer_text ? textToHtml(branding.footer_text) : '');
+
+  return `<div style="font-family: Arial, sans-serif; max-width: 640px; margin: 0 auto; color: #111827;">
+${header ? `<div style="padding: 16px 0; border-bottom: 3px solid ${color};">${header}</div>` : ''}
+<div style="padding: 16px 0;">
+${html}
+</div>
+${footer ? `<div style="padding-top: 12px; border-top: 1px solid #e5e7eb; font-size: 12px; color: #6b7280;">${footer}</div>` : ''}
+</div>`;
+}
+
+/**
+ * Plain-text version of a rendered HTML body: source line breaks are
+ * ignored like a browser would, paragraphs are separated by a blank line.
+ */
+export function emailHtmlToText(html) {
+  return htmlToText(String(html || '').replace(/\s+/g, ' ').replace(/<\/p>/gi, '</p>\n'));
+}
+
+/**
+ * Render a template version into a ready-to-send subject, HTML and text.
+ * Without an explicit text body the plain text is generated from the HTML.
+ * Branding values are also available to the template as `{{ brand.* }}`.
+ * @param {Object} version - { subject, html, text }
+ * @param {Object} variables - Template values
+ * @param {Object|null} [branding] - domain_branding row for the sending domain
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+export function renderEmailTemplate(version, variables = {}, branding = null) {
+  const values = { ...variables, brand: branding || {} };
+  const body = renderTemplateString(version.html, values);
+  const html = applyBranding(body, branding);
+  const text = version.text
+    ? renderTemplateString(version.text, values, { escape: false })
+    : [emailHtmlToText(body), branding?.footer_text || emailHtmlToText(branding?.footer_html)]
+      .filter(Boolean)
+      .join('\n\n');
+
+  return {
+    subject: renderTemplateString(version.subject, values, { escape: false }).replace(/\s+/g, ' ').trim(),
+    html,
+    text,
+  };
+}
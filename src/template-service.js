@@ -0,0 +1,273 @@
+// Stored, versioned email templates
+//
+// Built-in templates are seeded into the database on startup so they can be
+// edited from the admin page; the built-in copy is still used when the
+// database is not configured.
+
+import {
+  isDatabaseAvailable,
+  getEmailTemplate,
+  getEmailTemplates,
+  getEmailTemplateVersions,
+  createEmailTemplate,
+  createEmailTemplateVersion,
+  setEmailTemplateVersion,
+  getDomainBranding,
+} from './database.js';
+import { renderEmailTemplate, findTemplateVariables } from './template-engine.js';
+
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{1,99}$/;
+
+export const DEFAULT_TEMPLATES = [
+  {
+    slug: 'recruitment-acknowledgement',
+    name: 'Recruitment: application received',
+    description: 'Reply to a candidate whose email was classified as a job application.',
+    subject: 'Re: {{ original_subject }}',
+    html: `<p>{{ greeting }}</p>
+<p>Thank you for your job application to Eternalgy.</p>
+<p>For interview coordination, please reply with:<br>
+1. Your WhatsApp number, which is compulsory for the interview invitation.<br>
+2. Two or three possible interview dates and times, including your time zone.</p>
+<p>Our recruitment team will review your application and contact you.</p>
+<p>Regards,<br>
+Eternalgy Recruitment</p>`,
+  },
+  {
+    slug: 'recruitment-clarification',
+    name: 'Recruitment: clarification request',
+    description: 'Reply when the AI could not tell whether an email is a job application.',
+    subject: 'Re: {{ original_subject }}',
+    html: `<p>{{ greeting }}</p>
+<p>Thank you for contacting Eternalgy. We are not sure whether your email is an application for a job vacancy.</p>
+<p>Please reply with the position or department you are applying for and attach your CV/resume if available.</p>
+<p>Regards,<br>
+Eternalgy Recruitment</p>`,
+  },
+  {
+    slug: 'recruitment-acknowledgement-ms',
+    name: 'Recruitment: application received (Malay)',
+    description: 'Malay version of recruitment-acknowledgement, for candidates who write in Malay.',
+    subject: 'Re: {{ original_subject }}',
+    html: `<p>{{ greeting }}</p>
+<p>Terima kasih atas permohonan kerja anda kepada Eternalgy.</p>
+<p>Untuk urusan temu duga, sila balas dengan:<br>
+1. Nombor WhatsApp anda, yang wajib untuk jemputan temu duga.<br>
+2. Dua atau tiga tarikh dan masa temu duga yang sesuai, termasuk zon waktu anda.</p>
+<p>Pasukan pengambilan kami akan menyemak permohonan anda dan menghubungi anda.</p>
+<p>Sekian, terima kasih.<br>
+Pasukan Pengambilan Eternalgy</p>`,
+  },
+  {
+    slug: 'recruitment-clarification-ms',
+    name: 'Recruitment: clarification request (Malay)',
+    description: 'Malay version of recruitment-clarification, for candidates who write in Malay.',
+    subject: 'Re: {{ original_subject }}',
+    html: `<p>{{ greeting }}</p>
+<p>Terima kasih kerana menghubungi Eternalgy. Kami kurang pasti sama ada e-mel anda ialah permohonan untuk jawatan kosong.</p>
+<p>Sila balas dengan jawatan atau bahagian yang anda mohon dan lampirkan CV/resume anda jika ada.</p>
+<p>Sekian, terima kasih.<br>
+Pasukan Pengambilan Eternalgy</p>`,
+  },
+  {
+    slug: 'recruitment-acknowledgement-zh',
+    name: 'Recruitment: application received (Chinese)',
+    description: 'Chinese version of recruitment-acknowledgement, for candidates who write in Chinese.',
+    subject: 'Re: {{ original_subject }}',
+    html: `<p>{{ greeting }}</p>
+<p>感谢您向 Eternalgy 投递求职申请。</p>
+<p>为安排面试，请回复以下信息：<br>
+1. 您的 WhatsApp 号码（必填，用于发送面试邀请）。<br>
+2. 两到三个方便面试的日期和时间，并注明您所在的时区。</p>
+<p>我们的招聘团队将审阅您的申请并与您联系。</p>
+<p>此致<br>
+Eternalgy 招聘团队</p>`,
+  },
+  {
+    slug: 'recruitment-clarification-zh',
+    name: 'Recruitment: clarification request (Chinese)',
+    description: 'Chinese version of recruitment-clarification, for candidates who write in Chinese.',
+    subject: 'Re: {{ original_subject }}',
+    html: `<p>{{ greeting }}</p>
+<p>感谢您联系 Eternalgy。我们无法确定您的邮件是否为职位申请。</p>
+<p>请回复您申请的职位或部门，如有简历请一并附上。</p>
+<p>此致<br>
+Eternalgy 招聘团队</p>`,
+  },
+  {
+    slug: 'interview-invitation',
+    name: 'Recruitment: interview invitation',
+    description: 'Sent with the calendar invite when HR confirms an interview slot.',
+    subject: 'Interview invitation from Eternalgy',
+    html: `<p>{{ greeting }}</p>
+<p>Thank you for your interest in the {{ position }} position at Eternalgy. We would like to invite you to an interview.</p>
+<p><strong>When:</strong> {{ interview_time }}<br>
+<strong>Duration:</strong> {{ duration_minutes }} minutes<br>
+<strong>Where:</strong> {{ location }}</p>
+<p>{{ notes }}</p>
+<p>The calendar invitation is attached. If the time no longer suits you, please reply to this email.</p>
+<p>Regards,<br>
+Eternalgy Recruitment</p>`,
+  },
+  {
+    slug: 'interview-reminder',
+    name: 'Recruitment: interview reminder',
+    description: 'Sent to the candidate ahead of a confirmed interview.',
+    subject: 'Reminder: your interview with Eternalgy',
+    html: `<p>{{ greeting }}</p>
+<p>This is a reminder of your interview for the {{ position }} position.</p>
+<p><strong>When:</strong> {{ interview_time }}<br>
+<strong>Where:</strong> {{ location }}</p>
+<p>If you can no longer attend, please reply to this email.</p>
+<p>Regards,<br>
+Eternalgy Recruitment</p>`,
+  },
+  {
+    slug: 'interview-cancelled',
+    name: 'Recruitment: interview cancelled',
+    description: 'Sent with the calendar cancellation when HR cancels a confirmed interview.',
+    subject: 'Your interview with Eternalgy is cancelled',
+    html: `<p>{{ greeting }}</p>
+<p>Your interview for the {{ position }} position on {{ interview_time }} has been cancelled.</p>
+<p>{{ reason }}</p>
+<p>Regards,<br>
+Eternalgy Recruitment</p>`,
+  },
+  {
+    slug: 'pr-acknowledgement',
+    name: 'PR: message received',
+    description: 'Reply to emails forwarded to the PR service.',
+    subject: 'Re: {{ original_subject }}',
+    html: '<p>Message received.</p><p>Sent to PR AI to process.</p>',
+  },
+];
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function builtInTemplate(slug) {
+  const template = DEFAULT_TEMPLATES.find(item => item.slug === slug);
+  return template ? { id: null, current_version: null, is_active: true, text: null, ...template } : null;
+}
+
+export function validateTemplateVersion({ subject, html }) {
+  if (!subject || !String(subject).trim()) throw httpError(400, 'subject is required');
+  if (!html || !String(html).trim()) throw httpError(400, 'html is required');
+}
+
+export function validateTemplateSlug(slug) {
+  if (!SLUG_PATTERN.test(String(slug || ''))) {
+    throw httpError(400, 'slug must be 2-100 lower-case letters, digits or dashes');
+  }
+}
+
+async function loadTemplate(idOrSlug) {
+  const template = isDatabaseAvailable() ? await getEmailTemplate(idOrSlug) : null;
+  return template || builtInTemplate(String(idOrSlug));
+}
+
+/**
+ * Render a template for sending.
+ * @param {number|string} idOrSlug - Template id or slug
+ * @param {Object} variables - Placeholder values
+ * @param {Object} [options]
+ * @param {string} [options.domain] - Sending domain, selects the branding
+ * @returns {Promise<Object>} - { subject, html, text, template: { id, slug, version } }
+ */
+export async function renderTemplate(idOrSlug, variables = {}, { domain = null } = {}) {
+  const template = await loadTemplate(idOrSlug);
+  if (!template) throw httpError(404, `Template not found: ${idOrSlug}`);
+  if (template.is_active === false) throw httpError(422, `Template is inactive: ${template.slug}`);
+
+  const branding = domain && isDatabaseAvailable() ? await getDomainBranding(domain) : null;
+  return {
+    ...renderEmailTemplate(template, variables || {}, branding),
+    template: { id: template.id, slug: template.slug, version: template.current_version },
+  };
+}
+
+/**
+ * Render the version of a template in the candidate's language: `{slug}-{language}`
+ * when it exists and is active, otherwise the template itself.
+ * @param {string} slug - Slug of the English template
+ * @param {string|null} language - en, ms or zh
+ * @returns {Promise<Object>} - As renderTemplate
+ */
+export async function renderLocalizedTemplate(slug, language, variables = {}, options = {}) {
+  if (language && language !== 'en') {
+    try {
+      return await renderTemplate(`${slug}-${language}`, variables, options);
+    } catch (error) {
+      if (error.status !== 404 && error.status !== 422) throw error;
+    }
+  }
+  return renderTemplate(slug, variables, options);
+}
+
+export async function listTemplates() {
+  const templates = await getEmailTemplates();
+  return templates.map(template => ({
+    ...template,
+    variables: findTemplateVariables(template.subject, template.html, template.text),
+  }));
+}
+
+export async function getTemplateWithVersions(idOrSlug) {
+  const template = await getEmailTemplate(idOrSlug);
+  if (!template) throw httpError(404, 'Template not found');
+  return {
+    ...template,
+    variables: findTemplateVariables(template.subject, template.html, template.text),
+    versions: await getEmailTemplateVersions(template.id),
+  };
+}
+
+export async function createTemplate({ slug, name, description, subject, html, text }, { createdBy = null } = {}) {
+  validateTemplateSlug(slug);
+  if (!name || !String(name).trim()) throw httpError(400, 'name is required');
+  validateTemplateVersion({ subject, html });
+
+  try {
+    return await createEmailTemplate({ slug, name, description, subject, html, text: text || null, createdBy });
+  } catch (error) {
+    if (error.code === '23505') throw httpError(409, `Template slug already exists: ${slug}`);
+    throw error;
+  }
+}
+
+export async function saveTemplateVersion(idOrSlug, { subject, html, text }, { createdBy = null } = {}) {
+  validateTemplateVersion({ subject, html });
+  const template = await getEmailTemplate(idOrSlug);
+  if (!template) throw httpError(404, 'Template not found');
+  return createEmailTemplateVersion(template.id, { subject, html, text: text || null, createdBy });
+}
+
+export async function activateTemplateVersion(idOrSlug, version) {
+  const template = await getEmailTemplate(idOrSlug);
+  if (!template) throw httpError(404, 'Template not found');
+  const updated = await setEmailTemplateVersion(template.id, Number(version));
+  if (!updated) throw httpError(404, `Version ${version} not found`);
+  return updated;
+}
+
+/**
+ * Insert the built-in templates that are not in the database yet.
+ * Existing rows are left alone so admin edits survive restarts.
+ */
+export async function seedDefaultTemplates() {
+  if (!isDatabaseAvailable()) return;
+
+  for (const template of DEFAULT_TEMPLATES) {
+    if (await getEmailTemplate(template.slug)) continue;
+    try {
+      await createEmailTemplate(template);
+      console.log(`✅ Seeded email template ${template.slug}`);
+    } catch (error) {
+      // Another instance seeded it first
+      if (error.code !== '23505') throw error;
+    }
+  }
+}
@@ -0,0 +1,92 @@
+// Thread assignment and the conversation API
+
+import config from './config.js';
+import {
+  isDatabaseAvailable,
+  findThreadIdByMessageIds,
+  findThreadBySubject,
+  createEmailThread,
+  addMessageToThread,
+  getEmailThreadById,
+  getEmailThreads,
+  getThreadMessages,
+  getUnthreadedEmails,
+} from './database.js';
+import { describeThreadMessage, threadLookupIds } from './email-threading.js';
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Find or start the thread for a sent or received email and add it.
+ * @param {'sent'|'received'} direction
+ * @param {Object} email - emails or received_emails row
+ * @returns {Promise<number|null>} - Thread id, null without a database
+ */
+export async function assignEmailThread(direction, email) {
+  if (!isDatabaseAvailable() || !email?.id) return null;
+  if (email.thread_id) return email.thread_id;
+
+  const message = describeThreadMessage(email, direction);
+  const at = new Date(email.occurred_at || email.received_at || email.send_at || email.sent_at || Date.now());
+
+  let threadId = await findThreadIdByMessageIds(threadLookupIds(message));
+
+  if (!threadId) {
+    const since = new Date(at.getTime() - config.THREAD_SUBJECT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const thread = await findThreadBySubject({
+      subjectKey: message.subjectKey,
+      correspondent: message.correspondent,
+      since,
+    });
+    threadId = thread?.id || null;
+  }
+
+  if (!threadId) {
+    const thread = await createEmailThread({ subject: email.subject, subjectKey: message.subjectKey });
+    threadId = thread.id;
+  }
+
+  await addMessageToThread(threadId, {
+    direction,
+    id: email.id,
+    messageId: message.messageId,
+    inReplyTo: message.inReplyTo,
+    references: message.references,
+    correspondent: message.correspondent,
+    at,
+  });
+  return threadId;
+}
+
+/**
+ * Thread recent mail that has no thread yet, such as mail stored before
+ * threading existed.
+ * @returns {Promise<number>} - Emails threaded
+ */
+export async function threadUnthreadedEmails({ sinceDays = config.THREAD_SUBJECT_WINDOW_DAYS, limit = 500 } = {}) {
+  if (!isDatabaseAvailable()) return 0;
+
+  const pending = await getUnthreadedEmails({ sinceDays, limit });
+  for (const email of pending) {
+    await assignEmailThread(email.direction, email);
+  }
+  if (pending.length) console.log(`🧵 Threaded ${pending.length} email(s)`);
+  return pending.length;
+}
+
+export async function listThreads(options) {
+  return getEmailThreads(options);
+}
+
+/**
+ * A thread with its messages, oldest first.
+ */
+export async function getThread(id) {
+  const thread = await getEmailThreadById(id);
+  if (!thread) throw httpError(404, 'Thread not found');
+  return { ...thread, messages: await getThreadMessages(id) };
+}
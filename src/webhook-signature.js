@@ -0,0 +1,151 @@
+// Svix-style webhook signatures (used by Resend)
+//
+// Signed content is `${id}.${timestamp}.${rawBody}`, HMAC-SHA256 with the
+// base64-decoded part of a `whsec_...` secret. The signature header holds one
+// or more space-separated `v1,<base64>` entries so secrets can be rotated.
+
+import crypto from 'crypto';
+
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+const SECRET_PREFIX = 'whsec_';
+
+function getHeader(headers, ...names) {
+  for (const name of names) {
+    const value = headers?.[name] ?? headers?.[name.toLowerCase()];
+    if (value) return Array.isArray(value) ? value[0] : String(value);
+  }
+  return null;
+}
+
+function secretToKey(secret) {
+  const value = String(secret || '');
+  return value.startsWith(SECRET_PREFIX)
+    ? Buffer.from(value.slice(SECRET_PREFIX.length), 'base64')
+    : Buffer.from(value, 'utf8');
+}
+
+function rejection(reason, message, details = {}) {
+  return { valid: false, reason, message, ...details };
+}
+
+/**
+ * Compute the base64 signature for a payload.
+ * @param {Object} options
+ * @param {string} options.secret - Webhook secret (`whsec_...` or raw)
+ * @param {string} options.id - Message ID (svix-id)
+ * @param {number|string} options.timestamp - Unix timestamp in seconds
+ * @param {string|Buffer} options.payload - Raw request body
+ * @returns {string} - Base64 HMAC-SHA256 signature (without the `v1,` prefix)
+ */
+export function computeWebhookSignature({ secret, id, timestamp, payload }) {
+  return crypto
+    .createHmac('sha256', secretToKey(secret))
+    .update(`${id}.${timestamp}.`)
+    .update(Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload ?? ''), 'utf8'))
+    .digest('base64');
+}
+
+/**
+ * Build the headers for a signed outgoing delivery.
+ * @returns {Object} - svix-id, svix-timestamp and svix-signature headers
+ */
+export function signWebhookPayload({ secret, id, payload, timestamp = Math.floor(Date.now() / 1000) }) {
+  const signature = computeWebhookSignature({ secret, id, timestamp, payload });
+  return {
+    'svix-id': id,
+    'svix-timestamp': String(timestamp),
+    'svix-signature': `v1,${signature}`,
+  };
+}
+
+/**
+ * Verify Svix-style signature headers against the raw request body.
+ * Accepts both `svix-*` and the equivalent `webhook-*` header names.
+ * @param {Object} options
+ * @param {string|Buffer} options.payload - Raw request body, exactly as received
+ * @param {Object} options.headers - Request headers (lower-case keys, as Node provides)
+ * @param {string} options.secret - Webhook secret
+ * @param {number} [options.toleranceSeconds] - Allowed clock skew for the timestamp
+ * @param {number} [options.now] - Current time in milliseconds (for tests)
+ * @returns {{ valid: boolean, id?: string, timestamp?: number, reason?: string, message?: string }}
+ */
+export function verifyWebhookSignature({
+  payload,
+  headers,
+  secret,
+  toleranceSeconds = DEFAULT_TOLERANCE_SECONDS,
+  now = Date.now(),
+}) {
+  if (!secret) {
+    return rejection('secret_missing', 'Webhook secret is not configured');
+  }
+
+  const id = getHeader(headers, 'svix-id', 'webhook-id');
+  const timestampHeader = getHeader(headers, 'svix-timestamp', 'webhook-timestamp');
+  const signatureHeader = getHeader(headers, 'svix-signature', 'webhook-signature');
+
+  if (!id || !timestampHeader || !signatureHeader) {
+    return rejection('headers_missing', 'Missing webhook signature headers', { id });
+  }
+
+  const timestamp = Number(timestampHeader);
+  if (!Number.isInteger(timestamp)) {
+    return rejection('timestamp_invalid', 'Invalid webhook timestamp', { id });
+  }
+
+  const skewSeconds = Math.abs(Math.floor(now / 1000) - timestamp);
+  if (skewSeconds > toleranceSeconds) {
+    return rejection('timestamp_out_of_range', `Webhook timestamp is ${skewSeconds}s away from server time`, {
+      id,
+      timestamp,
+    });
+  }
+
+  const expected = Buffer.from(computeWebhookSignature({ secret, id, timestamp, payload }), 'base64');
+  const matched = signatureHeader
+    .split(' ')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .some(entry => {
+      const [version, signature] = entry.split(',');
+      if (version !== 'v1' || !signature) return false;
+      const candidate = Buffer.from(signature, 'base64');
+      return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+    });
+
+  if (!matched) {
+    return rejection('signature_mismatch', 'Webhook signature does not match', { id, timestamp });
+  }
+
+  return { valid: true, id, timestamp };
+}
+
+/**
+ * Remembers recently accepted message IDs so a captured delivery cannot be
+ * replayed inside the timestamp tolerance window. Entries older than the
+ * window are pruned because the timestamp check already rejects them.
+ */
+export function createReplayCache({ ttlMs = DEFAULT_TOLERANCE_SECONDS * 2 * 1000, maxEntries = 10000 } = {}) {
+  const seen = new Map();
+
+  function prune(now) {
+    for (const [id, expiresAt] of seen) {
+      if (expiresAt > now && seen.size <= maxEntries) break;
+      seen.delete(id);
+    }
+  }
+
+  return {
+    has(id, now = Date.now()) {
+      const expiresAt = seen.get(id);
+      return expiresAt !== undefined && expiresAt > now;
+    },
+    add(id, now = Date.now()) {
+      prune(now);
+      seen.set(id, now + ttlMs);
+    },
+    delete(id) {
+      seen.delete(id);
+    },
+  };
+}
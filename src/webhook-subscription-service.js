@@ -0,0 +1,401 @@
+// Outgoing webhooks for other services
+//
+// Subscribers register a URL and the event types they want. Every event is
+// stored as one webhook_deliveries row per matching subscription and sent
+// by a worker, signed like Resend's own webhooks (svix-id, svix-timestamp,
+// svix-signature over `${id}.${timestamp}.${body}`), so receivers can reuse
+// verifyWebhookSignature. Failed deliveries are retried with backoff, then
+// dead-lettered; any delivery can be replayed from the log.
+
+import crypto from 'crypto';
+import config from './config.js';
+import {
+  isDatabaseAvailable,
+  savePipelineEvent,
+  getWebhookSubscriptions,
+  getWebhookSubscription,
+  createWebhookSubscription,
+  updateWebhookSubscription,
+  deleteWebhookSubscription,
+  createWebhookDelivery,
+  getWebhookDeliveryById,
+  getWebhookDeliveries,
+  claimNextWebhookDelivery,
+  finishWebhookDelivery,
+} from './database.js';
+import { signWebhookPayload } from './webhook-signature.js';
+
+export const WEBHOOK_EVENT_TYPES = {
+  'email.received': 'An inbound email was stored and its content fetched',
+  'email.sent': 'Resend accepted a sent email',
+  'email.delivered': 'A sent email was delivered',
+  'email.delivery_delayed': 'Delivery of a sent email is delayed',
+  'email.bounced': 'A sent email bounced',
+  'email.complained': 'A recipient marked a sent email as spam',
+  'email.opened': 'A sent email was opened',
+  'email.clicked': 'A link in a sent email was clicked',
+  'email.failed': 'A sent email failed',
+  'job_application.created': 'A new job application was classified and acknowledged',
+  'seda_task.completed': 'A SEDA approval task updated the SEDA status',
+  'webhook.test': 'Test event sent from the admin page',
+};
+
+// Only sent on request, never matched by filters
+const DIRECT_ONLY_EVENTS = new Set(['webhook.test']);
+
+const DELIVERY_STALE_AFTER_MS = 5 * 60 * 1000;
+const DELIVERIES_PER_TICK = 20;
+
+let workerTimer = null;
+let workerBusy = false;
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+async function logPipelineEvent(eventName, details = {}) {
+  try {
+    await savePipelineEvent({ eventName, ...details });
+  } catch (err) {
+    console.error('Pipeline event logging failed:', err.message);
+  }
+}
+
+function randomId(prefix) {
+  return `${prefix}_${crypto.randomUUID().replace(/-/g, '')}`;
+}
+
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64')}`;
+}
+
+/**
+ * Whether an event type passes a subscription's filters: `*`, an exact
+ * type, or a `prefix.*` wildcard such as `email.*`.
+ */
+export function matchesEventFilter(filters, eventType) {
+  if (DIRECT_ONLY_EVENTS.has(eventType)) return false;
+  return (filters || []).some(filter => filter === '*' ||
+    filter === eventType ||
+    (filter.endsWith('.*') && eventType.startsWith(filter.slice(0, -1))));
+}
+
+const EVENT_PREFIXES = new Set(Object.keys(WEBHOOK_EVENT_TYPES).map(type => type.split('.')[0]));
+
+/**
+ * Check and clean subscription input from the API.
+ * @param {Object} input - { name, url, event_types, description, is_active }
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Only validate the fields present (PATCH)
+ * @returns {Object} - { name, url, eventTypes, description, isActive } (fields present only when partial)
+ */
+export function normalizeWebhookSubscription(input, { partial = false } = {}) {
+  const subscription = {};
+  const has = field => Object.hasOwn(input || {}, field);
+
+  if (!partial || has('name')) {
+    const name = String(input?.name || '').trim();
+    if (!name) throw httpError(400, 'name is required');
+    subscription.name = name.slice(0, 100);
+  }
+
+  if (!partial || has('url')) {
+    let url;
+    try {
+      url = new URL(String(input?.url || ''));
+    } catch {
+      throw httpError(400, 'url must be a valid URL');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) throw httpError(400, 'url must be http(s)');
+    subscription.url = url.toString();
+  }
+
+  if (!partial || has('event_types')) {
+    const eventTypes = input?.event_types === undefined ? ['*'] : input.event_types;
+    if (!Array.isArray(eventTypes) || !eventTypes.length) {
+      throw httpError(400, 'event_types must be a non-empty array');
+    }
+    for (const filter of eventTypes) {
+      const known = filter === '*' ||
+        (Object.hasOwn(WEBHOOK_EVENT_TYPES, filter) && !DIRECT_ONLY_EVENTS.has(filter)) ||
+        (String(filter).endsWith('.*') && EVENT_PREFIXES.has(String(filter).slice(0, -2)));
+      if (!known) throw httpError(400, `Unknown event type: ${filter}`);
+    }
+    subscription.eventTypes = [...new Set(eventTypes.map(String))];
+  }
+
+  if (has('description')) subscription.description = input.description ? String(input.description) : null;
+  if (!partial || has('is_active')) subscription.isActive = input?.is_active !== false;
+
+  return subscription;
+}
+
+/**
+ * Body and headers for one delivery attempt.
+ * @param {Object} delivery - webhook_deliveries row (message_id, payload)
+ * @param {string} secret - Subscription secret
+ * @param {number} [timestamp] - Unix seconds
+ */
+export function buildWebhookRequest(delivery, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const body = JSON.stringify(delivery.payload);
+  return {
+    body,
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'ee-mail-webhooks/1.0',
+      ...signWebhookPayload({ secret, id: delivery.message_id, payload: body, timestamp }),
+    },
+  };
+}
+
+/**
+ * Exponential backoff from WEBHOOK_DELIVERY_RETRY_BASE_MS, capped at
+ * WEBHOOK_DELIVERY_RETRY_MAX_MS.
+ */
+export function getWebhookRetryDelay(attemptCount, {
+  baseMs = config.WEBHOOK_DELIVERY_RETRY_BASE_MS,
+  maxMs = config.WEBHOOK_DELIVERY_RETRY_MAX_MS,
+} = {}) {
+  const exponent = Math.max(0, Number(attemptCount || 1) - 1);
+  return Math.min(baseMs * (2 ** exponent), maxMs);
+}
+
+async function queueDelivery(subscription, payload, { replayOf = null } = {}) {
+  return createWebhookDelivery({
+    subscriptionId: subscription.id,
+    messageId: randomId('msg'),
+    eventId: payload.id,
+    eventType: payload.type,
+    payload,
+    maxAttempts: config.WEBHOOK_DELIVERY_MAX_ATTEMPTS,
+    replayOf,
+  });
+}
+
+/**
+ * Queue an event for every active subscription that wants it. Never throws:
+ * the caller's own work must not fail because a subscriber is unreachable.
+ * @param {string} eventType - One of WEBHOOK_EVENT_TYPES
+ * @param {Object} data - Event data, sent as `data`
+ * @returns {Promise<Array>} - Queued webhook_deliveries rows
+ */
+export async function publishWebhookEvent(eventType, data = {}) {
+  if (!isDatabaseAvailable()) return [];
+
+  try {
+    const subscriptions = (await getWebhookSubscriptions({ activeOnly: true }))
+      .filter(subscription => matchesEventFilter(subscription.event_types, eventType));
+    if (!subscriptions.length) return [];
+
+    const payload = { id: randomId('evt'), type: eventType, created_at: new Date().toISOString(), data };
+    const deliveries = [];
+    for (const subscription of subscriptions) {
+      deliveries.push(await queueDelivery(subscription, payload));
+    }
+    wakeWebhookDeliveryWorker();
+    return deliveries;
+  } catch (error) {
+    console.error(`❌ Could not queue webhook event ${eventType}:`, error.message);
+    return [];
+  }
+}
+
+async function sendDelivery(delivery) {
+  const { body, headers } = buildWebhookRequest(delivery, delivery.secret);
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), config.WEBHOOK_DELIVERY_TIMEOUT_MS);
+  try {
+    const response = await fetch(delivery.url, { method: 'POST', headers, body, signal: controller.signal });
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw httpError(response.status, `HTTP ${response.status} ${text.slice(0, 200)}`.trim());
+    }
+    return response.status;
+  } catch (error) {
+    if (error.name === 'AbortError') throw new Error(`Timed out after ${config.WEBHOOK_DELIVERY_TIMEOUT_MS} ms`);
+    throw error;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+export async function processNextWebhookDelivery() {
+  if (!isDatabaseAvailable()) return null;
+
+  const delivery = await claimNextWebhookDelivery({ staleAfterMs: DELIVERY_STALE_AFTER_MS });
+  if (!delivery) return null;
+
+  const startedAt = Date.now();
+  const context = {
+    metadata: {
+      deliveryId: delivery.id,
+      subscriptionId: delivery.subscription_id,
+      eventType: delivery.event_type,
+      attemptCount: delivery.attempt_count,
+    },
+  };
+
+  if (!delivery.subscription_active) {
+    await finishWebhookDelivery(delivery.id, { status: 'DEAD', lastError: 'Subscription is disabled' });
+    return { status: 'dead', id: delivery.id, error: 'Subscription is disabled' };
+  }
+
+  try {
+    const httpStatus = await sendDelivery(delivery);
+    await finishWebhookDelivery(delivery.id, {
+      status: 'DELIVERED',
+      httpStatus,
+      attempt: { at: new Date(startedAt).toISOString(), ok: true, status: httpStatus, durationMs: Date.now() - startedAt },
+    });
+    return { status: 'delivered', id: delivery.id };
+  } catch (error) {
+    const httpStatus = Number(error.status) || null;
+    const attempt = {
+      at: new Date(startedAt).toISOString(),
+      ok: false,
+      status: httpStatus,
+      error: error.message,
+      durationMs: Date.now() - startedAt,
+    };
+
+    if (delivery.attempt_count < delivery.max_attempts) {
+      const nextAttemptAt = new Date(Date.now() + getWebhookRetryDelay(delivery.attempt_count));
+      await finishWebhookDelivery(delivery.id, {
+        status: 'PENDING',
+        lastError: error.message,
+        httpStatus,
+        nextAttemptAt,
+        attempt,
+      });
+      return { status: 'retry', id: delivery.id, error: error.message, nextAttemptAt };
+    }
+
+    await finishWebhookDelivery(delivery.id, { status: 'DEAD', lastError: error.message, httpStatus, attempt });
+    await logPipelineEvent('webhook.delivery.dead', { ...context, level: 'error', message: error.message });
+    return { status: 'dead', id: delivery.id, error: error.message };
+  }
+}
+
+// Secrets are only shown when created or rotated
+function serializeSubscription(subscription, { withSecret = false } = {}) {
+  const { secret, ...rest } = subscription;
+  return {
+    ...rest,
+    secret_preview: `${secret.slice(0, 10)}…`,
+    ...(withSecret && { secret }),
+  };
+}
+
+async function findSubscription(id) {
+  const subscription = await getWebhookSubscription(Number(id));
+  if (!subscription) throw httpError(404, 'Webhook subscription not found');
+  return subscription;
+}
+
+export async function listWebhookSubscriptions() {
+  return (await getWebhookSubscriptions()).map(subscription => serializeSubscription(subscription));
+}
+
+export async function createSubscription(input, { createdBy = null } = {}) {
+  const subscription = await createWebhookSubscription({
+    ...normalizeWebhookSubscription(input),
+    secret: generateWebhookSecret(),
+    createdBy,
+  });
+  return serializeSubscription(subscription, { withSecret: true });
+}
+
+export async function updateSubscription(id, input) {
+  await findSubscription(id);
+  const updated = await updateWebhookSubscription(Number(id), normalizeWebhookSubscription(input, { partial: true }));
+  return serializeSubscription(updated);
+}
+
+export async function rotateSubscriptionSecret(id) {
+  await findSubscription(id);
+  const updated = await updateWebhookSubscription(Number(id), { secret: generateWebhookSecret() });
+  return serializeSubscription(updated, { withSecret: true });
+}
+
+export async function removeSubscription(id) {
+  const removed = await deleteWebhookSubscription(Number(id));
+  if (!removed) throw httpError(404, 'Webhook subscription not found');
+  return serializeSubscription(removed);
+}
+
+/**
+ * Queue a `webhook.test` event for one subscription, whatever its filters.
+ */
+export async function sendTestWebhook(id) {
+  const subscription = await findSubscription(id);
+  const delivery = await queueDelivery(subscription, {
+    id: randomId('evt'),
+    type: 'webhook.test',
+    created_at: new Date().toISOString(),
+    data: { subscription_id: subscription.id, message: 'Test event from ee-mail' },
+  });
+  wakeWebhookDeliveryWorker();
+  return delivery;
+}
+
+export async function listWebhookDeliveries(options) {
+  return getWebhookDeliveries(options);
+}
+
+export async function getWebhookDelivery(id) {
+  const delivery = await getWebhookDeliveryById(Number(id));
+  if (!delivery) throw httpError(404, 'Webhook delivery not found');
+  return delivery;
+}
+
+/**
+ * Send a logged delivery again as a new delivery with the same event (same
+ * payload and event id, new message id and attempt budget).
+ */
+export async function replayWebhookDelivery(id) {
+  const original = await getWebhookDelivery(id);
+  const subscription = await findSubscription(original.subscription_id);
+  const delivery = await queueDelivery(subscription, original.payload, { replayOf: original.id });
+  wakeWebhookDeliveryWorker();
+  return delivery;
+}
+
+async function tick() {
+  if (workerBusy || !isDatabaseAvailable()) return;
+  workerBusy = true;
+  try {
+    for (let handled = 0; handled < DELIVERIES_PER_TICK; handled++) {
+      const result = await processNextWebhookDelivery();
+      if (!result) break;
+      if (result.status !== 'delivered') {
+        console.log(`🔔 Webhook delivery ${result.id}: ${result.status} (${result.error})`);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Webhook delivery worker error:', error.message);
+  } finally {
+    workerBusy = false;
+  }
+}
+
+export function wakeWebhookDeliveryWorker() {
+  if (workerTimer) void tick();
+}
+
+export function startWebhookDeliveryWorker() {
+  if (workerTimer) return stopWebhookDeliveryWorker;
+
+  workerTimer = setInterval(() => void tick(), config.WEBHOOK_DELIVERY_INTERVAL_MS);
+  workerTimer.unref?.();
+  void tick();
+  return stopWebhookDeliveryWorker;
+}
+
+export function stopWebhookDeliveryWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
@@ -0,0 +1,123 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.BACKUP_AI_KEY = 'backup-key';
+process.env.AI_PROVIDERS = JSON.stringify([
+  {
+    name: 'primary',
+    base_url: 'https://primary.example.test/v1/',
+    api_key: 'primary-key',
+    models: ['fast-model', 'large-model'],
+    max_attempts: 2,
+    retry_backoff_ms: 1,
+    timeout_ms: 100,
+  },
+  {
+    name: 'backup',
+    type: 'anthropic',
+    base_url: 'https://backup.example.test/v1',
+    api_key_env: 'BACKUP_AI_KEY',
+    model: 'backup-model',
+    max_attempts: 1,
+  },
+]);
+
+const { getAiProviders } = await import('../src/ai-providers.js');
+const { callAiApi } = await import('../src/job-application-service.js');
+
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+}
+
+test('reads the ordered provider list with one entry per model', () => {
+  const providers = getAiProviders();
+
+  assert.deepEqual(providers.map(provider => `${provider.name}/${provider.model}`), [
+    'primary/fast-model',
+    'primary/large-model',
+    'backup/backup-model',
+  ]);
+  assert.equal(providers[0].baseUrl, 'https://primary.example.test/v1');
+  assert.equal(providers[0].maxAttempts, 2);
+  assert.equal(providers[2].type, 'anthropic');
+  assert.equal(providers[2].apiKey, 'backup-key');
+});
+
+test('rejects an invalid provider list', () => {
+  assert.throws(() => getAiProviders({ providers: 'not json' }), { code: 'AI_CONFIG_INVALID', status: 503 });
+  assert.throws(() => getAiProviders({ providers: '[]' }), { code: 'AI_CONFIG_INVALID' });
+  assert.throws(() => getAiProviders({ providers: [{ name: 'x', type: 'unknown', base_url: 'https://x', api_key: 'k', model: 'm' }] }), /Unknown AI provider type/);
+  assert.throws(() => getAiProviders({ providers: [{ name: 'x', base_url: 'https://x', api_key_env: 'MISSING_AI_KEY', model: 'm' }], env: {} }), /x is missing MISSING_AI_KEY/);
+});
+
+test('fails over to the next provider and records the one that served', async () => {
+  const originalFetch = globalThis.fetch;
+  const requests = [];
+  globalThis.fetch = async (url, options) => {
+    requests.push({ url, headers: options.headers, body: JSON.parse(options.body) });
+    if (url.startsWith('https://primary.')) {
+      return jsonResponse(503, { error: { message: 'overloaded' } });
+    }
+    return jsonResponse(200, {
+      content: [{ type: 'text', text: '{"ok":true}' }],
+      usage: { input_tokens: 12, output_tokens: 3 },
+    });
+  };
+
+  try {
+    const result = await callAiApi({
+      model: 'ignored',
+      temperature: 0,
+      messages: [
+        { role: 'system', content: 'Return JSON.' },
+        { role: 'user', content: 'Hello' },
+      ],
+    });
+
+    // Two attempts on each primary model, then the backup
+    assert.deepEqual(requests.map(request => request.body.model), [
+      'fast-model', 'fast-model', 'large-model', 'large-model', 'backup-model',
+    ]);
+    const backup = requests.at(-1);
+    assert.equal(backup.url, 'https://backup.example.test/v1/messages');
+    assert.equal(backup.headers['x-api-key'], 'backup-key');
+    assert.equal(backup.body.system, 'Return JSON.');
+    assert.deepEqual(backup.body.messages, [{ role: 'user', content: 'Hello' }]);
+
+    assert.equal(result.choices[0].message.content, '{"ok":true}');
+    assert.deepEqual(result.provider, { name: 'backup', type: 'anthropic', model: 'backup-model' });
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+});
+
+test('a provider error that is not retryable goes straight to the next provider', async () => {
+  const originalFetch = globalThis.fetch;
+  const models = [];
+  globalThis.fetch = async (url, options) => {
+    const { model } = JSON.parse(options.body);
+    models.push(model);
+    return model === 'fast-model'
+      ? jsonResponse(401, { error: { message: 'invalid key' } })
+      : jsonResponse(200, { choices: [{ message: { content: 'served' } }] });
+  };
+
+  try {
+    const result = await callAiApi({ messages: [] });
+    assert.deepEqual(models, ['fast-model', 'large-model']);
+    assert.equal(result.provider.model, 'large-model');
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+});
+
+test('throws the last error when every provider fails', async () => {
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = async () => jsonResponse(400, { error: { message: 'bad request' } });
+
+  try {
+    await assert.rejects(callAiApi({ messages: [] }), { status: 400, message: 'bad request' });
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+});
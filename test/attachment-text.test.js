@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { extractAttachmentText } from '../src/attachment-text.js';
+
+function pdfObject(number, dict, stream = null) {
+  if (stream === null) return `${number} 0 obj\n${dict}\nendobj\n`;
+  return `${number} 0 obj\n${dict.replace('>>', `/Length ${stream.length}>>`)}\nstream\n${stream.toString('latin1')}\nendstream\nendobj\n`;
+}
+
+function buildPdf() {
+  // F1 is a simple font; F2 is a two-byte font decoded through its ToUnicode CMap
+  const content = zlib.deflateSync(Buffer.from(
+    'BT /F1 12 Tf 72 720 Td (Siti Aminah \\(Resume\\)) Tj 0 -14 Td [(7 years) -300 (experience)] TJ ET\n'
+    + 'BT /F2 12 Tf 72 690 Td <00010002> Tj ET'
+  ));
+  const cmap = Buffer.from(
+    '/CIDInit /ProcSet findresource begin begincmap\n1 begincodespacerange <0000> <FFFF> endcodespacerange\n'
+    + '1 beginbfchar <0001> <0053> endbfchar\n1 beginbfrange <0002> <0002> <0051> endbfrange\nendcmap end'
+  );
+  return Buffer.from([
+    '%PDF-1.4\n',
+    pdfObject(1, '<</Type/Catalog/Pages 2 0 R>>'),
+    pdfObject(2, '<</Type/Pages/Kids[3 0 R]/Count 1/Resources<</Font<</F1 5 0 R/F2 6 0 R>>>>>>'),
+    pdfObject(3, '<</Type/Page/Parent 2 0 R/Contents 4 0 R>>'),
+    pdfObject(4, '<</Filter/FlateDecode>>', content),
+    pdfObject(5, '<</Type/Font/Subtype/Type1/BaseFont/Helvetica>>'),
+    pdfObject(6, '<</Type/Font/Subtype/Type0/BaseFont/Arial/Encoding/Identity-H/ToUnicode 7 0 R>>'),
+    pdfObject(7, '<<>>', cmap),
+    'trailer\n<</Root 1 0 R>>\n%%EOF',
+  ].join(''), 'latin1');
+}
+
+function buildZip(name, data) {
+  const compressed = zlib.deflateRawSync(data);
+  const fileName = Buffer.from(name);
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(0x04034b50, 0);
+  local.writeUInt16LE(8, 8);
+  local.writeUInt32LE(compressed.length, 18);
+  local.writeUInt32LE(data.length, 22);
+  local.writeUInt16LE(fileName.length, 26);
+
+  const central = Buffer.alloc(46);
+  central.writeUInt32LE(0x02014b50, 0);
+  central.writeUInt16LE(8, 10);
+  central.writeUInt32LE(compressed.length, 20);
+  central.writeUInt32LE(data.length, 24);
+  central.writeUInt16LE(fileName.length, 28);
+  central.writeUInt32LE(0, 42);
+
+  const centralOffset = local.length + fileName.length + compressed.length;
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(1, 8);
+  end.writeUInt16LE(1, 10);
+  end.writeUInt32LE(central.length + fileName.length, 12);
+  end.writeUInt32LE(centralOffset, 16);
+
+  return Buffer.concat([local, fileName, compressed, central, fileName, end]);
+}
+
+test('extracts text from PDF content streams, including ToUnicode fonts', () => {
+  const result = extractAttachmentText(buildPdf(), { filename: 'cv.pdf' });
+
+  assert.equal(result.status, 'extracted');
+  assert.equal(result.format, 'pdf');
+  assert.equal(result.text, 'Siti Aminah (Resume)\n7 years experience\nSQ');
+});
+
+test('extracts paragraphs from a DOCX and caps the text length', () => {
+  const xml = '<w:document><w:body>'
+    + '<w:p><w:r><w:t>Curriculum Vitae</w:t></w:r></w:p>'
+    + '<w:p><w:r><w:t xml:space="preserve">Skills: </w:t></w:r><w:r><w:t>Solar &amp; PV design</w:t></w:r></w:p>'
+    + '</w:body></w:document>';
+  const docx = buildZip('word/document.xml', Buffer.from(xml));
+
+  const result = extractAttachmentText(docx, { filename: 'Resume.DOCX' });
+  assert.equal(result.status, 'extracted');
+  assert.equal(result.text, 'Curriculum Vitae\nSkills: Solar & PV design');
+
+  const capped = extractAttachmentText(docx, { filename: 'Resume.docx', maxChars: 10 });
+  assert.equal(capped.text, 'Curriculum');
+  assert.equal(capped.truncated, true);
+});
+
+test('reports unsupported and broken files instead of throwing', () => {
+  assert.equal(extractAttachmentText(Buffer.from('hello'), { filename: 'photo.jpg', contentType: 'image/jpeg' }).status, 'unsupported');
+  assert.equal(extractAttachmentText(Buffer.from('not a zip'), { filename: 'cv.docx' }).status, 'failed');
+  assert.equal(extractAttachmentText(Buffer.from('Plain CV\r\n\r\n\r\nSkills'), { contentType: 'text/plain' }).text, 'Plain CV\n\nSkills');
+});
@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.ADMIN_API_TOKEN = 'test-admin-token';
+
+const { createServer } = await import('../src/server.js');
+const {
+  extractRequestToken,
+  generateServiceToken,
+  hasRole,
+  hashServiceToken,
+} = await import('../src/auth.js');
+
+async function withServer(fn) {
+  const server = createServer();
+  await new Promise(resolve => server.listen(0, resolve));
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+test('roles are ordered viewer < operator < admin', () => {
+  assert.equal(hasRole('admin', 'operator'), true);
+  assert.equal(hasRole('operator', 'viewer'), true);
+  assert.equal(hasRole('viewer', 'operator'), false);
+  assert.equal(hasRole('operator', 'admin'), false);
+  assert.equal(hasRole('unknown', 'viewer'), false);
+});
+
+test('generated tokens are stored only as a SHA-256 hash', () => {
+  const { token, tokenHash, tokenPrefix } = generateServiceToken();
+  assert.match(token, /^eem_/);
+  assert.equal(tokenHash, hashServiceToken(token));
+  assert.equal(tokenHash.length, 64);
+  assert.ok(token.startsWith(tokenPrefix));
+});
+
+test('reads tokens from bearer, X-API-Key and the session cookie', () => {
+  assert.equal(extractRequestToken({ headers: { authorization: 'Bearer abc' } }), 'abc');
+  assert.equal(extractRequestToken({ headers: { 'x-api-key': 'def' } }), 'def');
+  assert.equal(extractRequestToken({ headers: { cookie: 'a=1; ee_mail_token=ghi' } }), 'ghi');
+  assert.equal(extractRequestToken({ headers: {} }), null);
+});
+
+test('rejects protected routes without a token and keeps health public', async () => {
+  await withServer(async baseUrl => {
+    assert.equal((await fetch(`${baseUrl}/health`)).status, 200);
+    assert.equal((await fetch(`${baseUrl}/api-keys`)).status, 401);
+    assert.equal((await fetch(`${baseUrl}/send`, { method: 'POST', body: '{}' })).status, 401);
+    assert.equal((await fetch(`${baseUrl}/seda-tasks/1/retry`, {
+      method: 'POST',
+      headers: { Authorization: 'Bearer wrong-token' },
+    })).status, 401);
+  });
+});
+
+test('login sets an HttpOnly session cookie that authenticates later requests', async () => {
+  await withServer(async baseUrl => {
+    const failed = await fetch(`${baseUrl}/auth/login`, {
+      method: 'POST',
+      body: JSON.stringify({ token: 'wrong-token' }),
+    });
+    assert.equal(failed.status, 401);
+
+    const response = await fetch(`${baseUrl}/auth/login`, {
+      method: 'POST',
+      body: JSON.stringify({ token: 'test-admin-token' }),
+    });
+    const cookie = response.headers.get('set-cookie');
+    assert.equal(response.status, 200);
+    assert.match(cookie, /HttpOnly/);
+
+    const me = await fetch(`${baseUrl}/auth/me`, { headers: { cookie: cookie.split(';')[0] } });
+    const payload = await me.json();
+    assert.equal(me.status, 200);
+    assert.equal(payload.data.role, 'admin');
+  });
+});
@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { detectAutomatedEmail, checkAutoReply, countRepliesTo } from '../src/auto-reply-guard.js';
+
+const email = (from, headers = {}) => ({ id: 1, from_email: from, headers });
+const reason = (...args) => detectAutomatedEmail(...args)?.reason || null;
+
+test('auto-reply headers mark an email as automated', () => {
+  assert.equal(reason(email('Aina <aina@example.com>', { 'Auto-Submitted': 'auto-replied' })), 'auto_submitted');
+  assert.equal(reason(email('aina@example.com', { 'Auto-Submitted': 'no' })), null);
+  assert.equal(reason(email('aina@example.com', { Precedence: 'Bulk' })), 'precedence');
+  assert.equal(reason(email('aina@example.com', { Precedence: 'first-class' })), null);
+  assert.equal(reason(email('aina@example.com', { 'X-Autoreply': 'yes' })), 'x_autoreply');
+  assert.equal(reason(email('aina@example.com', { 'X-Auto-Response-Suppress': 'DR, OOF, AutoReply' })), 'x_autoreply');
+  assert.equal(reason(email('aina@example.com', { 'X-Auto-Response-Suppress': 'DR' })), null);
+  // Resend delivers headers as a list of { name, value }
+  assert.equal(
+    reason({ from_email: 'aina@example.com', raw_data: { headers: [{ name: 'Content-Type', value: 'multipart/report; report-type=delivery-status' }] } }),
+    'bounce'
+  );
+});
+
+test('bounces, system senders and our own address are not answered', () => {
+  assert.equal(reason(email('MAILER-DAEMON@mx.example.com')), 'system_sender');
+  assert.equal(reason(email('Mail Delivery <postmaster@example.com>')), 'system_sender');
+  assert.equal(reason(email('no-reply@jobportal.example')), 'system_sender');
+  assert.equal(reason(email('bounces+123@mailer.example')), 'system_sender');
+  assert.equal(reason(email('aina@example.com', { 'Return-Path': '<>' })), 'null_sender');
+  assert.equal(reason(email('')), 'null_sender');
+  assert.equal(reason(email('Vacancy <Vacancy@eternalgy.me>'), { ownAddresses: ['vacancy@eternalgy.me'] }), 'own_address');
+  assert.equal(reason(email('noreen@example.com')), null);
+});
+
+test('without a database only the email itself is checked', async () => {
+  assert.equal(await checkAutoReply(email('aina@example.com'), { source: 'recruitment' }), null);
+  assert.equal((await checkAutoReply(email('vacancy@eternalgy.me'), { source: 'recruitment' })).reason, 'own_address');
+});
+
+test('the rate limit counts replies to the exact address only', () => {
+  const lists = [
+    'aina@example.com',
+    'Aina@Example.com, hr@eternalgy.me',
+    'Aina <aina@example.com>',
+    'naina@example.com',
+    'aina@example.com.my',
+    'x.aina@example.com, baina@example.com',
+  ];
+  assert.equal(countRepliesTo(lists, 'aina@example.com'), 3);
+  assert.equal(countRepliesTo(lists, 'naina@example.com'), 1);
+  assert.equal(countRepliesTo(lists, ''), 0);
+});
@@ -0,0 +1,67 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  candidateGreeting,
+  defaultReplySubject,
+  detectLanguage,
+  normalizeLanguage,
+} from '../src/candidate-language.js';
+import { deterministicRecruitmentFallback } from '../src/job-application-service.js';
+import { renderLocalizedTemplate } from '../src/template-service.js';
+
+test('detects Chinese, Malay and English emails', () => {
+  assert.equal(detectLanguage('\u5e94\u8058 Sales Executive\n\u60a8\u597d\uff0c\u6211\u60f3\u7533\u8bf7\u8d35\u516c\u53f8\u7684\u9500\u552e\u804c\u4f4d\uff0c\u9644\u4e0a\u6211\u7684\u7b80\u5386\u3002'), 'zh');
+  assert.equal(detectLanguage('Permohonan jawatan kerani\nSaya ingin memohon jawatan kerani di syarikat tuan. Terima kasih.'), 'ms');
+  assert.equal(detectLanguage('Application for Sales Executive\nDear HR, I am applying for the position. Please find my CV attached.'), 'en');
+  assert.equal(detectLanguage(''), 'en');
+});
+
+test('a Chinese name in an English email stays English', () => {
+  assert.equal(detectLanguage('Application for Accountant\nDear HR, I would like to apply for the position. Regards, \u674e\u660e'), 'en');
+});
+
+test('normalizes AI language answers to the languages we reply in', () => {
+  assert.equal(normalizeLanguage('zh-CN'), 'zh');
+  assert.equal(normalizeLanguage('Malay'), 'ms');
+  assert.equal(normalizeLanguage('EN'), 'en');
+  assert.equal(normalizeLanguage('other'), null);
+  assert.equal(normalizeLanguage('ta'), null);
+  assert.equal(normalizeLanguage(null), null);
+});
+
+test('greets and titles replies in the candidate language', () => {
+  assert.equal(candidateGreeting('Aisyah', 'ms'), 'Hai Aisyah,');
+  assert.equal(candidateGreeting('', 'zh'), '\u60a8\u597d\uff1a');
+  assert.equal(candidateGreeting('Tom', 'fr'), 'Hi Tom,');
+  assert.equal(defaultReplySubject('clarification', 'ms'), 'E-mel anda kepada Eternalgy');
+});
+
+test('the AI fallback reports the language of the latest reply', () => {
+  const result = deterministicRecruitmentFallback({
+    from_email: 'candidate@example.com',
+    subject: 'Permohonan kerja',
+    text_content: 'Saya ingin memohon jawatan kosong sebagai juruteknik. Terima kasih.\n\nOn Tue, Jul 28, 2026 wrote:\n\n> Please reply with the position you are applying for and attach your CV.',
+  });
+
+  assert.equal(result.language, 'ms');
+});
+
+test('renders the localized recruitment template, English otherwise', async () => {
+  const variables = { greeting: candidateGreeting('Aisyah', 'ms'), original_subject: 'Permohonan kerja' };
+
+  const malay = await renderLocalizedTemplate('recruitment-acknowledgement', 'ms', variables);
+  assert.equal(malay.template.slug, 'recruitment-acknowledgement-ms');
+  assert.equal(malay.subject, 'Re: Permohonan kerja');
+  assert.match(malay.html, /Hai Aisyah,/);
+  assert.match(malay.html, /Nombor WhatsApp anda/);
+
+  const chinese = await renderLocalizedTemplate('recruitment-clarification', 'zh', variables);
+  assert.equal(chinese.template.slug, 'recruitment-clarification-zh');
+
+  const english = await renderLocalizedTemplate('recruitment-acknowledgement', 'en', variables);
+  assert.equal(english.template.slug, 'recruitment-acknowledgement');
+
+  // No translation of this template: the template itself
+  const fallback = await renderLocalizedTemplate('pr-acknowledgement', 'ms', variables);
+  assert.equal(fallback.template.slug, 'pr-acknowledgement');
+});
@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeEmail,
+  normalizePhone,
+  nameSimilarity,
+  candidateKeys,
+  decideCandidateMatch,
+} from '../src/candidate-matching.js';
+import { applicationCandidateKeys, assignCandidate, getCandidate } from '../src/candidate-service.js';
+
+test('emails and phone numbers are compared in a normalised form', () => {
+  assert.equal(normalizeEmail('Aisyah Rahman <Aisyah.Rahman+jobs@GoogleMail.com>'), 'aisyahrahman@gmail.com');
+  assert.equal(normalizeEmail('a.rahman+cv@Example.com'), 'a.rahman@example.com');
+  assert.equal(normalizeEmail('not an email'), null);
+
+  assert.equal(normalizePhone('012-345 6789'), '60123456789');
+  assert.equal(normalizePhone('+60 12 345 6789'), '60123456789');
+  assert.equal(normalizePhone('0065 9123 4567'), '6591234567');
+  assert.equal(normalizePhone('09123 4567', { countryCode: '65' }), '6591234567');
+  assert.equal(normalizePhone('12345'), null);
+});
+
+test('name similarity ignores titles, patronymics, order and common spellings', () => {
+  assert.equal(nameSimilarity('Aisyah Rahman', 'Aisyah binti Rahman'), 1);
+  assert.equal(nameSimilarity('Mohd Faiz Hakim', 'Muhammad Faiz bin Hakim'), 1);
+  assert.equal(nameSimilarity('Tan Wei Ming', 'Wei Ming Tan'), 1);
+  assert.ok(nameSimilarity('Nurul Aisyah', 'Nurul Aisyh') >= 0.85);
+  assert.ok(nameSimilarity('Aisyah', 'Aisyah Rahman') < 0.85);
+  assert.equal(nameSimilarity('Aisyah Rahman', 'Kumar Raj'), 0);
+});
+
+test('applications link, go to review or start a new candidate', () => {
+  const existing = [
+    { id: 1, name: 'Aisyah binti Rahman', emails: ['aisyahrahman@gmail.com'], phones: ['60123456789'] },
+    { id: 2, name: 'Kumar Raj', emails: ['kumar@example.com'], phones: ['60198765432'] },
+  ];
+  const applicant = fields => candidateKeys(fields);
+
+  const byEmail = decideCandidateMatch(applicant({ name: 'A. Rahman', emails: ['aisyah.rahman@gmail.com'] }), existing);
+  assert.equal(byEmail.action, 'link');
+  assert.equal(byEmail.candidate.id, 1);
+
+  const byPhone = decideCandidateMatch(applicant({ name: 'Aisyah Rahman', emails: ['aisyah@work.com'], phones: ['012-345 6789'] }), existing);
+  assert.deepEqual([byPhone.action, byPhone.candidate.id, byPhone.reasons], ['link', 1, ['phone', 'name']]);
+
+  const sharedNumber = decideCandidateMatch(applicant({ name: 'Siti Aminah', phones: ['+60 19 876 5432'] }), existing);
+  assert.deepEqual([sharedNumber.action, sharedNumber.candidate.id], ['review', 2]);
+
+  const sameName = decideCandidateMatch(applicant({ name: 'Aisyah Rahman', emails: ['other@example.com'] }), existing);
+  assert.deepEqual([sameName.action, sameName.candidate.id, sameName.reasons], ['review', 1, ['name']]);
+
+  assert.equal(decideCandidateMatch(applicant({ name: 'Aisyah', emails: ['x@example.com'] }), existing).action, 'create');
+  assert.equal(decideCandidateMatch(applicant({ name: 'Lee Chong', phones: ['0111111111'] }), existing).action, 'create');
+});
+
+test('application contacts include the sender and both numbers', async () => {
+  const keys = applicationCandidateKeys({
+    applicant_name: 'Encik Mohd Faiz',
+    applicant_email: 'faiz@example.com',
+    phone: '012-345 6789',
+    whatsapp_number: '+60 12-345 6789',
+  }, { fromEmail: 'Faiz <FAIZ+cv@example.com>' });
+  assert.deepEqual(keys.emails, ['faiz@example.com']);
+  assert.deepEqual(keys.phones, ['60123456789']);
+  assert.deepEqual(keys.nameTokens, ['muhammad', 'faiz']);
+
+  assert.equal(await assignCandidate({ id: 1, applicant_email: 'faiz@example.com' }), null);
+  await assert.rejects(getCandidate(1), error => error.status === 404);
+});
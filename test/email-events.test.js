@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  describeEmailEvent,
+  isDeliveryEvent,
+  shouldAdvanceStatus,
+  statusesAtOrAbove,
+} from '../src/email-events.js';
+
+test('status only moves forward', () => {
+  assert.equal(shouldAdvanceStatus('queued', 'sent'), true);
+  assert.equal(shouldAdvanceStatus('sent', 'delivered'), true);
+  assert.equal(shouldAdvanceStatus('opened', 'delivered'), false);
+  assert.equal(shouldAdvanceStatus('clicked', 'opened'), false);
+  assert.equal(shouldAdvanceStatus('opened', 'opened'), false);
+  assert.equal(shouldAdvanceStatus('delivered', 'bounced'), true);
+  assert.equal(shouldAdvanceStatus('sent', null), false);
+
+  const kept = statusesAtOrAbove('delivered');
+  assert.ok(kept.includes('opened') && kept.includes('delivered'));
+  assert.ok(!kept.includes('sent') && !kept.includes('queued'));
+
+  // The send worker finishing after a delivered webhook keeps `delivered`
+  const keptOnSend = statusesAtOrAbove('sent');
+  assert.ok(keptOnSend.includes('delivered') && keptOnSend.includes('opened'));
+  assert.ok(!keptOnSend.includes('queued') && !keptOnSend.includes('scheduled'));
+});
+
+test('a failed webhook after the send replaces sent and is never undone', () => {
+  const { status } = describeEmailEvent({ type: 'email.failed', data: { email_id: 're_1' } });
+
+  assert.equal(shouldAdvanceStatus('sent', status), true);
+  assert.equal(shouldAdvanceStatus('queued', status), true);
+  assert.equal(shouldAdvanceStatus('delivered', status), true);
+  assert.ok(!statusesAtOrAbove(status).includes('sent'));
+
+  // A late send worker or delivered webhook keeps it failed
+  assert.equal(shouldAdvanceStatus('failed', 'sent'), false);
+  assert.equal(shouldAdvanceStatus('failed', 'delivered'), false);
+  assert.equal(shouldAdvanceStatus('failed', 'bounced'), false);
+  assert.ok(statusesAtOrAbove('sent').includes('failed'));
+});
+
+test('extracts the click URL and the reported time from a webhook', () => {
+  const event = describeEmailEvent({
+    type: 'email.clicked',
+    created_at: '2026-03-01T08:15:00.000Z',
+    data: {
+      email_id: 're_123',
+      click: { link: 'https://eternalgy.me/careers', ipAddress: '10.0.0.1', userAgent: 'Mail', timestamp: '2026-03-01T08:14:59.000Z' },
+    },
+  });
+
+  assert.equal(event.resendId, 're_123');
+  assert.equal(event.status, 'clicked');
+  assert.equal(event.clickUrl, 'https://eternalgy.me/careers');
+  assert.equal(event.occurredAt.toISOString(), '2026-03-01T08:15:00.000Z');
+  assert.equal(event.details.click.ip_address, '10.0.0.1');
+
+  assert.equal(isDeliveryEvent('email.delivery_delayed'), true);
+  assert.equal(describeEmailEvent({ type: 'email.delivery_delayed', data: { email_id: 're_1' } }).status, null);
+  assert.equal(isDeliveryEvent('email.received'), false);
+});
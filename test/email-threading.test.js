@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.RESEND_API_KEY = 're_test_key';
+const {
+  buildReplyHeaders,
+  describeThreadMessage,
+  normalizeThreadSubject,
+  parseMessageIds,
+  threadLookupIds,
+} = await import('../src/email-threading.js');
+const { queueEmail } = await import('../src/outbound-email-service.js');
+const { assignEmailThread } = await import('../src/thread-service.js');
+
+test('parses message ids from header values', () => {
+  assert.deepEqual(parseMessageIds('<a@x.com> <b@x.com>\n <a@x.com>'), ['<a@x.com>', '<b@x.com>']);
+  assert.deepEqual(parseMessageIds('c@x.com'), ['<c@x.com>']);
+  assert.deepEqual(parseMessageIds(''), []);
+});
+
+test('subjects match across reply and forward prefixes', () => {
+  assert.equal(normalizeThreadSubject('RE: Fwd:  Application for  Sales Executive'), 'application for sales executive');
+  assert.equal(normalizeThreadSubject('Balas: Application for Sales Executive'), 'application for sales executive');
+  assert.equal(normalizeThreadSubject('Re[2]: Quote'), 'quote');
+  assert.equal(normalizeThreadSubject('Research: results'), 'research: results');
+});
+
+test('a received reply is looked up by its parent first, then its references', () => {
+  const message = describeThreadMessage({
+    from_email: 'Aisyah <aisyah@example.com>',
+    to_email: 'vacancy@eternalgy.me',
+    subject: 'Re: Your job application to Eternalgy',
+    message_id: '<reply@mail.example.com>',
+    headers: [
+      { name: 'In-Reply-To', value: '<ack@eternalgy.me>' },
+      { name: 'References', value: '<cv@mail.example.com> <ack@eternalgy.me>' },
+    ],
+  }, 'received');
+
+  assert.equal(message.correspondent, 'aisyah@example.com');
+  assert.equal(message.subjectKey, 'your job application to eternalgy');
+  assert.deepEqual(threadLookupIds(message), ['<ack@eternalgy.me>', '<cv@mail.example.com>']);
+});
+
+test('reply headers extend the original references', () => {
+  assert.deepEqual(buildReplyHeaders({
+    message_id: '<b@x.com>',
+    headers: { references: '<a@x.com>' },
+  }), { 'In-Reply-To': '<b@x.com>', References: '<a@x.com> <b@x.com>' });
+  assert.deepEqual(buildReplyHeaders({ subject: 'No id' }), {});
+});
+
+test('sent email carries its own Message-ID and the reply headers', async (t) => {
+  const originalFetch = globalThis.fetch;
+  t.after(() => { globalThis.fetch = originalFetch; });
+
+  let sent;
+  globalThis.fetch = async (url, init) => {
+    sent = JSON.parse(init.body);
+    return new Response(JSON.stringify({ id: 're_1' }), { status: 200 });
+  };
+
+  await queueEmail({
+    from: 'hr@eternalgy.me',
+    to: 'aisyah@example.com',
+    subject: 'Re: Application',
+    html: '<p>Thanks</p>',
+    headers: buildReplyHeaders({ message_id: '<cv@mail.example.com>' }),
+  });
+
+  assert.match(sent.headers['Message-ID'], /^<[0-9a-f-]+@eternalgy\.me>$/);
+  assert.equal(sent.headers['In-Reply-To'], '<cv@mail.example.com>');
+  assert.equal(await assignEmailThread('sent', { id: 1 }), null);
+});
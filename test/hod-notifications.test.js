@@ -0,0 +1,89 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getHodNotificationRetryDelay,
+  notifyHod,
+  listHodNotifications,
+  hodMessageFor,
+  saveHodDepartmentSettings,
+  acknowledgeHodNotification,
+} from '../src/hod-notifier.js';
+import { selectHodRecipients, normalizeHodRecipient, normalizeEscalationHours } from '../src/hod-recipients.js';
+import { resendHodNotification } from '../src/job-application-service.js';
+
+test('HOD notification retries back off exponentially up to the cap', () => {
+  const options = { baseMs: 60000, maxMs: 3600000 };
+  assert.deepEqual(
+    [1, 2, 3, 4].map(attempt => getHodNotificationRetryDelay(attempt, options)),
+    [60000, 120000, 240000, 480000]
+  );
+  assert.equal(getHodNotificationRetryDelay(10, options), 3600000);
+  assert.equal(getHodNotificationRetryDelay(0, options), 60000);
+});
+
+test('without a HOD number the notification reports why it was not sent', async () => {
+  assert.deepEqual(
+    await notifyHod('Sales', 'New application', { applicationId: 1 }),
+    { notificationError: 'No HOD WhatsApp number configured for department: Sales' }
+  );
+  assert.deepEqual(
+    await notifyHod(null, 'New application'),
+    { notificationError: 'No department was extracted and no default HOD is configured' }
+  );
+});
+
+test('the outbox rejects unknown statuses and resending needs an application', async () => {
+  await assert.rejects(listHodNotifications({ status: 'lost' }), error => error.status === 400);
+  assert.deepEqual(await listHodNotifications({ status: 'dead' }), []);
+  await assert.rejects(resendHodNotification(42), error => error.status === 404);
+});
+
+const recipient = (id, role, extra = {}) => ({ id, role, whatsapp_number: `6012000000${id}`, is_active: true, ...extra });
+
+test('notifications go to primaries and HR; escalations to the backups', () => {
+  const recipients = [
+    recipient(1, 'primary'),
+    recipient(2, 'backup'),
+    recipient(3, 'hr'),
+    recipient(4, 'primary', { is_active: false }),
+    recipient(5, 'hr', { whatsapp_number: '60120000001' }),
+  ];
+  assert.deepEqual(selectHodRecipients(recipients).map(item => item.number), ['60120000001', '60120000003']);
+  assert.deepEqual(selectHodRecipients(recipients, 'backup').map(item => item.role), ['backup']);
+
+  // Without a primary the backups stand in
+  const noPrimary = recipients.filter(item => item.role !== 'primary');
+  assert.deepEqual(selectHodRecipients(noPrimary).map(item => item.role), ['backup', 'hr', 'hr']);
+  assert.deepEqual(selectHodRecipients([]), []);
+});
+
+test('recipients and escalation hours are validated', () => {
+  assert.deepEqual(
+    normalizeHodRecipient({ whatsapp_number: '+60 12-345 6789', role: 'HR', name: ' Aina ' }),
+    { whatsappNumber: '60123456789', role: 'hr', name: 'Aina' }
+  );
+  assert.deepEqual(normalizeHodRecipient({ is_active: false }, { partial: true }), { isActive: false });
+  for (const input of [{ whatsapp_number: '123' }, { whatsapp_number: '60123456789', role: 'boss' }]) {
+    assert.throws(() => normalizeHodRecipient(input), error => error.status === 400, JSON.stringify(input));
+  }
+
+  assert.equal(normalizeEscalationHours(''), null);
+  assert.equal(normalizeEscalationHours('1.5'), 1.5);
+  assert.equal(normalizeEscalationHours(0), 0);
+  assert.throws(() => normalizeEscalationHours(-1), error => error.status === 400);
+});
+
+test('the acknowledgement link is only sent to HODs', async () => {
+  const notification = { message: 'New application', ack_token: 'abc' };
+  const options = { baseUrl: 'https://mail.example.com' };
+  assert.equal(
+    hodMessageFor(notification, { role: 'primary' }, options),
+    'New application\n\nTap to acknowledge: https://mail.example.com/hod-ack/abc'
+  );
+  assert.equal(hodMessageFor(notification, { role: 'hr' }, options), 'New application');
+  assert.equal(hodMessageFor(notification, { role: 'primary' }, { baseUrl: '' }), 'New application');
+  assert.equal(hodMessageFor({ message: 'Interview' }, { role: 'backup' }, options), 'Interview');
+
+  await assert.rejects(saveHodDepartmentSettings({ department: ' ' }), error => error.status === 400);
+  await assert.rejects(acknowledgeHodNotification({ token: 'unknown' }), error => error.status === 404);
+});
@@ -0,0 +1,35 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  batchItemIdempotencyKey,
+  hashIdempotentRequest,
+  readIdempotencyKey,
+} from '../src/idempotency.js';
+
+test('reads a valid Idempotency-Key and ignores a missing one', () => {
+  assert.equal(readIdempotencyKey({ 'idempotency-key': ' order-42 ' }), 'order-42');
+  assert.equal(readIdempotencyKey({}), null);
+});
+
+test('rejects empty, spaced and oversized keys with a 400', () => {
+  for (const key of ['', 'has space', 'x'.repeat(201), 'batch:abc:0']) {
+    assert.throws(
+      () => readIdempotencyKey({ 'idempotency-key': key }),
+      err => err.status === 400 && err.code === 'idempotency_key_invalid'
+    );
+  }
+});
+
+test('hashes request bodies independent of key order', () => {
+  const a = hashIdempotentRequest({ to: 'a@example.com', subject: 'Hi', cc: ['b@example.com'] });
+  const b = hashIdempotentRequest({ cc: ['b@example.com'], subject: 'Hi', to: 'a@example.com' });
+  const c = hashIdempotentRequest({ to: 'a@example.com', subject: 'Hello', cc: ['b@example.com'] });
+  assert.equal(a, b);
+  assert.notEqual(a, c);
+});
+
+test('keys batch items by index, apart from /send keys', () => {
+  assert.equal(batchItemIdempotencyKey('batch-1', 3), 'batch:batch-1:3');
+  assert.notEqual(batchItemIdempotencyKey('abc', 0), readIdempotencyKey({ 'idempotency-key': 'abc:0' }));
+  assert.equal(batchItemIdempotencyKey(null, 3), null);
+});
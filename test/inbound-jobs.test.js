@@ -0,0 +1,61 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  enqueueInboundEmail,
+  getInboundRetryDelay,
+  processNextInboundJob,
+  recoverInboundJobs,
+} from '../src/inbound-job-service.js';
+import { describeFailedActions, runInboundPlan } from '../src/inbound-route-service.js';
+
+test('inbound retry delay doubles per attempt and is capped', () => {
+  const options = { baseMs: 1000, maxMs: 5000 };
+  assert.equal(getInboundRetryDelay(1, options), 1000);
+  assert.equal(getInboundRetryDelay(2, options), 2000);
+  assert.equal(getInboundRetryDelay(3, options), 4000);
+  assert.equal(getInboundRetryDelay(4, options), 5000);
+});
+
+test('the queue is inert without a database', async () => {
+  assert.equal(await enqueueInboundEmail({ emailId: 'abc', rawData: {} }), null);
+  assert.equal(await processNextInboundJob(), null);
+  assert.deepEqual(await recoverInboundJobs(), { released: 0, queued: 0 });
+});
+
+test('a retried plan skips finished actions and stops a route at its first failure', async (t) => {
+  const originalFetch = globalThis.fetch;
+  t.after(() => { globalThis.fetch = originalFetch; });
+
+  const requests = [];
+  globalThis.fetch = async (url, options) => {
+    requests.push({ url, body: JSON.parse(options.body) });
+    return new Response('unavailable', { status: 503 });
+  };
+
+  const email = { id: 7, email_id: 're_7', from_email: 'press@example.com', subject: 'Launch' };
+  const plan = [
+    { route: { id: 1, name: 'Recruitment' }, recipients: ['vacancy@eternalgy.me'], actions: [{ type: 'recruitment' }] },
+    {
+      route: { id: 2, name: 'PR' },
+      recipients: ['pr@eternalgy.me'],
+      actions: [
+        { type: 'forward_webhook', url: 'https://pr.example.com/hook' },
+        { type: 'auto_reply', template: 'pr-acknowledgement', from: 'pr@eternalgy.me' },
+      ],
+    },
+  ];
+  const previous = [
+    { routeId: 1, route: 'Recruitment', actions: [{ type: 'recruitment', success: true, data: { status: 'completed' } }] },
+  ];
+
+  const results = await runInboundPlan(email, plan, { previous });
+
+  assert.deepEqual(results[0], previous[0]);
+  assert.deepEqual(requests.map(request => request.url), ['https://pr.example.com/hook']);
+  assert.deepEqual(requests[0].body.to, ['pr@eternalgy.me']);
+  assert.equal(results[1].actions[0].success, false);
+  assert.deepEqual(results[1].actions[1], { type: 'auto_reply', skipped: true });
+  assert.deepEqual(describeFailedActions(results), [
+    'PR: forward_webhook: Forward to https://pr.example.com/hook failed: 503 unavailable',
+  ]);
+});
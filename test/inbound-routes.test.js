@@ -0,0 +1,136 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  addressPatternToRegExp,
+  buildDefaultInboundRoutes,
+  buildInboundMessage,
+  evaluateInboundRoutes,
+  matchInboundRoute,
+  normalizeInboundRoute,
+} from '../src/inbound-routes.js';
+import { defaultInboundRoutes, testInboundRoutes } from '../src/inbound-route-service.js';
+
+const defaults = defaultInboundRoutes().map((route, index) => ({ id: index + 1, enabled: true, ...route }));
+
+function selectedNames(routes, message) {
+  return evaluateInboundRoutes(routes, message).filter(result => result.selected).map(result => result.route.name);
+}
+
+test('collects recipients from the row, the envelope and the delivery headers', () => {
+  const message = buildInboundMessage(
+    { to_email: 'Jobs <jobs@eternalgy.me>', from_email: 'Aisyah <AISYAH@example.com>', subject: 'CV', headers: { 'X-Mailer': 'Outlook' } },
+    { to: ['jobs@eternalgy.me'], headers: [{ name: 'Delivered-To', value: 'vacancy@eternalgy.me' }] }
+  );
+
+  assert.deepEqual(message.recipients, ['jobs@eternalgy.me', 'vacancy@eternalgy.me']);
+  assert.equal(message.sender, 'aisyah@example.com');
+  assert.equal(message.headers['x-mailer'], 'Outlook');
+});
+
+test('default routes reproduce the previous recipient handling', () => {
+  const vacancy = buildInboundMessage({ to_email: 'vacancy@eternalgy.me', from_email: 'a@example.com', subject: 'Job' });
+  const pr = buildInboundMessage({ to_email: 'PR <pr@eternalgy.me>', from_email: 'a@example.com', subject: 'Press' });
+  const other = buildInboundMessage({ to_email: 'admin@eternalgy.me', from_email: 'a@seda.gov.my', subject: 'ATAP' });
+
+  assert.deepEqual(selectedNames(defaults, vacancy), ['Recruitment', 'SEDA approvals']);
+  assert.deepEqual(selectedNames(defaults, pr), ['PR', 'SEDA approvals']);
+  assert.deepEqual(selectedNames(defaults, other), ['SEDA approvals']);
+
+  const prResult = matchInboundRoute(defaults[1], pr);
+  assert.deepEqual(prResult.recipients, ['pr@eternalgy.me']);
+});
+
+test('default routes use the configured mailboxes', () => {
+  const routes = buildDefaultInboundRoutes({
+    recruitment: 'Careers <Careers@example.com>',
+    pr: 'press@example.com',
+    prWebhookUrl: 'https://pr.example.com/hook',
+  });
+
+  assert.deepEqual(routes[0].conditions.recipient, ['careers@example.com']);
+  assert.deepEqual(routes[1].conditions.recipient, ['press@example.com']);
+  assert.equal(routes[1].actions[0].url, 'https://pr.example.com/hook');
+  assert.equal(routes[1].actions[1].from, 'press@example.com');
+});
+
+test('all conditions must match and each check is reported', () => {
+  const route = {
+    conditions: {
+      recipient: ['*@eternalgy.me'],
+      sender: ['@partner.com'],
+      subject: 'quot(e|ation)',
+      header: { name: 'X-Priority', pattern: '^1' },
+    },
+  };
+  const message = buildInboundMessage({
+    to_email: 'sales@eternalgy.me',
+    from_email: 'buyer@partner.com',
+    subject: 'Request for QUOTATION',
+    headers: { 'x-priority': '1 (Highest)' },
+  });
+
+  assert.equal(matchInboundRoute(route, message).matched, true);
+
+  const result = matchInboundRoute(route, { ...message, headers: {} });
+  assert.equal(result.matched, false);
+  assert.deepEqual(result.checks.map(check => [check.condition, check.matched]), [
+    ['recipient', true],
+    ['sender', true],
+    ['subject', true],
+    ['header:X-Priority', false],
+  ]);
+});
+
+test('address patterns match exact addresses and whole domains only', () => {
+  assert.equal(addressPatternToRegExp('vacancy@eternalgy.me').test('vacancy@eternalgy.me'), true);
+  assert.equal(addressPatternToRegExp('vacancy@eternalgy.me').test('vacancy@eternalgyxme'), false);
+  assert.equal(addressPatternToRegExp('@eternalgy.me').test('hr@eternalgy.me'), true);
+  assert.equal(addressPatternToRegExp('*@eternalgy.me').test('hr@eternalgy.me.evil.com'), false);
+});
+
+test('disabled routes never run and stop_processing ends the evaluation', () => {
+  const routes = [
+    { id: 1, name: 'Catch-all', priority: 50, enabled: true, conditions: {}, actions: [{ type: 'seda_task' }] },
+    { id: 2, name: 'Spam', priority: 1, enabled: true, stop_processing: true, conditions: { sender: ['*@spam.test'] }, actions: [{ type: 'seda_task' }] },
+    { id: 3, name: 'Off', priority: 5, enabled: false, conditions: {}, actions: [{ type: 'seda_task' }] },
+  ];
+
+  assert.deepEqual(selectedNames(routes, buildInboundMessage({ from_email: 'x@spam.test' })), ['Spam']);
+  assert.deepEqual(selectedNames(routes, buildInboundMessage({ from_email: 'x@example.com' })), ['Catch-all']);
+});
+
+test('validates route input', () => {
+  const route = normalizeInboundRoute({
+    name: ' Sales ',
+    conditions: { recipient: 'Sales@Eternalgy.me', subject: '' },
+    actions: [
+      { type: 'forward_webhook', url: 'https://crm.example.com/hook' },
+      { type: 'whatsapp_notify', to: '+60 12-345 6789' },
+    ],
+  });
+
+  assert.equal(route.name, 'Sales');
+  assert.equal(route.priority, 100);
+  assert.deepEqual(route.conditions, { recipient: ['sales@eternalgy.me'] });
+  assert.equal(route.actions[1].to, '+60123456789');
+
+  assert.throws(() => normalizeInboundRoute({ name: 'x', actions: [] }), /actions/);
+  assert.throws(() => normalizeInboundRoute({ name: 'x', actions: [{ type: 'delete_everything' }] }), /type must be one of/);
+  assert.throws(() => normalizeInboundRoute({ name: 'x', conditions: { subject: '(' }, actions: [{ type: 'seda_task' }] }), /regular expression/);
+  assert.throws(() => normalizeInboundRoute({ name: 'x', actions: [{ type: 'forward_webhook', url: 'ftp://x' }] }), /http/);
+  assert.throws(() => normalizeInboundRoute({ name: 'x', actions: [{ type: 'auto_reply', template: 't' }] }), /from/);
+  assert.deepEqual(normalizeInboundRoute({ enabled: false }, { partial: true }), { enabled: false });
+});
+
+test('dry run evaluates a draft route without running actions', async () => {
+  const { message, results } = await testInboundRoutes({
+    email: { from: 'client@example.com', to: 'sales@eternalgy.me', subject: 'Quote please' },
+    route: { name: 'Sales', priority: 5, conditions: { recipient: ['sales@eternalgy.me'] }, actions: [{ type: 'whatsapp_notify', to: '60123456789' }] },
+  });
+
+  assert.deepEqual(message.recipients, ['sales@eternalgy.me']);
+  const draft = results.find(result => result.route.draft);
+  assert.equal(draft.selected, true);
+  assert.deepEqual(draft.actions, [{ type: 'whatsapp_notify', to: '60123456789' }]);
+  assert.deepEqual(results.filter(result => result.selected).map(result => result.route.name), ['Sales', 'SEDA approvals']);
+});
@@ -0,0 +1,96 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAvailability, parseInterviewSlot, formatSlotTime } from '../src/interview-slots.js';
+import { buildCalendarInvite, calendarAttachment } from '../src/calendar-invite.js';
+import { proposeInterviewSlots, resolveInterviewStart } from '../src/interview-service.js';
+
+// Wednesday 6 May 2026, 11:00 in Kuala Lumpur
+const now = new Date('2026-05-06T03:00:00Z');
+const options = { now, defaultTimeZone: 'Asia/Kuala_Lumpur', durationMinutes: 45 };
+
+test('availability is read in the zone the candidate wrote, or the default zone', () => {
+  const cases = {
+    'Monday 10am': '2026-05-11T02:00:00.000Z',
+    'Wednesday 2pm': '2026-05-06T06:00:00.000Z',
+    'Wednesday 10am': '2026-05-13T02:00:00.000Z',
+    'Khamis 3.30pm': '2026-05-07T07:30:00.000Z',
+    '12 May 2:30pm GMT+8': '2026-05-12T06:30:00.000Z',
+    '15/05 14:00': '2026-05-15T06:00:00.000Z',
+    '2026-05-14 15:00 Asia/Jakarta': '2026-05-14T08:00:00.000Z',
+    'May 20th, 10-11am EST': '2026-05-20T14:00:00.000Z',
+    'Monday 10-12pm': '2026-05-11T02:00:00.000Z',
+    'Tue 11-1pm MYT': '2026-05-12T03:00:00.000Z',
+    'Thursday 2-4pm': '2026-05-07T06:00:00.000Z',
+    'Friday 12-2pm': '2026-05-08T04:00:00.000Z',
+    '3 Jan 10am': '2027-01-03T02:00:00.000Z',
+  };
+  for (const [text, expected] of Object.entries(cases)) {
+    assert.equal(parseInterviewSlot(text, options)?.start.toISOString(), expected, text);
+  }
+
+  const slot = parseInterviewSlot('12 May 2:30pm GMT+8', options);
+  assert.equal(slot.timeZone, 'UTC+08:00');
+  assert.equal(slot.end.getTime() - slot.start.getTime(), 45 * 60000);
+  assert.equal(parseInterviewSlot('Friday afternoon', options), null);
+  assert.equal(parseInterviewSlot('31/02 10am', options), null);
+});
+
+test('slots across a DST change keep their wall-clock time', () => {
+  // London moves to BST on 29 March 2026
+  const before = parseInterviewSlot('2026-03-27 10:00 Europe/London', options);
+  const after = parseInterviewSlot('2026-03-30 10:00 Europe/London', options);
+  assert.equal(before.start.toISOString(), '2026-03-27T10:00:00.000Z');
+  assert.equal(after.start.toISOString(), '2026-03-30T09:00:00.000Z');
+  assert.equal(formatSlotTime(after.start, 'Europe/London'), 'Monday, 30 March 2026 at 10:00 am (Europe/London)');
+});
+
+test('duplicate and unreadable availability is dropped', () => {
+  const slots = parseAvailability(['Monday 10am', 'monday 10:00', 'any time next week', 'Tuesday 9am MYT'], options);
+  assert.deepEqual(slots.map(slot => slot.text), ['Monday 10am', 'Tuesday 9am MYT']);
+});
+
+test('calendar invites are valid iCalendar with folded, escaped lines', () => {
+  const ics = buildCalendarInvite({
+    uid: 'interview-7@eternalgy.me',
+    start: new Date('2026-05-11T02:00:00Z'),
+    end: new Date('2026-05-11T02:45:00Z'),
+    summary: 'Interview: Sales Executive – Aisyah',
+    description: 'Bring your IC; ask for HR, level 3',
+    location: 'Eternalgy HQ, Kuala Lumpur',
+    organizer: { name: 'Eternalgy Recruitment', email: 'vacancy@eternalgy.me' },
+    attendees: [{ name: 'Rahman, Aisyah "Ai"', email: 'aisyah@example.com' }],
+    now: new Date('2026-05-06T03:00:00Z'),
+  });
+
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  assert.ok(!/[^\r]\n/.test(ics), 'lines end with CRLF');
+  assert.match(ics, /\r\nMETHOD:REQUEST\r\n/);
+  assert.match(ics, /\r\nDTSTART:20260511T020000Z\r\n/);
+  assert.match(ics, /\r\nDESCRIPTION:Bring your IC\\; ask for HR\\, level 3\r\n/);
+  assert.match(ics, /\r\nORGANIZER;CN="Eternalgy Recruitment":mailto:vacancy@eternalgy\.me\r\n/);
+  for (const line of ics.split('\r\n')) {
+    assert.ok(Buffer.byteLength(line) <= 75, line);
+  }
+  assert.match(ics.replace(/\r\n /g, ''), /ATTENDEE;CN="Rahman, Aisyah Ai";ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:aisyah@example\.com/);
+
+  const attachment = calendarAttachment(ics);
+  assert.equal(attachment.filename, 'invite.ics');
+  assert.equal(attachment.content_type, 'text/calendar; charset=utf-8; method=REQUEST');
+  assert.equal(Buffer.from(attachment.content, 'base64').toString('utf8'), ics);
+});
+
+test('HR picks an interview time as a wall-clock time in a zone', async () => {
+  assert.equal(
+    resolveInterviewStart({ starts_at: '2026-05-12T10:00', time_zone: 'Asia/Jakarta' }, { now }).start.toISOString(),
+    '2026-05-12T03:00:00.000Z'
+  );
+  assert.equal(
+    resolveInterviewStart({ starts_at: '2026-05-12T10:00:00Z' }, { now }).start.toISOString(),
+    '2026-05-12T10:00:00.000Z'
+  );
+  assert.equal(resolveInterviewStart({ slot: 'Friday 9am' }, { now }).timeZone, 'Asia/Kuala_Lumpur');
+  assert.throws(() => resolveInterviewStart({ starts_at: '2026-05-01T10:00' }, { now }), /future/);
+  assert.throws(() => resolveInterviewStart({ slot: 'soon' }, { now }), error => error.status === 400);
+  assert.throws(() => resolveInterviewStart({ starts_at: '2026-05-12T10:00', time_zone: 'Mars/Olympus' }, { now }), /time_zone/);
+  assert.deepEqual(await proposeInterviewSlots({ id: 1, availability: ['Monday 10am'] }), []);
+});
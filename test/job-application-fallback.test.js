@@ -50,3 +50,21 @@ test('does not silently discard an email when AI is unavailable', () => {
   assert.equal(result.classification, 'uncertain');
   assert.equal(result.applicant.email, 'candidate@example.com');
 });
+
+test('uses extracted CV text when the AI is unavailable', () => {
+  const result = deterministicRecruitmentFallback({
+    from_email: 'candidate@example.com',
+    subject: 'Job application',
+    text_content: 'Please find my CV attached.',
+    attachments: [{ filename: 'cv.pdf' }],
+    attachment_texts: [{
+      filename: 'cv.pdf',
+      text: 'Siti Aminah\nAccounts executive with 6 years of experience in finance and audit.',
+    }],
+  }, departments);
+
+  assert.equal(result.classification, 'job_application');
+  assert.equal(result.applicant.department, 'Finance');
+  assert.equal(result.applicant.years_experience, '6 years');
+  assert.match(result.applicant.resume_summary, /^Siti Aminah Accounts executive/);
+});
@@ -0,0 +1,57 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  APPLICATION_STATUSES,
+  APPLICATION_TRANSITIONS,
+  normalizeApplicationUpdate,
+  selectApplicationForReply,
+  validateTransition,
+} from '../src/job-application-lifecycle.js';
+import { updateJobApplicationStatus } from '../src/job-application-service.js';
+
+test('applications move forward through the hiring stages and can be rejected', () => {
+  validateTransition('new', 'screening');
+  validateTransition('screening', 'interview_scheduled');
+  validateTransition('interview_scheduled', 'offered');
+  validateTransition('offered', 'hired');
+  validateTransition('offered', 'rejected');
+  validateTransition('rejected', 'screening');
+  validateTransition('screening', 'screening');
+
+  assert.throws(() => validateTransition('new', 'hired'), error => error.status === 409 && /allowed: screening, interview_scheduled, rejected, ignored/.test(error.message));
+  assert.throws(() => validateTransition('hired', 'rejected'), /final/);
+});
+
+test('every transition leads to a known status', () => {
+  for (const status of APPLICATION_STATUSES) {
+    for (const next of APPLICATION_TRANSITIONS[status]) {
+      assert.ok(APPLICATION_STATUSES.includes(next), `${status} -> ${next}`);
+    }
+  }
+});
+
+test('a reply to a hired, rejected or ignored application becomes a new application', () => {
+  for (const status of ['hired', 'rejected', 'ignored']) {
+    assert.equal(selectApplicationForReply([{ id: 1, status }]), null, status);
+  }
+  assert.equal(selectApplicationForReply([]), null);
+});
+
+test('a reply to an open application is merged into it', () => {
+  for (const status of ['clarification_requested', 'new', 'screening', 'interview_scheduled', 'offered']) {
+    assert.equal(selectApplicationForReply([{ id: 1, status }])?.id, 1, status);
+  }
+  // Newest first: a rejected newer application is skipped for the open one
+  assert.equal(selectApplicationForReply([{ id: 3, status: 'rejected' }, { id: 2, status: 'screening' }]).id, 2);
+});
+
+test('validates lifecycle updates', async () => {
+  assert.deepEqual(
+    normalizeApplicationUpdate({ status: ' Screening ', note: ' Called, good fit ', assignee: 'Mei Ling' }),
+    { status: 'screening', note: 'Called, good fit', assignee: 'Mei Ling' }
+  );
+  assert.deepEqual(normalizeApplicationUpdate({ assignee: '' }), { assignee: null });
+  assert.throws(() => normalizeApplicationUpdate({ status: 'archived' }), error => error.status === 400);
+  assert.throws(() => normalizeApplicationUpdate({ note: '  ' }), /at least one/);
+  await assert.rejects(updateJobApplicationStatus(1, { status: 'screening' }), error => error.status === 404);
+});
@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeApplicantFields } from '../src/job-application-service.js';
+
+const application = {
+  applicant_name: 'Aisyah Rahman',
+  applicant_email: 'aisyah@example.com',
+  phone: '012-345 6789',
+  whatsapp_number: null,
+  applied_position: 'Sales Executive',
+  department: 'Sales',
+  years_experience: null,
+  location: 'Kuala Lumpur',
+  availability: ['Monday 10am'],
+};
+
+test('a follow-up reply fills missing fields, replaces numbers and appends availability', () => {
+  const { updates, changes } = mergeApplicantFields(application, {
+    name: 'Aisyah',
+    phone: '+60 12-999 0000',
+    whatsapp_number: '+60129990000',
+    position: 'Marketing Executive',
+    years_experience: '3 years',
+    availability: ['monday 10AM', 'Wednesday 2pm'],
+  });
+
+  assert.deepEqual(updates, {
+    phone: '+60 12-999 0000',
+    whatsappNumber: '+60129990000',
+    yearsExperience: '3 years',
+    availability: ['Monday 10am', 'Wednesday 2pm'],
+  });
+  assert.deepEqual(changes.map(change => [change.field, change.from]), [
+    ['phone', '012-345 6789'],
+    ['whatsapp_number', null],
+    ['years_experience', null],
+    ['availability', ['Monday 10am']],
+  ]);
+  assert.deepEqual(changes.at(-1).to, ['Wednesday 2pm']);
+});
+
+test('the same number written differently is not a change', () => {
+  const { updates, changes } = mergeApplicantFields(application, {
+    phone: '0123456789',
+    location: '',
+    availability: [],
+  });
+
+  assert.deepEqual(updates, {});
+  assert.deepEqual(changes, []);
+});
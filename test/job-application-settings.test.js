@@ -1,6 +1,10 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
-import { createServer } from '../src/server.js';
+
+process.env.ADMIN_API_TOKEN = 'test-admin-token';
+const authHeaders = { Authorization: 'Bearer test-admin-token' };
+
+const { createServer } = await import('../src/server.js');
 
 test('serves the HOD WhatsApp settings page', async () => {
   const server = createServer();
@@ -43,7 +47,9 @@ test('exposes queryable pipeline events without leaking request bodies', async (
 
   try {
     const address = server.address();
-    const response = await fetch(`http://127.0.0.1:${address.port}/pipeline-events?email_id=test-email&limit=10`);
+    const response = await fetch(`http://127.0.0.1:${address.port}/pipeline-events?email_id=test-email&limit=10`, {
+      headers: authHeaders,
+    });
     const payload = await response.json();
 
     assert.equal(response.status, 200);
@@ -60,7 +66,7 @@ test('returns a structured AI health response when provider config is unavailabl
 
   try {
     const address = server.address();
-    const response = await fetch(`http://127.0.0.1:${address.port}/health/ai`);
+    const response = await fetch(`http://127.0.0.1:${address.port}/health/ai`, { headers: authHeaders });
     const payload = await response.json();
 
     assert.ok([200, 503, 504].includes(response.status));
@@ -81,7 +87,9 @@ test('exposes queryable AI activity log endpoint', async () => {
 
   try {
     const address = server.address();
-    const response = await fetch(`http://127.0.0.1:${address.port}/ai-activity-logs?task_id=test-task&limit=10`);
+    const response = await fetch(`http://127.0.0.1:${address.port}/ai-activity-logs?task_id=test-task&limit=10`, {
+      headers: authHeaders,
+    });
     const payload = await response.json();
 
     assert.equal(response.status, 200);
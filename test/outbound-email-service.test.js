@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getOutboundRetryDelay,
+  isRetryableSendError,
+  parseSendAt,
+} from '../src/outbound-email-service.js';
+
+function statusError(status) {
+  const error = new Error(`HTTP ${status}`);
+  error.status = status;
+  return error;
+}
+
+test('retries rate limits, timeouts, server and network errors only', () => {
+  assert.equal(isRetryableSendError(statusError(429)), true);
+  assert.equal(isRetryableSendError(statusError(408)), true);
+  assert.equal(isRetryableSendError(statusError(503)), true);
+  assert.equal(isRetryableSendError(new TypeError('fetch failed')), true);
+  assert.equal(isRetryableSendError(statusError(400)), false);
+  assert.equal(isRetryableSendError(statusError(422)), false);
+});
+
+test('backs off exponentially up to the cap and honours Retry-After', () => {
+  const options = { baseMs: 1000, maxMs: 10000 };
+  assert.equal(getOutboundRetryDelay(1, options), 1000);
+  assert.equal(getOutboundRetryDelay(2, options), 2000);
+  assert.equal(getOutboundRetryDelay(4, options), 8000);
+  assert.equal(getOutboundRetryDelay(10, options), 10000);
+  assert.equal(getOutboundRetryDelay(1, { ...options, retryAfterMs: 5000 }), 5000);
+  assert.equal(getOutboundRetryDelay(3, { ...options, retryAfterMs: 500 }), 4000);
+});
+
+test('parses send_at and rejects invalid or past times', () => {
+  const now = Date.parse('2026-03-01T08:00:00Z');
+  assert.equal(parseSendAt(undefined, now), null);
+  assert.equal(parseSendAt('', now), null);
+  assert.equal(parseSendAt('2026-03-01T17:30:00+08:00', now).toISOString(), '2026-03-01T09:30:00.000Z');
+  assert.equal(parseSendAt('2026-03-02T09:00:00Z', now).toISOString(), '2026-03-02T09:00:00.000Z');
+  assert.throws(() => parseSendAt('next tuesday', now), err => err.status === 400);
+  assert.throws(() => parseSendAt('2026-03-01T09:30:00+08:00', now), /in the future/);
+});
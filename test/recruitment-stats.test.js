@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveStatsRange, buildRecruitmentStats } from '../src/recruitment-stats.js';
+import { getJobApplicationReport } from '../src/job-application-service.js';
+
+// 1 May 2026, 00:30 in Kuala Lumpur and still 30 April in UTC
+const now = new Date('2026-04-30T16:30:00Z');
+
+test('the report covers the current month so far in the report time zone', () => {
+  const range = resolveStatsRange({}, { now, defaultTimeZone: 'Asia/Kuala_Lumpur' });
+  assert.equal(range.from, '2026-05-01');
+  assert.equal(range.to, '2026-05-01');
+  assert.equal(range.start.toISOString(), '2026-04-30T16:00:00.000Z');
+  assert.equal(range.end.toISOString(), '2026-05-01T16:00:00.000Z');
+
+  const utc = resolveStatsRange({}, { now });
+  assert.deepEqual([utc.from, utc.to, utc.days.length], ['2026-04-01', '2026-04-30', 30]);
+});
+
+test('explicit ranges are inclusive and validated', () => {
+  const range = resolveStatsRange(
+    { from: '2026-03-28', to: '2026-03-30', time_zone: 'Europe/London', department: ' Sales ' },
+    { now }
+  );
+  assert.deepEqual(range.days, ['2026-03-28', '2026-03-29', '2026-03-30']);
+  // London moves to BST on 29 March
+  assert.equal(range.start.toISOString(), '2026-03-28T00:00:00.000Z');
+  assert.equal(range.end.toISOString(), '2026-03-30T23:00:00.000Z');
+  assert.equal(range.department, 'Sales');
+
+  const invalid = [
+    { from: '2026-02-30' },
+    { from: '2026-05-02', to: '2026-05-01' },
+    { from: '2024-01-01', to: '2026-01-01' },
+    { time_zone: 'GMT+8' },
+    { time_zone: 'Mars/Olympus' },
+  ];
+  for (const query of invalid) {
+    assert.throws(() => resolveStatsRange(query, { now }), error => error.status === 400, JSON.stringify(query));
+  }
+});
+
+test('raw counts become the report with empty days and rates filled in', () => {
+  const range = resolveStatsRange({ from: '2026-05-01', to: '2026-05-03' }, { now });
+  const stats = buildRecruitmentStats(range, {
+    total: 5,
+    byClassification: [{ key: 'uncertain', count: 1 }, { key: 'job_application', count: 4 }],
+    byDepartment: [{ key: null, count: 1 }, { key: 'Sales', count: 4 }],
+    byStatus: [{ key: 'new', count: 5 }],
+    byDay: [{ key: '2026-05-01', count: 2 }, { key: '2026-05-03', count: 3 }],
+    acknowledgement: { count: 5, avg: '42.4', p50: 30, p90: '95.5' },
+    notifications: { attempted: 4, failed: 1 },
+    hodLatency: { count: 3, avg: 12, p50: 10, p90: 20 },
+    events: [
+      { event_name: 'ai.request.completed', count: 4, avg_latency_ms: '1530.2' },
+      { event_name: 'ai.request.failed', count: 1, avg_latency_ms: null },
+      { event_name: 'ai.request.retrying', count: 2, avg_latency_ms: null },
+    ],
+    classificationSources: [{ key: 'ai', count: 3 }, { key: 'fast_path', count: 1 }, { key: 'fallback', count: 1 }],
+  });
+
+  assert.deepEqual(stats.range, { from: '2026-05-01', to: '2026-05-03', time_zone: 'UTC', department: null });
+  assert.deepEqual(stats.by_day.map(day => day.count), [2, 0, 3]);
+  assert.deepEqual(stats.by_department[0], { department: 'Sales', count: 4 });
+  assert.deepEqual(stats.ai, {
+    classified: 5,
+    ai: 3,
+    fast_path: 1,
+    fallback: 1,
+    fallback_rate: 0.2,
+    requests: 4,
+    failed_requests: 1,
+    retries: 2,
+    avg_latency_ms: 1530,
+  });
+  assert.deepEqual(stats.acknowledgement, { count: 5, avg_seconds: 42, p50_seconds: 30, p90_seconds: 96 });
+  assert.equal(stats.hod_notification.failure_rate, 0.25);
+  assert.equal(stats.hod_notification.notified, 3);
+
+  const empty = buildRecruitmentStats(range, {});
+  assert.equal(empty.ai.fallback_rate, null);
+  assert.equal(empty.acknowledgement.avg_seconds, null);
+});
+
+test('the report endpoint validates the range before touching the database', async () => {
+  await assert.rejects(getJobApplicationReport({ from: 'May' }), error => error.status === 400);
+  const report = await getJobApplicationReport({ from: '2026-05-01', to: '2026-05-02' }, { now });
+  assert.equal(report.total, 0);
+  assert.equal(report.by_day.length, 2);
+});
@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.RESEND_API_KEY = 're_test_key';
+const { sendBatch } = await import('../src/email-service.js');
+
+test('sendBatch caps concurrent Resend requests and keeps input order', async (t) => {
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const originalFetch = globalThis.fetch;
+  t.after(() => { globalThis.fetch = originalFetch; });
+
+  globalThis.fetch = async (url, init) => {
+    inFlight += 1;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    inFlight -= 1;
+
+    const { to } = JSON.parse(init.body);
+    if (to === 'bad@example.com') {
+      return new Response(JSON.stringify({ message: 'Invalid recipient' }), { status: 422 });
+    }
+    return new Response(JSON.stringify({ id: `re_${to}` }), { status: 200 });
+  };
+
+  const emails = ['a', 'b', 'bad', 'c', 'd', 'e'].map(name => ({
+    from: 'team@eternalgy.me',
+    to: `${name}@example.com`,
+    subject: 'Hello',
+    html: '<p>Hello</p>',
+  }));
+  const completed = [];
+  const results = await sendBatch(emails, {
+    concurrency: 2,
+    onResult: result => { completed.push(result.index); },
+  });
+
+  assert.equal(maxInFlight, 2);
+  assert.equal(completed.length, emails.length);
+  assert.deepEqual(results.map(result => result.index), [0, 1, 2, 3, 4, 5]);
+  assert.equal(results[0].data.id, 're_a@example.com');
+  assert.equal(results[2].success, false);
+  assert.equal(results[2].error.status, 422);
+});
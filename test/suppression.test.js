@@ -0,0 +1,30 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  filterSuppressedRecipients,
+  partitionRecipients,
+  recordSuppressionFromEvent,
+} from '../src/suppression-service.js';
+
+test('drops suppressed recipients and keeps display-name entries intact', () => {
+  const suppressed = new Set(['bounced@example.com']);
+  const { kept, skipped } = partitionRecipients(
+    ['Siti <siti@example.com>', 'Bounced <Bounced@Example.com>', 'hr@example.com'],
+    suppressed
+  );
+
+  assert.deepEqual(kept, ['Siti <siti@example.com>', 'hr@example.com']);
+  assert.deepEqual(skipped, ['bounced@example.com']);
+  assert.deepEqual(partitionRecipients(null, suppressed), { kept: [], skipped: [] });
+});
+
+test('leaves recipients untouched without a database', async () => {
+  const message = { domain: 'eternalgy.me', to: 'a@example.com', cc: ['b@example.com'], bcc: undefined };
+  assert.deepEqual(await filterSuppressedRecipients(message), {
+    to: 'a@example.com',
+    cc: ['b@example.com'],
+    bcc: undefined,
+    skipped: [],
+  });
+  assert.deepEqual(await recordSuppressionFromEvent({ type: 'email.bounced', data: { to: ['a@example.com'] } }), []);
+});
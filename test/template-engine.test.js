@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  findTemplateVariables,
+  renderEmailTemplate,
+  renderTemplateString,
+} from '../src/template-engine.js';
+import { DEFAULT_TEMPLATES, renderTemplate } from '../src/template-service.js';
+
+test('escapes double-brace values and leaves triple-brace values raw', () => {
+  const output = renderTemplateString('<p>{{ name }}</p>{{{ signature }}}', {
+    name: '<Ali & Co>',
+    signature: '<b>HR</b>',
+  });
+  assert.equal(output, '<p>&lt;Ali &amp; Co&gt;</p><b>HR</b>');
+});
+
+test('reads dotted paths and renders missing values as empty', () => {
+  assert.equal(renderTemplateString('{{ applicant.name }}|{{ missing.value }}', { applicant: { name: 'Siti' } }), 'Siti|');
+  assert.deepEqual(findTemplateVariables('{{ a }} {{{ b.c }}}', 'Re: {{ a }}'), ['a', 'b.c']);
+});
+
+test('generates plain text from the HTML and wraps the HTML in domain branding', () => {
+  const rendered = renderEmailTemplate(
+    { subject: 'Re: {{ subject }}', html: '<p>Hi {{ name }},</p><p>Thanks.</p>' },
+    { subject: 'A & B', name: 'Siti' },
+    { company_name: 'Eternalgy', primary_color: '#6366f1', footer_text: 'Eternalgy Sdn Bhd' }
+  );
+
+  assert.equal(rendered.subject, 'Re: A & B');
+  assert.match(rendered.html, /Eternalgy<\/strong>/);
+  assert.match(rendered.html, /<p>Hi Siti,<\/p>/);
+  assert.equal(rendered.text, 'Hi Siti,\n\nThanks.\n\nEternalgy Sdn Bhd');
+});
+
+test('built-in recruitment templates render without a database', async () => {
+  assert.ok(DEFAULT_TEMPLATES.some(template => template.slug === 'recruitment-acknowledgement'));
+  const rendered = await renderTemplate('recruitment-acknowledgement', {
+    greeting: 'Hi Siti,',
+    original_subject: 'Application for Sales Executive',
+  });
+
+  assert.equal(rendered.subject, 'Re: Application for Sales Executive');
+  assert.equal(rendered.template.slug, 'recruitment-acknowledgement');
+  assert.match(rendered.text, /^Hi Siti,\n\nThank you for your job application/);
+  assert.match(rendered.text, /with:\n1\. Your WhatsApp number[^\n]+\n2\. Two or three/);
+});
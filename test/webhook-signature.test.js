@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  computeWebhookSignature,
+  createReplayCache,
+  signWebhookPayload,
+  verifyWebhookSignature,
+} from '../src/webhook-signature.js';
+
+const secret = `whsec_${Buffer.from('test-signing-secret').toString('base64')}`;
+const payload = JSON.stringify({ type: 'email.received', data: { email_id: 'abc' } });
+const now = 1_780_000_000_000;
+const timestamp = Math.floor(now / 1000);
+
+test('accepts a correctly signed payload', () => {
+  const headers = signWebhookPayload({ secret, id: 'msg_1', payload, timestamp });
+  const result = verifyWebhookSignature({ payload, headers, secret, now });
+  assert.equal(result.valid, true);
+  assert.equal(result.id, 'msg_1');
+});
+
+test('accepts any matching signature when several are sent during rotation', () => {
+  const signature = computeWebhookSignature({ secret, id: 'msg_2', timestamp, payload });
+  const result = verifyWebhookSignature({
+    payload,
+    secret,
+    now,
+    headers: {
+      'webhook-id': 'msg_2',
+      'webhook-timestamp': String(timestamp),
+      'webhook-signature': `v1,b2xkLXNpZ25hdHVyZQ== v1,${signature}`,
+    },
+  });
+  assert.equal(result.valid, true);
+});
+
+test('rejects a modified body', () => {
+  const headers = signWebhookPayload({ secret, id: 'msg_3', payload, timestamp });
+  const result = verifyWebhookSignature({ payload: payload.replace('abc', 'xyz'), headers, secret, now });
+  assert.equal(result.valid, false);
+  assert.equal(result.reason, 'signature_mismatch');
+});
+
+test('rejects stale timestamps and missing headers', () => {
+  const headers = signWebhookPayload({ secret, id: 'msg_4', payload, timestamp: timestamp - 600 });
+  assert.equal(verifyWebhookSignature({ payload, headers, secret, now }).reason, 'timestamp_out_of_range');
+  assert.equal(verifyWebhookSignature({ payload, headers: {}, secret, now }).reason, 'headers_missing');
+});
+
+test('replay cache remembers accepted IDs until they expire', () => {
+  const cache = createReplayCache({ ttlMs: 1000 });
+  cache.add('msg_5', now);
+  assert.equal(cache.has('msg_5', now + 500), true);
+  assert.equal(cache.has('msg_5', now + 1500), false);
+});
+
+test('replay cache releases an ID whose processing failed', () => {
+  const cache = createReplayCache({ ttlMs: 1000 });
+  cache.add('msg_6', now);
+  cache.delete('msg_6');
+  assert.equal(cache.has('msg_6', now + 1), false);
+});
@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildWebhookRequest,
+  generateWebhookSecret,
+  getWebhookRetryDelay,
+  matchesEventFilter,
+  normalizeWebhookSubscription,
+  processNextWebhookDelivery,
+  publishWebhookEvent,
+} from '../src/webhook-subscription-service.js';
+import { verifyWebhookSignature } from '../src/webhook-signature.js';
+
+test('event filters accept everything, exact types and prefix wildcards', () => {
+  assert.equal(matchesEventFilter(['*'], 'email.bounced'), true);
+  assert.equal(matchesEventFilter(['email.*'], 'email.bounced'), true);
+  assert.equal(matchesEventFilter(['email.*'], 'job_application.created'), false);
+  assert.equal(matchesEventFilter(['seda_task.completed'], 'seda_task.completed'), true);
+  assert.equal(matchesEventFilter(['emails.*'], 'email.sent'), false);
+  assert.equal(matchesEventFilter(['*'], 'webhook.test'), false);
+});
+
+test('deliveries are signed so receivers can verify them like Resend webhooks', () => {
+  const secret = generateWebhookSecret();
+  const delivery = {
+    message_id: 'msg_1',
+    payload: { id: 'evt_1', type: 'email.bounced', created_at: '2026-05-01T00:00:00.000Z', data: { email_id: 're_1' } },
+  };
+  const timestamp = 1777593600;
+  const { body, headers } = buildWebhookRequest(delivery, secret, timestamp);
+
+  assert.deepEqual(JSON.parse(body), delivery.payload);
+  assert.equal(headers['svix-id'], 'msg_1');
+
+  const verified = verifyWebhookSignature({ payload: body, headers, secret, now: timestamp * 1000 });
+  assert.equal(verified.valid, true);
+
+  const tampered = verifyWebhookSignature({ payload: body.replace('re_1', 're_2'), headers, secret, now: timestamp * 1000 });
+  assert.equal(tampered.valid, false);
+});
+
+test('validates subscription input', () => {
+  const subscription = normalizeWebhookSubscription({ name: ' CRM ', url: 'https://crm.example.com/hook' });
+  assert.equal(subscription.name, 'CRM');
+  assert.deepEqual(subscription.eventTypes, ['*']);
+  assert.equal(subscription.isActive, true);
+
+  assert.deepEqual(
+    normalizeWebhookSubscription({ event_types: ['email.*', 'job_application.created'] }, { partial: true }),
+    { eventTypes: ['email.*', 'job_application.created'] }
+  );
+  assert.throws(() => normalizeWebhookSubscription({ name: 'x', url: 'ftp://x' }), /http/);
+  assert.throws(() => normalizeWebhookSubscription({ name: 'x', url: 'https://x.test', event_types: ['email.sending'] }), /Unknown event type/);
+  assert.throws(() => normalizeWebhookSubscription({ name: 'x', url: 'https://x.test', event_types: ['webhook.test'] }), /Unknown event type/);
+});
+
+test('webhook retry delay doubles per attempt and is capped; nothing is queued without a database', async () => {
+  assert.equal(getWebhookRetryDelay(1, { baseMs: 1000, maxMs: 3000 }), 1000);
+  assert.equal(getWebhookRetryDelay(3, { baseMs: 1000, maxMs: 3000 }), 3000);
+  assert.deepEqual(await publishWebhookEvent('email.bounced', { email_id: 're_1' }), []);
+  assert.equal(await processNextWebhookDelivery(), null);
+});